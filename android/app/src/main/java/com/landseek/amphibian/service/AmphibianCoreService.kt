@@ -485,6 +485,22 @@ class AmphibianCoreService : Service() {
         webSocket?.send(json.toString())
     }
     
+    /**
+     * Answer a CONFIRM_TOOL request from the agent
+     * @param remember Save the answer as a rule so this tool isn't asked about again
+     */
+    fun answerToolConfirmation(requestId: String, approved: Boolean, remember: Boolean = false) {
+        val json = JSONObject().apply {
+            put("type", "PROVIDE_INPUT")
+            put("payload", JSONObject().apply {
+                put("requestId", requestId)
+                put("approved", approved)
+                put("remember", remember)
+            })
+        }
+        webSocket?.send(json.toString())
+    }
+
     /**
      * Stop current task
      */
@@ -21,6 +21,7 @@ import android.content.ServiceConnection
 import android.content.ComponentName
 import android.content.Context
 import android.os.IBinder
+import org.json.JSONObject
 
 class MainActivity : ComponentActivity() {
 
@@ -63,6 +64,7 @@ class MainActivity : ComponentActivity() {
 fun AmphibianApp(service: AmphibianCoreService?) {
     var input by remember { mutableStateOf("") }
     val messages = remember { mutableStateListOf<Message>() }
+    var confirmation by remember { mutableStateOf<ToolConfirmation?>(null) }
 
     // Mock initial message
     LaunchedEffect(Unit) {
@@ -72,8 +74,35 @@ fun AmphibianApp(service: AmphibianCoreService?) {
     // Listen to Agent messages
     LaunchedEffect(service) {
         service?.messageFlow?.collect { msg ->
-            messages.add(Message("Amphibian Agent", msg, true))
+            val request = ToolConfirmation.parse(msg)
+            if (request != null) {
+                confirmation = request
+            } else {
+                messages.add(Message("Amphibian Agent", msg, true))
+            }
+        }
+    }
+
+    // Tool calls the policy wants the user to approve (CONFIRM_TOOL)
+    confirmation?.let { request ->
+        val answer = { approved: Boolean, remember: Boolean ->
+            service?.answerToolConfirmation(request.requestId, approved, remember)
+            confirmation = null
         }
+        AlertDialog(
+            onDismissRequest = { answer(false, false) },
+            title = { Text("Allow ${request.tool}?") },
+            text = { Text(request.describe()) },
+            confirmButton = {
+                Row {
+                    TextButton(onClick = { answer(true, true) }) { Text("Always") }
+                    TextButton(onClick = { answer(true, false) }) { Text("Allow") }
+                }
+            },
+            dismissButton = {
+                TextButton(onClick = { answer(false, false) }) { Text("Deny") }
+            }
+        )
     }
 
     Column(modifier = Modifier.fillMaxSize().background(MaterialTheme.colorScheme.background)) {
@@ -154,3 +183,39 @@ fun ChatBubble(message: Message) {
 }
 
 data class Message(val sender: String, val content: String, val isAgent: Boolean)
+
+data class ToolConfirmation(
+    val requestId: String,
+    val server: String,
+    val tool: String,
+    val args: String,
+    val requester: String?,
+    val reason: String?
+) {
+    fun describe(): String = buildString {
+        append("$server wants to run $tool with $args")
+        requester?.let { append("\nRequested by $it") }
+        reason?.let { append("\nFor: \"$it\"") }
+    }
+
+    companion object {
+        /** Returns null unless the message is a CONFIRM_TOOL event */
+        fun parse(message: String): ToolConfirmation? = try {
+            val json = JSONObject(message)
+            if (json.optString("type") != "CONFIRM_TOOL") null else {
+                val payload = json.getJSONObject("payload")
+                val requester = payload.optJSONObject("requester")
+                ToolConfirmation(
+                    requestId = payload.getString("requestId"),
+                    server = payload.getString("server"),
+                    tool = payload.getString("tool"),
+                    args = payload.optJSONObject("args")?.toString(2) ?: "{}",
+                    requester = requester?.optString("name")?.takeIf { it.isNotEmpty() },
+                    reason = payload.optString("reason").takeIf { it.isNotEmpty() && it != "null" }
+                )
+            }
+        } catch (e: Exception) {
+            null
+        }
+    }
+}
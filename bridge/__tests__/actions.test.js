@@ -0,0 +1,161 @@
+/**
+ * Tests for Command Action Dispatcher
+ */
+
+const { ActionDispatcher } = require('../commands/actions');
+
+describe('ActionDispatcher', () => {
+    let dispatcher;
+    let sent;
+
+    beforeEach(() => {
+        sent = [];
+        dispatcher = new ActionDispatcher({
+            send: (type, payload) => sent.push({ type, payload }),
+            discoveryWaitMs: 0
+        });
+    });
+
+    afterEach(async () => {
+        await dispatcher.shutdown();
+    });
+
+    const results = () => sent.filter(e => e.type === 'COMMAND_RESULT').map(e => e.payload.message);
+
+    describe('dispatch', () => {
+        it('should reject unknown actions', async () => {
+            await expect(dispatcher.dispatch('not_a_real_action', {}))
+                .rejects.toThrow('Unknown command action: not_a_real_action');
+        });
+
+        it('should report handler messages as COMMAND_RESULT', async () => {
+            dispatcher.register('echo', async (data) => `echo ${data.text}`);
+
+            await dispatcher.dispatch('echo', { text: 'hi' });
+
+            expect(results()).toEqual(['echo hi']);
+        });
+
+        it('should stay silent when a handler returns nothing', async () => {
+            dispatcher.register('noop', async () => {});
+
+            await dispatcher.dispatch('noop');
+
+            expect(sent).toHaveLength(0);
+        });
+
+        it('should handle every action the command processor returns', () => {
+            const source = require('fs').readFileSync(require.resolve('../commands'), 'utf8');
+            const actions = [...source.matchAll(/action: '([a-z_]+)'/g)].map(m => m[1]);
+            const bridgeActions = [
+                'quit', 'clear', 'ask_ai', 'ai_round', 'analyze_document', 'start_private',
+                'end_private', 'host_p2p', 'join_p2p', 'leave_p2p', 'remember', 'recall',
+                'memory_export', 'memory_import', 'memory_trust', 'memory_share', 'memory_sync',
+                'list_models', 'download_model', 'switch_model', 'start_collective',
+                'join_collective', 'leave_collective', 'collective_status', 'set_capability',
+                'use_collective', 'policy_list', 'policy_set', 'policy_reset',
+                'mcp_list', 'mcp_restart', 'mcp_enable', 'mcp_disable', 'mcp_logs',
+                'route_status', 'route_correct', 'route_examples', 'route_forget',
+                'session_list', 'session_new', 'session_switch', 'session_rename',
+                'session_archive', 'session_search',
+                'room_list', 'room_invite', 'room_revoke', 'room_role', 'room_moderate', 'room_share'
+            ];
+
+            for (const action of actions) {
+                if (bridgeActions.includes(action)) continue;
+                expect(dispatcher.has(action)).toBe(true);
+            }
+        });
+    });
+
+    describe('lazy services', () => {
+        it('should not create review boards until needed', async () => {
+            expect(dispatcher.ethicsBoard).toBeNull();
+            expect(dispatcher.guardian).toBeNull();
+
+            await dispatcher.dispatch('show_ethics_guidelines');
+
+            expect(dispatcher.ethicsBoard).not.toBeNull();
+            expect(dispatcher.guardian).toBeNull();
+            expect(results()[0]).toContain('Ethics Guidelines');
+        });
+    });
+
+    describe('extension security', () => {
+        it('should report blocklisted extensions as blocked', async () => {
+            await dispatcher.dispatch('scan_extension', { extension: 'api-key-helper' });
+
+            expect(results()[0]).toContain('blocked');
+        });
+
+        it('should list each blocked extension once', async () => {
+            await dispatcher.dispatch('show_blocked_extensions');
+
+            const message = results()[0];
+            expect(message.match(/api-key-helper/g)).toHaveLength(1);
+        });
+    });
+
+    describe('humanity guardian', () => {
+        it('should map short threat types and report the threat', async () => {
+            await dispatcher.dispatch('report_threat', {
+                type: 'phishing',
+                target: 'https://phish.example',
+                description: 'Fake bank login page'
+            });
+
+            expect(results()[0]).toMatch(/Threat reported: [0-9a-f]+/);
+            const [threat] = dispatcher.guardian.threats.values();
+            expect(threat.type).toBe('phishing_campaign');
+            expect(threat.target.type).toBe('website');
+        });
+
+        it('should reject unknown threat types', async () => {
+            await expect(dispatcher.dispatch('report_threat', { type: 'gossip', target: 'x' }))
+                .rejects.toThrow('Unknown threat type');
+        });
+    });
+
+    describe('device settings', () => {
+        it('should validate power modes', async () => {
+            await expect(dispatcher.dispatch('set_power_mode', { mode: 'turbo' }))
+                .rejects.toThrow('Unknown power mode');
+
+            await dispatcher.dispatch('set_power_mode', { mode: 'power_save' });
+            expect(dispatcher.powerMode).toBe('power_save');
+        });
+
+        it('should keep the device type for the next host start', async () => {
+            await dispatcher.dispatch('set_device_type', { deviceType: 'raspberry_pi' });
+
+            expect(dispatcher.deviceType).toBe('raspberry_pi');
+        });
+    });
+
+    describe('open pool', () => {
+        const port = 18767;
+
+        it('should require a pool before showing the leaderboard', async () => {
+            await expect(dispatcher.dispatch('show_leaderboard'))
+                .rejects.toThrow('No OpenClaw pool is running');
+        });
+
+        it('should host, join, submit and claim a task', async () => {
+            await dispatcher.dispatch('start_openpool', { port, poolName: 'Test Pool' });
+            await dispatcher.dispatch('join_openpool', { host: '127.0.0.1', port, botName: 'Tester' });
+            await dispatcher.dispatch('submit_open_task', { taskType: 'inference', payload: 'Summarize this article' });
+            await dispatcher.dispatch('claim_task');
+
+            const messages = results();
+            expect(messages[0]).toContain('Test Pool');
+            expect(messages[1]).toContain('Joined **Test Pool** as Tester');
+            expect(messages[2]).toMatch(/Task submitted: open_1_/);
+            expect(messages[3]).toMatch(/Claimed inference task: open_1_/);
+
+            // Let the pool see the bot leave before shutting it down
+            const botOffline = new Promise(resolve => dispatcher.pool.registry.on('bot_offline', resolve));
+            dispatcher.poolBot.disconnect();
+            await botOffline;
+        });
+    });
+});
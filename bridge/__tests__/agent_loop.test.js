@@ -0,0 +1,254 @@
+/**
+ * Tests for the tool-calling agent loop
+ */
+
+const { AgentLoop, parsePromptedCalls } = require('../brains/agent_loop');
+const LocalBrain = require('../brains/local_brain');
+
+const TOOLS = [
+    {
+        name: 'email_search',
+        description: 'Search the inbox',
+        inputSchema: { type: 'object', properties: { query: { type: 'string' } } },
+        server: 'email',
+        tool: 'search'
+    },
+    {
+        name: 'calendar_create_event',
+        description: 'Create a calendar event',
+        inputSchema: { type: 'object', properties: { title: { type: 'string' }, start: { type: 'string' } } },
+        server: 'calendar',
+        tool: 'create_event'
+    }
+];
+
+/**
+ * Brain that replays scripted native tool-calling turns
+ */
+function scriptedBrain(turns, finalAnswer = 'Done.') {
+    const brain = {
+        seen: [],
+        chatWithTools: jest.fn(async (messages, tools) => {
+            brain.seen.push({ messages: [...messages], tools });
+            const turn = turns.shift();
+            if (!turn) return { content: finalAnswer, toolCalls: [] };
+            return { content: turn.content || '', toolCalls: turn.toolCalls || [] };
+        }),
+        chat: jest.fn(async () => ({ content: finalAnswer }))
+    };
+    return brain;
+}
+
+function loopWith(brain, callTool, config) {
+    return new AgentLoop({
+        brain,
+        listTools: async () => TOOLS,
+        callTool,
+        config
+    });
+}
+
+describe('AgentLoop', () => {
+    it('should chain tool calls and feed results back until the model answers', async () => {
+        const brain = scriptedBrain([
+            { toolCalls: [{ name: 'email_search', arguments: { query: 'dentist' } }] },
+            { toolCalls: [{ name: 'calendar_create_event', arguments: { title: 'Dentist', start: '2026-10-21T09:00' } }] }
+        ], 'Booked the dentist for Wednesday 9:00.');
+        const callTool = jest.fn(async (server, tool) => ({
+            content: [{ type: 'text', text: server === 'email' ? 'Dentist appointment Wed 9:00' : 'Event created' }]
+        }));
+        const events = [];
+
+        const outcome = await loopWith(brain, callTool).run(
+            [{ role: 'user', content: 'Find the dentist email and put it in my calendar' }],
+            { onEvent: event => events.push(event), context: { requester: { type: 'user' } } }
+        );
+
+        expect(outcome.content).toBe('Booked the dentist for Wednesday 9:00.');
+        expect(outcome.steps).toBe(3);
+        expect(callTool).toHaveBeenNthCalledWith(1, 'email', 'search', { query: 'dentist' }, { requester: { type: 'user' } });
+        expect(callTool).toHaveBeenNthCalledWith(2, 'calendar', 'create_event', expect.objectContaining({ title: 'Dentist' }), expect.anything());
+
+        // Schemas are advertised in Ollama's format
+        expect(brain.seen[0].tools[0]).toEqual({
+            type: 'function',
+            function: { name: 'email_search', description: 'Search the inbox', parameters: TOOLS[0].inputSchema }
+        });
+        // The second turn sees the first result
+        const secondTurn = brain.seen[1].messages;
+        expect(secondTurn[secondTurn.length - 1]).toEqual({
+            role: 'tool', tool_name: 'email_search', content: 'Dentist appointment Wed 9:00'
+        });
+
+        expect(events.map(e => `${e.type}:${e.tool}`)).toEqual([
+            'tool_use:email_search', 'tool_result:email_search',
+            'tool_use:calendar_create_event', 'tool_result:calendar_create_event'
+        ]);
+        expect(events[0]).toMatchObject({ step: 1, server: 'email', args: { query: 'dentist' } });
+        expect(events[3]).toMatchObject({ step: 2, isError: false, text: 'Event created' });
+    });
+
+    it('should stop at the step budget and ask for an answer', async () => {
+        const forever = Array.from({ length: 10 }, () => ({ toolCalls: [{ name: 'email_search', arguments: {} }] }));
+        const brain = scriptedBrain(forever, 'Here is what I found so far.');
+        const callTool = jest.fn(async () => 'nothing');
+
+        const outcome = await loopWith(brain, callTool, { MAX_STEPS: 3 }).run([{ role: 'user', content: 'search' }]);
+
+        expect(callTool).toHaveBeenCalledTimes(3);
+        expect(outcome.budgetExhausted).toBe(true);
+        expect(outcome.content).toBe('Here is what I found so far.');
+        const [finalMessages] = brain.chat.mock.calls[0];
+        expect(finalMessages[finalMessages.length - 1].content).toContain('do not call any more tools');
+    });
+
+    it('should report unknown tools and failures back to the model', async () => {
+        const brain = scriptedBrain([
+            { toolCalls: [{ name: 'shell_exec', arguments: {} }, { name: 'email_search', arguments: '{"query":"x"}' }] }
+        ]);
+        const callTool = jest.fn(async () => { throw new Error('IMAP down'); });
+        const events = [];
+
+        const outcome = await loopWith(brain, callTool).run([{ role: 'user', content: 'go' }], {
+            onEvent: event => events.push(event)
+        });
+
+        expect(outcome.toolCalls).toEqual([
+            expect.objectContaining({ tool: 'shell_exec', isError: true, text: 'Unknown tool: shell_exec' }),
+            expect.objectContaining({ tool: 'email_search', isError: true, text: 'Tool failed: IMAP down' })
+        ]);
+        // String arguments are parsed
+        expect(callTool).toHaveBeenCalledWith('email', 'search', { query: 'x' }, {});
+        expect(events.filter(e => e.type === 'tool_result').every(e => e.isError)).toBe(true);
+    });
+
+    it('should treat a denied call as an error result', async () => {
+        const brain = scriptedBrain([{ toolCalls: [{ name: 'calendar_create_event', arguments: {} }] }]);
+        const callTool = jest.fn(async () => ({ success: false, denied: true, message: 'Not permitted' }));
+
+        const outcome = await loopWith(brain, callTool).run([{ role: 'user', content: 'book it' }]);
+
+        expect(outcome.toolCalls[0].isError).toBe(true);
+        expect(outcome.toolCalls[0].text).toContain('Not permitted');
+    });
+
+    it('should stop between steps when aborted', async () => {
+        const brain = scriptedBrain([{ toolCalls: [{ name: 'email_search', arguments: {} }] }]);
+        let aborted = false;
+        const callTool = jest.fn(async () => { aborted = true; return 'ok'; });
+
+        const outcome = await loopWith(brain, callTool).run([{ role: 'user', content: 'search' }], {
+            isAborted: () => aborted
+        });
+
+        expect(outcome.aborted).toBe(true);
+        expect(brain.chatWithTools).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to a structured prompt when the model has no tool support', async () => {
+        const unsupported = Object.assign(new Error('registry.ollama.ai/library/gemma does not support tools'), {
+            code: 'TOOLS_UNSUPPORTED'
+        });
+        const replies = [
+            '{"tool_calls": [{"name": "email_search", "arguments": {"query": "invoice"}}]}',
+            'Your invoice is due Friday.'
+        ];
+        const brain = {
+            chatWithTools: jest.fn(async () => { throw unsupported; }),
+            chat: jest.fn(async () => ({ content: replies.shift() }))
+        };
+        const callTool = jest.fn(async () => 'Invoice due Friday');
+        const loop = loopWith(brain, callTool);
+
+        const outcome = await loop.run([{ role: 'user', content: 'When is the invoice due?' }]);
+
+        expect(outcome.content).toBe('Your invoice is due Friday.');
+        expect(callTool).toHaveBeenCalledWith('email', 'search', { query: 'invoice' }, {});
+        const [prompt] = brain.chat.mock.calls[0];
+        expect(prompt[0].content).toContain('email_search');
+        const [secondPrompt] = brain.chat.mock.calls[1];
+        expect(secondPrompt[secondPrompt.length - 1]).toEqual({ role: 'user', content: 'Result of email_search:\nInvoice due Friday' });
+
+        // Remembered for the next run
+        await loop.run([{ role: 'user', content: 'hi' }]);
+        expect(brain.chatWithTools).toHaveBeenCalledTimes(1);
+    });
+
+    it('should only remember missing tool support for the backend and model that lacked it', async () => {
+        const unsupported = Object.assign(new Error('gemma does not support tools'), {
+            code: 'TOOLS_UNSUPPORTED',
+            target: 'ollama/gemma'
+        });
+        let target = 'ollama/gemma';
+        const brain = {
+            toolTarget: () => target,
+            chatWithTools: jest.fn(async () => {
+                if (target === 'ollama/gemma') throw unsupported;
+                return { content: 'native answer', toolCalls: [] };
+            }),
+            chat: jest.fn(async () => ({ content: 'prompted answer' }))
+        };
+        const loop = loopWith(brain, jest.fn());
+
+        expect((await loop.run([{ role: 'user', content: 'hi' }])).content).toBe('prompted answer');
+        expect((await loop.run([{ role: 'user', content: 'hi' }])).content).toBe('prompted answer');
+        expect(brain.chatWithTools).toHaveBeenCalledTimes(1);
+
+        // Falling back to another backend brings native tool calling back
+        target = 'openai/llama3.1';
+        expect((await loop.run([{ role: 'user', content: 'hi' }])).content).toBe('native answer');
+    });
+});
+
+describe('parsePromptedCalls', () => {
+    it('should read tool calls and ignore plain answers', () => {
+        expect(parsePromptedCalls('Sure! {"name": "email_search", "arguments": {"query": "a"}}')).toEqual([
+            { name: 'email_search', arguments: { query: 'a' } }
+        ]);
+        expect(parsePromptedCalls('{"tool_calls": [{"tool": "x", "args": {}}, {"arguments": {}}]}')).toEqual([
+            { name: 'x', arguments: {} }
+        ]);
+        expect(parsePromptedCalls('The meeting is at {noon}.')).toEqual([]);
+        expect(parsePromptedCalls('No tools needed.')).toEqual([]);
+    });
+});
+
+describe('LocalBrain.chatWithTools', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    function ndjson(lines) {
+        return new Response(lines.map(line => JSON.stringify(line)).join('\n'), { status: 200 });
+    }
+
+    it('should send tool schemas and collect streamed tool calls', async () => {
+        global.fetch = jest.fn(async () => ndjson([
+            { message: { content: 'Checking' } },
+            { message: { content: '', tool_calls: [{ function: { name: 'email_search', arguments: { query: 'a' } } }] } },
+            { done: true }
+        ]));
+        const brain = new LocalBrain({ baseUrl: 'http://ollama.test', model: 'llama3.1' });
+        const chunks = [];
+
+        const reply = await brain.chatWithTools([{ role: 'user', content: 'hi' }], [{ type: 'function' }], {
+            onChunk: chunk => chunks.push(chunk)
+        });
+
+        expect(reply).toEqual({ role: 'assistant', content: 'Checking', toolCalls: [{ name: 'email_search', arguments: { query: 'a' } }] });
+        expect(chunks).toEqual(['Checking']);
+        const body = JSON.parse(global.fetch.mock.calls[0][1].body);
+        expect(body.tools).toEqual([{ type: 'function' }]);
+        expect(body.model).toBe('llama3.1');
+    });
+
+    it('should flag models without tool support', async () => {
+        global.fetch = jest.fn(async () => new Response('{"error":"gemma does not support tools"}', { status: 400 }));
+        const brain = new LocalBrain({ baseUrl: 'http://ollama.test', model: 'gemma' });
+
+        expect(brain.toolTarget()).toBe('ollama/gemma');
+        await expect(brain.chatWithTools([], [])).rejects.toMatchObject({ code: 'TOOLS_UNSUPPORTED', target: 'ollama/gemma' });
+    });
+});
@@ -0,0 +1,223 @@
+/**
+ * Tests for LocalBrain's inference backends and fallback between them
+ */
+
+const http = require('http');
+const LocalBrain = require('../brains/local_brain');
+const { createBackend, parseBackendList } = require('../brains/backends');
+const { toOpenAIMessages } = require('../brains/backends/openai_compat');
+const { toPrompt } = require('../brains/backends/mediapipe');
+
+/**
+ * One server playing Ollama (/api), an OpenAI-compatible API and
+ * llama-server (/v1, /health)
+ */
+function startFakeServer() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const json = body ? JSON.parse(body) : null;
+            requests.push({ path: req.url, headers: req.headers, body: json });
+
+            if (req.url === '/api/tags') {
+                res.end(JSON.stringify({ models: [{ name: 'gemma3:1b' }] }));
+            } else if (req.url === '/api/chat') {
+                res.write(JSON.stringify({ message: { content: 'from ' } }) + '\n');
+                res.end(JSON.stringify({ message: { content: 'ollama' }, done: true }) + '\n');
+            } else if (req.url === '/health') {
+                res.writeHead(server.loading ? 503 : 200).end('{}');
+            } else if (req.url === '/v1/models') {
+                res.end(JSON.stringify({ data: [{ id: 'qwen2.5-7b-instruct' }] }));
+            } else if (req.url === '/v1/chat/completions') {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                const events = json.tools
+                    ? [
+                        { choices: [{ delta: { tool_calls: [{ index: 0, id: 'a', function: { name: 'email_search', arguments: '{"que' } }] } }] },
+                        { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'ry":"dentist"}' } }] } }] }
+                    ]
+                    : [
+                        { choices: [{ delta: { role: 'assistant' } }] },
+                        { choices: [{ delta: { content: 'from ' } }] },
+                        { choices: [{ delta: { content: 'openai' } }] }
+                    ];
+                for (const event of events) res.write(`data: ${JSON.stringify(event)}\n\n`);
+                res.end('data: [DONE]\n\n');
+            } else if (req.url === '/v1/embeddings') {
+                res.end(JSON.stringify({ data: [{ embedding: [0.1, 0.2, 0.3] }] }));
+            } else {
+                res.writeHead(404).end();
+            }
+        });
+    });
+    server.requests = requests;
+    server.loading = false;
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+describe('Inference backends', () => {
+    let server;
+    let url;
+
+    beforeAll(async () => {
+        server = await startFakeServer();
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        server.requests.length = 0;
+        server.loading = false;
+    });
+
+    describe('OpenAI-compatible', () => {
+        it('should stream chat completions with the API key', async () => {
+            const brain = new LocalBrain({
+                backends: [{ type: 'openai', baseUrl: `${url}/v1`, model: 'qwen2.5-7b-instruct', apiKey: 'sk-local' }]
+            });
+
+            const reply = await brain.chat([{ role: 'user', content: 'hi' }]);
+
+            expect(reply.content).toBe('from openai');
+            const request = server.requests.find(r => r.path === '/v1/chat/completions');
+            expect(request.headers.authorization).toBe('Bearer sk-local');
+            expect(request.body).toMatchObject({ model: 'qwen2.5-7b-instruct', stream: true });
+            expect(await brain.getAvailableModels()).toEqual(['qwen2.5-7b-instruct']);
+            expect(await brain.embed('hi')).toEqual([0.1, 0.2, 0.3]);
+        });
+
+        it('should assemble streamed tool calls', async () => {
+            const brain = new LocalBrain({ backends: [{ type: 'lmstudio', baseUrl: `${url}/v1` }] });
+
+            const reply = await brain.chatWithTools([{ role: 'user', content: 'find it' }], [{ type: 'function' }]);
+
+            expect(reply.toolCalls).toEqual([{ name: 'email_search', arguments: { query: 'dentist' } }]);
+        });
+
+        it('should translate agent loop turns into OpenAI tool messages', () => {
+            const messages = toOpenAIMessages([
+                { role: 'user', content: 'find it' },
+                { role: 'assistant', content: '', tool_calls: [{ function: { name: 'email_search', arguments: { query: 'x' } } }] },
+                { role: 'tool', tool_name: 'email_search', content: 'found' }
+            ]);
+
+            expect(messages[1]).toEqual({
+                role: 'assistant',
+                content: null,
+                tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'email_search', arguments: '{"query":"x"}' } }]
+            });
+            expect(messages[2]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: 'found' });
+        });
+    });
+
+    describe('llama.cpp', () => {
+        it('should use /health and the /v1 API', async () => {
+            const brain = new LocalBrain({ backends: [{ type: 'llama.cpp', baseUrl: url }] });
+
+            expect(await brain.isAvailable()).toBe(true);
+            server.loading = true;
+            expect(await brain.isAvailable()).toBe(false);
+
+            server.loading = false;
+            expect((await brain.chat([{ role: 'user', content: 'hi' }])).content).toBe('from openai');
+            expect(server.requests.map(r => r.path)).toContain('/v1/chat/completions');
+        });
+    });
+
+    describe('fallback', () => {
+        it('should fall back to the next backend and skip the failed one for a while', async () => {
+            const brain = new LocalBrain({
+                baseUrl: url,
+                model: 'gemma3:1b',
+                backends: [{ type: 'llamacpp', baseUrl: 'http://127.0.0.1:1' }, 'ollama']
+            });
+
+            const first = await brain.chat([{ role: 'user', content: 'hi' }]);
+            expect(first.content).toBe('from ollama');
+            expect(brain.active.type).toBe('ollama');
+
+            const status = brain.getStatus();
+            expect(status[0]).toMatchObject({ type: 'llamacpp', healthy: false, active: false });
+            expect(status[1]).toMatchObject({ type: 'ollama', healthy: true, active: true });
+            expect(brain.candidates().map(b => b.type)).toEqual(['ollama']);
+        });
+
+        it('should pick the first backend that is up on a health check', async () => {
+            const brain = new LocalBrain({
+                baseUrl: url,
+                backends: [{ type: 'openai', baseUrl: 'http://127.0.0.1:1/v1' }, 'ollama']
+            });
+
+            expect(await brain.isAvailable()).toBe(true);
+            expect(brain.active.type).toBe('ollama');
+        });
+
+        it('should report an error when every backend fails', async () => {
+            const brain = new LocalBrain({ backends: [{ type: 'llamacpp', baseUrl: 'http://127.0.0.1:1' }] });
+
+            const reply = await brain.chat([{ role: 'user', content: 'hi' }]);
+
+            expect(reply.content).toContain('[Error: Local Brain stream disconnected]');
+            await expect(brain.chatWithTools([], [])).rejects.toThrow();
+        });
+    });
+
+    describe('MediaPipe', () => {
+        it('should run on-device inference through the Android bridge', async () => {
+            const callTool = jest.fn(async (tool) => tool === 'list_models'
+                ? { success: true, output: JSON.stringify({ loaded_models: ['gemma-3-4b-it'] }) }
+                : { success: true, output: 'Hello from the TPU' });
+            const brain = new LocalBrain({ backends: ['mediapipe'], androidCallback: callTool });
+
+            expect(await brain.isAvailable()).toBe(true);
+            expect(await brain.getAvailableModels()).toEqual(['gemma-3-4b-it']);
+            const reply = await brain.chat([{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'hi' }]);
+
+            expect(reply.content).toBe('Hello from the TPU');
+            expect(callTool).toHaveBeenCalledWith('inference', {
+                prompt: '<start_of_turn>user\nBe brief.\n\nhi<end_of_turn>\n<start_of_turn>model\n'
+            });
+            await expect(brain.chatWithTools([], [])).rejects.toMatchObject({ code: 'TOOLS_UNSUPPORTED' });
+        });
+
+        it('should not count the simulated bridge as a device', async () => {
+            const brain = new LocalBrain({
+                backends: ['mediapipe'],
+                androidCallback: async () => ({ success: true, simulated: true })
+            });
+
+            expect(await brain.isAvailable()).toBe(false);
+        });
+
+        it('should keep the conversation in Gemma turns', () => {
+            expect(toPrompt([
+                { role: 'user', content: 'a' },
+                { role: 'assistant', content: 'b' },
+                { role: 'user', content: 'c' }
+            ])).toBe('<start_of_turn>user\na<end_of_turn>\n<start_of_turn>model\nb<end_of_turn>\n<start_of_turn>user\nc<end_of_turn>\n<start_of_turn>model\n');
+        });
+    });
+
+    describe('configuration', () => {
+        it('should parse backend lists and reject unknown backends', () => {
+            expect(parseBackendList(' llamacpp, ollama ,')).toEqual(['llamacpp', 'ollama']);
+            expect(createBackend('llama-cpp').type).toBe('llamacpp');
+            expect(() => createBackend('gpt4all')).toThrow('Unknown inference backend');
+        });
+
+        it('should default to Ollama with the brain settings', () => {
+            const brain = new LocalBrain({ baseUrl: 'http://ollama.test', model: 'llama3.1' });
+
+            expect(brain.backends).toHaveLength(1);
+            expect(brain.active).toMatchObject({ type: 'ollama', baseUrl: 'http://ollama.test', model: 'llama3.1' });
+        });
+    });
+});
@@ -0,0 +1,484 @@
+/**
+ * Tests for Document Manager text extraction and retrieval
+ */
+
+const zlib = require('zlib');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { DocumentManager, ExtractorRegistry } = require('../documents');
+const { PdfDocument, MAX_STREAM_SIZE } = require('../documents/pdf');
+const { ZipArchive } = require('../documents/zip');
+const { InflateBudget } = require('../documents/inflate');
+const { HashingEmbedder } = require('../memory_format');
+
+// Fixtures are built in memory: ZIP containers for OOXML/ODF/EPUB, plain PDFs
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buf) {
+    let crc = 0xffffffff;
+    for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function makeZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const [name, text] of Object.entries(files)) {
+        const data = Buffer.from(text, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const nameBuf = Buffer.from(name, 'utf8');
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(crc32(data), 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuf.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(crc32(data), 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuf.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuf, compressed);
+        centrals.push(central, nameBuf);
+        offset += local.length + nameBuf.length + compressed.length;
+    }
+
+    const centralDir = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(centralDir.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, centralDir, end]);
+}
+
+/**
+ * @param {Array<Array<string|Array>>} pages - Lines per page; an array line is a TJ operand
+ */
+function makePdf(pages, info = '/Title (Quarterly Report) /Author (Dana Scully)') {
+    const objects = [];
+    const add = body => objects.push(body);
+
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+    const pagesNum = 2 + pages.length * 2;
+    const kids = [];
+    for (const lines of pages) {
+        const ops = ['BT', '/F1 12 Tf', '72 720 Td'];
+        lines.forEach((line, i) => {
+            if (i > 0) ops.push('0 -14 Td');
+            ops.push(Array.isArray(line)
+                ? `[${line.map(p => typeof p === 'number' ? p : `(${p})`).join(' ')}] TJ`
+                : `(${line}) Tj`);
+        });
+        ops.push('ET');
+        const data = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+        add(`<< /Length ${data.length} /Filter /FlateDecode >>\nstream\n${data.toString('latin1')}\nendstream`);
+        add(`<< /Type /Page /Parent ${pagesNum} 0 R /Contents ${objects.length} 0 R >>`);
+        kids.push(objects.length);
+    }
+    add(`<< /Type /Pages /Kids [${kids.map(k => `${k} 0 R`).join(' ')}] /Count ${kids.length} ` +
+        '/Resources << /Font << /F1 1 0 R >> >> >>');
+    add(`<< /Type /Catalog /Pages ${pagesNum} 0 R >>`);
+    add(`<< ${info} >>`);
+
+    let out = '%PDF-1.4\n';
+    objects.forEach((body, i) => {
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${objects.length - 1} 0 R /Info ${objects.length} 0 R >>\n%%EOF\n`;
+    return Buffer.from(out, 'latin1');
+}
+
+const CORE_XML = '<?xml version="1.0"?><cp:coreProperties xmlns:cp="cp" xmlns:dc="dc">' +
+    '<dc:title>Launch Plan</dc:title><dc:creator>Fox Mulder</dc:creator></cp:coreProperties>';
+
+describe('DocumentManager extraction', () => {
+    let dir;
+    let manager;
+
+    const write = async (name, content) => {
+        const filePath = path.join(dir, name);
+        await fs.writeFile(filePath, content);
+        return filePath;
+    };
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'amphibian-docs-'));
+        manager = new DocumentManager(path.join(dir, 'storage'));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        console.warn.mockRestore();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should read plain text files directly', async () => {
+        const result = await manager.upload(await write('notes.md', '# Notes\nBuy milk.'));
+
+        expect(result.extraction).toEqual({ status: 'ok', extractor: 'text' });
+        expect(manager.get(result.id).content).toBe('# Notes\nBuy milk.');
+        expect(result.chunksCount).toBe(1);
+    });
+
+    it('should find a document by its checksum and remember where it came from', async () => {
+        const result = await manager.upload(await write('plan.md', '# Plan\nShip it.'), {
+            source: { room: true, transferId: 'abc', from: 'Dana' }
+        });
+        const doc = manager.get(result.id);
+
+        expect(doc.sha256).toMatch(/^[0-9a-f]{64}$/);
+        expect(manager.findByHash(doc.sha256).id).toBe(result.id);
+        expect(doc.source).toEqual({ room: true, transferId: 'abc', from: 'Dana' });
+        expect(manager.findByHash('0'.repeat(64))).toBeNull();
+    });
+
+    it('should extract PDF text, pages and metadata', async () => {
+        const pdf = makePdf([
+            ['Revenue grew 12% (year over year)', ['Costs', -300, 'fell']],
+            ['Outlook is stable']
+        ]);
+        const result = await manager.upload(await write('report.pdf', pdf));
+        const doc = manager.get(result.id);
+
+        expect(result.extraction.status).toBe('ok');
+        expect(doc.content).toBe('Revenue grew 12% (year over year)\nCosts fell\n\nOutlook is stable');
+        expect(doc.metadata).toMatchObject({ title: 'Quarterly Report', author: 'Dana Scully', pages: 2 });
+    });
+
+    it('should decode PDF strings through a ToUnicode CMap', async () => {
+        const cmap = zlib.deflateSync(Buffer.from('/CIDInit /ProcSet findresource begin\n' +
+            '1 begincodespacerange <0000> <FFFF> endcodespacerange\n' +
+            '2 beginbfchar <0001> <0048> <0002> <0069> endbfchar\nendcmap'));
+        const content = zlib.deflateSync(Buffer.from('BT /F1 12 Tf <00010002> Tj ET'));
+        const pdf = Buffer.from('%PDF-1.7\n' +
+            '1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n' +
+            '2 0 obj\n<< /Type /Pages /Kids [3 0 R] /Count 1 >>\nendobj\n' +
+            '3 0 obj\n<< /Type /Page /Parent 2 0 R /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>\nendobj\n' +
+            `4 0 obj\n<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n${content.toString('latin1')}\nendstream\nendobj\n` +
+            '5 0 obj\n<< /Type /Font /Subtype /Type0 /ToUnicode 6 0 R >>\nendobj\n' +
+            `6 0 obj\n<< /Length ${cmap.length} /Filter /FlateDecode >>\nstream\n${cmap.toString('latin1')}\nendstream\nendobj\n` +
+            'trailer\n<< /Root 1 0 R >>\n', 'latin1');
+
+        const result = await manager.upload(await write('cid.pdf', pdf));
+
+        expect(manager.get(result.id).content).toBe('Hi');
+    });
+
+    it('should refuse PDF streams that inflate past the size limit', () => {
+        const pdf = new PdfDocument(makePdf([['Outlook is stable']]));
+        const bomb = zlib.deflateSync(Buffer.alloc(MAX_STREAM_SIZE + 1));
+
+        expect(() => pdf.streamData({ stream: bomb.toString('latin1'), Filter: '/FlateDecode' })).toThrow('too large');
+    });
+
+    it('should stop extracting once the whole document inflates past its budget', () => {
+        const line = 'Revenue grew in every region this quarter';
+        const pdf = new PdfDocument(makePdf([[line, line], [line, line]]), new InflateBudget(150));
+        const [first, second] = pdf.pages();
+
+        expect(pdf.pageText(first)).toContain('Revenue');
+        // Each stream is far under its own cap; together they are not
+        expect(() => pdf.pageText(second)).toThrow(expect.objectContaining({ code: 'DOCUMENT_TOO_LARGE' }));
+
+        // Object streams are read up front, so such a PDF fails to open at all
+        const packed = zlib.deflateSync(Buffer.alloc(200, ' '));
+        const objStm = Buffer.from('%PDF-1.5\n1 0 obj\n' +
+            `<< /Type /ObjStm /N 1 /First 4 /Length ${packed.length} /Filter /FlateDecode >>\n` +
+            `stream\n${packed.toString('latin1')}\nendstream\nendobj\n`, 'latin1');
+        expect(() => new PdfDocument(objStm, new InflateBudget(100))).toThrow('Document is too large');
+
+        const zip = new ZipArchive(makeZip({ 'a.xml': 'x'.repeat(80), 'b.xml': 'y'.repeat(80) }), new InflateBudget(100));
+        expect(zip.readText('a.xml')).toHaveLength(80);
+        expect(() => zip.readText('b.xml')).toThrow('Document is too large');
+    });
+
+    it('should extract DOCX paragraphs, headings, tables and properties', async () => {
+        const body = '<w:document xmlns:w="w"><w:body>' +
+            '<w:p><w:pPr><w:pStyle w:val="Heading1"/><w:tabs><w:tab w:val="left"/></w:tabs></w:pPr><w:r><w:t>Launch</w:t></w:r></w:p>' +
+            '<w:p><w:r><w:t xml:space="preserve">Ship it </w:t></w:r><w:r><w:t>on Friday &amp; celebrate.</w:t></w:r></w:p>' +
+            '<w:tbl><w:tr><w:tc><w:p><w:r><w:t>Task</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>Owner</w:t></w:r></w:p></w:tc></w:tr>' +
+            '<w:tr><w:tc><w:p><w:r><w:t>Docs</w:t></w:r></w:p></w:tc><w:tc><w:p><w:r><w:t>Dana</w:t></w:r></w:p></w:tc></w:tr></w:tbl>' +
+            '</w:body></w:document>';
+        const docx = makeZip({ 'word/document.xml': body, 'docProps/core.xml': CORE_XML });
+
+        const result = await manager.upload(await write('plan.docx', docx));
+        const doc = manager.get(result.id);
+
+        expect(doc.content).toBe('# Launch\nShip it on Friday & celebrate.\nTask\tOwner\nDocs\tDana');
+        expect(doc.tables).toEqual([{ rows: [['Task', 'Owner'], ['Docs', 'Dana']] }]);
+        expect(doc.metadata).toMatchObject({ title: 'Launch Plan', author: 'Fox Mulder' });
+        expect(result.tablesCount).toBe(1);
+    });
+
+    it('should extract XLSX sheets in workbook order', async () => {
+        const xlsx = makeZip({
+            'xl/workbook.xml': '<workbook xmlns:r="r"><sheets>' +
+                '<sheet name="Budget" sheetId="1" r:id="rId2"/><sheet name="Notes" sheetId="2" r:id="rId1"/></sheets></workbook>',
+            'xl/_rels/workbook.xml.rels': '<Relationships>' +
+                '<Relationship Id="rId1" Target="worksheets/sheet2.xml"/>' +
+                '<Relationship Id="rId2" Target="/xl/worksheets/sheet1.xml"/></Relationships>',
+            'xl/sharedStrings.xml': '<sst><si><t>Item</t></si><si><r><t>Co</t></r><r><t>st</t></r></si><si><t>Coffee</t></si></sst>',
+            'xl/worksheets/sheet1.xml': '<worksheet><sheetData>' +
+                '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+                '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="C2"><f>1+1</f><v>2.5</v></c></row>' +
+                '</sheetData></worksheet>',
+            'xl/worksheets/sheet2.xml': '<worksheet><sheetData>' +
+                '<row r="1"><c r="A1" t="inlineStr"><is><t>Approved</t></is></c><c r="B1" t="b"><v>1</v></c></row>' +
+                '</sheetData></worksheet>'
+        });
+
+        const result = await manager.upload(await write('budget.xlsx', xlsx));
+        const doc = manager.get(result.id);
+
+        expect(doc.tables).toEqual([
+            { name: 'Budget', rows: [['Item', '', 'Cost'], ['Coffee', '', '2.5']] },
+            { name: 'Notes', rows: [['Approved', 'TRUE']] }
+        ]);
+        expect(doc.content).toBe('## Budget\nItem\t\tCost\nCoffee\t\t2.5\n\n## Notes\nApproved\tTRUE');
+        expect(doc.metadata.sheets).toEqual(['Budget', 'Notes']);
+    });
+
+    it('should extract PPTX slides with their notes', async () => {
+        const slide = text => `<p:sld xmlns:a="a" xmlns:p="p"><p:cSld><p:spTree><p:sp><p:txBody>` +
+            `<a:p><a:r><a:t>${text}</a:t></a:r></a:p></p:txBody></p:sp></p:spTree></p:cSld></p:sld>`;
+        const pptx = makeZip({
+            'ppt/presentation.xml': '<p:presentation xmlns:p="p" xmlns:r="r"><p:sldIdLst>' +
+                '<p:sldId id="256" r:id="rId3"/><p:sldId id="257" r:id="rId2"/></p:sldIdLst></p:presentation>',
+            'ppt/_rels/presentation.xml.rels': '<Relationships>' +
+                '<Relationship Id="rId2" Target="slides/slide2.xml"/><Relationship Id="rId3" Target="slides/slide1.xml"/></Relationships>',
+            'ppt/slides/slide1.xml': slide('Welcome'),
+            'ppt/slides/slide2.xml': slide('Roadmap'),
+            'ppt/slides/_rels/slide1.xml.rels': '<Relationships><Relationship Id="rId1" ' +
+                'Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/notesSlide" Target="../notesSlides/notesSlide1.xml"/></Relationships>',
+            'ppt/notesSlides/notesSlide1.xml': slide('Introduce the team') + slide('1')
+        });
+
+        const result = await manager.upload(await write('deck.pptx', pptx));
+
+        expect(manager.get(result.id).content).toBe('## Slide 1\nWelcome\nNotes: Introduce the team\n\n## Slide 2\nRoadmap');
+        expect(manager.get(result.id).metadata.slides).toBe(2);
+    });
+
+    it('should extract EPUB chapters in spine order', async () => {
+        const chapter = (title, body) => `<html xmlns="http://www.w3.org/1999/xhtml"><head><title>${title}</title>` +
+            `<style>p { color: red }</style></head><body><h1>${title}</h1>${body}</body></html>`;
+        const epub = makeZip({
+            'mimetype': 'application/epub+zip',
+            'META-INF/container.xml': '<container><rootfiles><rootfile full-path="OEBPS/content.opf"/></rootfiles></container>',
+            'OEBPS/content.opf': '<package><metadata xmlns:dc="dc"><dc:title>The Long Walk</dc:title>' +
+                '<dc:creator>R. Bachman</dc:creator><dc:language>en</dc:language></metadata>' +
+                '<manifest><item id="c1" href="text/one.xhtml" media-type="application/xhtml+xml"/>' +
+                '<item id="c2" href="text/two.xhtml" media-type="application/xhtml+xml"/></manifest>' +
+                '<spine><itemref idref="c2"/><itemref idref="c1"/></spine></package>',
+            'OEBPS/text/one.xhtml': chapter('Two', '<p>Later&nbsp;on.</p>'),
+            'OEBPS/text/two.xhtml': chapter('One', '<p>It began.</p><ul><li>Walk</li><li>Rest</li></ul>')
+        });
+
+        const result = await manager.upload(await write('book.epub', epub));
+        const doc = manager.get(result.id);
+
+        expect(doc.content).toBe('One\n\nIt began.\n\n- Walk\n- Rest\n\nTwo\n\nLater on.');
+        expect(doc.metadata).toMatchObject({ title: 'The Long Walk', author: 'R. Bachman', language: 'en', chapters: 2 });
+    });
+
+    it('should extract OpenDocument text', async () => {
+        const odt = makeZip({
+            'content.xml': '<office:document-content xmlns:office="o" xmlns:text="t"><office:automatic-styles>' +
+                '<style:style/></office:automatic-styles><office:body><office:text>' +
+                '<text:h text:outline-level="2">Minutes</text:h><text:p>Agreed<text:s text:c="2"/>to ship.</text:p>' +
+                '</office:text></office:body></office:document-content>',
+            'meta.xml': '<office:document-meta><office:meta><dc:title>Board meeting</dc:title></office:meta></office:document-meta>'
+        });
+
+        const result = await manager.upload(await write('minutes.odt', odt));
+
+        expect(manager.get(result.id).content).toBe('## Minutes\nAgreed to ship.');
+        expect(manager.get(result.id).metadata.title).toBe('Board meeting');
+    });
+
+    it('should record a failed extraction instead of storing garbage', async () => {
+        const result = await manager.upload(await write('broken.docx', 'this is not a zip file at all'));
+        const doc = manager.get(result.id);
+
+        expect(result.extraction).toMatchObject({ status: 'failed', extractor: 'docx' });
+        expect(result.extraction.error).toMatch(/Not a valid DOCX file/);
+        expect(doc.content).toBe('');
+        expect(doc.chunks).toEqual([]);
+        expect(manager.list()[0].extraction.status).toBe('failed');
+    });
+
+    it('should report PDFs without a text layer', async () => {
+        const result = await manager.upload(await write('scan.pdf', makePdf([[]])));
+
+        expect(result.extraction.status).toBe('failed');
+        expect(result.extraction.error).toMatch(/No extractable text/);
+    });
+
+    it('should mark formats without an extractor as unsupported', async () => {
+        const result = await manager.upload(await write('old.doc', Buffer.from([0xd0, 0xcf, 0x11, 0xe0])));
+
+        expect(result.extraction).toEqual({ status: 'unsupported', error: 'No text extractor for .doc files' });
+        expect(manager.get(result.id).chunks).toEqual([]);
+    });
+
+    it('should let registered extractors take over a format', async () => {
+        const registry = new ExtractorRegistry();
+        registry.register('documents', {
+            name: 'rtf',
+            extensions: ['.rtf'],
+            extract: async buffer => ({ content: buffer.toString('latin1').replace(/\{\\rtf1 |\}/g, ''), metadata: {} })
+        });
+        manager = new DocumentManager(path.join(dir, 'storage'), { extractors: registry });
+
+        const result = await manager.upload(await write('memo.rtf', '{\\rtf1 Hello}'));
+
+        expect(result.extraction).toEqual({ status: 'ok', extractor: 'rtf' });
+        expect(manager.get(result.id).content).toBe('Hello');
+    });
+});
+
+describe('DocumentManager retrieval', () => {
+    let dir;
+    let filePath;
+
+    // Three ~750 character sections; chunks are 1000 characters, so they straddle sections
+    const section = (title, sentence) => `## ${title}\n` + Array(14).fill(sentence).join('\n') + '\n';
+    const handbook = [
+        section('Holidays', 'Staff receive twenty five vacation days each year.'),
+        section('Expenses', 'Submit every invoice within thirty days for reimbursement.'),
+        section('Security', 'Laptops must use full disk encryption and a screen lock.')
+    ].join('\n');
+
+    beforeEach(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'amphibian-retrieval-'));
+        filePath = path.join(dir, 'handbook.md');
+        await fs.writeFile(filePath, handbook);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        console.warn.mockRestore();
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should record the lines each chunk spans', async () => {
+        const manager = new DocumentManager(path.join(dir, 'storage'));
+        const { id } = await manager.upload(filePath);
+        const lines = handbook.split('\n');
+
+        for (const chunk of manager.get(id).chunks) {
+            // Chunks may start and end mid-line
+            const textLines = chunk.text.split('\n');
+            expect(lines[chunk.startLine - 1].endsWith(textLines[0])).toBe(true);
+            expect(lines[chunk.endLine - 1].startsWith(textLines[textLines.length - 1])).toBe(true);
+            expect(chunk.endLine - chunk.startLine + 1).toBe(textLines.length);
+        }
+    });
+
+    it('should rank chunks with BM25 and cite their lines', async () => {
+        const manager = new DocumentManager(path.join(dir, 'storage'));
+        const { id } = await manager.upload(filePath);
+
+        const results = await manager.getRelevantChunks(id, 'When are invoices reimbursed?');
+
+        expect(results[0].chunk.index).toBe(1);
+        expect(results[0].chunk.text).toContain('Submit every invoice');
+        expect(results[0].similarity).toBe(0);
+        expect(results[0].citation).toEqual({
+            filename: 'handbook.md',
+            startLine: results[0].chunk.startLine,
+            endLine: results[0].chunk.endLine
+        });
+        expect(results.map(r => r.chunk.index)).not.toContain(2); // Security only
+        expect(results[0].score).toBeGreaterThan(results[results.length - 1].score);
+    });
+
+    it('should blend in embedding similarity and reuse persisted embeddings', async () => {
+        const embedder = new HashingEmbedder({ dimensions: 128 });
+        const embed = jest.spyOn(embedder, 'embed');
+        const storage = path.join(dir, 'storage');
+
+        const manager = new DocumentManager(storage, { embedder });
+        const { id } = await manager.upload(filePath);
+        const results = await manager.getRelevantChunks(id, 'disk encryption for laptops');
+        const chunkCount = manager.get(id).chunks.length;
+
+        expect(results[0].chunk.text).toContain('## Security');
+        expect(results[0].similarity).toBeGreaterThan(0);
+        expect(embed).toHaveBeenCalledTimes(chunkCount + 1);
+
+        embed.mockClear();
+        const reloaded = new DocumentManager(storage, { embedder });
+        reloaded.loadDocumentIndex();
+        const again = await reloaded.getRelevantChunks(id, 'disk encryption for laptops');
+
+        expect(again[0].chunk.text).toContain('## Security');
+        expect(again[0].score).toBeCloseTo(results[0].score);
+        expect(embed).toHaveBeenCalledTimes(1); // Only the query
+    });
+
+    it('should fall back to keywords when the embedder fails', async () => {
+        const embedder = { name: 'broken', embed: jest.fn().mockRejectedValue(new Error('model not found')) };
+        const manager = new DocumentManager(path.join(dir, 'storage'), { embedder });
+        const { id } = await manager.upload(filePath);
+
+        const results = await manager.getRelevantChunks(id, 'vacation days');
+
+        expect(results[0].chunk.text).toContain('## Holidays');
+        expect(embedder.embed).toHaveBeenCalledTimes(1);
+    });
+
+    it('should forget a removed document', async () => {
+        const manager = new DocumentManager(path.join(dir, 'storage'));
+        const { id } = await manager.upload(filePath);
+        manager.remove(id);
+
+        expect(await manager.index.search('invoice')).toEqual([]);
+    });
+
+    it('should build analysis context from the relevant chunks only', async () => {
+        const manager = new DocumentManager(path.join(dir, 'storage'));
+        const { id } = await manager.upload(filePath);
+
+        const { content, citations } = await manager.getAnalysisContext(id, 'screen lock policy');
+
+        expect(content).toContain('📄 Document: handbook.md');
+        expect(content).toContain('full disk encryption');
+        expect(content).not.toContain('vacation days');
+        expect(citations.length).toBeGreaterThan(0);
+        for (const citation of citations) {
+            expect(content).toContain(`[handbook.md, lines ${citation.startLine}-${citation.endLine}]`);
+        }
+    });
+
+    it('should fall back to the whole document when nothing matches', async () => {
+        const manager = new DocumentManager(path.join(dir, 'storage'));
+        const { id } = await manager.upload(filePath);
+
+        const { content, citations } = await manager.getAnalysisContext(id, 'summarize');
+
+        expect(citations).toEqual([]);
+        expect(content).toContain('vacation days');
+    });
+});
@@ -0,0 +1,278 @@
+/**
+ * Tests for MCP server supervision and mcp.json hot reload
+ */
+
+const AmphibianHost = require('../mcp_host');
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { SSEServerTransport } = require('@modelcontextprotocol/sdk/server/sse.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+
+const TEST_DIR = path.join(__dirname, 'test_mcp_host');
+const SERVER_PATH = path.join(TEST_DIR, 'fixture_server.js');
+const CONFIG_PATH = path.join(TEST_DIR, 'mcp.json');
+
+// Minimal stdio MCP server: "echo" answers, "crash" exits the process
+const FIXTURE_SERVER = `
+const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
+const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
+
+const label = process.argv[2] || 'fixture';
+console.error(label + ' starting');
+
+const server = new Server({ name: label, version: '1.0.0' }, { capabilities: { tools: {} } });
+server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: [
+        { name: 'echo', inputSchema: { type: 'object' } },
+        { name: 'crash', inputSchema: { type: 'object' } }
+    ]
+}));
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    if (request.params.name === 'crash') process.exit(1);
+    return { content: [{ type: 'text', text: label + ': ' + JSON.stringify(request.params.arguments) }] };
+});
+server.connect(new StdioServerTransport());
+`;
+
+function entry(label, extra = {}) {
+    return { command: process.execPath, args: [SERVER_PATH, label], ...extra };
+}
+
+/**
+ * MCP server over HTTP: streamable HTTP on /mcp, SSE on /sse + /messages,
+ * both behind a bearer token
+ */
+function startHttpServer(token) {
+    const createServer = () => {
+        const server = new Server({ name: 'remote', version: '1.0.0' }, { capabilities: { tools: {} } });
+        server.setRequestHandler(ListToolsRequestSchema, async () => ({
+            tools: [{ name: 'echo', description: 'Echo arguments', inputSchema: { type: 'object' } }]
+        }));
+        server.setRequestHandler(CallToolRequestSchema, async (request) => ({
+            content: [{ type: 'text', text: 'remote: ' + JSON.stringify(request.params.arguments) }]
+        }));
+        return server;
+    };
+    const sseSessions = new Map();
+
+    const httpServer = http.createServer(async (req, res) => {
+        if (req.headers.authorization !== `Bearer ${token}`) {
+            res.writeHead(401).end();
+            return;
+        }
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/mcp') {
+            const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+            await createServer().connect(transport);
+            await transport.handleRequest(req, res);
+        } else if (url.pathname === '/sse' && req.method === 'GET') {
+            const transport = new SSEServerTransport('/messages', res);
+            sseSessions.set(transport.sessionId, transport);
+            await createServer().connect(transport);
+        } else if (url.pathname === '/messages') {
+            await sseSessions.get(url.searchParams.get('sessionId')).handlePostMessage(req, res);
+        } else {
+            res.writeHead(404).end();
+        }
+    });
+
+    return new Promise(resolve => {
+        httpServer.listen(0, '127.0.0.1', () => resolve(httpServer));
+    });
+}
+
+async function waitFor(condition, timeoutMs = 10000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+}
+
+describe('AmphibianHost supervision', () => {
+    let host;
+
+    beforeEach(async () => {
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        await fs.writeFile(SERVER_PATH, FIXTURE_SERVER);
+        host = new AmphibianHost({
+            supervisor: { INITIAL_BACKOFF_MS: 20, MAX_BACKOFF_MS: 100, MAX_RESTARTS: 2, RELOAD_DEBOUNCE_MS: 20 }
+        });
+    });
+
+    afterEach(async () => {
+        await host.disconnectAll();
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    });
+
+    describe('applyConfig', () => {
+        it('should start, restart and stop only the entries that changed', async () => {
+            let report = await host.applyConfig({ mcpServers: { alpha: entry('alpha'), beta: entry('beta') } });
+            expect(report.started.sort()).toEqual(['alpha', 'beta']);
+            const alpha = host.clients.get('alpha');
+
+            report = await host.applyConfig({
+                mcpServers: {
+                    alpha: { ...entry('alpha'), description: 'Renamed only' },
+                    beta: entry('beta-2'),
+                    gamma: entry('gamma', { enabled: false })
+                }
+            });
+            expect(report).toEqual({ started: [], stopped: [], restarted: ['beta'], failed: [] });
+            expect(host.clients.get('alpha')).toBe(alpha);
+            expect(host.serverInfo.get('alpha').description).toBe('Renamed only');
+
+            const result = await host.callTool('beta', 'echo', { n: 1 });
+            expect(result.content[0].text).toBe('beta-2: {"n":1}');
+
+            report = await host.applyConfig({ mcpServers: { beta: entry('beta-2') } });
+            expect(report.stopped).toEqual(['alpha']);
+            expect(host.clients.has('alpha')).toBe(false);
+            expect(host.getHealth('alpha').status).toBe('stopped');
+        });
+    });
+
+    describe('restarts', () => {
+        it('should restart a crashed server', async () => {
+            const started = [];
+            host.on('server_started', event => started.push(event));
+            await host.supervise('alpha', process.execPath, [SERVER_PATH, 'alpha']);
+            const first = host.clients.get('alpha');
+
+            await host.callTool('alpha', 'crash', {});
+            await waitFor(() => started.length === 2);
+
+            const health = host.getHealth('alpha');
+            expect(health.status).toBe('connected');
+            expect(health.restarts).toBe(1);
+            expect(health.supervised).toBe(true);
+            expect(host.clients.get('alpha')).not.toBe(first);
+        });
+
+        it('should give up after too many failed restarts', async () => {
+            const failures = [];
+            host.on('server_failed', event => failures.push(event));
+
+            await expect(host.supervise('broken', process.execPath, ['-e', 'process.exit(1)'])).rejects.toThrow();
+            await waitFor(() => failures.length > 0);
+
+            const health = host.getHealth('broken');
+            expect(health.status).toBe('failed');
+            expect(health.restarts).toBe(2);
+            expect(health.lastError).toBeTruthy();
+            expect(host.clients.has('broken')).toBe(false);
+        });
+    });
+
+    describe('health', () => {
+        it('should track tool latency and keep stderr lines', async () => {
+            await host.supervise('alpha', process.execPath, [SERVER_PATH, 'alpha']);
+
+            await host.callTool('alpha', 'echo', {});
+            await host.callTool('alpha', 'echo', {});
+
+            const health = host.getHealth('alpha');
+            expect(health.calls).toBe(2);
+            expect(health.errors).toBe(0);
+            expect(typeof health.avgLatencyMs).toBe('number');
+            await waitFor(() => host.getLogs('alpha').length > 0);
+            expect(host.getLogs('alpha')).toContain('alpha starting');
+        });
+    });
+
+    describe('config file', () => {
+        it('should apply edits to a watched mcp.json and ignore broken saves', async () => {
+            await fs.writeFile(CONFIG_PATH, JSON.stringify({ mcpServers: {} }));
+            host.configPath = CONFIG_PATH;
+            host.watchConfig();
+
+            await fs.writeFile(CONFIG_PATH, JSON.stringify({ mcpServers: { alpha: entry('alpha') } }));
+            await waitFor(() => host.clients.has('alpha'));
+
+            // Half-written file: keep what is running
+            await fs.writeFile(CONFIG_PATH, '{ "mcpServers": {');
+            await new Promise(resolve => setTimeout(resolve, 150));
+            expect(host.clients.has('alpha')).toBe(true);
+
+            await fs.writeFile(CONFIG_PATH, JSON.stringify({ mcpServers: { alpha: entry('alpha') } }));
+            await host.setServerEnabled('alpha', false);
+            expect(host.clients.has('alpha')).toBe(false);
+
+            const saved = JSON.parse(await fs.readFile(CONFIG_PATH, 'utf8'));
+            expect(saved.mcpServers.alpha.enabled).toBe(false);
+            await expect(host.setServerEnabled('missing', true)).rejects.toThrow('No MCP server named');
+
+            host.unwatchConfig();
+            expect(host.watcher).toBeNull();
+        });
+    });
+
+    describe('remote servers', () => {
+        let httpServer;
+        let baseUrl;
+
+        beforeEach(async () => {
+            httpServer = await startHttpServer('team-secret');
+            baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+            process.env.MCP_TEST_TOKEN = 'team-secret';
+        });
+
+        afterEach(async () => {
+            await host.disconnectAll();
+            httpServer.closeAllConnections();
+            await new Promise(resolve => httpServer.close(resolve));
+            delete process.env.MCP_TEST_TOKEN;
+        });
+
+        it('should connect over streamable HTTP with header auth from the environment', async () => {
+            const report = await host.applyConfig({
+                mcpServers: {
+                    remote: {
+                        url: `${baseUrl}/mcp`,
+                        transport: 'http',
+                        headers: { Authorization: 'Bearer ${MCP_TEST_TOKEN}' }
+                    }
+                }
+            });
+            expect(report.started).toEqual(['remote']);
+
+            const tools = await host.getAllTools();
+            expect(tools).toEqual([expect.objectContaining({ name: 'remote_echo', server: 'remote' })]);
+
+            const result = await host.callTool('remote', 'remote_echo', { hello: 'phone' });
+            expect(result.content[0].text).toBe('remote: {"hello":"phone"}');
+            expect(host.serverInfo.get('remote')).toMatchObject({ url: `${baseUrl}/mcp`, transport: 'http' });
+        });
+
+        it('should connect over SSE', async () => {
+            await host.connectHttpServer('remote', `${baseUrl}/sse`, {
+                transport: 'sse',
+                headers: { Authorization: 'Bearer team-secret' }
+            });
+
+            const result = await host.callTool('remote', 'echo', { via: 'sse' });
+            expect(result.content[0].text).toBe('remote: {"via":"sse"}');
+        });
+
+        it('should fall back to SSE when no transport is given', async () => {
+            await host.connectHttpServer('remote', `${baseUrl}/sse`, {
+                headers: { Authorization: 'Bearer team-secret' }
+            });
+
+            expect(host.serverInfo.get('remote').transport).toBe('sse');
+        });
+
+        it('should fail without the right token', async () => {
+            await expect(host.connectHttpServer('remote', `${baseUrl}/mcp`, {
+                transport: 'http',
+                headers: { Authorization: 'Bearer wrong' }
+            })).rejects.toThrow();
+            expect(host.clients.has('remote')).toBe(false);
+            expect(host.getHealth('remote').status).toBe('failed');
+        });
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for token-budgeted conversation memory
+ */
+
+const ConversationMemory = require('../brains/memory');
+const { estimateTokens } = require('../brains/memory');
+const { getContextLength, DEFAULT_CONTEXT_LENGTH } = require('../models/model_sets');
+
+// 400 characters, 100 tokens
+const turn = (n) => `turn ${n} `.padEnd(400, '.');
+
+describe('ConversationMemory', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('context budget', () => {
+        it('should take the context length from the model catalog', () => {
+            expect(getContextLength('gemma:3-4b-it')).toBe(8192);
+            expect(getContextLength('codellama:7b-instruct')).toBe(16384);
+            expect(getContextLength('mistral:7b')).toBe(DEFAULT_CONTEXT_LENGTH);
+
+            const memory = new ConversationMemory({ model: 'gemma:3-4b-it' });
+            expect(memory.getStats()).toMatchObject({ contextLength: 8192, budget: 8192 - 1024 });
+        });
+
+        it('should evict the oldest turns by tokens rather than count', async () => {
+            const memory = new ConversationMemory({ contextLength: 2048, reserveTokens: 1024 });
+
+            for (let i = 1; i <= 12; i++) memory.add(i % 2 ? 'user' : 'assistant', turn(i));
+            await memory.settle();
+
+            expect(memory.countTokens()).toBeLessThanOrEqual(1024);
+            const contents = memory.getHistory().map(m => m.content);
+            expect(contents[contents.length - 1]).toBe(turn(12));
+            expect(contents).not.toContain(turn(2));
+        });
+
+        it('should keep the legacy message limit', () => {
+            const memory = new ConversationMemory(3);
+
+            for (let i = 1; i <= 5; i++) memory.add('assistant', `reply ${i}`);
+
+            expect(memory.getHistory().map(m => m.content)).toEqual(['reply 3', 'reply 4', 'reply 5']);
+        });
+
+        it('should clip a pasted document to its head and tail', () => {
+            const memory = new ConversationMemory({ contextLength: 2048, reserveTokens: 1024 });
+
+            memory.add('user', `START ${'x'.repeat(20000)} END`);
+
+            const [message] = memory.getHistory();
+            expect(message.content.startsWith('START')).toBe(true);
+            expect(message.content.endsWith('END')).toBe(true);
+            expect(message.content).toMatch(/\[\.\.\. \d+ tokens omitted \.\.\.\]/);
+            expect(estimateTokens(message.content)).toBeLessThanOrEqual(530);
+        });
+
+        it('should shrink the history when switching to a smaller model', async () => {
+            const memory = new ConversationMemory({ model: 'codellama:7b' });
+            for (let i = 1; i <= 40; i++) memory.add('user', turn(i));
+            expect(memory.getHistory()).toHaveLength(40);
+
+            memory.setModel('gemma:2b');
+            await memory.settle();
+
+            expect(memory.countTokens()).toBeLessThanOrEqual(4096 - 1024);
+        });
+    });
+
+    describe('pins and the original task', () => {
+        it('should keep pinned prompts first and out of eviction', () => {
+            const memory = new ConversationMemory({ contextLength: 2048, reserveTokens: 1024 });
+            memory.pin('personality', 'You are Nova.');
+
+            for (let i = 1; i <= 20; i++) memory.add('assistant', turn(i));
+
+            const history = memory.getHistory();
+            expect(history[0]).toEqual({ role: 'system', content: 'You are Nova.' });
+
+            memory.pin('personality', 'You are Sage.');
+            memory.clear();
+            expect(memory.getHistory()).toEqual([{ role: 'system', content: 'You are Sage.' }]);
+        });
+
+        it('should keep the first task after its turn is evicted', async () => {
+            const memory = new ConversationMemory({ contextLength: 2048, reserveTokens: 1024 });
+
+            memory.add('user', 'Plan a trip to Lisbon in May, under 800 euros.');
+            for (let i = 1; i <= 20; i++) memory.add(i % 2 ? 'assistant' : 'user', turn(i));
+            await memory.settle();
+
+            const history = memory.getHistory();
+            expect(history[0]).toEqual({
+                role: 'system',
+                content: 'Original task: Plan a trip to Lisbon in May, under 800 euros.'
+            });
+            expect(history.filter(m => m.content.includes('Lisbon'))).toHaveLength(1);
+        });
+    });
+
+    describe('rolling summary', () => {
+        it('should summarize evicted turns with the local brain', async () => {
+            const summarizer = {
+                quickInfer: jest.fn(async () => ({ content: 'User is planning a Lisbon trip.' }))
+            };
+            const memory = new ConversationMemory({ contextLength: 2048, reserveTokens: 1024, summarizer });
+
+            for (let i = 1; i <= 12; i++) memory.add('user', turn(i));
+            await memory.settle();
+
+            expect(summarizer.quickInfer).toHaveBeenCalled();
+            const [prompt, options] = summarizer.quickInfer.mock.calls[0];
+            expect(prompt).toContain('user: turn 1 ');
+            expect(options).toEqual({ maxTokens: 256 });
+
+            const summary = memory.getHistory().find(m => m.content.startsWith('Summary of earlier conversation:'));
+            expect(summary).toEqual({
+                role: 'system',
+                content: 'Summary of earlier conversation: User is planning a Lisbon trip.'
+            });
+            expect(memory.countTokens()).toBeLessThanOrEqual(1024);
+        });
+
+        it('should fold the previous summary into the next one', async () => {
+            let calls = 0;
+            const summarizer = { quickInfer: jest.fn(async () => ({ content: `summary ${++calls}` })) };
+            const memory = new ConversationMemory({ contextLength: 2048, reserveTokens: 1024, summarizer });
+
+            for (let i = 1; i <= 12; i++) memory.add('user', turn(i));
+            await memory.settle();
+            for (let i = 13; i <= 24; i++) memory.add('user', turn(i));
+            await memory.settle();
+
+            const lastPrompt = summarizer.quickInfer.mock.calls[summarizer.quickInfer.mock.calls.length - 1][0];
+            expect(lastPrompt).toContain(`Current summary: summary ${calls - 1}`);
+            expect(memory.summary).toBe(`summary ${calls}`);
+        });
+
+        it('should fall back to an extractive summary when the brain fails', async () => {
+            const summarizer = { quickInfer: jest.fn(async () => ({ content: '[Error: Local Brain stream disconnected]' })) };
+            const memory = new ConversationMemory({ contextLength: 2048, reserveTokens: 1024, summarizer });
+
+            memory.add('user', `Book the dentist. ${'x'.repeat(3000)}`);
+            memory.add('assistant', `Done. ${'y'.repeat(3000)}`);
+            memory.add('user', 'Thanks');
+            await memory.settle();
+
+            expect(memory.summary).toContain('user: Book the dentist.');
+        });
+
+        it('should drop a pending summary when cleared', async () => {
+            let release;
+            const summarizer = {
+                quickInfer: jest.fn(() => new Promise(resolve => { release = () => resolve({ content: 'stale' }); }))
+            };
+            const memory = new ConversationMemory({ contextLength: 2048, reserveTokens: 1024, summarizer });
+
+            for (let i = 1; i <= 12; i++) memory.add('user', turn(i));
+            memory.clear();
+            release();
+            await memory.settle();
+
+            expect(memory.summary).toBe('');
+            expect(memory.getHistory()).toEqual([]);
+        });
+    });
+});
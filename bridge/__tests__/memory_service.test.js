@@ -0,0 +1,815 @@
+/**
+ * Tests for Memory Service
+ */
+
+const {
+    MemoryService,
+    MemorySync,
+    MemoryGraph,
+    MemoryStorage,
+    CooccurrenceTracker,
+    RAGIntegration,
+    CONNECTION_TYPES,
+    HashingEmbedder,
+    BrainEmbedder,
+    MemoryConsolidator,
+    RuleBasedExtractor,
+    LinkExtractionPipeline,
+    NODE_KINDS,
+    verifyBundle,
+    cosineSimilarity
+} = require('../memory_format');
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+describe('MemoryService', () => {
+    let storagePath;
+    let service;
+
+    beforeEach(async () => {
+        storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'amphibian-memory-'));
+        service = new MemoryService({ storagePath });
+        await service.load();
+    });
+
+    afterEach(async () => {
+        await fs.rm(storagePath, { recursive: true, force: true });
+    });
+
+    describe('remember', () => {
+        it('should persist memories across instances', async () => {
+            await service.remember('The user prefers green tea in the morning');
+
+            const reloaded = new MemoryService({ storagePath });
+            await reloaded.load();
+
+            expect(reloaded.getStats().memories).toBe(1);
+            const [node] = reloaded.graph.nodes.values();
+            expect(node.content).toBe('The user prefers green tea in the morning');
+        });
+
+        it('should forward new memories to sinks as RAG chunks', async () => {
+            const calls = [];
+            service.addSink(RAGIntegration.createSink(async (tool, args) => {
+                calls.push({ tool, args });
+                return { success: true };
+            }));
+
+            const node = await service.remember('Meeting with Dana on Friday');
+
+            expect(calls).toHaveLength(1);
+            expect(calls[0].tool).toBe('remember');
+            expect(calls[0].args.chunk.id).toBe(node.id);
+            expect(calls[0].args.content).toBe('Meeting with Dana on Friday');
+        });
+
+        it('should keep the memory when a sink fails', async () => {
+            service.addSink({ name: 'broken', add: async () => { throw new Error('offline'); } });
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            await service.remember('Keys are in the blue bowl');
+
+            expect(service.getStats().memories).toBe(1);
+            warn.mockRestore();
+        });
+    });
+
+    describe('recall', () => {
+        it('should rank matching memories first', async () => {
+            await service.remember('The wifi password is hunter2');
+            await service.remember('Dentist appointment next Tuesday');
+            await service.remember('Router admin page is at 192.168.0.1, wifi channel 6');
+
+            const results = await service.recall('wifi password');
+
+            expect(results.length).toBe(2);
+            expect(results[0].node.content).toBe('The wifi password is hunter2');
+        });
+
+        it('should return nothing for unrelated queries', async () => {
+            await service.remember('The wifi password is hunter2');
+
+            expect(await service.recall('birthday cake')).toEqual([]);
+        });
+
+        it('should track recalls for the session', async () => {
+            const node = await service.remember('Parking spot is level 3, row F');
+
+            await service.recall('parking spot');
+
+            expect(service.tracker.sessionRecalls.get(node.id)).toBe(1);
+        });
+    });
+
+    describe('endSession', () => {
+        it('should link memories that keep being recalled together', async () => {
+            const a = await service.remember('Project Falcon launches in March');
+            const b = await service.remember('Project Falcon budget is 40k');
+
+            for (let i = 0; i < 3; i++) {
+                await service.recall('project falcon');
+                await service.endSession({ sessionId: `s${i}` });
+            }
+
+            const linked = service.graph.nodes.get(a.id).connections
+                .concat(service.graph.nodes.get(b.id).connections)
+                .filter(c => c.type === CONNECTION_TYPES.ASSOCIATIVE);
+            expect(linked.length).toBeGreaterThan(0);
+            expect(service.tracker.sessionRecalls.size).toBe(0);
+        });
+    });
+});
+
+describe('MemoryGraph.searchSimilar', () => {
+    let graph;
+
+    beforeEach(() => {
+        graph = new MemoryGraph();
+    });
+
+    it('should rank nodes by cosine similarity', () => {
+        const near = graph.addMemory('near', [1, 0.1, 0]);
+        const far = graph.addMemory('far', [0, 1, 0]);
+        graph.addMemory('no embedding');
+        graph.addMemory('wrong size', [1, 0]);
+
+        const results = graph.searchSimilar([1, 0, 0], 5);
+
+        expect(results.map(r => r.node.id)).toEqual([near.id, far.id]);
+        expect(results[0].similarity).toBeCloseTo(cosineSimilarity([1, 0, 0], [1, 0.1, 0]));
+    });
+
+    it('should apply filters', () => {
+        const old = graph.addMemory('old', [1, 0], { createdAt: 1000, salience: 0.9 });
+        graph.addMemory('dim', [1, 0], { salience: 0.1 });
+        graph.addMemory('opposite', [-1, 0]);
+
+        const results = graph.searchSimilar([1, 0], 5, { minSimilarity: 0, minSalience: 0.5 });
+        expect(results.map(r => r.node.id)).toEqual([old.id]);
+
+        expect(graph.searchSimilar([1, 0], 5, { since: 2000, minSimilarity: 0, minSalience: 0.5 })).toEqual([]);
+    });
+
+    it('should let salience and recency boosts reorder equal matches', () => {
+        const dull = graph.addMemory('dull', [1, 0], { salience: 0.2, lastAccessed: Date.now() - 90 * 86400000 });
+        const vivid = graph.addMemory('vivid', [1, 0], { salience: 1.0 });
+
+        const results = graph.searchSimilar([1, 0], 2, { salienceBoost: 0.5, recencyBoost: 0.5 });
+
+        expect(results[0].node.id).toBe(vivid.id);
+        expect(results[1].node.id).toBe(dull.id);
+        expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+});
+
+describe('Embedding providers', () => {
+    it('should give the same hashed vector for the same text', async () => {
+        const embedder = new HashingEmbedder({ dimensions: 64 });
+
+        const a = await embedder.embed('Coffee with Sam at noon');
+        const b = await embedder.embed('coffee with sam at noon');
+
+        expect(a).toHaveLength(64);
+        expect(a).toEqual(b);
+        expect(cosineSimilarity(a, await embedder.embed('lunch with Sam')))
+            .toBeGreaterThan(cosineSimilarity(a, await embedder.embed('quarterly tax filing')));
+    });
+
+    it('should wrap brains that can embed', async () => {
+        const brain = { embeddingModel: 'test-embed', embed: async (text) => [text.length, 1] };
+        const embedder = new BrainEmbedder(brain);
+
+        expect(await embedder.embed('abc')).toEqual([3, 1]);
+        expect(embedder.name).toBe('test-embed');
+        expect(embedder.dimensions).toBe(2);
+        expect(() => new BrainEmbedder({})).toThrow('does not support embeddings');
+    });
+
+    it('should recall by meaning through the service embedder', async () => {
+        const storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'amphibian-memory-'));
+        const service = new MemoryService({ storagePath, embedder: new HashingEmbedder() });
+
+        const node = await service.remember('Sam likes oat milk in coffee');
+        expect(node.embedding).toHaveLength(256);
+
+        // "oat" is too short for keyword terms, but the hashed vectors still overlap
+        const results = await service.recall('oat milk');
+        expect(results[0].node.id).toBe(node.id);
+
+        await fs.rm(storagePath, { recursive: true, force: true });
+    });
+
+    it('should fall back to keywords when the embedder fails', async () => {
+        const storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'amphibian-memory-'));
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const service = new MemoryService({
+            storagePath,
+            embedder: { name: 'offline', embed: async () => { throw new Error('connection refused'); } }
+        });
+
+        const node = await service.remember('Bin day is Thursday');
+        const results = await service.recall('bin day');
+
+        expect(node.embedding).toEqual([]);
+        expect(results[0].node.id).toBe(node.id);
+
+        warn.mockRestore();
+        await fs.rm(storagePath, { recursive: true, force: true });
+    });
+});
+
+describe('MemoryConsolidator', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    let storagePath;
+    let graph;
+
+    beforeEach(async () => {
+        storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'amphibian-memory-'));
+        graph = new MemoryGraph();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        console.log.mockRestore();
+        await fs.rm(storagePath, { recursive: true, force: true });
+    });
+
+    it('should decay unaccessed memories faster than frequently accessed ones', async () => {
+        const lastAccessed = Date.now() - 30 * DAY;
+        const ignored = graph.addMemory('ignored', [], { lastAccessed });
+        const popular = graph.addMemory('popular', [], { lastAccessed, accessCount: 7 });
+
+        const report = await new MemoryConsolidator(graph, storagePath).run();
+
+        expect(report.decayed).toBe(2);
+        expect(ignored.salience).toBeCloseTo(0.5, 2);
+        expect(popular.salience).toBeGreaterThan(ignored.salience);
+    });
+
+    it('should merge near duplicates into a summary that keeps their links', async () => {
+        const a = graph.addMemory('Sam is allergic to peanuts', [1, 0, 0]);
+        const b = graph.addMemory('sam is allergic to peanuts!', [1, 0.01, 0]);
+        const other = graph.addMemory('Sam lives in Leeds', [0, 1, 0]);
+        graph.linkMemories(other.id, a.id, CONNECTION_TYPES.ENTITY);
+        graph.linkMemories(b.id, other.id, CONNECTION_TYPES.ENTITY);
+
+        const report = await new MemoryConsolidator(graph, storagePath).run();
+
+        expect(report.merged).toHaveLength(1);
+        expect(report.merged[0].sourceIds.sort()).toEqual([a.id, b.id].sort());
+        expect(report.merged[0].summarizedBy).toBe('longest');
+
+        const summary = graph.nodes.get(report.merged[0].summaryId);
+        expect(graph.nodes.size).toBe(2);
+        expect(summary.connections.map(c => c.targetId)).toEqual([other.id]);
+        expect(graph.nodes.get(other.id).connections.map(c => c.targetId)).toEqual([summary.id]);
+    });
+
+    it('should use the brain for summaries when it is available', async () => {
+        graph.addMemory('Gate code is 4412', [1, 0]);
+        graph.addMemory('The gate code is 4412', [1, 0]);
+        const brain = {
+            isAvailable: async () => true,
+            quickInfer: jest.fn(async () => ({ role: 'assistant', content: 'The gate code is 4412.' }))
+        };
+
+        const report = await new MemoryConsolidator(graph, storagePath, { brain }).run();
+
+        expect(brain.quickInfer).toHaveBeenCalledTimes(1);
+        expect(report.merged[0].summarizedBy).toBe('brain');
+        expect(graph.nodes.get(report.merged[0].summaryId).content).toBe('The gate code is 4412.');
+    });
+
+    it('should archive faded memories and write a report', async () => {
+        const faded = graph.addMemory('Old parking ticket', [], { salience: 0.05, createdAt: Date.now() - 60 * DAY });
+        graph.addMemory('New but faint', [], { salience: 0.05 });
+
+        const consolidator = new MemoryConsolidator(graph, storagePath);
+        const report = await consolidator.run();
+
+        expect(report.archived.map(a => a.id)).toEqual([faded.id]);
+        expect(graph.nodes.has(faded.id)).toBe(false);
+
+        const archive = JSON.parse(await fs.readFile(path.join(storagePath, 'memory_archive.json'), 'utf8'));
+        expect(archive[0].content).toBe('Old parking ticket');
+
+        const reloaded = new MemoryConsolidator(graph, storagePath);
+        expect(reloaded.getReports()).toHaveLength(1);
+        expect(reloaded.lastRunAt).toBe(report.finishedAt);
+    });
+
+    it('should move co-occurrence edges of merged memories onto the summary', async () => {
+        const a = graph.addMemory('Sam is allergic to peanuts', [1, 0, 0]);
+        const b = graph.addMemory('sam is allergic to peanuts!', [1, 0.01, 0]);
+        const other = graph.addMemory('Sam lives in Leeds', [0, 1, 0]);
+
+        const tracker = new CooccurrenceTracker(graph, storagePath);
+        for (const ids of [[a.id, other.id], [b.id, other.id], [a.id, b.id]]) {
+            ids.forEach(id => tracker.trackRecall(id));
+            await tracker.endSession({ sessionId: ids.join() });
+        }
+
+        const report = await new MemoryConsolidator(graph, storagePath, { tracker }).run();
+        await tracker.saveProvenance();
+
+        const summaryId = report.merged[0].summaryId;
+        const key = [summaryId, other.id].sort().join('|');
+        expect(Array.from(tracker.edges.keys())).toEqual([key]);
+        expect(tracker.edges.get(key).observations).toHaveLength(2);
+
+        const reloaded = new CooccurrenceTracker(graph, storagePath);
+        expect(Array.from(reloaded.edges.keys())).toEqual([key]);
+    });
+
+    it('should yield to the event loop while scanning for duplicates', async () => {
+        for (let i = 0; i < 20; i++) graph.addMemory(`Note ${i}`, []);
+        let yielded = false;
+        setImmediate(() => { yielded = true; });
+
+        const consolidator = new MemoryConsolidator(graph, storagePath, { config: { SCAN_BATCH: 10 } });
+        const groups = await consolidator.findDuplicateGroups();
+
+        expect(groups).toEqual([]);
+        expect(yielded).toBe(true);
+    });
+
+    it('should write the archive atomically', async () => {
+        graph.addMemory('Old parking ticket', [], { salience: 0.05, createdAt: Date.now() - 60 * DAY });
+        const rename = jest.spyOn(require('fs').promises, 'rename');
+
+        await new MemoryConsolidator(graph, storagePath).run();
+
+        const archiveFile = path.join(storagePath, 'memory_archive.json');
+        expect(rename).toHaveBeenCalledWith(`${archiveFile}.tmp`, archiveFile);
+        rename.mockRestore();
+        expect(JSON.parse(await fs.readFile(archiveFile, 'utf8'))).toHaveLength(1);
+    });
+});
+
+describe('MemoryStorage journal', () => {
+    let storagePath;
+    let file;
+
+    beforeEach(async () => {
+        storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'amphibian-memory-'));
+        file = path.join(storagePath, 'memory_graph.json');
+    });
+
+    afterEach(async () => {
+        await fs.rm(storagePath, { recursive: true, force: true });
+    });
+
+    const walFile = () => path.join(storagePath, 'memory_graph.wal.jsonl');
+    const readLines = async (f) => (await fs.readFile(f, 'utf8')).trim().split('\n');
+
+    it('should append only changed nodes after the first snapshot', async () => {
+        const storage = new MemoryStorage(file);
+        const graph = await storage.load();
+        const a = graph.addMemory('first');
+        await storage.save(graph);
+
+        graph.addMemory('second');
+        graph.updateMemory(a.id, { salience: 0.4 });
+        await storage.save(graph);
+
+        const lines = await readLines(walFile());
+        expect(lines).toHaveLength(3);
+        expect(JSON.parse(lines[2])).toMatchObject({ op: 'put', key: a.id });
+
+        const reloaded = await new MemoryStorage(file).load();
+        expect(reloaded.nodes.size).toBe(2);
+        expect(reloaded.nodes.get(a.id).salience).toBe(0.4);
+    });
+
+    it('should journal deletions', async () => {
+        const storage = new MemoryStorage(file);
+        const graph = await storage.load();
+        const a = graph.addMemory('keep');
+        const b = graph.addMemory('drop');
+        graph.linkMemories(a.id, b.id, CONNECTION_TYPES.CAUSAL);
+        await storage.save(graph);
+
+        graph.deleteMemory(b.id);
+        await storage.save(graph);
+
+        const reloaded = await new MemoryStorage(file).load();
+        expect(Array.from(reloaded.nodes.keys())).toEqual([a.id]);
+        expect(reloaded.nodes.get(a.id).connections).toEqual([]);
+    });
+
+    it('should compact the journal into an atomic snapshot', async () => {
+        const storage = new MemoryStorage(file, { compactAfter: 3 });
+        const graph = await storage.load();
+        for (let i = 0; i < 3; i++) {
+            graph.addMemory(`memory ${i}`);
+            await storage.save(graph);
+        }
+
+        const snapshot = JSON.parse(await fs.readFile(file, 'utf8'));
+        expect(snapshot.schemaVersion).toBe(MemoryStorage.SCHEMA_VERSION);
+        expect(snapshot.walSeq).toBe(3);
+        expect(snapshot.data).toHaveLength(3);
+        await expect(fs.access(walFile())).rejects.toThrow();
+        await expect(fs.access(`${file}.tmp`)).rejects.toThrow();
+    });
+
+    it('should recover from a torn journal line', async () => {
+        const storage = new MemoryStorage(file);
+        const graph = await storage.load();
+        graph.addMemory('safe');
+        await storage.save(graph);
+        graph.addMemory('also safe');
+        await storage.save(graph);
+
+        await fs.appendFile(walFile(), '{"seq":9,"op":"put","key":"x","val');
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const reloaded = await new MemoryStorage(file).load();
+
+        expect(reloaded.nodes.size).toBe(2);
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('corrupt line'));
+        warn.mockRestore();
+    });
+
+    it('should keep records appended after a torn journal line', async () => {
+        const storage = new MemoryStorage(file);
+        const graph = await storage.load();
+        graph.addMemory('safe');
+        await storage.save(graph);
+
+        await fs.appendFile(walFile(), '{"seq":9,"op":"put","key":"x","val');
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const restarted = new MemoryStorage(file);
+        const reopened = await restarted.load();
+        const after = reopened.addMemory('after the crash');
+        await restarted.save(reopened);
+
+        const reloaded = await new MemoryStorage(file).load();
+        expect(reloaded.nodes.size).toBe(2);
+        expect(reloaded.nodes.get(after.id).content).toBe('after the crash');
+        warn.mockRestore();
+    });
+
+    it('should not replay journal entries already in the snapshot', async () => {
+        const storage = new MemoryStorage(file);
+        const graph = await storage.load();
+        const a = graph.addMemory('v1');
+        await storage.save(graph);
+        graph.updateMemory(a.id, { content: 'v2' });
+        await storage.save(graph);
+        const staleWal = await fs.readFile(walFile(), 'utf8');
+
+        graph.updateMemory(a.id, { content: 'v3' });
+        await storage.journal.compact(storage.snapshotData(graph));
+        // Simulate a crash between the snapshot rename and the WAL removal
+        await fs.writeFile(walFile(), staleWal);
+
+        const reloaded = await new MemoryStorage(file).load();
+        expect(reloaded.nodes.get(a.id).content).toBe('v3');
+    });
+
+    it('should migrate legacy graph files', async () => {
+        const legacy = new MemoryGraph();
+        const node = legacy.addMemory('from before the journal');
+        await fs.writeFile(file, legacy.serialize());
+
+        const graph = await new MemoryStorage(file).load();
+
+        expect(graph.nodes.get(node.id).content).toBe('from before the journal');
+        const snapshot = JSON.parse(await fs.readFile(file, 'utf8'));
+        expect(snapshot.schemaVersion).toBe(MemoryStorage.SCHEMA_VERSION);
+    });
+
+    it('should refuse files from a newer schema', async () => {
+        await fs.writeFile(file, JSON.stringify({ schemaVersion: 99, walSeq: 0, data: [] }));
+
+        await expect(new MemoryStorage(file).load()).rejects.toThrow('schema v99');
+    });
+
+    it('should journal co-occurrence provenance', async () => {
+        const graph = new MemoryGraph();
+        const a = graph.addMemory('a');
+        const b = graph.addMemory('b');
+
+        const tracker = new CooccurrenceTracker(graph, storagePath);
+        tracker.trackRecall(a.id);
+        tracker.trackRecall(b.id);
+        await tracker.endSession({ sessionId: 's1' });
+
+        const lines = await readLines(path.join(storagePath, 'cooccurrence_provenance.wal.jsonl'));
+        expect(lines).toHaveLength(1);
+
+        const reloaded = new CooccurrenceTracker(graph, storagePath);
+        expect(reloaded.edges.get([a.id, b.id].sort().join('|')).observations).toHaveLength(1);
+    });
+});
+
+describe('Link extraction', () => {
+    const now = new Date(2026, 9, 19, 12).getTime();
+    let graph;
+
+    beforeEach(() => {
+        graph = new MemoryGraph();
+        graph.addLinker(new LinkExtractionPipeline());
+    });
+
+    it('should find people, places and dates', () => {
+        const { entities } = new RuleBasedExtractor()
+            .extract('Alice said we should visit New York with Bob tomorrow', { now });
+
+        expect(entities).toEqual([
+            { name: 'Alice', type: 'person' },
+            { name: 'New York', type: 'place' },
+            { name: 'Bob', type: 'person' },
+            { name: '2026-10-20', type: 'date' }
+        ]);
+    });
+
+    it('should not mistake sentence-initial words for names', () => {
+        const { entities } = new RuleBasedExtractor().extract('Meeting moved. Lunch is at noon.', { now });
+
+        expect(entities).toEqual([]);
+    });
+
+    it('should link memories to shared entity hubs', () => {
+        const a = graph.addMemory('Lunch with Alice at Nando\'s', [], { createdAt: now });
+        const b = graph.addMemory('Alice lives in Leeds', [], { createdAt: now + 1000 });
+        graph.addMemory('Bought new running shoes', [], { createdAt: now + 2000 });
+
+        const alice = graph.findEntity('alice', 'person');
+        expect(alice.kind).toBe(NODE_KINDS.ENTITY);
+
+        const about = graph.traverse(alice.id, [CONNECTION_TYPES.ENTITY]);
+        expect(about.map(n => n.id).sort()).toEqual([a.id, b.id].sort());
+        expect(graph.findEntity('Leeds', 'place')).toBeDefined();
+    });
+
+    it('should link memories to their neighbours in time', () => {
+        const first = graph.addMemory('Woke up early', [], { createdAt: now });
+        const third = graph.addMemory('Went for a run', [], { createdAt: now + 2000 });
+        const second = graph.addMemory('Made coffee', [], { createdAt: now + 1000 });
+
+        const links = (node) => node.connections
+            .filter(c => c.type === CONNECTION_TYPES.TEMPORAL)
+            .map(c => [c.targetId, c.metadata.relation]);
+
+        expect(links(second)).toEqual(expect.arrayContaining([[first.id, 'after'], [third.id, 'before']]));
+        expect(links(first)).toEqual(expect.arrayContaining([[second.id, 'before']]));
+    });
+
+    it('should link a cause clause to the memory it refers to', () => {
+        const alarm = graph.addMemory('The alarm did not go off this morning', [], { createdAt: now });
+        const late = graph.addMemory('Missed the train because the alarm did not go off', [], { createdAt: now + 1000 });
+
+        const causal = alarm.connections.find(c => c.type === CONNECTION_TYPES.CAUSAL);
+        expect(causal.targetId).toBe(late.id);
+        expect(causal.metadata.relation).toBe('caused');
+    });
+
+    it('should run async extractors through the service', async () => {
+        const storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'amphibian-memory-'));
+        const llm = {
+            name: 'llm',
+            async: true,
+            extract: async () => ({ entities: [{ name: 'Grace Hopper', type: 'person' }], causes: [] })
+        };
+        const service = new MemoryService({ storagePath, extractors: [new RuleBasedExtractor(), llm] });
+
+        const node = await service.remember('the admiral who popularized the word debugging');
+
+        const hub = service.graph.findEntity('Grace Hopper');
+        expect(service.graph.traverse(hub.id, [CONNECTION_TYPES.ENTITY]).map(n => n.id)).toEqual([node.id]);
+        expect(service.getStats()).toMatchObject({ memories: 1, entities: 1 });
+        expect(await service.recall('grace hopper')).toEqual([]);
+
+        await fs.rm(storagePath, { recursive: true, force: true });
+    });
+});
+
+describe('Memory bundles', () => {
+    let dirs;
+    let phone;
+    let desktop;
+
+    const makeService = async () => {
+        const storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'amphibian-memory-'));
+        dirs.push(storagePath);
+        const service = new MemoryService({ storagePath });
+        await service.load();
+        return service;
+    };
+
+    beforeEach(async () => {
+        dirs = [];
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        phone = await makeService();
+        desktop = await makeService();
+    });
+
+    afterEach(async () => {
+        console.log.mockRestore();
+        for (const dir of dirs) {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    const recallTogether = async (service, query, sessions) => {
+        for (let i = 0; i < sessions; i++) {
+            await service.recall(query);
+            await service.endSession({ sessionId: `s${i}` });
+        }
+    };
+
+    it('should round-trip memories and provenance between devices', async () => {
+        await phone.remember('Falcon launch moved to March');
+        await phone.remember('Falcon budget approved');
+        await recallTogether(phone, 'falcon', 3);
+
+        const bundle = await phone.exportBundle();
+        expect(verifyBundle(bundle)).toMatchObject({ valid: true, signed: true, signerId: phone.getSigner().id });
+
+        const report = await desktop.importBundle(JSON.parse(JSON.stringify(bundle)));
+
+        expect(report).toMatchObject({ added: 2, merged: 0, remapped: 0, edges: 1, trustTier: 'unknown' });
+        expect(desktop.getStats().memories).toBe(2);
+
+        const [edge] = desktop.tracker.edges.values();
+        expect(edge.observations.every(o => o.trustTier === 'unknown')).toBe(true);
+        expect(edge.observations[0].source.importedFrom).toBe(phone.getSigner().id);
+        expect(edge.belief).toBeLessThan(phone.tracker.edges.values().next().value.belief);
+    });
+
+    it('should import trusted signers at the verified_agent tier', async () => {
+        await phone.remember('Gym on Tuesdays');
+        await phone.remember('Gym bag is in the car');
+        await recallTogether(phone, 'gym', 1);
+
+        await desktop.trustSigner(phone.getSigner().id);
+        const report = await desktop.importBundle(await phone.exportBundle());
+
+        expect(report.trustTier).toBe('verified_agent');
+        const [edge] = desktop.tracker.edges.values();
+        expect(edge.observations[0].trustTier).toBe('verified_agent');
+    });
+
+    it('should merge identical nodes and rename conflicting ids', async () => {
+        const shared = await phone.remember('Shared fact');
+        const bundle = await phone.exportBundle();
+
+        // Same id, same content on the desktop already; a second node collides by id
+        await desktop.importBundle(bundle);
+        const clash = JSON.parse(JSON.stringify(bundle));
+        clash.signature = undefined;
+        clash.origin.signerId = null;
+        clash.nodes.push({ ...clash.nodes[0], content: 'Different fact' });
+
+        const report = await desktop.importBundle(clash);
+
+        expect(report).toMatchObject({ merged: 1, remapped: 1, added: 0 });
+        expect(desktop.graph.nodes.get(shared.id).content).toBe('Shared fact');
+        expect(desktop.getStats().memories).toBe(2);
+    });
+
+    it('should reject tampered bundles', async () => {
+        await phone.remember('Original text');
+        const bundle = await phone.exportBundle();
+        bundle.nodes[0].content = 'Injected text';
+
+        await expect(desktop.importBundle(bundle)).rejects.toThrow('Invalid signature');
+        expect(desktop.getStats().memories).toBe(0);
+    });
+});
+
+describe('Memory sync', () => {
+    let dirs;
+    let phone;
+    let desktop;
+    let sent;
+
+    const makeService = async () => {
+        const storagePath = await fs.mkdtemp(path.join(os.tmpdir(), 'amphibian-memory-'));
+        dirs.push(storagePath);
+        const service = new MemoryService({ storagePath });
+        await service.load();
+        return service;
+    };
+
+    // Deliver messages between two peers until both go quiet
+    const exchange = async (from, to) => {
+        const queue = [{ target: to, source: from, msg: await from.createDigest() }];
+        while (queue.length > 0) {
+            const { target, source, msg } = queue.shift();
+            sent.push(msg);
+            await target.handleMessage(JSON.parse(JSON.stringify(msg)),
+                m => queue.push({ target: source, source: target, msg: m }));
+        }
+    };
+
+    beforeEach(async () => {
+        dirs = [];
+        sent = [];
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        phone = await makeService();
+        desktop = await makeService();
+    });
+
+    afterEach(async () => {
+        console.log.mockRestore();
+        for (const dir of dirs) {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    const contents = service => Array.from(service.graph.nodes.values())
+        .filter(n => n.kind === NODE_KINDS.MEMORY)
+        .map(n => n.content)
+        .sort();
+
+    it('should exchange shared memories in both directions', async () => {
+        await phone.remember('Team offsite is in Lisbon', { shared: true });
+        await desktop.remember('Offsite budget is 12k', { shared: true });
+
+        await exchange(new MemorySync(phone), new MemorySync(desktop));
+
+        expect(contents(phone)).toEqual(['Offsite budget is 12k', 'Team offsite is in Lisbon']);
+        expect(contents(desktop)).toEqual(contents(phone));
+        expect(desktop.graph.nodes.get(phone.graph.nodes.values().next().value.id)).toBeDefined();
+
+        // Nothing left to send once both sides agree
+        sent = [];
+        await exchange(new MemorySync(phone), new MemorySync(desktop));
+        expect(sent.map(m => m.type)).toEqual(['MEMORY_DIGEST']);
+    });
+
+    it('should never send private memories', async () => {
+        const secret = await phone.remember('Bank PIN is 4821');
+        await phone.remember('Standup moved to 9:30', { shared: true });
+
+        await exchange(new MemorySync(phone), new MemorySync(desktop));
+        // Asking for a private id directly gets nothing either
+        await new MemorySync(phone).handleMessage({ type: 'MEMORY_REQUEST', ids: [secret.id] }, m => sent.push(m));
+
+        expect(contents(desktop)).toEqual(['Standup moved to 9:30']);
+        expect(JSON.stringify(sent)).not.toContain('4821');
+        expect(JSON.stringify(sent)).not.toContain(secret.id);
+    });
+
+    it('should not let a pushed bundle replace a private memory', async () => {
+        const secret = await phone.remember('Bank PIN is 4821');
+
+        // A peer claims a newer version under the same id, unasked
+        const forged = await desktop.remember('Bank PIN is 0000', { shared: true });
+        desktop.graph.nodes.delete(forged.id);
+        forged.id = secret.id;
+        forged.updatedAt = secret.updatedAt + 1000;
+        desktop.graph.nodes.set(secret.id, forged);
+        const bundle = await desktop.exportBundle({ nodeIds: [secret.id] });
+
+        const report = await new MemorySync(phone).handleMessage({ type: 'MEMORY_SYNC', bundle }, () => {});
+
+        expect(report).toMatchObject({ skipped: 1, updated: 0, added: 0 });
+        expect(phone.graph.nodes.get(secret.id)).toMatchObject({ content: 'Bank PIN is 4821' });
+        expect(phone.graph.nodes.get(secret.id).shared).not.toBe(true);
+    });
+
+    it('should transfer only missing or updated memories', async () => {
+        const node = await phone.remember('Standup is at 9:00', { shared: true });
+        await phone.remember('Retro every other Friday', { shared: true });
+        await exchange(new MemorySync(phone), new MemorySync(desktop));
+
+        desktop.graph.updateMemory(node.id, { content: 'Standup is at 9:30' });
+        desktop.graph.nodes.get(node.id).updatedAt = node.updatedAt + 1000;
+        await desktop.save();
+
+        sent = [];
+        await exchange(new MemorySync(phone), new MemorySync(desktop));
+
+        const bundles = sent.filter(m => m.type === 'MEMORY_SYNC');
+        expect(bundles).toHaveLength(1);
+        expect(bundles[0].bundle.nodes.filter(n => n.kind === NODE_KINDS.MEMORY).map(n => n.content))
+            .toEqual(['Standup is at 9:30']);
+        expect(phone.graph.nodes.get(node.id).content).toBe('Standup is at 9:30');
+        expect(phone.getStats().memories).toBe(2);
+    });
+
+    it('should import peer observations at a lower trust tier', async () => {
+        await phone.remember('Falcon launch moved to March', { shared: true });
+        await phone.remember('Falcon budget approved', { shared: true });
+        await phone.remember('Falcon codename is private');
+        for (let i = 0; i < 3; i++) {
+            await phone.recall('falcon');
+            await phone.endSession({ sessionId: `s${i}` });
+        }
+
+        // Same key on both devices would import as 'self' from a file
+        desktop.signer = phone.getSigner();
+        await exchange(new MemorySync(phone), new MemorySync(desktop));
+
+        expect(desktop.tracker.edges.size).toBe(1);
+        const [edge] = desktop.tracker.edges.values();
+        expect(edge.observations.every(o => o.trustTier === 'verified_agent')).toBe(true);
+        expect(edge.observations[0].source.importedFrom).toBe(phone.getSigner().id);
+    });
+});
@@ -0,0 +1,981 @@
+/**
+ * Tests for encrypted P2P rooms, room moderation, the room log, host migration
+ * and document sharing
+ */
+
+const WebSocket = require('ws');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { P2PHost, P2PClient, generateShareCode, parseShareCode } = require('../p2p');
+const { createIdentity, createHello, acceptAuth, answerHello } = require('../p2p/secure_channel');
+const { RoomModeration, parseDuration } = require('../p2p/moderation');
+const { RoomLog } = require('../p2p/room_log');
+const { MIGRATION_CONFIG, electHost } = require('../p2p/migration');
+const { DocumentTransfers } = require('../p2p/transfers');
+const crypto = require('crypto');
+const net = require('net');
+const { CommandProcessor } = require('../commands');
+
+/**
+ * A raw socket that speaks the protocol by hand and keeps every frame it receives
+ */
+function rawConnect(port) {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}`);
+    ws.frames = [];
+    ws.on('message', data => ws.frames.push(data.toString()));
+    return new Promise((resolve, reject) => {
+        ws.once('message', () => resolve(ws));
+        ws.once('error', reject);
+    });
+}
+
+function closed(ws) {
+    return new Promise(resolve => ws.once('close', code => resolve(code)));
+}
+
+describe('P2P rooms', () => {
+    let host;
+    let info;
+    const clients = [];
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        host = new P2PHost({ port: 0 });
+        info = await host.start();
+    });
+
+    afterEach(async () => {
+        for (const client of clients.splice(0)) client.disconnect();
+        await host.stop();
+        jest.restoreAllMocks();
+    });
+
+    function join(name, code = generateShareCode('127.0.0.1', info.port, host.secret, info.fingerprint)) {
+        const client = new P2PClient();
+        clients.push(client);
+        return client.connect(code, name).then(result => ({ client, result }));
+    }
+
+    it('should put the host key fingerprint in the share code', () => {
+        const details = parseShareCode(info.shareCodes.localhost);
+
+        expect(details).toMatchObject({ host: '127.0.0.1', secret: host.secret, fingerprint: info.fingerprint });
+        expect(info.fingerprint).toMatch(/^[0-9a-f]{32}$/);
+    });
+
+    it('should join and exchange sealed messages', async () => {
+        const requests = [];
+        host.on('ai_request', data => requests.push(data));
+
+        const { client, result } = await join('Dana');
+        expect(result.participants).toEqual([expect.objectContaining({ name: 'Dana' })]);
+
+        const received = new Promise(resolve => client.on('message', resolve));
+        client.requestAI('summarize the notes', 'sage');
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(requests).toEqual([expect.objectContaining({ clientName: 'Dana', task: 'summarize the notes', personality: 'sage' })]);
+
+        host.sendAIResponse(result.clientId, 'Here is the summary', 'sage');
+        expect(await received).toMatchObject({ type: 'AI_RESPONSE', content: 'Here is the summary' });
+    });
+
+    it('should never put the secret or message text on the wire', async () => {
+        const sniffed = [];
+        const { client } = await join('Dana');
+        const hostClient = host.clients.values().next().value;
+        const originalSend = hostClient.ws.send.bind(hostClient.ws);
+        hostClient.ws.send = (data) => { sniffed.push(String(data)); originalSend(data); };
+        const originalClientSend = client.ws.send.bind(client.ws);
+        client.ws.send = (data) => { sniffed.push(String(data)); originalClientSend(data); };
+
+        const echoed = new Promise(resolve => client.on('message', resolve));
+        client.sendMessage('the vault code is 4411');
+        await echoed;
+
+        expect(sniffed.length).toBeGreaterThan(0);
+        for (const frame of sniffed) {
+            expect(JSON.parse(frame).type).toBe('SEALED');
+            expect(frame).not.toContain('4411');
+            expect(frame).not.toContain(host.secret);
+        }
+    });
+
+    it('should refuse joiners with the wrong secret and throttle them', async () => {
+        const wrong = generateShareCode('127.0.0.1', info.port, 'not-the-secret', info.fingerprint);
+
+        await expect(join('Mallory', wrong)).rejects.toThrow('Wrong room secret');
+        expect(host.clients.size).toBe(0);
+
+        for (let i = 1; i < P2PHost.CONFIG.MAX_AUTH_FAILURES; i++) {
+            await expect(join('Mallory', wrong)).rejects.toThrow();
+        }
+        const right = generateShareCode('127.0.0.1', info.port, host.secret, info.fingerprint);
+        await expect(join('Mallory', right)).rejects.toThrow();
+    });
+
+    it('should refuse joiners without a usable name', async () => {
+        await expect(join('')).rejects.toThrow('Names must be');
+        await expect(join('   ')).rejects.toThrow('Names must be');
+        await expect(join('x'.repeat(P2PHost.CONFIG.MAX_NAME_LENGTH + 1))).rejects.toThrow('Names must be');
+        expect(host.clients.size).toBe(0);
+
+        await join('  Dana  ');
+        expect(host.findClient('dana')).toEqual(expect.objectContaining({ name: 'Dana' }));
+    });
+
+    it('should refuse a host whose key does not match the share code', async () => {
+        const impostor = generateShareCode('127.0.0.1', info.port, host.secret, createIdentity().fingerprint);
+
+        await expect(join('Dana', impostor)).rejects.toThrow('Host key does not match the share code');
+        expect(host.clients.size).toBe(0);
+    });
+
+    it('should reject share codes without a host key', async () => {
+        const legacy = Buffer.from(`127.0.0.1:${info.port}:${host.secret}`).toString('base64');
+
+        await expect(join('Dana', legacy)).rejects.toThrow('older version');
+    });
+
+    it('should drop a client that sends a forged or replayed frame', async () => {
+        const ws = await rawConnect(info.port);
+        const hello = JSON.parse(ws.frames[0]);
+        const { auth, channel } = answerHello(hello, { fingerprint: info.fingerprint, secret: host.secret }, { name: 'Eve' });
+        ws.send(JSON.stringify(auth));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(host.clients.size).toBe(1);
+
+        const frame = channel.seal({ type: 'CHAT_MESSAGE', content: 'hi' });
+        ws.send(frame);
+        const closing = closed(ws);
+        ws.send(frame); // replay
+
+        expect(await closing).toBe(4002);
+    });
+
+    describe('secure channel', () => {
+        it('should reject tampered frames', () => {
+            const identity = createIdentity();
+            const handshake = createHello(identity);
+            const { auth, channel: client } = answerHello(handshake.hello, { fingerprint: identity.fingerprint, secret: 's' }, { name: 'a' });
+            const { channel: server, join: joinRequest } = acceptAuth(handshake, auth, 's');
+            expect(joinRequest).toEqual({ type: 'JOIN', name: 'a' });
+
+            const frame = JSON.parse(client.seal({ type: 'CHAT_MESSAGE', content: 'pay 10' }));
+            const box = Buffer.from(frame.box, 'base64');
+            box[0] ^= 1;
+            expect(() => server.open({ ...frame, box: box.toString('base64') })).toThrow();
+        });
+
+        it('should reject a HELLO signed by another key', () => {
+            const identity = createIdentity();
+            const { hello } = createHello(identity);
+            const forged = { ...hello, ephemeral: createHello(createIdentity()).hello.ephemeral };
+
+            expect(() => answerHello(forged, { fingerprint: identity.fingerprint, secret: 's' }, {}))
+                .toThrow('signature is invalid');
+        });
+    });
+});
+
+describe('P2P room moderation', () => {
+    let host;
+    let info;
+    const clients = [];
+    let nextAddress;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        host = new P2PHost({
+            port: 0,
+            moderation: { ROLE_LIMITS: { member: { aiPerMinute: 2, aiPerDay: 3, chatPerMinute: 20 } } }
+        });
+        info = await host.start();
+
+        // Every joiner in these tests is on localhost; give each its own device address
+        const handleConnection = host.handleConnection.bind(host);
+        host.handleConnection = (ws) => handleConnection(ws, { socket: { remoteAddress: nextAddress } });
+    });
+
+    afterEach(async () => {
+        for (const client of clients.splice(0)) client.disconnect();
+        await host.stop();
+        jest.restoreAllMocks();
+    });
+
+    async function join(name, { address = `10.0.0.${clients.length + 1}`, secret = host.secret } = {}) {
+        nextAddress = address;
+        const client = new P2PClient();
+        client.notices = [];
+        client.on('message', msg => client.notices.push(msg));
+        clients.push(client);
+        const code = generateShareCode('127.0.0.1', info.port, secret, info.fingerprint);
+        const result = await client.connect(code, name);
+        return { client, result };
+    }
+
+    const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    it('should give joiners the role of their invite', async () => {
+        const { invite, shareCodes } = host.createInvite({ role: 'viewer' });
+        expect(parseShareCode(shareCodes.localhost).secret).toBe(invite.secret);
+
+        const member = await join('Dana');
+        const viewer = await join('Contractor', { secret: invite.secret });
+
+        expect(member.result.role).toBe('member');
+        expect(viewer.result.role).toBe('viewer');
+        expect(host.getParticipantList().map(p => [p.name, p.role])).toEqual([['Dana', 'member'], ['Contractor', 'viewer']]);
+    });
+
+    it('should keep viewers read-only', async () => {
+        const requests = [];
+        host.on('ai_request', data => requests.push(data));
+        const { invite } = host.createInvite({ role: 'viewer' });
+        const member = await join('Dana');
+        const viewer = await join('Contractor', { secret: invite.secret });
+
+        const memoryMessages = [];
+        host.on('memory_sync', data => memoryMessages.push(data));
+
+        viewer.client.sendMessage('hello?');
+        viewer.client.requestAI('write me a report');
+        viewer.client.send({ type: 'MEMORY_DIGEST', digest: {} });
+        viewer.client.send({ type: 'MEMORY_REQUEST', ids: ['mem_1'] });
+        member.client.sendMessage('standup in 5');
+        await settle();
+
+        expect(requests).toEqual([]);
+        expect(memoryMessages).toEqual([]);
+        expect(viewer.client.notices.filter(m => m.type === 'DENIED').map(m => m.action))
+            .toEqual(['CHAT_MESSAGE', 'AI_REQUEST', 'MEMORY_DIGEST', 'MEMORY_REQUEST']);
+        // ...but still see the room
+        expect(viewer.client.notices).toContainEqual(expect.objectContaining({ type: 'CHAT_MESSAGE', content: 'standup in 5' }));
+    });
+
+    it('should refuse expired and used-up invites', async () => {
+        const once = host.createInvite({ role: 'member', maxUses: 1 });
+        const expired = host.createInvite({ role: 'moderator', expiresInMs: 1 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        await join('First', { secret: once.invite.secret });
+        await expect(join('Second', { secret: once.invite.secret })).rejects.toThrow('Wrong room secret');
+        await expect(join('Late', { secret: expired.invite.secret })).rejects.toThrow('Wrong room secret');
+    });
+
+    it('should rate limit and cap AI requests per role', async () => {
+        const requests = [];
+        host.on('ai_request', data => requests.push(data));
+        const { client } = await join('Dana');
+
+        for (let i = 0; i < 3; i++) client.requestAI(`task ${i}`);
+        await settle();
+
+        expect(requests.map(r => r.task)).toEqual(['task 0', 'task 1']);
+        const denied = client.notices.find(m => m.type === 'DENIED');
+        expect(denied.reason).toContain('2 AI requests per minute');
+        expect(denied.retryAfterMs).toBeGreaterThan(0);
+    });
+
+    it('should kick, mute and ban from the host', async () => {
+        const dana = await join('Dana');
+        const mallory = await join('Mallory');
+
+        host.mute(host.findClient('dana').id, 60000);
+        dana.client.sendMessage('can anyone hear me');
+        await settle();
+        expect(dana.client.notices.map(m => m.type)).toEqual(expect.arrayContaining(['MUTED', 'DENIED']));
+        expect(host.getParticipantList().find(p => p.name === 'Dana').muted).toBe(true);
+
+        host.kick(host.findClient('Dana').id);
+        await settle();
+        expect(dana.client.notices.map(m => m.type)).toContain('KICKED');
+        expect(host.findClient('Dana')).toBeNull();
+
+        host.ban(host.findClient('Mallory').id);
+        await settle();
+        await expect(join('Mallory2', { address: '10.0.0.2' })).rejects.toThrow('Banned');
+        expect(host.moderation.unban('Mallory')).toBe(true);
+        await expect(join('Mallory', { address: '10.0.0.2' })).resolves.toBeTruthy();
+    });
+
+    it('should let moderators act only on lower roles', async () => {
+        const { invite } = host.createInvite({ role: 'moderator' });
+        const mod = await join('Mod', { secret: invite.secret });
+        const otherMod = await join('Other mod', { secret: invite.secret });
+        const member = await join('Dana');
+
+        mod.client.moderate('kick', 'Other mod');
+        mod.client.moderate('mute', 'Dana', { durationMs: 60000 });
+        await settle();
+
+        expect(mod.client.notices.find(m => m.type === 'DENIED').reason).toContain("can't moderate a moderator");
+        expect(host.findClient('Other mod')).not.toBeNull();
+        expect(member.client.notices.map(m => m.type)).toContain('MUTED');
+
+        member.client.moderate('kick', 'Mod');
+        await settle();
+        expect(member.client.notices.find(m => m.type === 'DENIED').reason).toContain("member can't do that");
+        expect(otherMod.result.role).toBe('moderator');
+    });
+
+    it('should refuse bad mute durations and cap long ones', async () => {
+        const { invite } = host.createInvite({ role: 'moderator' });
+        const mod = await join('Mod', { secret: invite.secret });
+        const dana = await join('Dana');
+
+        for (const durationMs of ['60000', -60000, 1.5, { ms: 60000 }]) {
+            mod.client.moderate('mute', 'Dana', { durationMs });
+        }
+        await settle();
+        const denied = mod.client.notices.filter(m => m.type === 'DENIED');
+        expect(denied).toHaveLength(4);
+        expect(denied[0].reason).toContain('positive number of milliseconds');
+        expect(dana.client.notices.map(m => m.type)).not.toContain('MUTED');
+
+        mod.client.moderate('mute', 'Dana', { durationMs: 365 * 24 * 60 * 60 * 1000 });
+        await settle();
+        const until = host.moderation.mutedUntil(host.findClient('Dana').address);
+        expect(until).toBeLessThanOrEqual(Date.now() + host.moderation.config.MAX_MUTE_MS);
+    });
+
+    it('should change roles and tell the participant', async () => {
+        const { client } = await join('Dana');
+
+        host.setRole(host.findClient('Dana').id, 'viewer');
+        await settle();
+
+        expect(client.role).toBe('viewer');
+        expect(() => host.setRole(host.findClient('Dana').id, 'owner')).toThrow('Role must be one of');
+    });
+});
+
+describe('RoomModeration', () => {
+    it('should parse durations', () => {
+        expect(parseDuration('30m')).toBe(30 * 60 * 1000);
+        expect(parseDuration('2h')).toBe(2 * 60 * 60 * 1000);
+        expect(parseDuration('15')).toBe(15 * 60 * 1000);
+        expect(parseDuration('soon')).toBeNull();
+    });
+
+    it('should map /room commands to actions', async () => {
+        const commands = new CommandProcessor({});
+
+        expect(await commands.execute('/room invite viewer 2h uses 3')).toMatchObject({
+            action: 'room_invite', data: { role: 'viewer', expiresInMs: 2 * 60 * 60 * 1000, maxUses: 3 }
+        });
+        expect(await commands.execute('/room mute Dana Lee 10m')).toMatchObject({
+            action: 'room_moderate', data: { action: 'mute', target: 'Dana Lee', durationMs: 10 * 60 * 1000 }
+        });
+        expect(await commands.execute('/room role Dana moderator')).toMatchObject({
+            action: 'room_role', data: { target: 'Dana', role: 'moderator' }
+        });
+        expect((await commands.execute('/room invite forever')).action).toBeUndefined();
+    });
+
+    it('should not issue owner invites', () => {
+        expect(() => new RoomModeration().createInvite({ role: 'owner' })).toThrow();
+    });
+});
+
+describe('P2P room log', () => {
+    const LOG_PATH = path.join(os.tmpdir(), `amphibian_room_log_${process.pid}.json`);
+    let host;
+    const clients = [];
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        host = new P2PHost({ port: 0, logPath: LOG_PATH });
+        await host.start();
+    });
+
+    afterEach(async () => {
+        for (const client of clients.splice(0)) client.disconnect();
+        await host.stop();
+        fs.rmSync(LOG_PATH, { force: true });
+        jest.restoreAllMocks();
+    });
+
+    function codeFor(room) {
+        return generateShareCode('127.0.0.1', room.port, room.secret, room.identity.fingerprint);
+    }
+
+    async function join(name, { client = new P2PClient(), room = host } = {}) {
+        if (!clients.includes(client)) {
+            client.received = [];
+            client.histories = [];
+            // Replays arrive right after AUTH_SUCCESS, so listen before connecting
+            client.on('message', msg => client.received.push(msg));
+            client.on('history', history => client.histories.push(history));
+            clients.push(client);
+        }
+        const result = await client.connect(codeFor(room), name);
+        await settle();
+        return { client, result };
+    }
+
+    const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+    const replayed = client => client.received.filter(m => m.replayed);
+
+    it('should replay chat, AI responses and document shares to a late joiner', async () => {
+        const dana = await join('Dana');
+        dana.client.sendMessage('Agenda first, then budget');
+        await settle();
+        host.sendAIResponse(dana.result.clientId, 'Here is the agenda', 'sage');
+        host.shareDocument({ id: 'doc_1', filename: 'budget.xlsx', size: '12 KB', category: 'spreadsheet' });
+        await settle();
+
+        const late = await join('Late');
+
+        expect(replayed(late.client).map(m => [m.seq, m.type])).toEqual([
+            [1, 'CHAT_MESSAGE'], [2, 'AI_RESPONSE'], [3, 'DOCUMENT_SHARED']
+        ]);
+        expect(replayed(late.client)[1]).toMatchObject({ content: 'Here is the agenda', requestedBy: { name: 'Dana' } });
+        expect(late.client.histories).toEqual([{ count: 3, missed: 0, done: true }]);
+        // Those who were there saw it live
+        expect(replayed(dana.client)).toEqual([]);
+        expect(dana.client.received.map(m => m.seq).filter(Boolean)).toEqual([1, 2, 3]);
+    });
+
+    it('should only send a reconnecting client what it missed', async () => {
+        const dana = await join('Dana');
+        const bob = await join('Bob');
+        dana.client.sendMessage('one');
+        await settle();
+
+        bob.client.disconnect();
+        dana.client.sendMessage('two');
+        dana.client.sendMessage('three');
+        await settle();
+
+        await join('Bob', { client: bob.client });
+
+        expect(bob.client.received.filter(m => m.type === 'CHAT_MESSAGE').map(m => m.content)).toEqual(['one', 'two', 'three']);
+        expect(replayed(bob.client).map(m => m.content)).toEqual(['two', 'three']);
+        expect(bob.client.lastSeq).toBe(3);
+    });
+
+    it('should keep the log across a host restart', async () => {
+        const dana = await join('Dana');
+        dana.client.sendMessage('before the restart');
+        await settle();
+        const logId = host.log.id;
+        const roomId = host.roomId;
+        dana.client.disconnect();
+        await host.stop();
+
+        host = new P2PHost({ port: 0, logPath: LOG_PATH, roomId });
+        await host.start();
+        expect(host.log).toMatchObject({ id: logId, lastSeq: 1 });
+
+        const late = await join('Late');
+        expect(replayed(late.client).map(m => m.content)).toEqual(['before the restart']);
+
+        // Dana rejoins the restarted room and only gets what is new
+        host.shareDocument({ filename: 'notes.md' });
+        await join('Dana', { client: dana.client });
+        expect(replayed(dana.client).map(m => m.type)).toEqual(['DOCUMENT_SHARED']);
+    });
+
+    it('should resume the hosted room from its directory after a restart', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amphibian_p2p_'));
+        try {
+            await host.stop();
+            host = P2PHost.inDirectory(dir, { port: 0 });
+            await host.start();
+            const room = { roomId: host.roomId, secret: host.secret, fingerprint: host.identity.fingerprint };
+            const dana = await join('Dana');
+            dana.client.sendMessage('before the restart');
+            await settle();
+            dana.client.disconnect();
+            await host.stop();
+
+            // As the bridge does when /host runs again after a restart
+            host = P2PHost.inDirectory(dir, { port: 0 });
+            await host.start();
+            // Same share code, apart from the port
+            expect({ roomId: host.roomId, secret: host.secret, fingerprint: host.identity.fingerprint }).toEqual(room);
+
+            const late = await join('Late');
+            expect(replayed(late.client).map(m => m.content)).toEqual(['before the restart']);
+
+            // A room left on purpose isn't resumed
+            late.client.disconnect();
+            await host.stop();
+            host.forgetRoom();
+            host = P2PHost.inDirectory(dir, { port: 0 });
+            await host.start();
+            expect(host.log.lastSeq).toBe(0);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should not replay another room\'s log', async () => {
+        const dana = await join('Dana');
+        dana.client.sendMessage('in the old room');
+        await settle();
+        dana.client.disconnect();
+        await host.stop();
+
+        host = new P2PHost({ port: 0, logPath: LOG_PATH });
+        await host.start();
+        expect(host.log.lastSeq).toBe(0);
+
+        const late = await join('Late');
+        expect(replayed(late.client)).toEqual([]);
+    });
+
+    it('should batch saves and replace the file whole', () => {
+        const log = new RoomLog(LOG_PATH, { SAVE_DELAY_MS: 60000 });
+        log.load('room');
+        log.append({ type: 'CHAT_MESSAGE', content: 'one' });
+        log.append({ type: 'CHAT_MESSAGE', content: 'two' });
+        expect(fs.existsSync(LOG_PATH)).toBe(false);
+
+        log.save();
+        expect(fs.existsSync(`${LOG_PATH}.tmp`)).toBe(false);
+        const reloaded = new RoomLog(LOG_PATH);
+        reloaded.load('room');
+        expect(reloaded.entries.map(e => e.content)).toEqual(['one', 'two']);
+    });
+
+    it('should drop the oldest entries and report what a client missed', () => {
+        const log = new RoomLog(null, { MAX_ENTRIES: 3 });
+        for (let i = 1; i <= 5; i++) log.append({ type: 'CHAT_MESSAGE', content: `message ${i}` });
+
+        expect(log.since(1, log.id)).toMatchObject({ missed: 1, entries: [{ seq: 3 }, { seq: 4 }, { seq: 5 }] });
+        expect(log.since(4, log.id).entries.map(e => e.seq)).toEqual([5]);
+        // Sequence numbers from another log start over
+        expect(log.since(4, 'another-log')).toMatchObject({ missed: 2, entries: [{ seq: 3 }, { seq: 4 }, { seq: 5 }] });
+    });
+
+    it('should map /room share to an action', async () => {
+        const commands = new CommandProcessor({});
+
+        expect(await commands.execute('/room share')).toMatchObject({ action: 'room_share' });
+    });
+});
+
+describe('P2P host migration', () => {
+    let host;
+    let successorHost;
+    const clients = [];
+    const retryDelay = MIGRATION_CONFIG.RETRY_DELAY_MS;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        MIGRATION_CONFIG.RETRY_DELAY_MS = 20;
+        host = new P2PHost({ port: 0 });
+        await host.start();
+        successorHost = null;
+    });
+
+    afterEach(async () => {
+        for (const client of clients.splice(0)) client.disconnect();
+        await host.stop({ migrate: false });
+        if (successorHost) await successorHost.stop({ migrate: false });
+        MIGRATION_CONFIG.RETRY_DELAY_MS = retryDelay;
+        jest.restoreAllMocks();
+    });
+
+    function freePort() {
+        return new Promise(resolve => {
+            const server = net.createServer().listen(0, '127.0.0.1', () => {
+                const { port } = server.address();
+                server.close(() => resolve(port));
+            });
+        });
+    }
+
+    async function join(name, { secret = host.secret, hosts = true } = {}) {
+        const client = new P2PClient({ standbyPort: await freePort() });
+        client.received = [];
+        client.on('message', msg => client.received.push(msg));
+        if (hosts) {
+            // Take over the way the bridge does
+            client.on('promote', async ({ options }) => {
+                successorHost = new P2PHost(options);
+                await successorHost.start();
+            });
+        }
+        clients.push(client);
+        await client.connect(generateShareCode('127.0.0.1', host.port, secret, host.identity.fingerprint), name);
+        return client;
+    }
+
+    const settle = (ms = 50) => new Promise(resolve => setTimeout(resolve, ms));
+    const event = (client, name) => new Promise(resolve => client.on(name, resolve));
+
+    it('should elect a moderator, then the longest-connected participant', () => {
+        const candidates = [
+            { id: 'b', role: 'member', joinedAt: '2026-01-01T10:00:00.000Z' },
+            { id: 'a', role: 'moderator', joinedAt: '2026-01-01T10:05:00.000Z' },
+            { id: 'c', role: 'moderator', joinedAt: '2026-01-01T10:01:00.000Z' }
+        ];
+
+        expect(electHost(candidates).id).toBe('c');
+        expect(electHost(candidates.filter(c => c.id !== 'c')).id).toBe('a');
+        expect(electHost([])).toBeNull();
+    });
+
+    it('should move the room to the elected participant when the host stops', async () => {
+        const { invite } = host.createInvite({ role: 'viewer' });
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        const cleo = await join('Cleo', { secret: invite.secret });
+        host.setRole(host.findClient('Bob').id, 'moderator');
+        alice.sendMessage('before the handover');
+        await settle();
+
+        // Viewers never take over, however long they have been in the room
+        expect(alice.roomState.candidates.map(c => c.name)).toEqual(['Alice', 'Bob']);
+
+        const moved = [event(alice, 'migrated'), event(cleo, 'migrated')];
+        const successor = await host.stop();
+        expect(successor.name).toBe('Bob');
+        await Promise.all(moved);
+
+        // Same room: pinned to Bob's standby key, same log, same roles
+        expect(successorHost.identity.fingerprint).toBe(bob.standby.identity.fingerprint);
+        expect(successorHost.roomId).toBe(host.roomId);
+        expect(successorHost.log).toMatchObject({ id: host.log.id, lastSeq: 1 });
+        expect(successorHost.getParticipantList().map(p => [p.name, p.role]).sort()).toEqual([
+            ['Alice', 'member'], ['Cleo', 'viewer']
+        ]);
+        expect(alice.received.filter(m => m.replayed)).toEqual([]);
+
+        alice.sendMessage('after the handover');
+        await settle();
+        expect(cleo.received.filter(m => m.type === 'CHAT_MESSAGE').map(m => [m.seq, m.content])).toEqual([
+            [1, 'before the handover'], [2, 'after the handover']
+        ]);
+    });
+
+    it('should not let a participant win the election by what it says about itself', async () => {
+        const alice = await join('Alice');
+        const ws = await rawConnect(host.port);
+        const { auth } = answerHello(JSON.parse(ws.frames[0]), { fingerprint: host.identity.fingerprint, secret: host.secret }, {
+            name: 'Mallory',
+            capability: 'tpu',
+            role: 'moderator',
+            joinedAt: '2000-01-01T00:00:00.000Z',
+            standby: { fingerprint: createIdentity().fingerprint, port: await freePort() }
+        });
+        ws.send(JSON.stringify(auth));
+        await settle();
+
+        expect(host.migrationCandidates().map(c => c.name)).toEqual(['Alice', 'Mallory']);
+        expect(electHost(host.migrationCandidates()).name).toBe('Alice');
+        ws.close();
+    });
+
+    it('should only take a current migration secret, on the new host, and only as a viewer without a ticket', async () => {
+        const alice = await join('Alice');
+        const bob = await join('Bob');
+        await settle();
+        const stale = bob.roomState.secret;
+
+        // The host itself never takes it
+        await expect(join('Eve', { secret: stale })).rejects.toThrow('Wrong room secret');
+
+        // It changes once someone leaves, so they can't follow the room
+        const { ticket } = bob.roomState;
+        bob.disconnect();
+        await settle();
+        const { secret, tickets } = alice.roomState;
+        expect(secret).not.toBe(stale);
+
+        successorHost = new P2PHost({ port: 0, migration: { roomId: host.roomId, secret, tickets } });
+        await successorHost.start();
+        const codeFor = roomSecret => generateShareCode('127.0.0.1', successorHost.port, roomSecret, successorHost.identity.fingerprint);
+        const connect = async (name, roomSecret, roomState = null) => {
+            const client = new P2PClient({ canHost: false });
+            client.roomState = roomState;
+            clients.push(client);
+            await client.connect(codeFor(roomSecret), name);
+            return client;
+        };
+
+        // Tickets work once and bring back the role; the secret alone gets a viewer in
+        expect((await connect('Bob', secret, { ticket })).role).toBe('member');
+        expect((await connect('Eve', secret)).role).toBe('viewer');
+        await expect(connect('Mallory', stale)).rejects.toThrow('Wrong room secret');
+
+        // Kicking someone closes it for good
+        successorHost.kick(successorHost.findClient('Eve').id);
+        await expect(connect('Eve', secret)).rejects.toThrow('Wrong room secret');
+    });
+
+    it('should elect the next participant when the winner never starts hosting', async () => {
+        const alice = await join('Alice');
+        await join('Bob', { hosts: false });
+        host.setRole(host.findClient('Bob').id, 'moderator');
+        await settle();
+
+        const promoted = event(alice, 'promote');
+        await host.stop();
+        const { options } = await promoted;
+
+        expect(options.port).toBe(alice.standby.port);
+        expect(options.migration.log.id).toBe(host.log.id);
+    });
+
+    it('should end the room cleanly when nobody can take over', async () => {
+        const viewer = await join('Contractor', { secret: host.createInvite({ role: 'viewer' }).invite.secret });
+        await settle();
+
+        const failed = event(viewer, 'migration_failed');
+        await host.stop();
+
+        expect((await failed).reason).toContain('Nobody left');
+    });
+});
+
+describe('P2P document sharing', () => {
+    let host;
+    const clients = [];
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        host = new P2PHost({ port: 0 });
+        await host.start();
+    });
+
+    afterEach(async () => {
+        for (const client of clients.splice(0)) client.disconnect();
+        await host.stop({ migrate: false });
+        jest.restoreAllMocks();
+    });
+
+    async function join(name, secret = host.secret) {
+        const client = new P2PClient({ canHost: false });
+        client.received = [];
+        client.documents = [];
+        client.on('message', msg => client.received.push(msg));
+        client.on('document', done => client.documents.push(done));
+        clients.push(client);
+        await client.connect(generateShareCode('127.0.0.1', host.port, secret, host.identity.fingerprint), name);
+        return client;
+    }
+
+    const until = async (check) => {
+        for (let i = 0; i < 100 && !check(); i++) await new Promise(resolve => setTimeout(resolve, 20));
+        return check();
+    };
+
+    // Ten 64 KB chunks, so it takes two request windows
+    const report = crypto.randomBytes(10 * 64 * 1024 - 100);
+
+    it('should send an offered document in verified chunks to everyone, including late joiners', async () => {
+        const { invite } = host.createInvite({ role: 'viewer' });
+        const dana = await join('Dana');
+        const viewer = await join('Contractor', invite.secret);
+
+        const offer = host.offerDocument(report, { filename: 'q3-report.pdf', category: 'documents' });
+        expect(offer).toMatchObject({ chunks: 10, size: report.length, sha256: crypto.createHash('sha256').update(report).digest('hex') });
+
+        const late = await join('Late');
+        expect(await until(() => [dana, viewer, late].every(c => c.documents.length === 1))).toBe(true);
+        for (const client of [dana, viewer, late]) {
+            expect(client.documents[0].offer.filename).toBe('q3-report.pdf');
+            expect(client.documents[0].buffer.equals(report)).toBe(true);
+        }
+    });
+
+    it('should relay a participant\'s document through the host', async () => {
+        const received = [];
+        host.on('document', done => received.push(done));
+        const dana = await join('Dana');
+        const bob = await join('Bob');
+
+        dana.offerDocument(Buffer.from('# Launch plan\nShip on Friday.'), { filename: 'plan.md', category: 'text' });
+
+        expect(await until(() => bob.documents.length === 1)).toBe(true);
+        expect(received).toEqual([expect.objectContaining({ from: expect.objectContaining({ name: 'Dana' }) })]);
+        expect(bob.documents[0].buffer.toString()).toBe('# Launch plan\nShip on Friday.');
+        expect(bob.received.find(m => m.type === 'DOCUMENT_OFFER').from.name).toBe('Dana');
+        // Dana already has it
+        expect(dana.documents).toEqual([]);
+        expect(dana.uploads.size).toBe(0);
+    });
+
+    it('should keep viewers from offering documents', async () => {
+        const { invite } = host.createInvite({ role: 'viewer' });
+        const viewer = await join('Contractor', invite.secret);
+
+        viewer.offerDocument(Buffer.from('leak'), { filename: 'leak.txt' });
+
+        expect(await until(() => viewer.received.some(m => m.type === 'DENIED'))).toBe(true);
+        expect(host.transfers.incoming.size).toBe(0);
+
+        viewer.send({ type: 'DOCUMENT_CHUNK', transferId: '0123456789abcdef', index: 0, data: '' });
+        expect(await until(() => viewer.received.filter(m => m.type === 'DENIED').length === 2)).toBe(true);
+    });
+
+    it('should free a participant\'s stalled uploads when they leave', async () => {
+        const sender = new DocumentTransfers();
+        const dana = await join('Dana');
+        // Never answers the host's chunk requests
+        jest.spyOn(dana, 'handleTransfer').mockImplementation(() => {});
+        for (let i = 0; i < DocumentTransfers.CONFIG.MAX_INCOMING; i++) {
+            // Offered, but no chunks ever follow
+            dana.send(sender.createOffer(Buffer.from(`draft ${i}`), { filename: `draft-${i}.md` }));
+        }
+        expect(await until(() => host.transfers.incoming.size === DocumentTransfers.CONFIG.MAX_INCOMING)).toBe(true);
+
+        dana.disconnect();
+        expect(await until(() => host.transfers.incoming.size === 0)).toBe(true);
+
+        const received = [];
+        host.on('document', done => received.push(done));
+        const bob = await join('Bob');
+        bob.offerDocument(Buffer.from('# Launch plan'), { filename: 'plan.md' });
+        expect(await until(() => received.length === 1)).toBe(true);
+    });
+
+    it('should ask the host about a shared document by its checksum', async () => {
+        const requests = [];
+        host.on('ai_request', data => requests.push(data));
+        const offer = host.offerDocument(report, { filename: 'q3-report.pdf' });
+        const dana = await join('Dana');
+
+        dana.requestAI('list the risks', 'sage', { document: offer.sha256 });
+
+        expect(await until(() => requests.length === 1)).toBe(true);
+        expect(requests[0]).toMatchObject({ task: 'list the risks', personality: 'sage', document: offer.sha256 });
+    });
+
+    it('should only serve documents shared in the current room', async () => {
+        const transferDir = path.join(os.tmpdir(), `amphibian_rooms_${process.pid}`);
+        const file = path.join(os.tmpdir(), `amphibian_q3_${process.pid}.pdf`);
+        fs.writeFileSync(file, report);
+        try {
+            const earlier = new P2PHost({ port: 0, transferDir });
+            const offer = earlier.offerDocument(file);
+            expect(earlier.isShared(offer.sha256)).toBe(true);
+
+            await host.stop({ migrate: false });
+            host = new P2PHost({ port: 0, transferDir });
+            await host.start();
+            const dana = await join('Dana');
+            const replies = [];
+            const sendTo = host.sendTo.bind(host);
+            jest.spyOn(host, 'sendTo').mockImplementation((clientId, msg) => replies.push(msg) && sendTo(clientId, msg));
+
+            expect(host.isShared(offer.sha256)).toBe(false);
+            expect(fs.readdirSync(transferDir)).not.toContain(earlier.roomId);
+            dana.send({ type: 'DOCUMENT_REQUEST', transferId: offer.transferId, indices: [0] });
+            expect(await until(() => replies.length > 0)).toBe(true);
+            expect(replies).toEqual([{ type: 'DOCUMENT_UNAVAILABLE', transferId: offer.transferId }]);
+        } finally {
+            fs.rmSync(transferDir, { recursive: true, force: true });
+            fs.rmSync(file, { force: true });
+        }
+    });
+
+    describe('DocumentTransfers', () => {
+        const TRANSFER_DIR = path.join(os.tmpdir(), `amphibian_transfers_${process.pid}`);
+
+        afterEach(() => fs.rmSync(TRANSFER_DIR, { recursive: true, force: true }));
+
+        it('should resume a download after a restart with only the missing chunks', () => {
+            const sender = new DocumentTransfers();
+            const offer = sender.createOffer(report, { filename: 'q3-report.pdf' });
+            const receiver = new DocumentTransfers(TRANSFER_DIR);
+
+            const first = receiver.accept(offer, 'host');
+            expect(first.indices).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+            const [chunk0, chunk1] = sender.serve(first);
+            receiver.receive(chunk0, 'host');
+            receiver.receive(chunk1, 'host');
+
+            const restarted = new DocumentTransfers(TRANSFER_DIR);
+            restarted.load();
+            const [resumed] = restarted.resume('host');
+            expect(resumed.indices).toEqual([2, 3, 4, 5, 6, 7, 8, 9]);
+
+            let result = {};
+            for (const chunk of sender.serve(resumed)) result = restarted.receive(chunk, 'host');
+
+            expect(fs.readFileSync(result.done.path).equals(report)).toBe(true);
+            // A finished download can be served onward
+            expect(restarted.serve({ transferId: offer.transferId, indices: [9] })[0].type).toBe('DOCUMENT_CHUNK');
+        });
+
+        it('should let idle downloads give way to new offers', () => {
+            const sender = new DocumentTransfers();
+            const stalled = sender.createOffer(Buffer.from('never finished'), { filename: 'stalled.txt' });
+            const next = sender.createOffer(Buffer.from('the next one'), { filename: 'next.txt' });
+            const receiver = new DocumentTransfers(null, { MAX_INCOMING: 1 });
+
+            receiver.accept(stalled, 'mallory');
+            expect(() => receiver.accept(next, 'dana')).toThrow('Too many documents');
+
+            receiver.incoming.get(stalled.transferId).lastActivity -= DocumentTransfers.CONFIG.IDLE_TIMEOUT_MS + 1;
+            expect(receiver.accept(next, 'dana')).toMatchObject({ transferId: next.transferId });
+            expect(receiver.pending().map(p => p.offer.filename)).toEqual(['next.txt']);
+        });
+
+        it('should keep finished downloads under the size cap, dropping the oldest', () => {
+            const sender = new DocumentTransfers();
+            const receiver = new DocumentTransfers(TRANSFER_DIR, { MAX_RECEIVED_BYTES: report.length * 1.5 });
+            const download = (buffer, filename) => {
+                const offer = sender.createOffer(buffer, { filename });
+                let result = {};
+                for (let request = receiver.accept(offer, 'host'); request; request = result.request) {
+                    for (const chunk of sender.serve(request)) result = receiver.receive(chunk, 'host');
+                }
+                return result.done;
+            };
+
+            const first = download(report, 'q3-report.pdf');
+            const second = download(crypto.randomBytes(report.length), 'q4-report.pdf');
+
+            expect(fs.existsSync(first.path)).toBe(false);
+            expect(receiver.serve({ transferId: first.offer.transferId, indices: [0] })[0].type).toBe('DOCUMENT_UNAVAILABLE');
+            expect(fs.readdirSync(path.join(TRANSFER_DIR, 'received'))).toEqual([path.basename(second.path)]);
+        });
+
+        it('should discard a document that fails its checksum', () => {
+            const sender = new DocumentTransfers();
+            const offer = sender.createOffer(Buffer.from('the real contents'), { filename: 'notes.txt' });
+            const receiver = new DocumentTransfers();
+
+            receiver.accept({ ...offer, sha256: offer.transferId + 'f'.repeat(48) }, 'host');
+            const [chunk] = sender.serve({ transferId: offer.transferId, indices: [0] });
+
+            expect(() => receiver.receive(chunk, 'host')).toThrow('failed its checksum');
+            expect(receiver.pending()).toEqual([]);
+        });
+
+        it('should enforce size limits, chunk lengths and who may send chunks', () => {
+            const sender = new DocumentTransfers();
+            const offer = sender.createOffer(report, { filename: '../../etc/passwd' });
+            const small = new DocumentTransfers(null, { MAX_DOCUMENT_BYTES: 1024 });
+
+            expect(offer.filename).toBe('passwd');
+            expect(() => small.createOffer(report)).toThrow('can\'t be shared');
+            expect(() => small.accept(offer, 'host')).toThrow('limit');
+
+            const receiver = new DocumentTransfers();
+            receiver.accept(offer, 'host');
+            const [chunk] = sender.serve({ transferId: offer.transferId, indices: [0] });
+            expect(receiver.receive(chunk, 'mallory')).toEqual({});
+            expect(() => receiver.receive({ ...chunk, data: 'AAAA' }, 'host')).toThrow('wrong length');
+            expect(sender.serve({ transferId: 'ffffffffffffffff', indices: [0] })).toEqual([
+                { type: 'DOCUMENT_UNAVAILABLE', transferId: 'ffffffffffffffff' }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for routing with the semantic decision cache and /route examples
+ */
+
+const MultiBrain = require('../brains/router');
+const { HashingEmbedder } = require('../memory_format/embeddings');
+const fs = require('fs').promises;
+const path = require('path');
+
+const TEST_DIR = path.join(__dirname, 'test_router');
+const EXAMPLES_PATH = path.join(TEST_DIR, 'route_examples.json');
+
+// Hashing vectors only capture word overlap, so the thresholds are lower than for a real model
+const CACHE_CONFIG = { SIMILARITY_THRESHOLD: 0.55, CENTROID_THRESHOLD: 0.35, CENTROID_MARGIN: 0.05 };
+
+function fakeBrain(tool = 'android') {
+    return {
+        chat: jest.fn(async () => ({ content: JSON.stringify({ tool, confidence: 0.9, complexity: 'low' }) }))
+    };
+}
+
+function createRouter(brain, options = {}) {
+    const router = new MultiBrain(brain, {
+        embedder: new HashingEmbedder(),
+        examplesPath: EXAMPLES_PATH,
+        cacheConfig: CACHE_CONFIG,
+        ...options
+    });
+    router.register('android', true);
+    router.register('jules', true);
+    return router;
+}
+
+describe('MultiBrain routing cache', () => {
+    beforeEach(async () => {
+        await fs.mkdir(TEST_DIR, { recursive: true });
+    });
+
+    afterEach(async () => {
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    });
+
+    it('should reuse a decision for a task that means the same', async () => {
+        const brain = fakeBrain('android');
+        const router = createRouter(brain);
+
+        const first = await router.route('text mom hello');
+        const second = await router.route('text mom hi');
+
+        expect(first).toMatchObject({ toolName: 'android', reason: 'LLM Classification' });
+        expect(second.toolName).toBe('android');
+        expect(second.reason).toContain('Similar to "text mom hello"');
+        expect(brain.chat).toHaveBeenCalledTimes(1);
+        expect(router.getStatus().routeCache).toMatchObject({ semantic: 1, misses: 1 });
+    });
+
+    it('should classify unrelated tasks with the LLM', async () => {
+        const brain = fakeBrain('android');
+        const router = createRouter(brain);
+
+        await router.route('text mom hello');
+        await router.route('refactor the payment module');
+
+        expect(brain.chat).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not reuse a decision for a tool that went away', async () => {
+        const brain = fakeBrain('jules');
+        const router = createRouter(brain);
+
+        await router.route('fix the login bug');
+        router.unregister('jules');
+        await router.route('fix the login bug');
+
+        expect(brain.chat).toHaveBeenCalledTimes(2);
+    });
+
+    it('should cache exact repeats when embeddings are unavailable', async () => {
+        const brain = fakeBrain('android');
+        const router = createRouter(brain, {
+            embedder: { name: 'broken', embed: async () => { throw new Error('model not found'); } }
+        });
+
+        await router.route('call the office');
+        const repeat = await router.route('Call the  office');
+        await router.route('call the office now');
+
+        expect(repeat.reason).toBe('LLM Classification (Cached)');
+        expect(brain.chat).toHaveBeenCalledTimes(2);
+    });
+
+    describe('/route corrections', () => {
+        it('should correct the last decision and route similar tasks there', async () => {
+            const brain = fakeBrain('local');
+            const router = createRouter(brain);
+
+            await router.route('ping dad on whatsapp about dinner');
+            const correction = await router.correct('android');
+
+            expect(correction).toEqual({ task: 'ping dad on whatsapp about dinner', tool: 'android', previous: 'local' });
+            const next = await router.route('ping dad on whatsapp about lunch');
+            expect(next.toolName).toBe('android');
+            expect(brain.chat).toHaveBeenCalledTimes(1);
+        });
+
+        it('should classify by example centroids before asking the LLM', async () => {
+            const teacher = createRouter(fakeBrain());
+            await teacher.correct('jules', 'fix the failing build on main');
+            await teacher.correct('jules', 'fix the flaky test on main');
+            await teacher.correct('android', 'text mom hello');
+            await teacher.correct('android', 'text dad hello');
+
+            // After a restart only the examples are left
+            const brain = fakeBrain('local');
+            const router = createRouter(brain);
+            router.load();
+            const decision = await router.route('fix the build on main again');
+
+            expect(decision.toolName).toBe('jules');
+            expect(decision.reason).toContain('Example centroid');
+            expect(brain.chat).not.toHaveBeenCalled();
+        });
+
+        it('should show the nearest examples to the LLM', async () => {
+            const brain = fakeBrain('android');
+            const router = createRouter(brain);
+
+            await router.correct('android', 'buzz my sister');
+            await router.route('buzz brother');
+
+            const [[messages]] = brain.chat.mock.calls;
+            expect(messages[0].content).toContain('"buzz my sister" -> android');
+        });
+
+        it('should persist examples and drop vectors from another embedder', async () => {
+            const router = createRouter(fakeBrain());
+            await router.correct('android', 'buzz my sister');
+
+            const same = createRouter(fakeBrain());
+            same.load();
+            expect(same.cache.examples[0]).toMatchObject({ task: 'buzz my sister', tool: 'android' });
+            expect(same.cache.examples[0].embedding).toHaveLength(256);
+
+            const other = createRouter(fakeBrain(), { embedder: new HashingEmbedder({ dimensions: 64 }) });
+            other.cache.embedder.name = 'other';
+            other.load();
+            expect(other.cache.examples[0].embedding).toBeNull();
+            await other.route('anything');
+            expect(other.cache.examples[0].embedding).toHaveLength(64);
+
+            expect(other.cache.removeExamples('android')).toBe(1);
+            expect(other.cache.getExamples()).toEqual({});
+        });
+
+        it('should reject unknown tools and corrections with nothing routed', async () => {
+            const router = createRouter(fakeBrain());
+
+            await expect(router.correct('android')).rejects.toThrow('Nothing has been routed yet');
+            await expect(router.correct('telepathy', 'hi')).rejects.toThrow('Unknown tool');
+        });
+    });
+});
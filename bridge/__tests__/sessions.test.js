@@ -0,0 +1,184 @@
+/**
+ * Tests for persistent conversation sessions
+ */
+
+const { SessionManager } = require('../sessions');
+const ConversationMemory = require('../brains/memory');
+const { CommandProcessor } = require('../commands');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+
+const TEST_DIR = path.join(__dirname, 'test_sessions');
+
+describe('SessionManager', () => {
+    let sessions;
+
+    beforeEach(async () => {
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        sessions = new SessionManager(TEST_DIR);
+    });
+
+    afterEach(async () => {
+        sessions.flush();
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    });
+
+    it('should create a default session on first use', () => {
+        const active = sessions.getActive();
+
+        expect(active.name).toBe('General');
+        expect(sessions.list()).toHaveLength(1);
+    });
+
+    it('should keep several threads and switch between them', () => {
+        const launch = sessions.create('Launch plan');
+        sessions.addMessage('user', 'Draft the launch email');
+        const hiring = sessions.create('Hiring');
+        sessions.addMessage('user', 'Shortlist backend candidates');
+
+        expect(sessions.getActive().id).toBe(hiring.id);
+        expect(sessions.activate('launch plan').id).toBe(launch.id);
+        expect(sessions.getActive().messages.map(m => m.content)).toEqual(['Draft the launch email']);
+        expect(sessions.create('Hiring').name).toBe('Hiring (2)');
+    });
+
+    it('should survive a restart with transcript, memory and participants', () => {
+        const session = sessions.create('Roadmap');
+        sessions.addMessage('user', 'What ships in Q3?');
+        sessions.addMessage('assistant', 'Sync and sessions.', { personality: 'sage' });
+        sessions.addMessage('user', 'Add offline mode', { peer: { id: 'c1', name: 'Dana' } });
+        sessions.update({ memory: { history: [{ role: 'user', content: 'What ships in Q3?' }], summary: 'Q3 planning' }, activeDocument: 'doc_1' });
+        sessions.update({ privateWith: 'nova' });
+
+        const reloaded = new SessionManager(TEST_DIR);
+        reloaded.load();
+
+        const active = reloaded.getActive();
+        expect(active.id).toBe(session.id);
+        expect(active.messages).toHaveLength(3);
+        expect(active.participants).toEqual({
+            personalities: ['sage', 'nova'],
+            peers: [{ id: 'c1', name: 'Dana' }]
+        });
+        expect(active).toMatchObject({ activeDocument: 'doc_1', privateWith: 'nova' });
+        expect(active.memory.summary).toBe('Q3 planning');
+    });
+
+    it('should append messages instead of rewriting the session', () => {
+        const session = sessions.create('Standup');
+        // Every rewrite replaces a file through a rename
+        const rewrites = jest.spyOn(fsSync, 'renameSync');
+        sessions.addMessage('user', 'Blocked on the API review');
+        sessions.addMessage('user', 'Review is done');
+        expect(rewrites).not.toHaveBeenCalled();
+
+        // The update time follows in one batch
+        sessions.flush();
+        expect(rewrites).toHaveBeenCalledTimes(1);
+        rewrites.mockRestore();
+
+        const details = JSON.parse(fsSync.readFileSync(path.join(TEST_DIR, `${session.id}.json`), 'utf8'));
+        expect(details.messages).toBeUndefined();
+        expect(fsSync.readFileSync(path.join(TEST_DIR, `${session.id}.jsonl`), 'utf8').trim().split('\n')).toHaveLength(2);
+    });
+
+    it('should keep a session whose last message was cut short', () => {
+        const session = sessions.create('Standup');
+        sessions.addMessage('user', 'Blocked on the API review');
+        const transcript = path.join(TEST_DIR, `${session.id}.jsonl`);
+        fsSync.appendFileSync(transcript, '{"role":"user","content":"Review is d');
+
+        const reloaded = new SessionManager(TEST_DIR);
+        reloaded.load();
+        expect(reloaded.getActive().messages.map(m => m.content)).toEqual(['Blocked on the API review']);
+
+        // Later messages aren't glued to the cut line
+        reloaded.addMessage('user', 'Review is done');
+        reloaded.flush();
+        const again = new SessionManager(TEST_DIR);
+        again.load();
+        expect(again.getActive().messages.map(m => m.content)).toEqual(['Blocked on the API review', 'Review is done']);
+        expect(again.getActive().updatedAt).toBe(again.getActive().messages[1].timestamp);
+    });
+
+    it('should compact the transcript once it holds twice the kept messages', () => {
+        const max = SessionManager.CONFIG.MAX_MESSAGES;
+        SessionManager.CONFIG.MAX_MESSAGES = 3;
+        try {
+            const session = sessions.create('Chatty');
+            for (let i = 1; i <= 7; i++) sessions.addMessage('user', `message ${i}`);
+
+            const lines = fsSync.readFileSync(path.join(TEST_DIR, `${session.id}.jsonl`), 'utf8').trim().split('\n');
+            expect(lines.map(line => JSON.parse(line).content)).toEqual(['message 5', 'message 6', 'message 7']);
+        } finally {
+            SessionManager.CONFIG.MAX_MESSAGES = max;
+        }
+    });
+
+    it('should rename and archive, moving off an archived active session', () => {
+        const first = sessions.create('First');
+        const second = sessions.create('Second');
+
+        sessions.rename(second.id, 'Design review');
+        sessions.archive('design review');
+
+        expect(sessions.getActive().id).toBe(first.id);
+        expect(sessions.list().map(s => s.name)).toEqual(['First']);
+        expect(sessions.list({ includeArchived: true })).toHaveLength(2);
+
+        // Switching to an archived session brings it back
+        sessions.activate(second.id);
+        expect(sessions.get(second.id).archived).toBe(false);
+    });
+
+    it('should search names and transcripts across sessions', () => {
+        sessions.create('Budget');
+        sessions.addMessage('user', 'The venue deposit is 1200 euros, due Friday.');
+        sessions.create('Travel');
+        sessions.addMessage('user', 'Book the train to Porto');
+        sessions.archive('Travel');
+
+        const hits = sessions.search('deposit friday');
+        expect(hits).toHaveLength(1);
+        expect(hits[0].session.name).toBe('Budget');
+        expect(hits[0].snippet).toContain('venue deposit');
+
+        expect(sessions.search('porto')[0].session.name).toBe('Travel');
+        expect(sessions.search('budget')[0]).toMatchObject({ message: null, snippet: 'Budget' });
+        expect(sessions.search('  ')).toEqual([]);
+    });
+
+    it('should resume conversation memory from a snapshot', async () => {
+        const memory = new ConversationMemory({ contextLength: 2048, reserveTokens: 1024 });
+        memory.pin('system', 'You are Nova.');
+        memory.add('user', 'Plan the offsite');
+        memory.add('assistant', 'Where and when?');
+        sessions.update({ memory: memory.snapshot() });
+
+        memory.restore(null);
+        expect(memory.getHistory()).toEqual([{ role: 'system', content: 'You are Nova.' }]);
+
+        memory.restore(sessions.getActive().memory);
+        await memory.settle();
+        expect(memory.getHistory().map(m => m.content)).toEqual([
+            'You are Nova.', 'Plan the offsite', 'Where and when?'
+        ]);
+    });
+
+    it('should map /session subcommands to actions', async () => {
+        const commands = new CommandProcessor({});
+
+        expect(await commands.execute('/session')).toMatchObject({ action: 'session_list' });
+        expect(await commands.execute('/session new Q3 launch')).toMatchObject({
+            action: 'session_new', data: { name: 'Q3 launch' }
+        });
+        expect(await commands.execute('/session switch Q3 launch')).toMatchObject({
+            action: 'session_switch', data: { session: 'Q3 launch' }
+        });
+        expect(await commands.execute('/session search venue')).toMatchObject({
+            action: 'session_search', data: { query: 'venue' }
+        });
+        expect((await commands.execute('/session switch')).action).toBeUndefined();
+    });
+});
@@ -0,0 +1,180 @@
+/**
+ * Tests for the tool policy and its confirmation round-trip
+ */
+
+const { ToolPolicy, Decision } = require('../tool_policy');
+const AmphibianHost = require('../mcp_host');
+const fs = require('fs').promises;
+const path = require('path');
+
+const TEST_DIR = path.join(__dirname, 'test_tool_policy');
+
+describe('ToolPolicy', () => {
+    let policy;
+
+    beforeEach(async () => {
+        await fs.mkdir(TEST_DIR, { recursive: true });
+        policy = new ToolPolicy(path.join(TEST_DIR, 'tool_policy.json'), { timeoutMs: 200 });
+    });
+
+    afterEach(async () => {
+        policy.cancelAll();
+        await fs.rm(TEST_DIR, { recursive: true, force: true });
+    });
+
+    describe('defaults', () => {
+        it('should ask before sending SMS or calling', () => {
+            expect(policy.evaluate({ server: 'android', tool: 'send_sms' }).decision).toBe(Decision.ASK);
+            expect(policy.evaluate({ server: 'android', tool: 'make_call' }).decision).toBe(Decision.ASK);
+            expect(policy.evaluate({ server: 'android', tool: 'write_file' }).decision).toBe(Decision.ASK);
+        });
+
+        it('should allow read-only Android tools and built-in brains', () => {
+            expect(policy.evaluate({ server: 'android', tool: 'read_file' }).decision).toBe(Decision.ALLOW);
+            expect(policy.evaluate({ server: 'jules', tool: 'create_coding_session' }).decision).toBe(Decision.ALLOW);
+        });
+
+        it('should ask before marketplace extension tools', () => {
+            expect(policy.evaluate({ server: 'ext_weather', tool: 'forecast' }).decision).toBe(Decision.ASK);
+        });
+
+        it('should deny Android tools to P2P participants', () => {
+            const requester = { type: 'participant', id: 'client_1', name: 'Alice' };
+
+            expect(policy.evaluate({ server: 'android', tool: 'read_file', requester }).decision).toBe(Decision.DENY);
+            expect(policy.evaluate({ server: 'jules', tool: 'create_coding_session', requester }).decision).toBe(Decision.ASK);
+        });
+    });
+
+    describe('rules', () => {
+        it('should let scoped rules override unscoped ones', () => {
+            policy.setRule({ tool: 'android.send_sms', decision: 'deny', personality: 'nova' });
+            policy.setRule({ tool: 'android.*', decision: 'allow', participant: 'client_1' });
+
+            expect(policy.evaluate({ server: 'android', tool: 'send_sms', personality: 'nova' }).decision).toBe(Decision.DENY);
+            expect(policy.evaluate({ server: 'android', tool: 'send_sms', personality: 'echo' }).decision).toBe(Decision.ASK);
+            expect(policy.evaluate({
+                server: 'android', tool: 'get_location', requester: { type: 'participant', id: 'client_1', name: 'Alice' }
+            }).decision).toBe(Decision.ALLOW);
+            expect(policy.evaluate({
+                server: 'android', tool: 'get_location', requester: { type: 'participant', id: 'client_2', name: 'Bob' }
+            }).decision).toBe(Decision.DENY);
+        });
+
+        it('should match participants by client id, not by the name they chose', () => {
+            policy.setRule({ tool: 'android.*', decision: 'allow', participant: 'client_1' });
+
+            expect(policy.evaluate({
+                server: 'android', tool: 'get_location', requester: { type: 'participant', id: 'client_2', name: 'client_1' }
+            }).decision).toBe(Decision.DENY);
+        });
+
+        it('should not apply personality rules to participants', () => {
+            policy.setRule({ tool: 'android.send_sms', decision: 'allow', personality: 'nova' });
+            const requester = { type: 'participant', id: 'client_1', name: 'Alice' };
+
+            expect(policy.evaluate({ server: 'android', tool: 'send_sms', personality: 'nova' }).decision).toBe(Decision.ALLOW);
+            expect(policy.evaluate({ server: 'android', tool: 'send_sms', personality: 'nova', requester }).decision).toBe(Decision.DENY);
+        });
+
+        it('should let a user rule replace a default for the same tool', () => {
+            policy.setRule({ tool: 'android.send_sms', decision: 'allow' });
+
+            expect(policy.evaluate({ server: 'android', tool: 'send_sms' }).decision).toBe(Decision.ALLOW);
+        });
+
+        it('should reject unknown decisions and unqualified tool names', () => {
+            expect(() => policy.setRule({ tool: 'android.send_sms', decision: 'maybe' })).toThrow('Unknown decision');
+            expect(() => policy.setRule({ tool: 'send_sms', decision: 'allow' })).toThrow('server.tool');
+        });
+
+        it('should persist user rules', () => {
+            policy.setRule({ tool: 'ext_weather.*', decision: 'allow' });
+
+            const reloaded = new ToolPolicy(path.join(TEST_DIR, 'tool_policy.json'));
+            reloaded.load();
+
+            expect(reloaded.evaluate({ server: 'ext_weather', tool: 'forecast' }).decision).toBe(Decision.ALLOW);
+            expect(reloaded.resetRules()).toBe(1);
+            expect(reloaded.evaluate({ server: 'ext_weather', tool: 'forecast' }).decision).toBe(Decision.ASK);
+        });
+    });
+
+    describe('confirmation', () => {
+        it('should deny asks when no one can confirm them', async () => {
+            const verdict = await policy.authorize({ server: 'android', tool: 'send_sms', args: { phone: '5551234567' } });
+
+            expect(verdict.approved).toBe(false);
+            expect(verdict.reason).toContain('no one can confirm');
+        });
+
+        it('should round-trip a confirmation request', async () => {
+            const requests = [];
+            policy.on('confirm', request => requests.push(request));
+
+            const pending = policy.authorize({
+                server: 'android',
+                tool: 'send_sms',
+                args: { phone: '5551234567', message: 'hi' },
+                reason: 'text 5551234567 saying hi'
+            });
+
+            expect(requests).toHaveLength(1);
+            expect(requests[0]).toMatchObject({ server: 'android', tool: 'send_sms', args: { phone: '5551234567' } });
+            expect(policy.answer(requests[0].requestId, { approved: true })).toBe(true);
+
+            expect((await pending).approved).toBe(true);
+            // Answered once only
+            expect(policy.answer(requests[0].requestId, { approved: false })).toBe(false);
+        });
+
+        it('should deny when the confirmation times out', async () => {
+            policy.on('confirm', () => {});
+
+            const verdict = await policy.authorize({ server: 'android', tool: 'make_call', args: {} });
+
+            expect(verdict.approved).toBe(false);
+            expect(verdict.reason).toContain('not confirmed in time');
+        });
+
+        it('should remember an answer for the requester', async () => {
+            policy.on('confirm', request => policy.answer(request.requestId, { approved: false, remember: true }));
+            const requester = { type: 'participant', id: 'client_1', name: 'Alice' };
+
+            await policy.authorize({ server: 'stitch', tool: 'generate_ui', args: {}, requester });
+
+            expect(policy.evaluate({ server: 'stitch', tool: 'generate_ui', requester }).decision).toBe(Decision.DENY);
+            expect(policy.evaluate({ server: 'stitch', tool: 'generate_ui' }).decision).toBe(Decision.ALLOW);
+        });
+
+        it('should remember a participant\'s answer under their client id', async () => {
+            policy.on('confirm', request => policy.answer(request.requestId, { approved: true, remember: true }));
+
+            await policy.authorize({ server: 'stitch', tool: 'generate_ui', args: {}, requester: { type: 'participant', id: 'client_1', name: 'Alice' } });
+
+            expect(policy.getRules().rules[0].participant).toBe('client_1');
+            expect(policy.evaluate({
+                server: 'stitch', tool: 'generate_ui', requester: { type: 'participant', id: 'client_2', name: 'Alice' }
+            }).decision).toBe(Decision.ASK);
+        });
+    });
+
+    describe('AmphibianHost', () => {
+        it('should not call an MCP tool the policy refuses', async () => {
+            const host = new AmphibianHost();
+            const callTool = jest.fn().mockResolvedValue({ content: [{ type: 'text', text: 'ok' }] });
+            host.clients.set('ext_weather', { callTool });
+            host.setPolicy(policy);
+            policy.setRule({ tool: 'ext_weather.forecast', decision: 'deny' });
+
+            const denied = await host.callTool('ext_weather', 'forecast', { city: 'Oslo' });
+            expect(denied.isError).toBe(true);
+            expect(denied.content[0].text).toContain('not permitted');
+            expect(callTool).not.toHaveBeenCalled();
+
+            policy.setRule({ tool: 'ext_weather.forecast', decision: 'allow' });
+            const allowed = await host.callTool('ext_weather', 'forecast', { city: 'Oslo' });
+            expect(allowed.content[0].text).toBe('ok');
+        });
+    });
+});
@@ -286,3 +286,4 @@ class AndroidSystemServer {
 }
 
 module.exports = AndroidSystemServer;
+module.exports.ANDROID_TOOLS = ANDROID_TOOLS;
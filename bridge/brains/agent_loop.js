@@ -0,0 +1,254 @@
+/**
+ * Agent Loop
+ *
+ * Lets the model drive tools instead of routing a task to one brain:
+ *
+ * 1. Advertise every tool's JSON schema to the model (Ollama's `tools`
+ *    field, or a structured prompt for models without tool support)
+ * 2. Run the tool calls it asks for and feed the results back
+ * 3. Repeat until it answers without calling a tool, or the step budget
+ *    runs out and it is asked to answer with what it has
+ *
+ * Each call and result is reported through onEvent so the UI can show the
+ * steps as they happen.
+ */
+
+// Configuration
+const LOOP_CONFIG = {
+    MAX_STEPS: 6,              // Model turns that may call tools
+    MAX_RESULT_CHARS: 4000     // Tool output fed back to the model per call
+};
+
+const BUDGET_MESSAGE = 'You have used all your tool steps. Answer the original request now with what you know; do not call any more tools.';
+
+class AgentLoop {
+    /**
+     * @param {Object} options
+     * @param {Object} options.brain - LocalBrain (chatWithTools, chat)
+     * @param {Function} options.listTools - async () => [{ name, description, inputSchema, server, tool }]
+     * @param {Function} options.callTool - async (server, tool, args, context) => MCP result or { success, message }
+     * @param {Object} [options.config] - Overrides for LOOP_CONFIG
+     */
+    constructor(options) {
+        this.brain = options.brain;
+        this.listTools = options.listTools;
+        this.callTool = options.callTool;
+        this.config = { ...LOOP_CONFIG, ...options.config };
+        this.withoutTools = new Set(); // Backends/models that said they can't take the `tools` field
+    }
+
+    /**
+     * The backend and model that would answer next (brain.toolTarget()), so a
+     * lack of tool support is remembered for that one only
+     */
+    toolTarget() {
+        return typeof this.brain.toolTarget === 'function' ? this.brain.toolTarget() : 'brain';
+    }
+
+    supportsTools() {
+        return typeof this.brain.chatWithTools === 'function' && !this.withoutTools.has(this.toolTarget());
+    }
+
+    /**
+     * Run a conversation to its answer
+     * @param {Array<Object>} messages - System prompt, history and the user's request
+     * @param {Object} [options]
+     * @param {Function} [options.onEvent] - ({ type: 'tool_use'|'tool_result', step, tool, ... }) => void
+     * @param {Function} [options.onChunk] - Streamed answer text
+     * @param {Function} [options.isAborted] - () => boolean, checked between steps
+     * @param {Object} [options.context] - Passed to callTool, e.g. who is asking for the tool policy
+     * @returns {Promise<{content: string, steps: number, toolCalls: Array<Object>, aborted?: boolean}>}
+     */
+    async run(messages, options = {}) {
+        const onEvent = options.onEvent || (() => {});
+        const tools = await this.listTools();
+        const byName = new Map(tools.map(tool => [tool.name, tool]));
+        const conversation = [...messages];
+        const toolCalls = [];
+        // Kept for the whole run, so the conversation stays in one format
+        const mode = { native: this.supportsTools() };
+
+        for (let step = 1; step <= this.config.MAX_STEPS; step++) {
+            if (options.isAborted && options.isAborted()) {
+                return { content: 'Task was aborted.', steps: step - 1, toolCalls, aborted: true };
+            }
+
+            const reply = await this.think(conversation, tools, options.onChunk, mode);
+            if (reply.toolCalls.length === 0) {
+                return { content: reply.content, steps: step, toolCalls };
+            }
+
+            conversation.push(this.assistantTurn(reply, mode));
+            for (const call of reply.toolCalls) {
+                const outcome = await this.execute(call, byName, step, onEvent, options.context);
+                toolCalls.push(outcome);
+                conversation.push(this.resultTurn(call.name, outcome.text, mode));
+            }
+        }
+
+        // Out of steps: one last turn without tools
+        const final = await this.brain.chat([...conversation, { role: 'user', content: BUDGET_MESSAGE }], {
+            onChunk: options.onChunk
+        });
+        return { content: final.content, steps: this.config.MAX_STEPS, toolCalls, budgetExhausted: true };
+    }
+
+    /**
+     * One model turn. Falls back to the structured prompt once the model
+     * reports it can't take the `tools` field; that backend and model keep
+     * the prompt from then on, others still get native tool calling.
+     * @param {Object} mode - { native }, this run's format
+     */
+    async think(conversation, tools, onChunk, mode) {
+        if (mode.native) {
+            const target = this.toolTarget();
+            try {
+                const reply = await this.brain.chatWithTools(conversation, tools.map(toOllamaTool), { onChunk });
+                return { content: reply.content || '', toolCalls: reply.toolCalls.map(normalizeCall) };
+            } catch (e) {
+                if (e.code !== 'TOOLS_UNSUPPORTED') throw e;
+                console.log(`🧰 ${e.target || target} has no native tool calling; using a structured prompt`);
+                this.withoutTools.add(e.target !== undefined ? e.target : target);
+                mode.native = false;
+            }
+        }
+
+        const prompt = [{ role: 'system', content: describeTools(tools) }, ...conversation];
+        // The JSON of a tool call isn't worth streaming; answers are shown once complete
+        const reply = await this.brain.chat(prompt, { temperature: 0.2 });
+        const content = reply.content || '';
+        const calls = parsePromptedCalls(content);
+        if (calls.length === 0 && onChunk && content) onChunk(content);
+        return { content: calls.length > 0 ? '' : content, toolCalls: calls };
+    }
+
+    /**
+     * Run one tool call, reporting it before and after
+     */
+    async execute(call, byName, step, onEvent, context = {}) {
+        const tool = byName.get(call.name);
+        onEvent({ type: 'tool_use', step, tool: call.name, server: tool?.server, args: call.arguments });
+
+        const started = Date.now();
+        let result;
+        let isError;
+        if (!tool) {
+            result = `Unknown tool: ${call.name}`;
+            isError = true;
+        } else {
+            try {
+                result = await this.callTool(tool.server, tool.tool, call.arguments, context);
+                isError = !!(result && (result.isError || result.success === false));
+            } catch (e) {
+                result = `Tool failed: ${e.message}`;
+                isError = true;
+            }
+        }
+
+        const text = resultText(result).slice(0, this.config.MAX_RESULT_CHARS);
+        const outcome = { step, tool: call.name, args: call.arguments, text, isError, latencyMs: Date.now() - started };
+        onEvent({ type: 'tool_result', ...outcome, result });
+        return outcome;
+    }
+
+    assistantTurn(reply, mode) {
+        if (!mode.native) {
+            return { role: 'assistant', content: JSON.stringify({ tool_calls: reply.toolCalls }) };
+        }
+        return {
+            role: 'assistant',
+            content: reply.content,
+            tool_calls: reply.toolCalls.map(call => ({ function: { name: call.name, arguments: call.arguments } }))
+        };
+    }
+
+    resultTurn(name, text, mode) {
+        return mode.native
+            ? { role: 'tool', tool_name: name, content: text }
+            : { role: 'user', content: `Result of ${name}:\n${text}` };
+    }
+}
+
+/**
+ * Catalog entry -> Ollama function tool
+ */
+function toOllamaTool(tool) {
+    return {
+        type: 'function',
+        function: {
+            name: tool.name,
+            description: tool.description || tool.name,
+            parameters: tool.inputSchema || { type: 'object', properties: {} }
+        }
+    };
+}
+
+/**
+ * Tool calls sometimes carry their arguments as a JSON string
+ */
+function normalizeCall(call) {
+    let args = call.arguments || {};
+    if (typeof args === 'string') {
+        try {
+            args = JSON.parse(args);
+        } catch (e) {
+            args = { input: args };
+        }
+    }
+    return { name: call.name, arguments: args };
+}
+
+/**
+ * System prompt teaching a model without native tool calling the call format
+ */
+function describeTools(tools) {
+    const lines = [
+        'You can use tools. To call tools, reply with ONLY a JSON object and nothing else:',
+        '{"tool_calls": [{"name": "<tool name>", "arguments": {...}}]}',
+        'You will get the results and can call more tools. When you can answer, reply in plain text without JSON.',
+        '',
+        'Tools:'
+    ];
+    for (const tool of tools) {
+        lines.push(`- ${tool.name}: ${tool.description || ''}`);
+        lines.push(`  parameters: ${JSON.stringify(tool.inputSchema || {})}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Tool calls in a prompted reply: {"tool_calls": [...]} or a single
+ * {"name"|"tool": ..., "arguments": ...}. Anything else is an answer.
+ */
+function parsePromptedCalls(content) {
+    const match = content.match(/\{[\s\S]*\}/);
+    if (!match) return [];
+
+    let parsed;
+    try {
+        parsed = JSON.parse(match[0]);
+    } catch (e) {
+        return [];
+    }
+
+    const calls = Array.isArray(parsed.tool_calls) ? parsed.tool_calls : [parsed];
+    return calls
+        .map(call => ({ name: call.name || call.tool, arguments: call.arguments || call.args || {} }))
+        .filter(call => typeof call.name === 'string' && call.name)
+        .map(normalizeCall);
+}
+
+/**
+ * Text of an MCP result, an Android callback result or anything else
+ */
+function resultText(result) {
+    if (typeof result === 'string') return result;
+    if (result && Array.isArray(result.content)) {
+        return result.content.map(part => (part.type === 'text' ? part.text : `[${part.type}]`)).join('\n');
+    }
+    return JSON.stringify(result ?? null);
+}
+
+AgentLoop.CONFIG = LOOP_CONFIG;
+
+module.exports = { AgentLoop, parsePromptedCalls, resultText };
@@ -0,0 +1,45 @@
+/**
+ * HTTP helpers shared by the inference backends
+ */
+
+/**
+ * Non-empty lines of a streamed response body (NDJSON or SSE)
+ * @param {ReadableStream} body
+ */
+async function* readLines(body) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+
+        // Keep the incomplete last line for the next read
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+            if (line.trim() !== '') yield line;
+        }
+    }
+
+    if (buffer.trim() !== '') yield buffer;
+}
+
+/**
+ * fetch() that gives up after timeoutMs
+ */
+async function fetchWithTimeout(url, init = {}, timeoutMs = 5000) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        return await fetch(url, { ...init, signal: controller.signal });
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+module.exports = { readLines, fetchWithTimeout };
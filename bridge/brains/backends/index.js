@@ -0,0 +1,68 @@
+/**
+ * Inference Backends
+ *
+ * Everything LocalBrain can run a model on. Every backend has `type`, `name`,
+ * `isAvailable()`, `listModels()`, `chatStream(messages, options)` and
+ * `describe()`; `chatWithTools` and `embed` are optional.
+ *
+ * - ollama:    Ollama's native API (default)
+ * - llamacpp:  llama.cpp's llama-server
+ * - openai:    any OpenAI-compatible /v1/chat/completions endpoint (LM Studio, vLLM, ...)
+ * - mediapipe: on-device inference in the Android app through the tool bridge
+ */
+
+const OllamaBackend = require('./ollama');
+const LlamaCppBackend = require('./llamacpp');
+const { OpenAICompatibleBackend } = require('./openai_compat');
+const { MediaPipeBackend } = require('./mediapipe');
+
+const BACKEND_TYPES = {
+    ollama: OllamaBackend,
+    llamacpp: LlamaCppBackend,
+    openai: OpenAICompatibleBackend,
+    mediapipe: MediaPipeBackend
+};
+
+// Other names people use for the same servers
+const ALIASES = {
+    'llama.cpp': 'llamacpp',
+    'llama-cpp': 'llamacpp',
+    lmstudio: 'openai',
+    'openai-compatible': 'openai'
+};
+
+/**
+ * Create a backend from a type name or a config object
+ * @param {string|Object} spec - 'ollama' or { type: 'openai', baseUrl, model, apiKey }
+ * @param {Object} [defaults] - Config merged under the spec's own
+ */
+function createBackend(spec, defaults = {}) {
+    const config = typeof spec === 'string' ? { type: spec } : { ...spec };
+    const type = ALIASES[(config.type || '').toLowerCase()] || (config.type || '').toLowerCase();
+    const Backend = BACKEND_TYPES[type];
+    if (!Backend) {
+        throw new Error(`Unknown inference backend "${config.type}". Use one of: ${Object.keys(BACKEND_TYPES).join(', ')}`);
+    }
+    return new Backend({ ...defaults, ...config, type });
+}
+
+/**
+ * Backend order from a comma-separated list, e.g. LLM_BACKENDS="llamacpp,ollama"
+ * @returns {Array<string>}
+ */
+function parseBackendList(value) {
+    return (value || '')
+        .split(',')
+        .map(name => name.trim())
+        .filter(Boolean);
+}
+
+module.exports = {
+    BACKEND_TYPES,
+    createBackend,
+    parseBackendList,
+    OllamaBackend,
+    LlamaCppBackend,
+    OpenAICompatibleBackend,
+    MediaPipeBackend
+};
@@ -0,0 +1,36 @@
+/**
+ * llama.cpp Backend
+ *
+ * llama.cpp's `llama-server` serves one model through the OpenAI-compatible
+ * /v1 API, plus /health, which reports 503 while the model is still loading.
+ * Tool calling needs the server started with --jinja.
+ */
+
+const { OpenAICompatibleBackend } = require('./openai_compat');
+const { fetchWithTimeout } = require('./http');
+
+class LlamaCppBackend extends OpenAICompatibleBackend {
+    /**
+     * @param {Object} [config]
+     * @param {string} [config.baseUrl] - Server root (default LLAMACPP_URL or http://localhost:8080)
+     * @param {string} [config.model] - Only used for display; the server decides
+     */
+    constructor(config = {}) {
+        const baseUrl = (config.baseUrl || process.env.LLAMACPP_URL || 'http://localhost:8080').replace(/\/+$/, '');
+        super({ ...config, baseUrl, model: config.model || process.env.LLAMACPP_MODEL || 'default' });
+        this.type = 'llamacpp';
+        this.name = config.name || 'llamacpp';
+        this.apiBase = `${baseUrl}/v1`;
+    }
+
+    async isAvailable() {
+        const res = await fetchWithTimeout(`${this.baseUrl}/health`, { headers: this.headers() }, 5000);
+        return res.ok;
+    }
+
+    describe() {
+        return `llama.cpp server at ${this.baseUrl}`;
+    }
+}
+
+module.exports = LlamaCppBackend;
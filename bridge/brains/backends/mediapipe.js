@@ -0,0 +1,81 @@
+/**
+ * MediaPipe Backend (on-device)
+ *
+ * Runs inference in the Android app's LocalLLMService (MediaPipe LLM
+ * Inference on the TPU/GPU) through the Android tool bridge's `inference`
+ * tool. The bridge takes a single prompt and returns the whole answer, so
+ * messages are flattened into a Gemma-style transcript and the answer
+ * arrives as one chunk. No tool calling or embeddings.
+ */
+
+class MediaPipeBackend {
+    /**
+     * @param {Object} config
+     * @param {Function} config.callTool - async (tool, args) => { success, output }, i.e. androidToolCallback
+     * @param {string} [config.model] - Only used for display; the app loads the model
+     */
+    constructor(config = {}) {
+        this.type = 'mediapipe';
+        this.name = config.name || 'mediapipe';
+        this.callTool = config.callTool || null;
+        this.model = config.model || 'on-device';
+    }
+
+    async isAvailable() {
+        if (!this.callTool) return false;
+        const result = await this.callTool('list_models', {});
+        // Outside Android the callback only simulates tools
+        return !!(result && result.success && !result.simulated);
+    }
+
+    async listModels() {
+        const result = await this.callTool('list_models', {});
+        try {
+            return JSON.parse(result.output).loaded_models || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    async *chatStream(messages, options = {}) {
+        if (!this.callTool) throw new Error('No Android bridge for on-device inference');
+
+        const result = await this.callTool('inference', { prompt: toPrompt(messages) });
+        if (!result || !result.success || result.simulated) {
+            throw new Error(`On-device inference failed: ${result?.output || result?.message || 'no result'}`);
+        }
+        yield result.output;
+    }
+
+    describe() {
+        return 'On-device MediaPipe (Android)';
+    }
+}
+
+/**
+ * Messages -> Gemma chat template, ending with an open model turn
+ */
+function toPrompt(messages) {
+    const turns = [];
+    let pendingSystem = '';
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            // Gemma has no system role; prepend it to the next user turn
+            pendingSystem += `${message.content}\n\n`;
+            continue;
+        }
+        const role = message.role === 'assistant' ? 'model' : 'user';
+        const content = role === 'user' ? `${pendingSystem}${message.content}` : message.content;
+        if (role === 'user') pendingSystem = '';
+        turns.push(`<start_of_turn>${role}\n${content}<end_of_turn>`);
+    }
+    if (pendingSystem) {
+        turns.push(`<start_of_turn>user\n${pendingSystem.trim()}<end_of_turn>`);
+    }
+
+    turns.push('<start_of_turn>model\n');
+    return turns.join('\n');
+}
+
+module.exports = { MediaPipeBackend, toPrompt };
@@ -0,0 +1,142 @@
+/**
+ * Ollama Backend
+ *
+ * Ollama's native API: NDJSON streaming on /api/chat, tools through the
+ * `tools` field, embeddings on /api/embeddings, models from /api/tags.
+ */
+
+const { readLines, fetchWithTimeout } = require('./http');
+
+class OllamaBackend {
+    /**
+     * @param {Object} [config]
+     * @param {string} [config.baseUrl] - Default OLLAMA_URL or http://localhost:11434
+     * @param {string} [config.model]
+     * @param {string} [config.embeddingModel]
+     * @param {number} [config.timeout] - Health check and embedding timeout in ms
+     */
+    constructor(config = {}) {
+        this.type = 'ollama';
+        this.name = config.name || 'ollama';
+        this.baseUrl = config.baseUrl || process.env.OLLAMA_URL || 'http://localhost:11434';
+        this.model = config.model || process.env.TPU_MODEL || 'gemma:3-4b-it';
+        this.embeddingModel = config.embeddingModel || process.env.EMBEDDING_MODEL || 'nomic-embed-text';
+        this.timeout = config.timeout || 30000;
+    }
+
+    async isAvailable() {
+        const res = await fetchWithTimeout(`${this.baseUrl}/api/tags`, {}, 5000);
+        return res.ok;
+    }
+
+    async listModels() {
+        const res = await fetchWithTimeout(`${this.baseUrl}/api/tags`, {}, 5000);
+        if (!res.ok) return [];
+        const data = await res.json();
+        return data.models?.map(m => m.name) || [];
+    }
+
+    async *chatStream(messages, options = {}) {
+        const response = await fetch(`${this.baseUrl}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.model,
+                messages,
+                stream: true,
+                options: {
+                    temperature: options.temperature || 0.7,
+                    top_k: options.topK || 40,
+                    top_p: options.topP || 0.9,
+                    num_predict: options.maxTokens || 1024
+                }
+            })
+        });
+
+        if (!response.ok) throw new Error(`Ollama API error: ${response.statusText}`);
+
+        for await (const line of readLines(response.body)) {
+            const json = parseLine(line);
+            if (!json) continue;
+            if (json.message && json.message.content) {
+                yield json.message.content;
+            }
+            if (json.done) return;
+        }
+    }
+
+    /**
+     * Chat with Ollama function tools; throws code TOOLS_UNSUPPORTED if the model can't call them
+     * @returns {Promise<{role: string, content: string, toolCalls: Array<{name: string, arguments: Object}>}>}
+     */
+    async chatWithTools(messages, tools, options = {}) {
+        const response = await fetch(`${this.baseUrl}/api/chat`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                model: this.model,
+                messages,
+                tools,
+                stream: true,
+                options: {
+                    temperature: options.temperature ?? 0.2,
+                    num_predict: options.maxTokens || 1024
+                }
+            })
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            const error = new Error(`Ollama API error: ${detail || response.statusText}`);
+            if (/does not support tools/i.test(detail)) error.code = 'TOOLS_UNSUPPORTED';
+            throw error;
+        }
+
+        let content = '';
+        const toolCalls = [];
+        for await (const line of readLines(response.body)) {
+            const message = (parseLine(line) || {}).message || {};
+            if (message.content) {
+                content += message.content;
+                if (options.onChunk) options.onChunk(message.content);
+            }
+            for (const call of message.tool_calls || []) {
+                if (call.function && call.function.name) {
+                    toolCalls.push({ name: call.function.name, arguments: call.function.arguments || {} });
+                }
+            }
+        }
+
+        return { role: 'assistant', content, toolCalls };
+    }
+
+    async embed(text) {
+        const res = await fetchWithTimeout(`${this.baseUrl}/api/embeddings`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: this.embeddingModel, prompt: text })
+        }, this.timeout);
+
+        if (!res.ok) throw new Error(`Ollama API error: ${res.statusText}`);
+
+        const data = await res.json();
+        if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+            throw new Error(`No embedding returned by ${this.embeddingModel}`);
+        }
+        return data.embedding;
+    }
+
+    describe() {
+        return `Ollama at ${this.baseUrl} (${this.model})`;
+    }
+}
+
+function parseLine(line) {
+    try {
+        return JSON.parse(line);
+    } catch (e) {
+        return null; // ignore parse errors for incomplete JSON
+    }
+}
+
+module.exports = OllamaBackend;
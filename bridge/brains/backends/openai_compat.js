@@ -0,0 +1,207 @@
+/**
+ * OpenAI-Compatible Backend
+ *
+ * Any server speaking the OpenAI chat completions API with SSE streaming:
+ * LM Studio, vLLM, LocalAI, llama.cpp's server, or a hosted endpoint.
+ */
+
+const { readLines, fetchWithTimeout } = require('./http');
+
+class OpenAICompatibleBackend {
+    /**
+     * @param {Object} [config]
+     * @param {string} [config.baseUrl] - API root including /v1 (default OPENAI_BASE_URL or LM Studio's http://localhost:1234/v1)
+     * @param {string} [config.model]
+     * @param {string} [config.apiKey] - Sent as a bearer token when set
+     * @param {string} [config.embeddingModel]
+     * @param {number} [config.timeout]
+     */
+    constructor(config = {}) {
+        this.type = 'openai';
+        this.name = config.name || 'openai';
+        this.baseUrl = (config.baseUrl || process.env.OPENAI_BASE_URL || 'http://localhost:1234/v1').replace(/\/+$/, '');
+        this.apiBase = this.baseUrl;
+        this.model = config.model || process.env.OPENAI_MODEL || 'local-model';
+        this.apiKey = config.apiKey || process.env.OPENAI_API_KEY || null;
+        this.embeddingModel = config.embeddingModel || process.env.OPENAI_EMBEDDING_MODEL || this.model;
+        this.timeout = config.timeout || 30000;
+    }
+
+    headers() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+        return headers;
+    }
+
+    async isAvailable() {
+        const res = await fetchWithTimeout(`${this.apiBase}/models`, { headers: this.headers() }, 5000);
+        return res.ok;
+    }
+
+    async listModels() {
+        const res = await fetchWithTimeout(`${this.apiBase}/models`, { headers: this.headers() }, 5000);
+        if (!res.ok) return [];
+        const data = await res.json();
+        return (data.data || []).map(m => m.id);
+    }
+
+    async *chatStream(messages, options = {}) {
+        const response = await fetch(`${this.apiBase}/chat/completions`, {
+            method: 'POST',
+            headers: this.headers(),
+            body: JSON.stringify({
+                model: this.model,
+                messages: toOpenAIMessages(messages),
+                stream: true,
+                temperature: options.temperature || 0.7,
+                top_p: options.topP || 0.9,
+                max_tokens: options.maxTokens || 1024
+            })
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            throw new Error(`${this.name} API error: ${detail || response.statusText}`);
+        }
+
+        for await (const event of readEvents(response.body)) {
+            const delta = event.choices?.[0]?.delta;
+            if (delta && delta.content) yield delta.content;
+        }
+    }
+
+    /**
+     * Chat with function tools; throws code TOOLS_UNSUPPORTED if the server refuses them
+     * @returns {Promise<{role: string, content: string, toolCalls: Array<{name: string, arguments: Object}>}>}
+     */
+    async chatWithTools(messages, tools, options = {}) {
+        const response = await fetch(`${this.apiBase}/chat/completions`, {
+            method: 'POST',
+            headers: this.headers(),
+            body: JSON.stringify({
+                model: this.model,
+                messages: toOpenAIMessages(messages),
+                tools,
+                stream: true,
+                temperature: options.temperature ?? 0.2,
+                max_tokens: options.maxTokens || 1024
+            })
+        });
+
+        if (!response.ok) {
+            const detail = await response.text().catch(() => '');
+            const error = new Error(`${this.name} API error: ${detail || response.statusText}`);
+            if (response.status >= 400 && response.status < 500 && /tool/i.test(detail)) {
+                error.code = 'TOOLS_UNSUPPORTED';
+            }
+            throw error;
+        }
+
+        let content = '';
+        const calls = []; // Arguments arrive as string fragments, by index
+        for await (const event of readEvents(response.body)) {
+            const delta = event.choices?.[0]?.delta || {};
+            if (delta.content) {
+                content += delta.content;
+                if (options.onChunk) options.onChunk(delta.content);
+            }
+            for (const part of delta.tool_calls || []) {
+                const index = part.index ?? calls.length;
+                const call = calls[index] || (calls[index] = { name: '', arguments: '' });
+                if (part.function?.name) call.name += part.function.name;
+                if (part.function?.arguments) call.arguments += part.function.arguments;
+            }
+        }
+
+        const toolCalls = calls.filter(call => call && call.name).map(call => ({
+            name: call.name,
+            arguments: parseArguments(call.arguments)
+        }));
+        return { role: 'assistant', content, toolCalls };
+    }
+
+    async embed(text) {
+        const res = await fetchWithTimeout(`${this.apiBase}/embeddings`, {
+            method: 'POST',
+            headers: this.headers(),
+            body: JSON.stringify({ model: this.embeddingModel, input: text })
+        }, this.timeout);
+
+        if (!res.ok) throw new Error(`${this.name} API error: ${res.statusText}`);
+
+        const data = await res.json();
+        const embedding = data.data?.[0]?.embedding;
+        if (!Array.isArray(embedding) || embedding.length === 0) {
+            throw new Error(`No embedding returned by ${this.embeddingModel}`);
+        }
+        return embedding;
+    }
+
+    describe() {
+        return `OpenAI-compatible API at ${this.baseUrl} (${this.model})`;
+    }
+}
+
+/**
+ * Parsed `data:` events of an SSE stream, up to [DONE]
+ */
+async function* readEvents(body) {
+    for await (const line of readLines(body)) {
+        if (!line.startsWith('data:')) continue;
+        const data = line.slice(5).trim();
+        if (data === '[DONE]') return;
+        try {
+            yield JSON.parse(data);
+        } catch (e) {
+            // ignore keep-alives and partial events
+        }
+    }
+}
+
+/**
+ * Streamed tool arguments are a JSON string; keep it raw if it doesn't parse
+ */
+function parseArguments(text) {
+    if (!text) return {};
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+/**
+ * The agent loop speaks Ollama's message format; OpenAI wants tool call ids
+ * and string arguments, and tool results tied to those ids
+ */
+function toOpenAIMessages(messages) {
+    const pending = []; // { id, name } awaiting a result
+    let counter = 0;
+
+    return messages.map(message => {
+        if (message.role === 'assistant' && Array.isArray(message.tool_calls)) {
+            const toolCalls = message.tool_calls.map(call => {
+                const id = call.id || `call_${++counter}`;
+                const name = call.function.name;
+                pending.push({ id, name });
+                const args = call.function.arguments;
+                return {
+                    id,
+                    type: 'function',
+                    function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args || {}) }
+                };
+            });
+            return { role: 'assistant', content: message.content || null, tool_calls: toolCalls };
+        }
+
+        if (message.role === 'tool' && !message.tool_call_id) {
+            const index = pending.findIndex(call => call.name === message.tool_name);
+            const [call] = index >= 0 ? pending.splice(index, 1) : [null];
+            return { role: 'tool', tool_call_id: call ? call.id : `call_${++counter}`, content: message.content };
+        }
+
+        return message;
+    });
+}
+
+module.exports = { OpenAICompatibleBackend, toOpenAIMessages, readEvents };
@@ -1,51 +1,137 @@
 /**
- * Local Brain Adapter (Ollama / TPU)
+ * Local Brain Adapter (Ollama / llama.cpp / OpenAI-compatible / TPU)
  *
- * Connects to a local Ollama instance (default: localhost:11434).
- * Optimized for on-device TPU inference with Gemma 3 4B.
+ * Runs chat, streaming, tool calling and embeddings on one of several
+ * inference backends (see ./backends), chosen by configuration:
+ *
+ *   LLM_BACKENDS=llamacpp,ollama   # try llama.cpp first, then Ollama
+ *
+ * Backends are tried in order. One that fails is skipped for a while and the
+ * next takes over, so a desktop running LM Studio and a phone running the
+ * on-device MediaPipe model use the same API. Defaults to Ollama
+ * (localhost:11434), optimized for on-device TPU inference with Gemma 3 4B.
  * Used for routing, basic chat, and fallback inference.
  */
 
+const { createBackend, parseBackendList } = require('./backends');
+
+// Configuration
+const BRAIN_CONFIG = {
+    RETRY_UNHEALTHY_MS: 30000   // A backend that failed is skipped for this long
+};
+
 class LocalBrain {
+    /**
+     * @param {Object} [config]
+     * @param {Array<string|Object>} [config.backends] - Fallback order, e.g. ['llamacpp', { type: 'openai', baseUrl, model }]
+     *   (default: LLM_BACKENDS, else Ollama only)
+     * @param {Function} [config.androidCallback] - Android tool bridge, for the mediapipe backend
+     * @param {string} [config.baseUrl] - Ollama URL
+     * @param {string} [config.model] - Ollama model
+     */
     constructor(config = {}) {
         this.baseUrl = config.baseUrl || process.env.OLLAMA_URL || 'http://localhost:11434';
         this.model = config.model || process.env.TPU_MODEL || 'gemma:3-4b-it'; // Gemma 3 4B for TPU
         this.fallbackModel = config.fallbackModel || 'gemma:2b'; // Fallback to smaller model
+        this.embeddingModel = config.embeddingModel || process.env.EMBEDDING_MODEL || 'nomic-embed-text';
         this.maxRetries = config.maxRetries || 2;
         this.timeout = config.timeout || 30000; // 30 second timeout
-        
-        console.log(`🧠 Local Brain initialized at ${this.baseUrl}`);
-        console.log(`   Primary model: ${this.model}`);
-        console.log(`   Fallback model: ${this.fallbackModel}`);
+        this.androidCallback = config.androidCallback || null;
+
+        const specs = config.backends || parseBackendList(process.env.LLM_BACKENDS);
+        this.backends = (specs.length > 0 ? specs : ['ollama']).map(spec => createBackend(spec, this.backendDefaults(spec)));
+        this.health = new Map(); // backend name -> { healthy, checkedAt, lastError }
+        this.active = this.backends[0];
+
+        console.log(`🧠 Local Brain initialized: ${this.backends.map(b => b.describe()).join(' → ')}`);
+        console.log(`   Primary model: ${this.active.model}`);
+        if (this.active.type === 'ollama') {
+            console.log(`   Fallback model: ${this.fallbackModel}`);
+        }
+    }
+
+    /**
+     * Config a backend inherits from the brain: Ollama keeps the brain's
+     * URL and models; everything else is configured by its own spec or env
+     */
+    backendDefaults(spec) {
+        const type = typeof spec === 'string' ? spec : spec.type;
+        const shared = { timeout: this.timeout, callTool: this.androidCallback };
+        return type === 'ollama'
+            ? { ...shared, baseUrl: this.baseUrl, model: this.model, embeddingModel: this.embeddingModel }
+            : shared;
+    }
+
+    /**
+     * Backends to try, in order: those that can do `capability` and haven't
+     * failed recently (or all of them, if every one has)
+     */
+    candidates(capability = 'chatStream') {
+        const capable = this.backends.filter(backend => typeof backend[capability] === 'function');
+        const now = Date.now();
+        const healthy = capable.filter(backend => {
+            const health = this.health.get(backend.name);
+            return !health || health.healthy || now - health.checkedAt > BRAIN_CONFIG.RETRY_UNHEALTHY_MS;
+        });
+        return healthy.length > 0 ? healthy : capable;
+    }
+
+    markHealthy(backend) {
+        this.health.set(backend.name, { healthy: true, checkedAt: Date.now(), lastError: null });
+        if (this.active !== backend) {
+            console.log(`🧠 Local Brain now using ${backend.describe()}`);
+            this.active = backend;
+        }
     }
 
+    markFailed(backend, error) {
+        this.health.set(backend.name, { healthy: false, checkedAt: Date.now(), lastError: error.message });
+        if (this.backends.length > 1) {
+            console.log(`⚠️ ${backend.name} failed (${error.message}), trying the next backend`);
+        }
+    }
+
+    /**
+     * Health check across backends; the first one up becomes active
+     */
     async isAvailable() {
-        try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 5000);
-            
-            const res = await fetch(`${this.baseUrl}/api/tags`, {
-                signal: controller.signal
-            });
-            clearTimeout(timeoutId);
-            return res.ok;
-        } catch (e) {
-            console.log('⚠️ Ollama not available:', e.message);
-            return false;
+        for (const backend of this.backends) {
+            try {
+                if (await backend.isAvailable()) {
+                    this.markHealthy(backend);
+                    return true;
+                }
+                this.markFailed(backend, new Error('not available'));
+            } catch (e) {
+                console.log(`⚠️ ${backend.name} not available:`, e.message);
+                this.health.set(backend.name, { healthy: false, checkedAt: Date.now(), lastError: e.message });
+            }
         }
+        return false;
     }
 
     async getAvailableModels() {
         try {
-            const res = await fetch(`${this.baseUrl}/api/tags`);
-            if (!res.ok) return [];
-            const data = await res.json();
-            return data.models?.map(m => m.name) || [];
+            return await this.active.listModels();
         } catch (e) {
             return [];
         }
     }
 
+    /**
+     * Backends with their last known health, for status displays
+     */
+    getStatus() {
+        return this.backends.map(backend => ({
+            name: backend.name,
+            type: backend.type,
+            description: backend.describe(),
+            model: backend.model,
+            active: backend === this.active,
+            ...(this.health.get(backend.name) || { healthy: null, checkedAt: null, lastError: null })
+        }));
+    }
+
     async chat(messages, options = {}) {
         try {
             let fullContent = '';
@@ -64,82 +150,104 @@ class LocalBrain {
             // Fallback response
             return {
                 role: 'assistant',
-                content: `I'm having trouble processing that right now. Please ensure Ollama is running with a compatible model (${this.model} or ${this.fallbackModel}).`
+                content: `I'm having trouble processing that right now. Please ensure ${this.active.describe()} is running with a compatible model.`
             };
         }
     }
 
-    // Streaming implementation (Generator) - optimized for TPU
+    // Streaming implementation (Generator) - falls back across backends until one answers
     async *chatStream(messages, options = {}) {
-        const model = this.model;
-        
-        try {
-            console.log(`🌊 Starting streaming inference with ${model}...`);
-            
-            const response = await fetch(`${this.baseUrl}/api/chat`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: model,
-                    messages: messages,
-                    stream: true,
-                    options: {
-                        temperature: options.temperature || 0.7,
-                        top_k: options.topK || 40,
-                        top_p: options.topP || 0.9,
-                        num_predict: options.maxTokens || 1024
-                    }
-                })
-            });
-
-            if (!response.ok) throw new Error(`Ollama API error: ${response.statusText}`);
-
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-            let buffer = '';
-
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                buffer += decoder.decode(value, { stream: true });
-                const lines = buffer.split('\n');
-
-                // Process all complete lines
-                buffer = lines.pop() || '';
-
-                for (const line of lines) {
-                    if (line.trim() === '') continue;
-                    try {
-                        const json = JSON.parse(line);
-                        if (json.message && json.message.content) {
-                            yield json.message.content;
-                        }
-                        if (json.done) {
-                            console.log('✅ Streaming complete');
-                            return;
-                        }
-                    } catch (e) {
-                        // ignore parse errors for incomplete JSON
-                    }
+        const errors = [];
+
+        for (const backend of this.candidates('chatStream')) {
+            let streamed = false;
+            try {
+                console.log(`🌊 Starting streaming inference with ${backend.name} (${backend.model})...`);
+                for await (const chunk of backend.chatStream(messages, options)) {
+                    streamed = true;
+                    yield chunk;
                 }
+                this.markHealthy(backend);
+                console.log('✅ Streaming complete');
+                return;
+            } catch (error) {
+                this.markFailed(backend, error);
+                errors.push(`${backend.name}: ${error.message}`);
+                // Half an answer can't be retried elsewhere
+                if (streamed) break;
             }
+        }
 
-            // Process any remaining data in the buffer
-            if (buffer.trim() !== '') {
-                try {
-                    const json = JSON.parse(buffer);
-                    if (json.message && json.message.content) {
-                        yield json.message.content;
-                    }
-                } catch (e) {
-                    // ignore incomplete JSON at very end
+        console.error('🌊 Stream Error:', errors.join('; '));
+        yield " [Error: Local Brain stream disconnected]";
+    }
+
+    /**
+     * Which backend and model chatWithTools would use next, e.g. "ollama/llama3.1"
+     * @returns {string|null} null if no backend can call tools
+     */
+    toolTarget() {
+        const [backend] = this.candidates('chatWithTools');
+        return backend ? toolTargetOf(backend) : null;
+    }
+
+    /**
+     * Chat with function tools on the first backend that supports them.
+     * Content is streamed to options.onChunk; tool calls are collected from the stream.
+     * Throws an error with code TOOLS_UNSUPPORTED if the model can't call tools;
+     * its `target` says which backend and model (see toolTarget()).
+     * @param {Array<Object>} messages
+     * @param {Array<Object>} tools - Function tools: { type: 'function', function: { name, description, parameters } }
+     * @param {Object} [options]
+     * @returns {Promise<{role: string, content: string, toolCalls: Array<{name: string, arguments: Object}>}>}
+     */
+    async chatWithTools(messages, tools, options = {}) {
+        const candidates = this.candidates('chatWithTools');
+        if (candidates.length === 0) {
+            const error = new Error('No configured backend supports tool calling');
+            error.code = 'TOOLS_UNSUPPORTED';
+            error.target = null;
+            throw error;
+        }
+
+        let lastError;
+        for (const backend of candidates) {
+            try {
+                const reply = await backend.chatWithTools(messages, tools, options);
+                this.markHealthy(backend);
+                return reply;
+            } catch (error) {
+                if (error.code === 'TOOLS_UNSUPPORTED') {
+                    error.target = toolTargetOf(backend);
+                    throw error;
                 }
+                this.markFailed(backend, error);
+                lastError = error;
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Generate an embedding vector on the first backend that can
+     * @param {string} text
+     * @returns {Promise<Array<number>>}
+     */
+    async embed(text) {
+        const candidates = this.candidates('embed');
+        if (candidates.length === 0) {
+            throw new Error('No configured backend supports embeddings');
+        }
+
+        let lastError;
+        for (const backend of candidates) {
+            try {
+                return await backend.embed(text);
+            } catch (error) {
+                lastError = error;
             }
-        } catch (error) {
-            console.error('🌊 Stream Error:', error.message);
-            yield " [Error: Local Brain stream disconnected]";
         }
+        throw lastError;
     }
 
     /**
@@ -153,4 +261,10 @@ class LocalBrain {
     }
 }
 
+function toolTargetOf(backend) {
+    return `${backend.name}/${backend.model}`;
+}
+
+LocalBrain.CONFIG = BRAIN_CONFIG;
+
 module.exports = LocalBrain;
@@ -28,6 +28,25 @@ class LRUCache {
         this.cache.set(key, value);
     }
 
+    delete(key) {
+        return this.cache.delete(key);
+    }
+
+    /**
+     * Entries from least to most recently used, without refreshing them
+     */
+    entries() {
+        return this.cache.entries();
+    }
+
+    values() {
+        return this.cache.values();
+    }
+
+    get size() {
+        return this.cache.size;
+    }
+
     clear() {
         this.cache.clear();
     }
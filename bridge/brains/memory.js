@@ -2,28 +2,294 @@
  * Conversation Memory
  *
  * Stores the recent conversation history to provide context to the LLM.
+ *
+ * History is budgeted in tokens for the active model's context window rather
+ * than by message count. Pinned prompts (system, personality) always stay in
+ * front, the task's first user message survives eviction, and evicted turns
+ * are folded into a rolling summary by the local brain, kept as a synthetic
+ * system message ahead of the recent turns.
+ */
+
+const { getContextLength } = require('../models/model_sets');
+
+const MEMORY_CONFIG = {
+    MAX_MESSAGES: 200,              // Hard cap on kept turns, whatever their size
+    DEFAULT_CONTEXT_LENGTH: 4096,   // Tokens, when the model isn't in model_sets.js
+    RESPONSE_RESERVE_TOKENS: 1024,  // Left free for the model's answer
+    MAX_MESSAGE_SHARE: 0.5,         // One message may use at most this share of the budget
+    SUMMARY_MAX_TOKENS: 256,
+    SUMMARY_INPUT_TOKENS: 2048,     // Transcript sent to the summarizer per pass
+    CHARS_PER_TOKEN: 4,
+    MESSAGE_OVERHEAD_TOKENS: 4,     // Role markers and separators per message
+    SUMMARY_PREFIX: 'Summary of earlier conversation:',
+    TASK_PREFIX: 'Original task:'
+};
+
+/**
+ * Rough token count (~4 characters per token for English with Gemma/Llama tokenizers)
+ * @param {string} text
+ * @returns {number}
  */
+function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(String(text).length / MEMORY_CONFIG.CHARS_PER_TOKEN);
+}
 
 class ConversationMemory {
-    constructor(limit = 20) {
-        this.limit = limit;
+    /**
+     * @param {number|Object} [options] - A message limit (legacy) or options
+     * @param {number} [options.limit] - Max kept turns
+     * @param {string} [options.model] - Model name, for its context length
+     * @param {number} [options.contextLength] - Overrides the model's (default CONTEXT_LENGTH env)
+     * @param {number} [options.reserveTokens] - Tokens kept free for the answer
+     * @param {Object} [options.summarizer] - Anything with quickInfer(prompt, options), e.g. LocalBrain
+     */
+    constructor(options = {}) {
+        if (typeof options === 'number') options = { limit: options };
+
+        this.limit = options.limit || MEMORY_CONFIG.MAX_MESSAGES;
+        this.reserveTokens = options.reserveTokens ?? MEMORY_CONFIG.RESPONSE_RESERVE_TOKENS;
+        this.summarizer = options.summarizer || null;
+        this.contextOverride = options.contextLength || parseInt(process.env.CONTEXT_LENGTH, 10) || null;
         this.history = [];
+        this.pins = new Map(); // key -> { role, content }
+        this.firstTask = null; // The first user message since the last clear
+        this.summary = '';
+        this.evicted = [];     // Turns waiting to be summarized
+        this.summarizing = null;
+        this.generation = 0;   // Bumped by clear() so stale summaries are dropped
+
+        this.setModel(options.model);
+    }
+
+    /**
+     * Re-budget for another model; trims right away if the window shrank
+     */
+    setModel(model) {
+        this.model = model || null;
+        this.contextLength = this.contextOverride
+            || (model ? getContextLength(model) : MEMORY_CONFIG.DEFAULT_CONTEXT_LENGTH);
+        this.trim();
+    }
+
+    /**
+     * Tokens the history may use, leaving room for the answer
+     */
+    budget() {
+        return Math.max(Math.floor(this.contextLength / 2), this.contextLength - this.reserveTokens);
     }
 
     add(role, content) {
-        this.history.push({ role, content });
-        if (this.history.length > this.limit) {
-            this.history.shift(); // Remove oldest
+        const message = { role, content: this.clip(content) };
+        this.history.push(message);
+        if (role === 'user' && !this.firstTask) {
+            this.firstTask = message;
         }
+        this.trim();
+    }
+
+    /**
+     * Keep a prompt at the front of the history until unpinned; pinning the
+     * same key again replaces it
+     */
+    pin(key, content, role = 'system') {
+        this.pins.set(key, { role, content });
+        this.trim();
+    }
+
+    unpin(key) {
+        this.pins.delete(key);
     }
 
     getHistory() {
-        return [...this.history];
+        const messages = [...this.pins.values()].map(pinned => ({ ...pinned }));
+        if (this.firstTask && !this.history.includes(this.firstTask)) {
+            messages.push({ role: 'system', content: `${MEMORY_CONFIG.TASK_PREFIX} ${this.firstTask.content}` });
+        }
+        if (this.summary) {
+            messages.push({ role: 'system', content: `${MEMORY_CONFIG.SUMMARY_PREFIX} ${this.summary}` });
+        }
+        return [...messages, ...this.history.map(message => ({ ...message }))];
+    }
+
+    /**
+     * Tokens of everything getHistory() returns
+     */
+    countTokens() {
+        return this.getHistory().reduce((total, message) => total + this.messageTokens(message), 0);
+    }
+
+    messageTokens(message) {
+        return estimateTokens(message.content) + MEMORY_CONFIG.MESSAGE_OVERHEAD_TOKENS;
+    }
+
+    /**
+     * Shorten one oversized message (a pasted document) to its head and tail
+     */
+    clip(content) {
+        const text = typeof content === 'string' ? content : JSON.stringify(content);
+        const maxTokens = Math.floor(this.budget() * MEMORY_CONFIG.MAX_MESSAGE_SHARE);
+        const tokens = estimateTokens(text);
+        if (tokens <= maxTokens) return text;
+
+        const keepChars = Math.floor(maxTokens * MEMORY_CONFIG.CHARS_PER_TOKEN / 2);
+        return `${text.slice(0, keepChars)}\n[... ${tokens - maxTokens} tokens omitted ...]\n${text.slice(-keepChars)}`;
+    }
+
+    /**
+     * Evict the oldest turns until the history fits, then summarize them in
+     * the background. The newest turn always stays.
+     */
+    trim() {
+        const dropped = this.evictOverflow();
+        if (dropped.length === 0) return;
+
+        this.evicted.push(...dropped);
+        if (!this.summarizing) {
+            this.summarizing = this.summarizeEvicted().finally(() => {
+                this.summarizing = null;
+            });
+        }
     }
 
+    evictOverflow() {
+        const dropped = [];
+        while (this.history.length > 1
+            && (this.history.length > this.limit || this.countTokens() > this.budget())) {
+            dropped.push(this.history.shift());
+        }
+        return dropped;
+    }
+
+    async summarizeEvicted() {
+        while (this.evicted.length > 0) {
+            const generation = this.generation;
+            const turns = this.evicted.splice(0);
+            const summary = await this.summarize(turns);
+            if (generation !== this.generation) continue; // Cleared meanwhile
+
+            this.summary = summary;
+            // A longer summary can push more turns out
+            this.evicted.push(...this.evictOverflow());
+        }
+    }
+
+    /**
+     * Fold turns into the running summary
+     * @param {Array<{role: string, content: string}>} turns
+     * @returns {Promise<string>}
+     */
+    async summarize(turns) {
+        const transcript = this.transcript(turns);
+
+        if (this.summarizer) {
+            const prompt = [
+                'Update the summary of a conversation between a user and an assistant.',
+                'Keep facts, decisions, names, numbers and open tasks. Answer with the summary only, under 150 words.',
+                '',
+                `Current summary: ${this.summary || '(none)'}`,
+                '',
+                'New turns:',
+                transcript
+            ].join('\n');
+            try {
+                const response = await this.summarizer.quickInfer(prompt, { maxTokens: MEMORY_CONFIG.SUMMARY_MAX_TOKENS });
+                const text = (response && response.content || '').trim();
+                if (text && !text.startsWith('[Error:')) return this.fitSummary(text);
+            } catch (e) {
+                console.warn(`⚠️ Memory summary failed: ${e.message}`);
+            }
+        }
+
+        // No brain available: keep the gist of each turn
+        const gist = turns.map(turn => `${turn.role}: ${firstSentence(turn.content)}`).join(' ');
+        return this.fitSummary(this.summary ? `${this.summary} ${gist}` : gist);
+    }
+
+    /**
+     * Role-tagged transcript, clipped to what the summarizer can take in
+     */
+    transcript(turns) {
+        const maxChars = MEMORY_CONFIG.SUMMARY_INPUT_TOKENS * MEMORY_CONFIG.CHARS_PER_TOKEN;
+        const perTurn = Math.max(200, Math.floor(maxChars / turns.length));
+        return turns
+            .map(turn => `${turn.role}: ${turn.content.length > perTurn ? `${turn.content.slice(0, perTurn)}...` : turn.content}`)
+            .join('\n')
+            .slice(-maxChars);
+    }
+
+    fitSummary(text) {
+        const maxChars = MEMORY_CONFIG.SUMMARY_MAX_TOKENS * MEMORY_CONFIG.CHARS_PER_TOKEN;
+        return text.length > maxChars ? `...${text.slice(-maxChars)}` : text;
+    }
+
+    /**
+     * Resolves once pending summarization is done
+     */
+    async settle() {
+        while (this.summarizing) {
+            await this.summarizing;
+        }
+    }
+
+    getStats() {
+        return {
+            model: this.model,
+            contextLength: this.contextLength,
+            budget: this.budget(),
+            tokens: this.countTokens(),
+            messages: this.history.length,
+            pinned: [...this.pins.keys()],
+            summarized: !!this.summary
+        };
+    }
+
+    /**
+     * Conversation state worth persisting (pins belong to whoever set them)
+     */
+    snapshot() {
+        return {
+            history: this.history.map(message => ({ ...message })),
+            firstTask: this.firstTask ? { ...this.firstTask } : null,
+            summary: this.summary
+        };
+    }
+
+    /**
+     * Replace the conversation with a snapshot(), e.g. when resuming a session
+     */
+    restore(state) {
+        this.clear();
+        if (!state) return;
+
+        this.history = (state.history || []).map(message => ({ ...message }));
+        this.summary = state.summary || '';
+        if (state.firstTask) {
+            // Keep identity with the history entry so getHistory() doesn't repeat it
+            this.firstTask = this.history.find(m => m.role === state.firstTask.role && m.content === state.firstTask.content)
+                || { ...state.firstTask };
+        }
+        this.trim();
+    }
+
+    /**
+     * Forget the conversation; pinned prompts stay
+     */
     clear() {
         this.history = [];
+        this.firstTask = null;
+        this.summary = '';
+        this.evicted = [];
+        this.generation++;
     }
 }
 
+function firstSentence(text) {
+    const sentence = String(text).split(/(?<=[.!?])\s/)[0];
+    return sentence.length > 120 ? `${sentence.slice(0, 117)}...` : sentence;
+}
+
+ConversationMemory.CONFIG = MEMORY_CONFIG;
+
 module.exports = ConversationMemory;
+module.exports.estimateTokens = estimateTokens;
@@ -0,0 +1,298 @@
+/**
+ * Semantic Route Cache
+ *
+ * Remembers routing decisions by what a task means rather than its exact
+ * text, so "text mom hi" reuses the decision made for "text mom hello".
+ *
+ * - Decisions: recent tasks with their embedding and the tool chosen. A new
+ *   task within SIMILARITY_THRESHOLD of one of them gets the same tool.
+ * - Examples: tasks the user filed under a tool with /route. They are saved,
+ *   shown to the LLM as few-shot examples, and averaged into one centroid per
+ *   tool so clear-cut tasks are classified without an inference.
+ *
+ * Without an embedder (or when embedding fails) only exact repeats hit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const LRUCache = require('./lru_cache');
+const { cosineSimilarity } = require('../memory_format/embeddings');
+
+// Configuration
+const ROUTE_CACHE_CONFIG = {
+    CACHE_SIZE: 200,                // Recent decisions kept
+    SIMILARITY_THRESHOLD: 0.92,     // Reuse a cached decision at or above this
+    CENTROID_THRESHOLD: 0.8,        // Nearest centroid must be at least this similar
+    CENTROID_MARGIN: 0.05,          // ...and this much closer than the runner-up
+    MIN_EXAMPLES_FOR_CENTROID: 2,   // A tool needs this many examples to get a centroid
+    MAX_EXAMPLES_PER_TOOL: 25,      // Oldest examples are dropped beyond this
+    FEW_SHOT_EXAMPLES: 6            // Examples shown to the LLM per request
+};
+
+function normalizeTask(task) {
+    return (task || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+class SemanticRouteCache {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.embedder] - Anything with async embed(text), e.g. BrainEmbedder
+     * @param {string} [options.storagePath] - JSON file holding the examples
+     * @param {Object} [options.config] - Overrides for ROUTE_CACHE_CONFIG
+     */
+    constructor(options = {}) {
+        this.embedder = options.embedder || null;
+        this.storagePath = options.storagePath || null;
+        this.config = { ...ROUTE_CACHE_CONFIG, ...options.config };
+        this.decisions = new LRUCache(this.config.CACHE_SIZE); // normalized task -> { task, embedding, decision }
+        this.examples = [];                                    // { task, tool, embedding, addedAt }
+        this.centroids = new Map();                            // tool -> vector
+        this.stats = { exact: 0, semantic: 0, centroid: 0, misses: 0 };
+        this.embedWarned = false;
+    }
+
+    /**
+     * Embed a task, or null if there is no embedder or it failed
+     */
+    async embed(task) {
+        if (!this.embedder) return null;
+        try {
+            return await this.embedder.embed(task);
+        } catch (e) {
+            if (!this.embedWarned) {
+                console.warn(`⚠️ Router embeddings unavailable, caching exact tasks only: ${e.message}`);
+                this.embedWarned = true;
+            }
+            return null;
+        }
+    }
+
+    /**
+     * A cached decision for this task or one that means the same
+     * @param {string} task
+     * @param {Array<number>|null} embedding
+     * @param {Function} [isAvailable] - (tool) => boolean; unavailable tools don't hit
+     * @returns {{task: string, decision: Object, similarity: number, exact: boolean}|null}
+     */
+    lookup(task, embedding, isAvailable = () => true) {
+        const exact = this.decisions.get(normalizeTask(task));
+        if (exact && isAvailable(exact.decision.tool)) {
+            this.stats.exact++;
+            return { task: exact.task, decision: exact.decision, similarity: 1, exact: true };
+        }
+
+        if (embedding) {
+            let best = null;
+            for (const entry of this.decisions.values()) {
+                if (!entry.embedding || !isAvailable(entry.decision.tool)) continue;
+                const similarity = cosineSimilarity(embedding, entry.embedding);
+                if (similarity >= this.config.SIMILARITY_THRESHOLD && (!best || similarity > best.similarity)) {
+                    best = { task: entry.task, decision: entry.decision, similarity, exact: false };
+                }
+            }
+            if (best) {
+                this.stats.semantic++;
+                return best;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Cache a decision made for a task
+     */
+    remember(task, embedding, decision) {
+        this.decisions.set(normalizeTask(task), { task, embedding, decision });
+    }
+
+    /**
+     * Classify by the nearest tool centroid when it is clearly the nearest
+     * @returns {{tool: string, similarity: number}|null}
+     */
+    classify(embedding, isAvailable = () => true) {
+        if (!embedding) return null;
+
+        const scored = [];
+        for (const [tool, centroid] of this.centroids) {
+            if (!isAvailable(tool)) continue;
+            scored.push({ tool, similarity: cosineSimilarity(embedding, centroid) });
+        }
+        scored.sort((a, b) => b.similarity - a.similarity);
+
+        const [best, runnerUp] = scored;
+        if (!best || best.similarity < this.config.CENTROID_THRESHOLD) return null;
+        if (runnerUp && best.similarity - runnerUp.similarity < this.config.CENTROID_MARGIN) return null;
+
+        this.stats.centroid++;
+        return best;
+    }
+
+    /**
+     * Examples most like the task, for the LLM prompt (newest first without an embedding)
+     */
+    nearestExamples(embedding, limit = this.config.FEW_SHOT_EXAMPLES) {
+        if (!embedding) {
+            return this.examples.slice(-limit).reverse();
+        }
+        return this.examples
+            .filter(example => example.embedding)
+            .map(example => ({ example, similarity: cosineSimilarity(embedding, example.embedding) }))
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit)
+            .map(({ example }) => example);
+    }
+
+    /**
+     * File a task under a tool. Replaces an earlier example for the same
+     * task, and cached decisions that disagree with it; similar tasks then
+     * hit the corrected decision.
+     * @param {string} task
+     * @param {string} tool
+     * @param {Array<number>} [embedding] - Reused if the task was just embedded
+     * @returns {Promise<Object>} The example
+     */
+    async addExample(task, tool, embedding = null) {
+        const key = normalizeTask(task);
+        const vector = embedding || await this.embed(task);
+
+        this.examples = this.examples.filter(example => normalizeTask(example.task) !== key);
+        const example = { task: task.trim(), tool, embedding: vector, addedAt: Date.now() };
+        this.examples.push(example);
+
+        const forTool = this.examples.filter(e => e.tool === tool);
+        if (forTool.length > this.config.MAX_EXAMPLES_PER_TOOL) {
+            const dropped = new Set(forTool.slice(0, forTool.length - this.config.MAX_EXAMPLES_PER_TOOL));
+            this.examples = this.examples.filter(e => !dropped.has(e));
+        }
+
+        this.forgetDecisionsNear(key, vector, tool);
+        this.remember(example.task, vector, { tool, confidence: 1 });
+        this.rebuildCentroids();
+        this.save();
+        return example;
+    }
+
+    /**
+     * Drop cached decisions a correction contradicts
+     */
+    forgetDecisionsNear(key, embedding, tool) {
+        for (const [cachedKey, entry] of Array.from(this.decisions.entries())) {
+            if (entry.decision.tool === tool) continue;
+            const near = cachedKey === key || (embedding && entry.embedding &&
+                cosineSimilarity(embedding, entry.embedding) >= this.config.SIMILARITY_THRESHOLD);
+            if (near) this.decisions.delete(cachedKey);
+        }
+    }
+
+    /**
+     * Remove examples, all of them or one tool's
+     * @returns {number} Examples removed
+     */
+    removeExamples(tool = null) {
+        const before = this.examples.length;
+        this.examples = tool ? this.examples.filter(e => e.tool !== tool) : [];
+        this.rebuildCentroids();
+        this.save();
+        return before - this.examples.length;
+    }
+
+    rebuildCentroids() {
+        const byTool = new Map();
+        for (const example of this.examples) {
+            if (!example.embedding) continue;
+            if (!byTool.has(example.tool)) byTool.set(example.tool, []);
+            byTool.get(example.tool).push(example.embedding);
+        }
+
+        this.centroids.clear();
+        for (const [tool, vectors] of byTool) {
+            if (vectors.length < this.config.MIN_EXAMPLES_FOR_CENTROID) continue;
+            const dimensions = vectors[0].length;
+            const same = vectors.filter(v => v.length === dimensions);
+            const centroid = new Array(dimensions).fill(0);
+            for (const vector of same) {
+                for (let i = 0; i < dimensions; i++) centroid[i] += vector[i] / same.length;
+            }
+            this.centroids.set(tool, centroid);
+        }
+    }
+
+    /**
+     * Embed examples loaded without a vector, e.g. saved by another embedder
+     */
+    async embedMissing() {
+        const missing = this.examples.filter(example => !example.embedding);
+        if (missing.length === 0 || !this.embedder) return;
+
+        for (const example of missing) {
+            example.embedding = await this.embed(example.task);
+            if (!example.embedding) return; // Embedder is down; try again next time
+        }
+        this.rebuildCentroids();
+        this.save();
+    }
+
+    /**
+     * Examples grouped by tool
+     * @returns {Object<string, Array<string>>}
+     */
+    getExamples() {
+        const grouped = {};
+        for (const example of this.examples) {
+            (grouped[example.tool] = grouped[example.tool] || []).push(example.task);
+        }
+        return grouped;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            cached: this.decisions.size,
+            examples: this.examples.length,
+            centroids: Array.from(this.centroids.keys()),
+            embedder: this.embedder ? this.embedder.name || 'custom' : null
+        };
+    }
+
+    clear() {
+        this.decisions.clear();
+    }
+
+    save() {
+        if (!this.storagePath) return;
+
+        try {
+            const dir = path.dirname(this.storagePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            fs.writeFileSync(this.storagePath, JSON.stringify({
+                embedder: this.embedder ? this.embedder.name || null : null,
+                examples: this.examples
+            }, null, 2));
+        } catch (e) {
+            console.error('Failed to save routing examples:', e);
+        }
+    }
+
+    load() {
+        if (!this.storagePath || !fs.existsSync(this.storagePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+            // Vectors from another embedder live in another space
+            const sameSpace = !!this.embedder && data.embedder === (this.embedder.name || null);
+            this.examples = (data.examples || [])
+                .filter(example => example.task && example.tool)
+                .map(example => ({ ...example, embedding: sameSpace ? example.embedding || null : null }));
+            this.rebuildCentroids();
+        } catch (e) {
+            console.error('Failed to load routing examples:', e);
+        }
+    }
+}
+
+SemanticRouteCache.CONFIG = ROUTE_CACHE_CONFIG;
+
+module.exports = { SemanticRouteCache, ROUTE_CACHE_CONFIG, normalizeTask };
@@ -9,10 +9,12 @@
  * - Task-to-model routing via ModelSets
  * - OpenClaw distributed inference support
  * - Keyword fallback for reliability
- * - Decision caching for performance
+ * - Semantic decision cache and per-tool centroids before the LLM
+ * - Few-shot examples the user corrects with /route
  */
 
-const LRUCache = require('./lru_cache');
+const { SemanticRouteCache } = require('./route_cache');
+const { BrainEmbedder } = require('../memory_format/embeddings');
 const { 
     TaskType, 
     getModelForTask, 
@@ -20,11 +22,26 @@ const {
     DeviceTier 
 } = require('../models/model_sets');
 
+// Tools the router can pick, besides MCP servers registered later
+const ROUTABLE_TOOLS = ['jules', 'stitch', 'context7', 'android', 'collective', 'local'];
+
 class MultiBrain {
+    /**
+     * @param {Object} localBrain
+     * @param {Object} [options]
+     * @param {Object} [options.embedder] - Embeds tasks for the semantic cache (default: the local brain)
+     * @param {string} [options.examplesPath] - JSON file for /route examples
+     * @param {Object} [options.cacheConfig] - Overrides for ROUTE_CACHE_CONFIG
+     */
     constructor(localBrain, options = {}) {
         this.localBrain = localBrain;
         this.brains = {}; // Registry of available brains/servers (just names or config)
-        this.cache = new LRUCache(50); // Cache up to 50 recent routing decisions
+        this.cache = new SemanticRouteCache({
+            embedder: options.embedder || (localBrain && typeof localBrain.embed === 'function' ? new BrainEmbedder(localBrain) : null),
+            storagePath: options.examplesPath,
+            config: options.cacheConfig
+        });
+        this.lastRoute = null; // { task, embedding, toolName, reason } for /route corrections
         
         // Model set integration
         this.deviceTier = options.deviceTier || DeviceTier.MEDIUM;
@@ -40,6 +57,15 @@ class MultiBrain {
         this.brains[name] = brainData || true;
         console.log(`🧠 Registered brain: ${name}`);
     }
+
+    /**
+     * Remove a brain, e.g. an MCP server taken out of mcp.json
+     */
+    unregister(name) {
+        if (!this.brains[name]) return;
+        delete this.brains[name];
+        console.log(`🧠 Unregistered brain: ${name}`);
+    }
     
     /**
      * Set the active model set
@@ -123,25 +149,71 @@ class MultiBrain {
         return false;
     }
 
+    /**
+     * Whether a tool can be routed to right now
+     */
+    isAvailable(toolName) {
+        return toolName === 'local' || !!this.brains[toolName];
+    }
+
+    /**
+     * Full routing decision for a tool
+     */
+    buildDecision(toolName, { confidence, reason, complexity = 'medium' }) {
+        const model = this.getOptimalModel(toolName);
+        return {
+            toolName,
+            confidence,
+            reason,
+            complexity,
+            optimalModel: model?.name,
+            modelConfig: model,
+            useDistributed: this.shouldUseDistributed(toolName, complexity)
+        };
+    }
+
     async route(task, contextHistory = []) {
+        const decision = await this.decide(task);
+        this.lastRoute.toolName = decision.toolName;
+        this.lastRoute.reason = decision.reason;
+        return decision;
+    }
+
+    async decide(task) {
         console.log('🤔 Router: Analyzing intent...');
 
-        // Check cache first
-        const cached = this.cache.get(task);
+        // One embedding per task serves the cache, the centroids and the examples
+        await this.cache.embedMissing();
+        const embedding = await this.cache.embed(task);
+        this.lastRoute = { task, embedding };
+        const isAvailable = tool => this.isAvailable(tool);
+
+        // Check cache first: the same task, or one that means the same
+        const cached = this.cache.lookup(task, embedding, isAvailable);
         if (cached) {
-            console.log(`🧠 Router Decision (Cached): ${JSON.stringify(cached)}`);
-            if (cached.tool === 'local' || this.brains[cached.tool]) {
-                const model = this.getOptimalModel(cached.tool);
-                return {
-                    toolName: cached.tool,
-                    confidence: cached.confidence,
-                    reason: 'LLM Classification (Cached)',
-                    optimalModel: model?.name,
-                    useDistributed: this.shouldUseDistributed(cached.tool)
-                };
-            }
+            console.log(`🧠 Router Decision (Cached): ${JSON.stringify(cached.decision)}`);
+            return this.buildDecision(cached.decision.tool, {
+                confidence: cached.decision.confidence,
+                complexity: cached.decision.complexity,
+                reason: cached.exact
+                    ? 'LLM Classification (Cached)'
+                    : `Similar to "${cached.task}" (${cached.similarity.toFixed(2)})`
+            });
         }
-        
+
+        // Fast path: clearly closest to one tool's examples
+        const nearest = this.cache.classify(embedding, isAvailable);
+        if (nearest) {
+            const decision = { tool: nearest.tool, confidence: nearest.similarity };
+            this.cache.remember(task, embedding, decision);
+            return this.buildDecision(nearest.tool, {
+                confidence: nearest.similarity,
+                reason: `Example centroid (${nearest.similarity.toFixed(2)})`
+            });
+        }
+
+        this.cache.stats.misses++;
+
         // 1. Try Local LLM Classification
         if (this.localBrain) {
             try {
@@ -157,7 +229,7 @@ Available Tools:
 - collective: Distributed inference across multiple devices (use for complex or compute-heavy tasks when collective pool is available).
 - local: General chat, reasoning, simple questions, or if no other tool fits.
 
-Current Model Set: ${this.currentModelSet?.name || 'Default'}
+${this.formatExamples(embedding)}Current Model Set: ${this.currentModelSet?.name || 'Default'}
 OpenClaw Available: ${this.openClawEnabled ? 'Yes' : 'No'}
 
 User Request: "${task}"
@@ -178,26 +250,15 @@ Return ONLY a JSON object with this format:
                         // Check if the decided tool is actually available (registered)
                         // 'local' is always available if localBrain is there.
                         if (decision.confidence > 0.6) {
-                            this.cache.set(task, decision);
+                            this.cache.remember(task, embedding, decision);
 
-                            if (decision.tool === 'local' || this.brains[decision.tool]) {
-                                const model = this.getOptimalModel(decision.tool);
+                            if (this.isAvailable(decision.tool)) {
                                 // Default complexity to 'medium' if LLM doesn't provide it
-                                const complexity = decision.complexity || 'medium';
-                                const useDistributed = this.shouldUseDistributed(
-                                    decision.tool, 
-                                    complexity
-                                );
-                                
-                                return {
-                                    toolName: decision.tool,
+                                return this.buildDecision(decision.tool, {
                                     confidence: decision.confidence,
                                     reason: 'LLM Classification',
-                                    complexity: complexity,
-                                    optimalModel: model?.name,
-                                    modelConfig: model,
-                                    useDistributed
-                                };
+                                    complexity: decision.complexity || 'medium'
+                                });
                             }
                         }
                     }
@@ -229,18 +290,50 @@ Return ONLY a JSON object with this format:
             }
         }
         
-        const model = this.getOptimalModel(toolName);
-        const useDistributed = this.shouldUseDistributed(toolName, complexity);
-
-        return {
-            toolName: toolName,
+        return this.buildDecision(toolName, {
             confidence: 1.0,
             reason: 'keyword/fallback',
-            complexity,
-            optimalModel: model?.name,
-            modelConfig: model,
-            useDistributed
-        };
+            complexity
+        });
+    }
+
+    /**
+     * Few-shot block for the routing prompt from the user's /route examples
+     */
+    formatExamples(embedding) {
+        const examples = this.cache.nearestExamples(embedding);
+        if (examples.length === 0) return '';
+        const lines = examples.map(example => `"${example.task}" -> ${example.tool}`);
+        return `Examples the user has corrected:\n${lines.join('\n')}\n\n`;
+    }
+
+    /**
+     * File a task under the right tool (/route). Defaults to the last routed task.
+     * @param {string} toolName
+     * @param {string} [task]
+     * @returns {Promise<{task: string, tool: string, previous: string|null}>}
+     */
+    async correct(toolName, task = null) {
+        const known = [...ROUTABLE_TOOLS, ...Object.keys(this.brains)];
+        if (!known.includes(toolName)) {
+            throw new Error(`Unknown tool "${toolName}". Choose one of: ${Array.from(new Set(known)).join(', ')}`);
+        }
+
+        const last = this.lastRoute;
+        const target = task || last?.task;
+        if (!target) {
+            throw new Error('Nothing has been routed yet. Give the task too: /route <tool> <task>');
+        }
+
+        // Reuse the embedding if it's the task just routed
+        const embedding = !task && last ? last.embedding : null;
+        const example = await this.cache.addExample(target, toolName, embedding);
+        console.log(`🎯 Router learned: "${example.task}" -> ${toolName}`);
+        return { task: example.task, tool: toolName, previous: !task && last ? last.toolName || null : null };
+    }
+
+    load() {
+        this.cache.load();
     }
     
     /**
@@ -252,7 +345,9 @@ Return ONLY a JSON object with this format:
             deviceTier: this.deviceTier,
             modelSet: this.currentModelSet?.name,
             openClawEnabled: this.openClawEnabled,
-            cacheSize: this.cache.size || 0
+            cacheSize: this.cache.decisions.size,
+            routeCache: this.cache.getStats(),
+            lastRoute: this.lastRoute ? { task: this.lastRoute.task, toolName: this.lastRoute.toolName, reason: this.lastRoute.reason } : null
         };
     }
 }
@@ -0,0 +1,985 @@
+/**
+ * Command Action Dispatcher
+ *
+ * Runs the actions returned by CommandProcessor (e.g. start_openpool,
+ * discover_hosts, report_threat). Handlers are registered by name and
+ * their results are reported back to the UI as COMMAND_RESULT events.
+ *
+ * OpenClaw, device hosting, global discovery, ethics, extension security
+ * and Humanity Guardian services are only created when first needed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const { OpenPool, OpenTaskType } = require('../openclaw/pool');
+const { ClawBotClient, ClawBotTarget } = require('../openclaw/clawbot');
+const { EthicsReviewBoard, ReviewDecision } = require('../openclaw/ethics');
+const { ExtensionReviewBoard, ExtensionStatus } = require('../openclaw/extension_security');
+const {
+    HumanityGuardianCouncil,
+    ThreatType,
+    ProtectiveAction,
+    GuardianPrinciples
+} = require('../openclaw/humanity_guardian');
+const { UniversalHost } = require('../devices/host');
+const { DeviceDiscovery } = require('../devices/discovery');
+const { GlobalDiscoveryClient, GlobalDirectoryServer } = require('../devices/global_discovery');
+const { PowerMode, DeviceProfiles } = require('../devices/profiles');
+
+// Short threat names accepted by /reportthreat
+const THREAT_ALIASES = {
+    malware: ThreatType.MALWARE_DISTRIBUTION,
+    phishing: ThreatType.PHISHING_CAMPAIGN,
+    ransomware: ThreatType.RANSOMWARE_OPERATION,
+    fraud: ThreatType.FINANCIAL_FRAUD,
+    harassment: ThreatType.HARASSMENT_NETWORK,
+    exploitation: ThreatType.CHILD_EXPLOITATION
+};
+
+// Short task names accepted by /submittask
+const TASK_ALIASES = {
+    training: OpenTaskType.TRAINING_BATCH,
+    gradient: OpenTaskType.GRADIENT_COMPUTE
+};
+
+class ActionDispatcher {
+    constructor(context = {}) {
+        // send(type, payload) delivers events to the UI
+        this.send = context.send || (() => {});
+        this.events = context.events || { COMMAND_RESULT: 'COMMAND_RESULT', LOG: 'LOG' };
+        this.localBrain = context.localBrain || null;
+        this.deviceName = context.deviceName || 'Amphibian Device';
+        this.userId = context.userId || 'local_user';
+
+        // Configuration
+        this.config = {
+            discoveryWaitMs: context.discoveryWaitMs ?? 3000,
+            downloadTimeout: context.downloadTimeout || 15000
+        };
+
+        // Action handlers
+        this.actions = new Map();
+
+        // Networked services (created by their start actions)
+        this.pool = null;
+        this.poolBot = null;
+        this.deviceHost = null;
+        this.hostBot = null;
+        this.discovery = null;
+        this.globalClient = null;
+        this.directoryServer = null;
+
+        // Review boards (created on first use)
+        this.ethicsBoard = null;
+        this.extensionBoard = null;
+        this.guardian = null;
+
+        // Device settings applied to the next /hostdevice
+        this.deviceType = null;
+        this.powerMode = null;
+
+        this.registerServiceActions();
+    }
+
+    /**
+     * Register an action handler.
+     * Handlers receive the action data and may return a message string.
+     */
+    register(action, handler) {
+        this.actions.set(action, handler);
+    }
+
+    /**
+     * Check if an action has a handler
+     */
+    has(action) {
+        return this.actions.has(action);
+    }
+
+    /**
+     * Run an action and report its result
+     */
+    async dispatch(action, data = {}) {
+        const handler = this.actions.get(action);
+        if (!handler) {
+            throw new Error(`Unknown command action: ${action}`);
+        }
+
+        const message = await handler(data || {});
+        if (message) {
+            this.send(this.events.COMMAND_RESULT, { message, action });
+        }
+        return message;
+    }
+
+    /**
+     * Send a progress line to the UI
+     */
+    log(text, type = 'info') {
+        this.send(this.events.LOG, { text, type });
+    }
+
+    // ============================================
+    // LAZY SERVICES
+    // ============================================
+
+    getEthicsBoard() {
+        if (!this.ethicsBoard) {
+            this.ethicsBoard = new EthicsReviewBoard();
+        }
+        return this.ethicsBoard;
+    }
+
+    getExtensionBoard() {
+        if (!this.extensionBoard) {
+            this.extensionBoard = new ExtensionReviewBoard();
+        }
+        return this.extensionBoard;
+    }
+
+    getGuardian() {
+        if (!this.guardian) {
+            this.guardian = new HumanityGuardianCouncil();
+            this.guardian.on('human_approval_required', ({ approvalId, action }) => {
+                this.log(`⏳ ${action} needs your approval: /approveaction ${approvalId}`, 'warning');
+            });
+        }
+        return this.guardian;
+    }
+
+    requirePool() {
+        if (!this.pool) {
+            throw new Error('No OpenClaw pool is running. Start one with /openpool');
+        }
+        return this.pool;
+    }
+
+    requireGlobalClient() {
+        if (!this.globalClient) {
+            throw new Error('Not connected to a global directory. Use /global first');
+        }
+        return this.globalClient;
+    }
+
+    /**
+     * Register handlers for OpenClaw, device and guardian actions
+     */
+    registerServiceActions() {
+        // ============================================
+        // OPENCLAW OPEN POOL
+        // ============================================
+
+        this.register('start_openpool', async ({ port, poolName }) => {
+            if (this.pool) {
+                throw new Error(`OpenClaw pool "${this.pool.poolName}" is already running`);
+            }
+
+            const pool = new OpenPool({ port, poolName });
+            try {
+                const info = await pool.start();
+                this.pool = pool;
+
+                pool.on('bot_joined', (bot) => this.log(`🤖 ${bot.name} joined the pool`));
+                pool.on('bot_left', (bot) => this.log(`👋 ${bot.name} left the pool`));
+
+                const address = info.localIPs[0] || 'localhost';
+                return `✅ OpenClaw pool **${info.poolName}** is open\n` +
+                       `🔗 ClawBots can join with: /joinopen ${address}:${info.port}`;
+            } catch (e) {
+                await pool.stop();
+                throw new Error(`Failed to start pool: ${e.message}`);
+            }
+        });
+
+        this.register('join_openpool', async ({ host, port, botName }) => {
+            if (this.poolBot) {
+                throw new Error('Already joined an OpenClaw pool. Use /leaveopen first');
+            }
+
+            const bot = new ClawBotClient({
+                target: ClawBotTarget.POOL,
+                name: botName || `${this.deviceName} ClawBot`
+            });
+            const reg = await bot.connect(host, port || 8767);
+
+            bot.on('new_task', (task) => this.log(`📋 New ${task.type} task available: ${task.id}`));
+            bot.on('disconnected', () => {
+                this.poolBot = null;
+                this.log('🔌 Disconnected from OpenClaw pool', 'warning');
+            });
+            this.poolBot = bot;
+
+            return `✅ Joined **${reg.remoteName}** as ${reg.name}\n🆔 Bot ID: ${reg.botId}`;
+        });
+
+        this.register('leave_openpool', async () => {
+            const left = [];
+
+            if (this.poolBot) {
+                this.poolBot.disconnect();
+                this.poolBot = null;
+                left.push('Left the OpenClaw pool.');
+            }
+            if (this.pool) {
+                await this.pool.stop();
+                this.pool = null;
+                left.push('Stopped the local OpenClaw pool.');
+            }
+
+            return left.length > 0 ? `👋 ${left.join(' ')}` : 'Not connected to an OpenClaw pool.';
+        });
+
+        this.register('openpool_status', async () => {
+            if (!this.pool && !this.poolBot) {
+                return '🌐 OpenClaw: not hosting or connected. Use /openpool or /joinopen';
+            }
+
+            const lines = ['**OpenClaw Status:**'];
+
+            if (this.pool) {
+                const status = this.pool.getStatus();
+                lines.push(`🏊 Hosting: ${status.poolName}`);
+                lines.push(`🤖 Bots: ${status.registry.onlineBots} online / ${status.registry.totalBots} registered`);
+                lines.push(`📋 Tasks: ${status.tasks.available} available, ${status.tasks.active} active, ${status.tasks.completed} completed`);
+                if (status.openTraining) {
+                    lines.push(`🎓 Training: ${status.openTraining.id} (step ${status.openTraining.currentStep}, ${status.openTraining.participants} participants)`);
+                }
+            }
+
+            if (this.poolBot) {
+                const status = this.poolBot.getStatus();
+                lines.push(`🔗 Joined: ${status.remote.name} as ${status.name} (${status.botId})`);
+                lines.push(`🎯 Claimed tasks: ${status.claimedTasks}`);
+            }
+
+            return lines.join('\n');
+        });
+
+        this.register('start_open_training', async ({ modelName }) => {
+            const pool = this.requirePool();
+            const trainingId = await pool.startOpenTraining({
+                modelName,
+                startedBy: this.userId
+            });
+            return `🎓 Open training started for **${modelName}**\n🆔 ${trainingId}`;
+        });
+
+        this.register('submit_open_task', async ({ taskType, payload }) => {
+            const type = TASK_ALIASES[taskType] || taskType;
+            if (!Object.values(OpenTaskType).includes(type)) {
+                throw new Error(`Unknown task type: ${taskType}. Types: ${Object.values(OpenTaskType).join(', ')}`);
+            }
+            if (!this.pool && !this.poolBot) {
+                throw new Error('Not hosting or connected to an OpenClaw pool');
+            }
+
+            // Every task goes through the ethics board before it reaches the pool
+            const review = await this.getEthicsBoard().reviewTask({ id: 'pending', type, payload }, this.userId);
+            if (review.decision !== ReviewDecision.APPROVED) {
+                return `Task not submitted.\n${this.formatEthicsReview(review)}`;
+            }
+
+            const taskId = this.pool
+                ? await this.pool.submitTask(type, payload)
+                : await this.poolBot.submitTask(type, payload);
+
+            return `📤 Task submitted: ${taskId}`;
+        });
+
+        this.register('show_leaderboard', async () => {
+            const board = this.requirePool().registry.getLeaderboard(10);
+            if (board.length === 0) {
+                return '🏆 No contributions yet.';
+            }
+
+            const lines = ['**🏆 OpenClaw Leaderboard:**'];
+            board.forEach((bot, i) => {
+                lines.push(`${i + 1}. **${bot.name}** - ${bot.tasksCompleted} tasks, reputation ${bot.reputation.toFixed(2)}`);
+            });
+            return lines.join('\n');
+        });
+
+        this.register('claim_task', async () => {
+            const bot = this.poolBot || this.hostBot;
+            if (!bot) {
+                throw new Error('Join a pool (/joinopen) or host (/connecthost) before claiming tasks');
+            }
+
+            const task = await bot.claimTask();
+            if (!task) {
+                return '📭 No tasks available right now.';
+            }
+            return `🎯 Claimed ${task.type} task: ${task.id}`;
+        });
+
+        // ============================================
+        // UNIVERSAL DEVICE HOST
+        // ============================================
+
+        this.register('start_device_host', async ({ port, deviceType }) => {
+            if (this.deviceHost) {
+                throw new Error('Device host is already running. Use /stophost first');
+            }
+
+            const type = deviceType && deviceType !== 'auto' ? deviceType : this.deviceType;
+            if (type && !DeviceProfiles[type]) {
+                throw new Error(`Unknown device type: ${type}. See /devicetypes`);
+            }
+
+            const host = new UniversalHost({
+                port,
+                hostName: this.deviceName,
+                deviceType: type || undefined,
+                powerMode: this.powerMode || undefined,
+                localBrain: this.localBrain
+            });
+
+            try {
+                const info = await host.start();
+                this.deviceHost = host;
+
+                host.on('bot_registered', (bot) => this.log(`🤖 ClawBot connected: ${bot.name}`));
+
+                if (this.discovery) {
+                    this.discovery.localHost = this.getLocalHostInfo();
+                    this.discovery.announce();
+                }
+
+                const address = info.localIPs[0] || 'localhost';
+                return `✅ Universal Host running as **${info.profile.name}**\n` +
+                       `⚡ Power mode: ${host.powerMode}\n` +
+                       `🔗 Connect with: /connecthost ${address}:${info.port}`;
+            } catch (e) {
+                await host.stop();
+                throw new Error(`Failed to start host: ${e.message}`);
+            }
+        });
+
+        this.register('stop_device_host', async () => {
+            if (!this.deviceHost) {
+                return 'No device host is running.';
+            }
+
+            await this.deviceHost.stop();
+            this.deviceHost = null;
+
+            if (this.discovery) {
+                this.discovery.localHost = null;
+            }
+
+            return '🛑 Device host stopped.';
+        });
+
+        this.register('device_host_status', async () => {
+            if (!this.deviceHost) {
+                return '🏠 Device host is not running. Start it with /hostdevice';
+            }
+
+            const status = this.deviceHost.getStatus();
+            const lines = [
+                '**Universal Host Status:**',
+                `🏠 ${status.hostName} (${status.deviceType})`,
+                `📊 Status: ${status.status} | ⚡ ${status.powerMode} | 🔋 ${status.batteryLevel}%`,
+                `🤖 Bots: ${status.connectedBots}`,
+                `📋 Tasks: ${status.pendingTasks} pending, ${status.activeTasks} active, ${status.completedTasks} completed`
+            ];
+
+            for (const bot of this.deviceHost.getConnectedBots()) {
+                lines.push(`  - ${bot.name} (${bot.capability}) - ${bot.tasksCompleted} tasks`);
+            }
+
+            return lines.join('\n');
+        });
+
+        this.register('discover_hosts', async () => {
+            if (!this.discovery) {
+                const discovery = new DeviceDiscovery();
+                await discovery.start(this.deviceHost ? this.getLocalHostInfo() : null);
+                this.discovery = discovery;
+            } else {
+                this.discovery.sendQuery();
+            }
+
+            // Give hosts on the network a moment to answer
+            await new Promise(resolve => setTimeout(resolve, this.config.discoveryWaitMs));
+
+            const hosts = this.discovery.getHosts();
+            if (hosts.length === 0) {
+                return '🔍 No hosts found on the local network.';
+            }
+
+            const lines = [`**Found ${hosts.length} host(s):**`];
+            for (const h of hosts) {
+                lines.push(`🏠 **${h.name}** (${h.deviceType}) - /connecthost ${h.address}:${h.port}`);
+            }
+            return lines.join('\n');
+        });
+
+        this.register('connect_to_host', async ({ host, port, botName }) => {
+            if (this.hostBot) {
+                this.hostBot.disconnect();
+                this.hostBot = null;
+            }
+
+            const bot = new ClawBotClient({
+                target: ClawBotTarget.HOST,
+                name: botName || `${this.deviceName} ClawBot`
+            });
+            const reg = await bot.connect(host, port || 8768);
+
+            bot.on('disconnected', () => {
+                this.hostBot = null;
+                this.log(`🔌 Disconnected from host ${reg.remoteName}`, 'warning');
+            });
+            this.hostBot = bot;
+
+            return `✅ Connected to host **${reg.remoteName}** as ${reg.name}`;
+        });
+
+        this.register('show_device_types', async () => {
+            const current = this.deviceHost ? this.deviceHost.deviceType : (this.deviceType || 'auto');
+            return `📱 Current device type: **${current}**\n` +
+                   `Use /devicetype <type> to change it, /devicetypes to list all types.`;
+        });
+
+        this.register('list_device_types', async () => {
+            const lines = ['**Supported Device Types:**'];
+            for (const [type, profile] of Object.entries(DeviceProfiles)) {
+                lines.push(`- \`${type}\` - ${profile.name}`);
+            }
+            return lines.join('\n');
+        });
+
+        this.register('set_device_type', async ({ deviceType }) => {
+            if (!DeviceProfiles[deviceType]) {
+                throw new Error(`Unknown device type: ${deviceType}. See /devicetypes`);
+            }
+
+            this.deviceType = deviceType;
+
+            if (this.deviceHost) {
+                return `📱 Device type set to ${DeviceProfiles[deviceType].name}. Restart the host (/stophost, /hostdevice) to apply it.`;
+            }
+            return `📱 Device type set to ${DeviceProfiles[deviceType].name}.`;
+        });
+
+        this.register('set_power_mode', async ({ mode }) => {
+            if (!Object.values(PowerMode).includes(mode)) {
+                throw new Error(`Unknown power mode: ${mode}`);
+            }
+
+            this.powerMode = mode;
+
+            if (this.deviceHost) {
+                this.deviceHost.setPowerMode(mode);
+            }
+            return `⚡ Power mode: ${mode}`;
+        });
+
+        // ============================================
+        // ETHICS AND EXTENSION SECURITY
+        // ============================================
+
+        this.register('show_ethics_guidelines', async () => {
+            const guidelines = this.getEthicsBoard().getGuidelines();
+            const lines = [`**⚖️ OpenClaw Ethics Guidelines (v${guidelines.version})**`, '', '**Principles:**'];
+
+            guidelines.principles.forEach(p => lines.push(`- ${p}`));
+
+            lines.push('', '**Prohibited:**');
+            for (const [category, items] of Object.entries(guidelines.prohibited)) {
+                lines.push(`- **${category}**: ${items.join('; ')}`);
+            }
+
+            lines.push('', '**Allowed:**');
+            guidelines.allowed.forEach(a => lines.push(`- ${a}`));
+
+            return lines.join('\n');
+        });
+
+        this.register('review_task_ethics', async ({ taskId }) => {
+            const task = this.findPoolTask(taskId);
+            if (!task) {
+                throw new Error(`Task not found: ${taskId}`);
+            }
+
+            const review = await this.getEthicsBoard().reviewTask(task);
+            return this.formatEthicsReview(review);
+        });
+
+        this.register('show_ethics_stats', async () => {
+            const stats = this.getEthicsBoard().getStats();
+            return [
+                '**⚖️ Ethics Review Stats:**',
+                `Reviews: ${stats.totalReviews}`,
+                `✅ Approved: ${stats.approved} | 🚫 Rejected: ${stats.rejected} | ⏳ Needs review: ${stats.needsReview}`,
+                `Approval rate: ${(stats.approvalRate * 100).toFixed(0)}%`,
+                `Banned submitters: ${stats.bannedUsers}`
+            ].join('\n');
+        });
+
+        this.register('report_violation', async ({ target, reason }) => {
+            // Pool tasks are re-reviewed with the report attached
+            const task = this.findPoolTask(target);
+            if (task) {
+                const review = await this.getEthicsBoard().reviewTask({
+                    ...task,
+                    metadata: { ...task.metadata, description: reason }
+                });
+
+                if (review.decision === ReviewDecision.REJECTED) {
+                    const index = this.pool.taskQueue.findIndex(t => t.id === task.id);
+                    if (index !== -1) {
+                        this.pool.taskQueue.splice(index, 1);
+                    }
+                    return `🚫 Task ${task.id} removed from the pool.\n${review.reason}`;
+                }
+                return `📝 Report recorded. Task ${task.id} was re-reviewed: ${review.decision}`;
+            }
+
+            // Anything else is treated as an extension report
+            this.getExtensionBoard().reportExtension(target, { reason, reporterId: this.userId });
+            return `📝 Violation report filed against ${target}.`;
+        });
+
+        this.register('scan_extension', async ({ extension }) => {
+            const ext = await this.loadExtensionForScan(extension);
+            const result = await this.getExtensionBoard().reviewExtension(ext, this.userId);
+
+            const icon = {
+                [ExtensionStatus.APPROVED]: '✅',
+                [ExtensionStatus.FLAGGED]: '⚠️',
+                [ExtensionStatus.BLOCKED]: '🚫',
+                [ExtensionStatus.QUARANTINED]: '🔒'
+            }[result.status] || '❔';
+
+            const lines = [
+                `${icon} **${ext.name}**: ${result.status} (threat level: ${result.threatLevel})`
+            ];
+            for (const threat of result.threats.slice(0, 5)) {
+                lines.push(`- ${threat.severity}: ${threat.description}`);
+            }
+            if (result.warnings.length > 0) {
+                lines.push(`${result.warnings.length} warning(s)`);
+            }
+            return lines.join('\n');
+        });
+
+        this.register('show_blocked_extensions', async () => {
+            // The blocklist is keyed by both hash and name; list each entry once
+            const blocked = new Set(this.getExtensionBoard().database.blocklist.values());
+            if (blocked.size === 0) {
+                return '✅ No blocked extensions.';
+            }
+
+            const lines = ['**🚫 Blocked Extensions:**'];
+            for (const info of blocked) {
+                lines.push(`- **${info.name}** (${info.severity}) - ${info.reason}`);
+            }
+            return lines.join('\n');
+        });
+
+        this.register('report_extension', async ({ extensionName, reason }) => {
+            const board = this.getExtensionBoard();
+            board.reportExtension(extensionName, { reason, reporterId: this.userId });
+
+            const reports = board.database.reports.get(extensionName) || [];
+            const blocked = board.isBlocked(extensionName) ? ' It is now blocked.' : '';
+            return `⚠️ Reported ${extensionName} (${reports.length} report(s)).${blocked}`;
+        });
+
+        this.register('check_extension_status', async ({ extensionName }) => {
+            const board = this.getExtensionBoard();
+
+            if (board.isBlocked(extensionName)) {
+                const info = board.database.getBlockInfo(extensionName);
+                return `🚫 **${extensionName}** is blocked: ${info.reason}`;
+            }
+
+            const reports = board.database.reports.get(extensionName) || [];
+            const review = board.getRecentReviews()
+                .reverse()
+                .find(r => r.extensionName === extensionName);
+
+            const lines = [`**${extensionName}**`];
+            lines.push(review ? `Last scan: ${review.status} (${review.threatLevel})` : 'Not scanned yet. Use /scanext');
+            lines.push(`Reports: ${reports.length}`);
+            return lines.join('\n');
+        });
+
+        // ============================================
+        // GLOBAL DISCOVERY
+        // ============================================
+
+        this.register('start_directory_server', async ({ port, region }) => {
+            if (this.directoryServer) {
+                throw new Error('Directory server is already running');
+            }
+
+            const server = new GlobalDirectoryServer({ port, region });
+            try {
+                const info = await server.start();
+                this.directoryServer = server;
+                return `✅ Directory server running on port ${info.port} (${info.region})\n` +
+                       `🔗 Devices can connect with: /global ws://<this-device>:${info.port}`;
+            } catch (e) {
+                await server.stop();
+                throw new Error(`Failed to start directory server: ${e.message}`);
+            }
+        });
+
+        this.register('connect_global_directory', async ({ directoryUrl }) => {
+            if (this.globalClient) {
+                this.globalClient.disconnect();
+                this.globalClient = null;
+            }
+
+            const client = new GlobalDiscoveryClient({
+                deviceName: this.deviceName,
+                directoryServers: directoryUrl
+                    ? [{ name: directoryUrl, url: directoryUrl, region: 'custom', priority: 0 }]
+                    : undefined
+            });
+
+            const connected = await client.connect();
+            if (!connected) {
+                throw new Error('Could not reach any global directory server');
+            }
+
+            await client.register({
+                deviceType: this.deviceHost ? this.deviceHost.deviceType : (this.deviceType || 'unknown'),
+                capabilities: this.deviceHost ? this.deviceHost.profile.capabilities : {}
+            });
+            this.globalClient = client;
+
+            return `🌍 Connected to ${client.connectedDirectory.name}\n🆔 Device ID: ${client.deviceId}`;
+        });
+
+        this.register('search_global_devices', async ({ query }) => {
+            const devices = await this.requireGlobalClient().searchDevices({});
+            const needle = (query || '').toLowerCase();
+
+            const matches = devices.filter(d => !needle ||
+                [d.name, d.deviceType, d.region].some(v => (v || '').toLowerCase().includes(needle)));
+
+            if (matches.length === 0) {
+                return '🔍 No devices found.';
+            }
+
+            const lines = [`**Found ${matches.length} device(s):**`];
+            for (const d of matches) {
+                lines.push(`📱 **${d.name}** (${d.deviceType}, ${d.region}) - /connectglobal ${d.id}`);
+            }
+            return lines.join('\n');
+        });
+
+        this.register('search_global_pools', async ({ region }) => {
+            const pools = await this.requireGlobalClient().searchPools(region ? { region } : {});
+            if (pools.length === 0) {
+                return '🏊 No public pools found.';
+            }
+
+            const lines = [`**Found ${pools.length} pool(s):**`];
+            for (const p of pools) {
+                lines.push(`🏊 **${p.name}** (${p.region}) - ${p.deviceCount} device(s)`);
+            }
+            return lines.join('\n');
+        });
+
+        this.register('connect_global_device', async ({ deviceId }) => {
+            const connection = await this.requireGlobalClient().connectToDevice(deviceId);
+            return `🔌 Connected to ${deviceId} via ${connection?.method || 'relay'}`;
+        });
+
+        this.register('show_global_status', async () => {
+            const lines = ['**🌍 Global Discovery:**'];
+
+            if (this.globalClient) {
+                lines.push(`Directory: ${this.globalClient.connectedDirectory?.name || 'disconnected'}`);
+                lines.push(`Device ID: ${this.globalClient.deviceId}`);
+                lines.push(`Known devices: ${this.globalClient.getDevices().length}`);
+            } else {
+                lines.push('Not connected. Use /global');
+            }
+
+            if (this.directoryServer) {
+                const status = this.directoryServer.getStatus();
+                lines.push(`Hosting directory on port ${this.directoryServer.port}: ${status.devices} device(s), ${status.pools} pool(s)`);
+            }
+
+            return lines.join('\n');
+        });
+
+        // ============================================
+        // HUMANITY GUARDIAN
+        // ============================================
+
+        this.register('show_guardian_principles', async () => {
+            const stats = this.getGuardian().getStats();
+            const lines = ['**🛡️ Humanity Guardian Principles:**'];
+            GuardianPrinciples.corePrinciples.forEach(p => lines.push(`- ${p}`));
+            lines.push('', '**Constraints:**');
+            GuardianPrinciples.constraints.forEach(c => lines.push(`- ${c}`));
+            lines.push('', `Active threats: ${stats.activeThreats} | Pending approvals: ${stats.pendingApprovals}`);
+            return lines.join('\n');
+        });
+
+        this.register('report_threat', async ({ type, target, description }) => {
+            const threatType = THREAT_ALIASES[type] || type;
+            if (!Object.values(ThreatType).includes(threatType)) {
+                throw new Error(`Unknown threat type: ${type}. Types: ${Object.keys(THREAT_ALIASES).join(', ')}`);
+            }
+
+            const report = await this.getGuardian().reportThreat({
+                type: threatType,
+                target: {
+                    identifier: target,
+                    type: this.guessTargetType(target),
+                    description: description || ''
+                },
+                evidence: description ? [{ type: 'report', description, addedAt: Date.now() }] : []
+            }, this.userId);
+
+            const { assessment } = report;
+            const lines = [
+                `🚨 Threat reported: ${report.threatId}`,
+                `Status: ${report.status} (confidence ${(assessment.confidence * 100).toFixed(0)}%)`
+            ];
+            if (assessment.recommendedActions.length > 0) {
+                lines.push(`Recommended: ${assessment.recommendedActions.map(a => a.action).join(', ')}`);
+            }
+            return lines.join('\n');
+        });
+
+        this.register('show_active_threats', async () => {
+            const threats = this.getGuardian().getActiveThreats();
+            if (threats.length === 0) {
+                return '🛡️ No active threats.';
+            }
+
+            const lines = ['**🚨 Active Threats:**'];
+            for (const t of threats) {
+                lines.push(`- \`${t.id}\` ${t.type} (${t.severity}) - ${t.target}`);
+            }
+            return lines.join('\n');
+        });
+
+        this.register('get_threat_details', async ({ threatId }) => {
+            const threat = this.getGuardian().threats.get(threatId);
+            if (!threat) {
+                throw new Error(`Threat not found: ${threatId}`);
+            }
+
+            const lines = [
+                `**Threat ${threat.id}**`,
+                `Type: ${threat.type} | Severity: ${threat.severity} | Status: ${threat.status}`,
+                `Target: ${threat.target.identifier} (${threat.target.type})`,
+                `Evidence: ${threat.evidence.length} item(s) | Actions taken: ${threat.actionsTaken.length}`
+            ];
+            if (threat.pendingActions.length > 0) {
+                lines.push(`Recommended: ${threat.pendingActions.map(a => a.action).join(', ')}`);
+            }
+            return lines.join('\n');
+        });
+
+        this.register('request_protective_action', async ({ threatId, action }) => {
+            if (!Object.values(ProtectiveAction).includes(action)) {
+                throw new Error(`Unknown protective action: ${action}`);
+            }
+
+            const result = await this.getGuardian().requestAction(threatId, action, this.userId);
+
+            if (result.executed) {
+                return `⚡ ${action} executed (action ${result.actionId})`;
+            }
+            if (result.approvalId) {
+                return `⏳ ${action} reached consensus and needs human approval: /approveaction ${result.approvalId}`;
+            }
+            return `🚫 ${action} not approved: ${result.reason}`;
+        });
+
+        this.register('approve_protective_action', async ({ approvalId }) => {
+            // Commands only arrive over the token-authenticated UI socket,
+            // so the device owner is the human in the loop
+            const result = await this.getGuardian().approveAction(approvalId, this.userId, {
+                authorized: true,
+                source: 'local_ui'
+            });
+            return `✅ Approved and executed (action ${result.actionId})`;
+        });
+
+        this.register('show_pending_actions', async () => {
+            const pending = Array.from(this.getGuardian().pendingApprovals.entries());
+            if (pending.length === 0) {
+                return '✅ No actions awaiting approval.';
+            }
+
+            const lines = ['**⏳ Pending Approvals:**'];
+            for (const [approvalId, p] of pending) {
+                lines.push(`- \`${approvalId}\` ${p.action} on ${p.threatId} (${(p.consensus * 100).toFixed(0)}% consensus)`);
+            }
+            return lines.join('\n');
+        });
+
+        this.register('show_guardian_log', async ({ limit }) => {
+            const log = this.getGuardian().getActionLog(limit || 20);
+            if (log.length === 0) {
+                return '📜 Guardian action log is empty.';
+            }
+
+            const lines = ['**📜 Guardian Action Log:**'];
+            for (const entry of log) {
+                lines.push(`- ${new Date(entry.timestamp).toISOString()} ${entry.action} on ${entry.threatId}: ${entry.status}`);
+            }
+            return lines.join('\n');
+        });
+
+        this.register('show_guardian_stats', async () => {
+            const stats = this.getGuardian().getStats();
+            return [
+                '**🛡️ Guardian Stats:**',
+                `Threats reported: ${stats.threatsReported} | Verified: ${stats.threatsVerified}`,
+                `Active threats: ${stats.activeThreats} | Pending approvals: ${stats.pendingApprovals}`,
+                `Actions taken: ${stats.actionsTaken} | Users protected: ${stats.usersProtected}`
+            ].join('\n');
+        });
+
+        this.register('add_threat_evidence', async ({ threatId, evidenceType, description }) => {
+            const guardian = this.getGuardian();
+            const threat = guardian.threats.get(threatId);
+            if (!threat) {
+                throw new Error(`Threat not found: ${threatId}`);
+            }
+
+            threat.addEvidence({ type: evidenceType, description, submittedBy: this.userId });
+
+            // New evidence can change the panel's verdict
+            const assessment = await guardian.assessThreat(threatId);
+            return `📎 Evidence added (${threat.evidence.length} item(s)). Threat is ${threat.status} ` +
+                   `(confidence ${(assessment.confidence * 100).toFixed(0)}%)`;
+        });
+    }
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * Find a task in the local pool by id
+     */
+    findPoolTask(taskId) {
+        if (!this.pool) return null;
+
+        return this.pool.taskQueue.find(t => t.id === taskId) ||
+               this.pool.activeTasks.get(taskId) ||
+               this.pool.completedTasks.get(taskId) ||
+               null;
+    }
+
+    /**
+     * Build the discovery announcement for our running host
+     */
+    getLocalHostInfo() {
+        const status = this.deviceHost.getStatus();
+        return {
+            hostId: `${this.deviceHost.hostName}:${this.deviceHost.port}`,
+            hostName: status.hostName,
+            port: this.deviceHost.port,
+            deviceType: status.deviceType,
+            capabilities: status.capabilities,
+            status: status.status
+        };
+    }
+
+    /**
+     * Load an extension from a path, URL or bare name for scanning
+     */
+    async loadExtensionForScan(source) {
+        if (/^https?:\/\//i.test(source)) {
+            const res = await axios.get(source, {
+                responseType: 'text',
+                timeout: this.config.downloadTimeout
+            });
+            return { id: source, name: path.basename(new URL(source).pathname) || source, code: String(res.data) };
+        }
+
+        if (fs.existsSync(source)) {
+            const stats = fs.statSync(source);
+            if (!stats.isDirectory()) {
+                return { id: source, name: path.basename(source), code: fs.readFileSync(source, 'utf8') };
+            }
+
+            const manifestPath = path.join(source, 'package.json');
+            const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+            const entry = path.join(source, manifest.main || 'index.js');
+
+            return {
+                id: manifest.name || path.basename(source),
+                name: manifest.name || path.basename(source),
+                version: manifest.version,
+                publisher: manifest.author,
+                code: fs.existsSync(entry) ? fs.readFileSync(entry, 'utf8') : '',
+                dependencies: manifest.dependencies,
+                manifest
+            };
+        }
+
+        // Unknown source: only the name can be checked against the blocklist
+        return { id: source, name: source, code: '' };
+    }
+
+    /**
+     * Guess what kind of target a threat report points at
+     */
+    guessTargetType(target) {
+        if (/^https?:\/\//i.test(target)) return 'website';
+        if (/^\d{1,3}(\.\d{1,3}){3}$/.test(target)) return 'network';
+        if (/^[\w-]+(\.[\w-]+)+$/.test(target)) return 'domain';
+        return 'unknown';
+    }
+
+    /**
+     * Format an ethics board review
+     */
+    formatEthicsReview(review) {
+        const icon = review.decision === ReviewDecision.APPROVED ? '✅' :
+                     review.decision === ReviewDecision.REJECTED ? '🚫' : '⏳';
+        const lines = [`${icon} Task ${review.taskId}: **${review.decision}**`];
+        if (review.reason) {
+            lines.push(review.reason);
+        }
+        // Each reviewer reports its own copy of a violation
+        const seen = new Set();
+        for (const v of review.violations || []) {
+            if (seen.has(v.description)) continue;
+            seen.add(v.description);
+            lines.push(`- ${v.severity}: ${v.description}`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Stop every service started through actions
+     */
+    async shutdown() {
+        if (this.poolBot) this.poolBot.disconnect();
+        if (this.hostBot) this.hostBot.disconnect();
+        if (this.globalClient) this.globalClient.disconnect();
+        if (this.pool) await this.pool.stop();
+        if (this.deviceHost) await this.deviceHost.stop();
+        if (this.discovery) await this.discovery.stop();
+        if (this.directoryServer) await this.directoryServer.stop();
+
+        this.poolBot = null;
+        this.hostBot = null;
+        this.globalClient = null;
+        this.pool = null;
+        this.deviceHost = null;
+        this.discovery = null;
+        this.directoryServer = null;
+    }
+}
+
+module.exports = { ActionDispatcher };
@@ -5,6 +5,8 @@
  * Commands: /tools, /upload, /analyze, /private, /round, etc.
  */
 
+const { ROLES, parseDuration } = require('../p2p/moderation');
+
 class CommandProcessor {
     constructor(context) {
         // Context contains references to services
@@ -233,9 +235,16 @@ class CommandProcessor {
             
             try {
                 const result = await this.documents.upload(filePath);
+                if (result.extraction.status !== 'ok') {
+                    return {
+                        message: `⚠️ Document uploaded without text: 📄 ${result.filename} (${result.size})\n` +
+                            `   ${result.extraction.error}`
+                    };
+                }
                 const previewText = result.preview ? result.preview.slice(0, 100) : '';
+                const tables = result.tablesCount > 0 ? `, ${result.tablesCount} table(s)` : '';
                 return { 
-                    message: `✅ Document uploaded: 📄 ${result.filename} (${result.size})\n   Preview: ${previewText}...`
+                    message: `✅ Document uploaded: 📄 ${result.filename} (${result.size}${tables})\n   Preview: ${previewText}...`
                 };
             } catch (e) {
                 return { message: `❌ Upload failed: ${e.message}` };
@@ -258,7 +267,8 @@ class CommandProcessor {
             
             for (const doc of docs) {
                 const active = doc.id === activeId ? '▶️' : '  ';
-                lines.push(`${active} ${doc.filename} (${doc.size}) - ${doc.category}`);
+                const warning = doc.extraction.status === 'failed' ? ' ⚠️ no text' : '';
+                lines.push(`${active} ${doc.filename} (${doc.size}) - ${doc.category}${warning}`);
             }
             
             return { message: lines.join('\n') };
@@ -294,20 +304,28 @@ class CommandProcessor {
                 return { message: 'No document selected. Use /select <filename> first.' };
             }
             
+            if (activeDoc.extraction && activeDoc.extraction.status === 'failed') {
+                return { message: `❌ Cannot analyze ${activeDoc.filename}: ${activeDoc.extraction.error}` };
+            }
+            
             const personalityId = args[0].toLowerCase();
             const prompt = args.slice(1).join(' ');
-            const personality = this.personalities.get(personalityId);
+            // The room host's personalities analyze room documents, so its ids are fine too
+            const fromRoom = activeDoc.source && activeDoc.source.room;
+            const personality = this.personalities.get(personalityId)
+                || (fromRoom ? { id: personalityId, name: personalityId } : null);
             
             if (!personality) {
                 return { message: `Unknown personality: ${personalityId}` };
             }
             
-            const content = this.documents.getContentForAnalysis(activeDoc.id);
+            // Only the chunks relevant to the prompt, labelled with their lines
+            const { content, citations } = await this.documents.getAnalysisContext(activeDoc.id, prompt);
             
             return {
                 message: `🔍 ${personality.name} is analyzing ${activeDoc.filename}...`,
                 action: 'analyze_document',
-                data: { personality, document: activeDoc, content, prompt }
+                data: { personality, document: activeDoc, content, prompt, citations }
             };
         }, '/analyze <personality_id> <prompt>');
 
@@ -371,18 +389,77 @@ class CommandProcessor {
             };
         });
 
+        // Room roles, invites and moderation
+        const roomUsage = '/room [list|share|invite [role] [expiry] [uses N]|revoke <invite>|role <name> <role>|kick|ban|mute [duration]|unmute|unban <name>]';
+        this.register('room', 'Manage room roles, invites, kicks, bans and mutes, or share a document', async (args) => {
+            const sub = (args[0] || 'list').toLowerCase();
+
+            switch (sub) {
+                case 'list':
+                    return { message: null, action: 'room_list' };
+                case 'share':
+                    // The active document's details, not its contents
+                    return { message: null, action: 'room_share' };
+                case 'invite': {
+                    const data = { role: 'member', expiresInMs: null, maxUses: null };
+                    const rest = args.slice(1);
+                    for (let i = 0; i < rest.length; i++) {
+                        const token = rest[i].toLowerCase();
+                        if (Object.values(ROLES).includes(token)) {
+                            data.role = token;
+                        } else if (token === 'uses' && rest[i + 1]) {
+                            data.maxUses = parseInt(rest[++i], 10) || null;
+                        } else if (parseDuration(token)) {
+                            data.expiresInMs = parseDuration(token);
+                        } else {
+                            return { message: `Usage: /room invite [moderator|member|viewer] [30m|2h|1d] [uses N]` };
+                        }
+                    }
+                    return { message: null, action: 'room_invite', data };
+                }
+                case 'revoke':
+                    if (!args[1]) return { message: 'Usage: /room revoke <invite_id>' };
+                    return { message: null, action: 'room_revoke', data: { id: args[1] } };
+                case 'role':
+                    if (args.length < 3) return { message: 'Usage: /room role <name> <moderator|member|viewer>' };
+                    return {
+                        message: null,
+                        action: 'room_role',
+                        data: { target: args.slice(1, -1).join(' '), role: args[args.length - 1].toLowerCase() }
+                    };
+                case 'kick':
+                case 'ban':
+                case 'unban':
+                case 'unmute':
+                    if (!args[1]) return { message: `Usage: /room ${sub} <name>` };
+                    return { message: null, action: 'room_moderate', data: { action: sub, target: args.slice(1).join(' ') } };
+                case 'mute': {
+                    if (!args[1]) return { message: 'Usage: /room mute <name> [duration]' };
+                    // A trailing duration ("10m") is optional
+                    const durationMs = args.length > 2 ? parseDuration(args[args.length - 1]) : null;
+                    const target = (durationMs ? args.slice(1, -1) : args.slice(1)).join(' ');
+                    return { message: null, action: 'room_moderate', data: { action: sub, target, durationMs } };
+                }
+                default:
+                    return { message: `Unknown /room command: ${sub}\nUsage: ${roomUsage}` };
+            }
+        }, roomUsage);
+
         // Remember
         this.register('remember', 'Save something to memory', async (args, argsString) => {
-            if (args.length === 0) {
-                return { message: 'Usage: /remember <text to remember>' };
+            // Memories are private unless --shared, which lets them sync to P2P rooms
+            const shared = args[0] === '--shared';
+            const content = shared ? argsString.replace(/^--shared\s*/, '') : argsString;
+            if (!content) {
+                return { message: 'Usage: /remember [--shared] <text to remember>' };
             }
             
             return {
                 action: 'remember',
-                data: { content: argsString },
-                message: `💾 Saving to memory: "${argsString.substring(0, 50)}..."`
+                data: { content, shared },
+                message: `💾 Saving to memory${shared ? ' (shared)' : ''}: "${content.substring(0, 50)}..."`
             };
-        }, '/remember <text>');
+        }, '/remember [--shared] <text>');
 
         // Recall
         this.register('recall', 'Search memory', async (args, argsString) => {
@@ -397,6 +474,153 @@ class CommandProcessor {
             };
         }, '/recall <query>');
 
+        // Memory transfer between devices
+        this.register('memory', 'Export, import, share or sync memory', async (args) => {
+            const sub = (args[0] || '').toLowerCase();
+
+            switch (sub) {
+                case 'export':
+                    return {
+                        message: '📦 Exporting memory...',
+                        action: 'memory_export',
+                        data: { filePath: args[1] || null }
+                    };
+                case 'import':
+                    if (!args[1]) {
+                        return { message: 'Usage: /memory import <file_path>' };
+                    }
+                    return {
+                        message: '📥 Importing memory...',
+                        action: 'memory_import',
+                        data: { filePath: args[1] }
+                    };
+                case 'trust':
+                    if (!args[1]) {
+                        return { message: 'Usage: /memory trust <signer_id>' };
+                    }
+                    return {
+                        message: null,
+                        action: 'memory_trust',
+                        data: { signerId: args[1] }
+                    };
+                case 'share':
+                    if (!args[1]) {
+                        return { message: 'Usage: /memory share <query>' };
+                    }
+                    return {
+                        message: null,
+                        action: 'memory_share',
+                        data: { query: args.slice(1).join(' ') }
+                    };
+                case 'sync':
+                    return {
+                        message: '🔄 Syncing shared memories with the P2P room...',
+                        action: 'memory_sync'
+                    };
+                default:
+                    return { message: 'Usage: /memory <export [file]|import <file>|trust <signer_id>|share <query>|sync>' };
+            }
+        }, '/memory <export|import|trust|share|sync>');
+
+        // MCP servers
+        this.register('mcp', 'List, restart, enable, disable or inspect MCP servers', async (args) => {
+            const sub = (args[0] || 'list').toLowerCase();
+            const name = args[1];
+
+            switch (sub) {
+                case 'list':
+                    return { message: null, action: 'mcp_list' };
+                case 'restart':
+                case 'enable':
+                case 'disable':
+                    if (!name) {
+                        return { message: `Usage: /mcp ${sub} <server>` };
+                    }
+                    return { message: null, action: `mcp_${sub}`, data: { name } };
+                case 'logs':
+                    if (!name) {
+                        return { message: 'Usage: /mcp logs <server> [lines]' };
+                    }
+                    return { message: null, action: 'mcp_logs', data: { name, lines: parseInt(args[2]) || 30 } };
+                default:
+                    return { message: 'Usage: /mcp <list|restart <server>|enable <server>|disable <server>|logs <server> [lines]>' };
+            }
+        }, '/mcp <list|restart|enable|disable|logs>');
+
+        // Tool permissions
+        this.register('policy', 'Show or change which tools need confirmation', async (args) => {
+            const sub = (args[0] || 'list').toLowerCase();
+            const usage = 'Usage: /policy [list] | set <server.tool> <allow|ask|deny> [--personality <id>|--participant <client id>] | reset [server.tool]';
+
+            switch (sub) {
+                case 'list':
+                    return { message: null, action: 'policy_list' };
+                case 'set': {
+                    const [tool, decision] = args.slice(1, 3);
+                    if (!tool || !['allow', 'ask', 'deny'].includes((decision || '').toLowerCase())) {
+                        return { message: usage };
+                    }
+                    const rule = { tool, decision: decision.toLowerCase() };
+                    for (let i = 3; i < args.length; i += 2) {
+                        if (args[i] === '--personality' && args[i + 1]) rule.personality = args[i + 1];
+                        else if (args[i] === '--participant' && args[i + 1]) rule.participant = args[i + 1];
+                        else return { message: usage };
+                    }
+                    return { message: null, action: 'policy_set', data: { rule } };
+                }
+                case 'reset':
+                    return { message: null, action: 'policy_reset', data: { tool: args[1] || null } };
+                default:
+                    return { message: usage };
+            }
+        }, '/policy [list|set|reset]');
+
+        this.register('route', 'Show routing or correct where a task goes', async (args) => {
+            const sub = (args[0] || 'status').toLowerCase();
+
+            switch (sub) {
+                case 'status':
+                    return { message: null, action: 'route_status' };
+                case 'examples':
+                    return { message: null, action: 'route_examples' };
+                case 'forget':
+                    return { message: null, action: 'route_forget', data: { tool: args[1] || null } };
+                default:
+                    // /route <tool> corrects the last task; /route <tool> <task> teaches a new one
+                    return {
+                        message: null,
+                        action: 'route_correct',
+                        data: { tool: sub, task: args.slice(1).join(' ') || null }
+                    };
+            }
+        }, '/route [status|examples|forget [tool]|<tool> [task]]');
+
+        // Conversation sessions
+        this.register('session', 'Create, switch, rename, archive or search conversations', async (args) => {
+            const sub = (args[0] || 'list').toLowerCase();
+            const rest = args.slice(1).join(' ');
+
+            switch (sub) {
+                case 'list':
+                    return { message: null, action: 'session_list', data: { includeArchived: rest === 'all' } };
+                case 'new':
+                    return { message: null, action: 'session_new', data: { name: rest || null } };
+                case 'switch':
+                    if (!rest) return { message: 'Usage: /session switch <name|id>' };
+                    return { message: null, action: 'session_switch', data: { session: rest } };
+                case 'rename':
+                    if (!rest) return { message: 'Usage: /session rename <new name>' };
+                    return { message: null, action: 'session_rename', data: { name: rest } };
+                case 'archive':
+                    return { message: null, action: 'session_archive', data: { session: rest || null } };
+                case 'search':
+                    if (!rest) return { message: 'Usage: /session search <text>' };
+                    return { message: null, action: 'session_search', data: { query: rest } };
+                default:
+                    return { message: `Unknown /session command: ${sub}\nUsage: /session [list [all]|new [name]|switch <name>|rename <name>|archive [name]|search <text>]` };
+            }
+        }, '/session [list [all]|new [name]|switch <name>|rename <name>|archive [name]|search <text>]');
+
         // List models
         this.register('models', 'List available AI models', async () => {
             return {
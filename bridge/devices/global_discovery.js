@@ -291,6 +291,18 @@ class GlobalDiscoveryClient {
                 this.handleRelayData(msg);
                 break;
                 
+            case 'SEARCH_RESULTS':
+                // Remember results so they can be connected to by id
+                for (const device of msg.devices || []) {
+                    this.addDevice(device);
+                }
+                this.emit('search_results', msg);
+                break;
+                
+            case 'POOL_SEARCH_RESULTS':
+                this.emit('pool_search_results', msg);
+                break;
+                
             case 'POOL_DISCOVERED':
                 this.emit('pool_discovered', msg.pool);
                 break;
@@ -342,8 +354,8 @@ class GlobalDiscoveryClient {
                 reject(new Error('Search timeout'));
             }, this.config.connectionTimeout);
             
-            const handler = (event, data) => {
-                if (event === 'search_results' && data.requestId === requestId) {
+            const handler = (data) => {
+                if (data.requestId === requestId) {
                     clearTimeout(timeout);
                     resolve(data.devices);
                 }
@@ -380,8 +392,8 @@ class GlobalDiscoveryClient {
                 reject(new Error('Search timeout'));
             }, this.config.connectionTimeout);
             
-            const handler = (event, data) => {
-                if (event === 'pool_search_results' && data.requestId === requestId) {
+            const handler = (data) => {
+                if (data.requestId === requestId) {
                     clearTimeout(timeout);
                     resolve(data.pools);
                 }
@@ -437,23 +449,31 @@ class GlobalDiscoveryClient {
         
         // Wait for response
         return new Promise((resolve, reject) => {
-            const timeout = setTimeout(() => {
-                this.pendingConnections.delete(connectionId);
-                reject(new Error('Connection timeout'));
-            }, this.config.connectionTimeout);
-            
-            const handler = (event, data) => {
-                if (event === 'connection_established' && data.connectionId === connectionId) {
-                    clearTimeout(timeout);
+            const settle = () => {
+                clearTimeout(timeout);
+                this.off('connection_established', onEstablished);
+                this.off('connection_failed', onFailed);
+            };
+            const onEstablished = (data) => {
+                if (data.connectionId === connectionId) {
+                    settle();
                     resolve(data.connection);
-                } else if (event === 'connection_failed' && data.connectionId === connectionId) {
-                    clearTimeout(timeout);
+                }
+            };
+            const onFailed = (data) => {
+                if (data.connectionId === connectionId) {
+                    settle();
                     reject(new Error(data.reason));
                 }
             };
+            const timeout = setTimeout(() => {
+                settle();
+                this.pendingConnections.delete(connectionId);
+                reject(new Error('Connection timeout'));
+            }, this.config.connectionTimeout);
             
-            this.on('connection_established', handler);
-            this.on('connection_failed', handler);
+            this.on('connection_established', onEstablished);
+            this.on('connection_failed', onFailed);
         });
     }
 
@@ -691,6 +711,13 @@ class GlobalDiscoveryClient {
         this.eventHandlers.push({ event, handler });
     }
 
+    /**
+     * Remove event handler
+     */
+    off(event, handler) {
+        this.eventHandlers = this.eventHandlers.filter(h => h.event !== event || h.handler !== handler);
+    }
+
     /**
      * Emit event
      */
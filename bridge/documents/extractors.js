@@ -0,0 +1,610 @@
+/**
+ * Document Text Extractors
+ *
+ * Turns uploaded files into text, tables and metadata. Extractors are
+ * registered per SUPPORTED_FORMATS category and claim the extensions they
+ * understand, so new formats plug in without touching the manager:
+ *
+ *   registry.register('documents', {
+ *       name: 'rtf',
+ *       extensions: ['.rtf'],
+ *       async extract(buffer, { extension, filename }) {
+ *           return { content, tables: [], metadata: {} };
+ *       }
+ *   });
+ *
+ * Every parser here is pure JavaScript: OOXML, OpenDocument and EPUB are
+ * ZIP containers of XML (zip.js, xml.js) and PDFs are read by pdf.js.
+ * Extractors throw when a file cannot be read; the manager records the
+ * failure on the document.
+ */
+
+const path = require('path');
+const { ZipArchive } = require('./zip');
+const { tokenize, localName, elementTexts, htmlToText, normalizeWhitespace } = require('./xml');
+const { extractPdf } = require('./pdf');
+
+// Rows kept per spreadsheet sheet; the rest is counted but not extracted
+const MAX_SHEET_ROWS = 5000;
+
+class ExtractorRegistry {
+    constructor() {
+        this.extractors = new Map(); // category -> [extractor]
+    }
+
+    /**
+     * Add an extractor for a category. Later registrations take precedence,
+     * so a plugin can replace a built-in one.
+     * @param {string} category - A SUPPORTED_FORMATS key
+     * @param {Object} extractor - { name, extensions?, extract(buffer, context) }
+     */
+    register(category, extractor) {
+        if (!extractor || typeof extractor.extract !== 'function') {
+            throw new Error(`Extractor for ${category} must have an extract() method`);
+        }
+        if (!this.extractors.has(category)) {
+            this.extractors.set(category, []);
+        }
+        this.extractors.get(category).unshift(extractor);
+    }
+
+    /**
+     * Find the extractor for a file. Extractors without an extension list
+     * handle every file in their category.
+     * @param {string} category
+     * @param {string} extension - Lowercase, with the dot
+     * @returns {Object|null}
+     */
+    find(category, extension) {
+        const candidates = this.extractors.get(category) || [];
+        return candidates.find(e => !e.extensions || e.extensions.includes(extension)) || null;
+    }
+}
+
+/**
+ * Walk WordprocessingML, DrawingML or OpenDocument XML into lines of text.
+ * Tables become tab-separated lines in place and are also returned whole.
+ * @param {string} xml
+ * @param {Object} names - Local element names for this vocabulary
+ * @returns {{lines: Array<string>, tables: Array<{rows: Array<Array<string>>}>}}
+ */
+function readBlocks(xml, names) {
+    const lines = [];
+    const tables = [];
+    const tableStack = [];
+    const cellStack = [];   // text parts of open cells
+    const paraStack = [];
+    let para = null;
+    let prefix = '';
+    let inText = 0;
+    let inTabStops = false;
+    let listItem = false;
+
+    const emit = text => {
+        if (cellStack.length > 0) {
+            cellStack[cellStack.length - 1].parts.push(text);
+        } else {
+            lines.push(text);
+        }
+    };
+
+    for (const token of tokenize(xml)) {
+        const name = token.name ? localName(token.name) : null;
+
+        if (token.type === 'open') {
+            if (names.paragraph.includes(name)) {
+                if (token.selfClosing) {
+                    emit('');
+                    continue;
+                }
+                paraStack.push({ para, prefix });
+                para = '';
+                prefix = listItem ? '- ' : '';
+                listItem = false;
+                // OpenDocument headings carry their level on the element
+                const level = parseInt(token.attrs['text:outline-level'], 10);
+                if (name === 'h') prefix = '#'.repeat(Math.min(level || 1, 6)) + ' ';
+            } else if (names.text && names.text.includes(name) && !token.selfClosing) {
+                inText++;
+            } else if (name === 'tabs') {
+                // Tab stop definitions, not tab characters
+                inTabStops = !token.selfClosing;
+            } else if (names.tab.includes(name) && para !== null && !inTabStops) {
+                para += '\t';
+            } else if (names.lineBreak.includes(name) && para !== null) {
+                para += '\n';
+            } else if (name === names.space && para !== null) {
+                para += ' '.repeat(parseInt(token.attrs['text:c'], 10) || 1);
+            } else if (name === 'pStyle' && para !== null) {
+                const style = token.attrs['w:val'] || '';
+                const heading = /^Heading(\d)$/i.exec(style);
+                if (heading) prefix = '#'.repeat(Math.min(parseInt(heading[1], 10), 6)) + ' ';
+                else if (/^Title$/i.test(style)) prefix = '# ';
+            } else if (name === 'numPr' && para !== null && !prefix) {
+                prefix = '- ';
+            } else if (name === 'list-item') {
+                listItem = true;
+            } else if (name === names.table && !token.selfClosing) {
+                tableStack.push({ rows: [] });
+            } else if (name === names.row && tableStack.length > 0) {
+                tableStack[tableStack.length - 1].rows.push([]);
+            } else if (name === names.cell && tableStack.length > 0) {
+                const repeat = parseInt(token.attrs['table:number-columns-repeated'], 10) || 1;
+                if (token.selfClosing) {
+                    const rows = tableStack[tableStack.length - 1].rows;
+                    if (rows.length > 0) rows[rows.length - 1].push('');
+                } else {
+                    cellStack.push({ parts: [], repeat });
+                }
+            }
+        } else if (token.type === 'close') {
+            if (names.paragraph.includes(name) && para !== null) {
+                const text = prefix + para;
+                ({ para, prefix } = paraStack.pop() || { para: null, prefix: '' });
+                emit(text);
+            } else if (names.text && names.text.includes(name)) {
+                inText = Math.max(0, inText - 1);
+            } else if (name === 'tabs') {
+                inTabStops = false;
+            } else if (name === names.cell && cellStack.length > 0) {
+                const cell = cellStack.pop();
+                const rows = tableStack[tableStack.length - 1].rows;
+                if (rows.length === 0) rows.push([]);
+                const text = cell.parts.join(' ').replace(/\s+/g, ' ').trim();
+                // Spreadsheets repeat empty cells across the whole row width
+                const count = text ? Math.min(cell.repeat, 256) : 1;
+                for (let i = 0; i < count; i++) rows[rows.length - 1].push(text);
+            } else if (name === names.table && tableStack.length > 0) {
+                const table = tableStack.pop();
+                table.rows = table.rows.map(trimRow).filter(row => row.length > 0);
+                tables.push(table);
+                for (const row of table.rows) emit(row.join('\t'));
+            }
+        } else if (para !== null && (!names.text || inText > 0)) {
+            para += token.text;
+        }
+    }
+
+    return { lines, tables };
+}
+
+const WORD_NAMES = { paragraph: ['p'], text: ['t'], tab: ['tab'], lineBreak: ['br', 'cr'], table: 'tbl', row: 'tr', cell: 'tc' };
+const DRAWING_NAMES = { paragraph: ['p'], text: ['t'], tab: ['tab'], lineBreak: ['br'], table: 'tbl', row: 'tr', cell: 'tc' };
+const ODF_NAMES = { paragraph: ['p', 'h'], text: null, tab: ['tab'], lineBreak: ['line-break'], space: 's', table: 'table', row: 'table-row', cell: 'table-cell' };
+
+function trimRow(row) {
+    let end = row.length;
+    while (end > 0 && row[end - 1] === '') end--;
+    return row.slice(0, end);
+}
+
+function joinLines(lines) {
+    return normalizeWhitespace(lines.join('\n'));
+}
+
+/**
+ * Resolve a relationship target against the part that references it
+ * @param {string} basePart - e.g. 'xl/workbook.xml'
+ * @param {string} target - e.g. 'worksheets/sheet1.xml' or '/xl/worksheets/sheet1.xml'
+ */
+function resolvePart(basePart, target) {
+    if (target.startsWith('/')) return target.slice(1);
+    return path.posix.normalize(path.posix.join(path.posix.dirname(basePart), target));
+}
+
+/**
+ * Relationship id -> { target, type } for an OOXML part
+ * @param {ZipArchive} zip
+ * @param {string} part
+ * @returns {Map<string, {target: string, type: string}>}
+ */
+function readRelationships(zip, part) {
+    const relsPart = path.posix.join(path.posix.dirname(part), '_rels', `${path.posix.basename(part)}.rels`);
+    const rels = new Map();
+    if (!zip.has(relsPart)) return rels;
+
+    for (const token of tokenize(zip.readText(relsPart))) {
+        if (token.type === 'open' && localName(token.name) === 'Relationship' && token.attrs.TargetMode !== 'External') {
+            rels.set(token.attrs.Id, {
+                target: resolvePart(part, token.attrs.Target || ''),
+                type: (token.attrs.Type || '').split('/').pop()
+            });
+        }
+    }
+    return rels;
+}
+
+/**
+ * Title, author and dates from docProps/core.xml and app.xml
+ * @param {ZipArchive} zip
+ * @returns {Object}
+ */
+function ooxmlMetadata(zip) {
+    const metadata = {};
+    const first = (xml, name) => elementTexts(xml, name).find(Boolean);
+
+    if (zip.has('docProps/core.xml')) {
+        const core = zip.readText('docProps/core.xml');
+        const fields = { title: 'title', author: 'creator', subject: 'subject', description: 'description',
+            lastModifiedBy: 'lastModifiedBy', created: 'created', modified: 'modified' };
+        for (const [key, name] of Object.entries(fields)) {
+            const value = first(core, name);
+            if (value) metadata[key] = value;
+        }
+    }
+    if (zip.has('docProps/app.xml')) {
+        const app = zip.readText('docProps/app.xml');
+        for (const [key, name] of Object.entries({ pages: 'Pages', slides: 'Slides', application: 'Application' })) {
+            const value = first(app, name);
+            if (value) metadata[key] = /^\d+$/.test(value) ? parseInt(value, 10) : value;
+        }
+    }
+    return metadata;
+}
+
+function openZip(buffer, kind) {
+    try {
+        return new ZipArchive(buffer);
+    } catch (e) {
+        throw new Error(`Not a valid ${kind} file (${e.message})`);
+    }
+}
+
+class TextExtractor {
+    constructor() {
+        this.name = 'text';
+    }
+
+    async extract(buffer) {
+        return { content: buffer.toString('utf8').replace(/^\uFEFF/, ''), tables: [], metadata: {} };
+    }
+}
+
+class PdfExtractor {
+    constructor() {
+        this.name = 'pdf';
+        this.extensions = ['.pdf'];
+    }
+
+    async extract(buffer) {
+        const { text, metadata } = extractPdf(buffer);
+        return { content: text, tables: [], metadata };
+    }
+}
+
+class DocxExtractor {
+    constructor() {
+        this.name = 'docx';
+        this.extensions = ['.docx'];
+    }
+
+    async extract(buffer) {
+        const zip = openZip(buffer, 'DOCX');
+        if (!zip.has('word/document.xml')) {
+            throw new Error('Not a Word document (missing word/document.xml)');
+        }
+
+        const { lines, tables } = readBlocks(zip.readText('word/document.xml'), WORD_NAMES);
+        return { content: joinLines(lines), tables, metadata: ooxmlMetadata(zip) };
+    }
+}
+
+class XlsxExtractor {
+    constructor() {
+        this.name = 'xlsx';
+        this.extensions = ['.xlsx'];
+    }
+
+    async extract(buffer) {
+        const zip = openZip(buffer, 'XLSX');
+        const workbookPart = 'xl/workbook.xml';
+        if (!zip.has(workbookPart)) {
+            throw new Error('Not an Excel workbook (missing xl/workbook.xml)');
+        }
+
+        const shared = zip.has('xl/sharedStrings.xml') ? this.readSharedStrings(zip.readText('xl/sharedStrings.xml')) : [];
+        const rels = readRelationships(zip, workbookPart);
+
+        const sheets = [];
+        for (const token of tokenize(zip.readText(workbookPart))) {
+            if (token.type !== 'open' || localName(token.name) !== 'sheet') continue;
+            const rel = rels.get(token.attrs['r:id']);
+            if (rel && zip.has(rel.target)) {
+                sheets.push({ name: token.attrs.name, part: rel.target });
+            }
+        }
+
+        const tables = [];
+        const sections = [];
+        let truncated = false;
+        for (const sheet of sheets) {
+            const { rows, total } = this.readSheet(zip.readText(sheet.part), shared);
+            if (total > rows.length) truncated = true;
+            tables.push({ name: sheet.name, rows });
+            sections.push(`## ${sheet.name}\n${rows.map(r => r.join('\t')).join('\n')}`);
+        }
+
+        const metadata = { ...ooxmlMetadata(zip), sheets: sheets.map(s => s.name) };
+        if (truncated) metadata.truncatedAt = MAX_SHEET_ROWS;
+        return { content: sections.join('\n\n'), tables, metadata };
+    }
+
+    readSharedStrings(xml) {
+        const strings = [];
+        let current = null;
+        let inText = 0;
+        let phonetic = 0;
+
+        for (const token of tokenize(xml)) {
+            const name = token.name ? localName(token.name) : null;
+            if (token.type === 'open' && !token.selfClosing) {
+                if (name === 'si') current = '';
+                else if (name === 't') inText++;
+                else if (name === 'rPh') phonetic++;
+            } else if (token.type === 'open' && name === 'si') {
+                strings.push('');
+            } else if (token.type === 'close') {
+                if (name === 'si') {
+                    strings.push(current || '');
+                    current = null;
+                } else if (name === 't') inText = Math.max(0, inText - 1);
+                else if (name === 'rPh') phonetic = Math.max(0, phonetic - 1);
+            } else if (token.type === 'text' && current !== null && inText > 0 && phonetic === 0) {
+                current += token.text;
+            }
+        }
+        return strings;
+    }
+
+    /**
+     * @returns {{rows: Array<Array<string>>, total: number}}
+     */
+    readSheet(xml, shared) {
+        const rows = [];
+        let total = 0;
+        let row = null;
+        let cell = null;
+        let inValue = 0;
+
+        for (const token of tokenize(xml)) {
+            const name = token.name ? localName(token.name) : null;
+            if (token.type === 'open') {
+                if (name === 'row') {
+                    total++;
+                    row = rows.length < MAX_SHEET_ROWS ? [] : null;
+                    if (token.selfClosing) row = null;
+                } else if (name === 'c' && row) {
+                    cell = { type: token.attrs.t, column: columnIndex(token.attrs.r, row.length), value: '' };
+                    if (token.selfClosing) cell = null;
+                } else if ((name === 'v' || name === 't') && cell && !token.selfClosing) {
+                    inValue++;
+                }
+            } else if (token.type === 'close') {
+                if (name === 'row' && row) {
+                    const trimmed = trimRow(row);
+                    if (trimmed.length > 0) rows.push(trimmed);
+                    row = null;
+                } else if (name === 'c' && cell && row) {
+                    while (row.length < cell.column) row.push('');
+                    row[cell.column] = this.cellText(cell, shared);
+                    cell = null;
+                } else if (name === 'v' || name === 't') {
+                    inValue = Math.max(0, inValue - 1);
+                }
+            } else if (cell && inValue > 0) {
+                cell.value += token.text;
+            }
+        }
+
+        return { rows, total };
+    }
+
+    cellText(cell, shared) {
+        switch (cell.type) {
+            case 's':
+                return shared[parseInt(cell.value, 10)] ?? '';
+            case 'b':
+                return cell.value === '1' ? 'TRUE' : 'FALSE';
+            default:
+                return cell.value.trim();
+        }
+    }
+}
+
+/**
+ * Zero-based column of a cell reference like "C7"
+ * @param {string} ref
+ * @param {number} fallback - Used when the reference is missing
+ */
+function columnIndex(ref, fallback) {
+    const letters = /^([A-Z]+)/i.exec(ref || '');
+    if (!letters) return fallback;
+    let index = 0;
+    for (const ch of letters[1].toUpperCase()) {
+        index = index * 26 + (ch.charCodeAt(0) - 64);
+    }
+    return index - 1;
+}
+
+class PptxExtractor {
+    constructor() {
+        this.name = 'pptx';
+        this.extensions = ['.pptx'];
+    }
+
+    async extract(buffer) {
+        const zip = openZip(buffer, 'PPTX');
+        const presentationPart = 'ppt/presentation.xml';
+        if (!zip.has(presentationPart)) {
+            throw new Error('Not a PowerPoint presentation (missing ppt/presentation.xml)');
+        }
+
+        const rels = readRelationships(zip, presentationPart);
+        const slideParts = [];
+        for (const token of tokenize(zip.readText(presentationPart))) {
+            if (token.type === 'open' && localName(token.name) === 'sldId') {
+                const rel = rels.get(token.attrs['r:id']);
+                if (rel && zip.has(rel.target)) slideParts.push(rel.target);
+            }
+        }
+
+        const tables = [];
+        const sections = [];
+        slideParts.forEach((part, i) => {
+            const slide = readBlocks(zip.readText(part), DRAWING_NAMES);
+            tables.push(...slide.tables.map(t => ({ name: `Slide ${i + 1}`, ...t })));
+
+            let section = `## Slide ${i + 1}\n${joinLines(slide.lines)}`;
+            const notes = Array.from(readRelationships(zip, part).values()).find(r => r.type === 'notesSlide');
+            if (notes && zip.has(notes.target)) {
+                // Notes slides repeat the slide number placeholder; keep real text only
+                const noteText = joinLines(readBlocks(zip.readText(notes.target), DRAWING_NAMES).lines
+                    .filter(line => !/^\d+$/.test(line.trim())));
+                if (noteText) section += `\nNotes: ${noteText}`;
+            }
+            sections.push(section);
+        });
+
+        const metadata = { ...ooxmlMetadata(zip), slides: slideParts.length };
+        return { content: sections.join('\n\n'), tables, metadata };
+    }
+}
+
+class OpenDocumentExtractor {
+    constructor() {
+        this.name = 'opendocument';
+        this.extensions = ['.odt', '.ods'];
+    }
+
+    async extract(buffer) {
+        const zip = openZip(buffer, 'OpenDocument');
+        if (!zip.has('content.xml')) {
+            throw new Error('Not an OpenDocument file (missing content.xml)');
+        }
+
+        // Only the body; automatic styles hold no text
+        const xml = zip.readText('content.xml');
+        const bodyStart = xml.search(/<office:body[\s>]/);
+        const { lines, tables } = readBlocks(bodyStart >= 0 ? xml.slice(bodyStart) : xml, ODF_NAMES);
+
+        const metadata = {};
+        if (zip.has('meta.xml')) {
+            const meta = zip.readText('meta.xml');
+            const fields = { title: 'title', author: 'initial-creator', subject: 'subject', created: 'creation-date', modified: 'date' };
+            for (const [key, name] of Object.entries(fields)) {
+                const value = elementTexts(meta, name).find(Boolean);
+                if (value) metadata[key] = value;
+            }
+        }
+
+        return { content: joinLines(lines), tables, metadata };
+    }
+}
+
+class EpubExtractor {
+    constructor() {
+        this.name = 'epub';
+        this.extensions = ['.epub'];
+    }
+
+    async extract(buffer) {
+        const zip = openZip(buffer, 'EPUB');
+        if (!zip.has('META-INF/container.xml')) {
+            throw new Error('Not an EPUB (missing META-INF/container.xml)');
+        }
+
+        const rootfile = tokenize(zip.readText('META-INF/container.xml'))
+            .find(t => t.type === 'open' && localName(t.name) === 'rootfile');
+        const opfPart = rootfile && decodeURIComponent(rootfile.attrs['full-path'] || '');
+        if (!opfPart || !zip.has(opfPart)) {
+            throw new Error('EPUB package document not found');
+        }
+
+        const opf = zip.readText(opfPart);
+        const manifest = new Map();
+        const spine = [];
+        for (const token of tokenize(opf)) {
+            if (token.type !== 'open') continue;
+            const name = localName(token.name);
+            if (name === 'item') {
+                manifest.set(token.attrs.id, {
+                    part: resolvePart(opfPart, decodeURIComponent(token.attrs.href || '')),
+                    type: token.attrs['media-type']
+                });
+            } else if (name === 'itemref' && token.attrs.linear !== 'no') {
+                spine.push(token.attrs.idref);
+            }
+        }
+
+        const encrypted = this.encryptedParts(zip);
+        const chapters = [];
+        const tables = [];
+        for (const id of spine) {
+            const item = manifest.get(id);
+            if (!item || !zip.has(item.part) || !/html/.test(item.type || 'html')) continue;
+            if (encrypted.has(item.part)) {
+                throw new Error('EPUB is DRM-protected');
+            }
+            const { text, tables: chapterTables } = htmlToText(zip.readText(item.part));
+            if (text) chapters.push(text);
+            tables.push(...chapterTables);
+        }
+
+        const metadata = { chapters: chapters.length };
+        for (const [key, name] of Object.entries({ title: 'title', author: 'creator', language: 'language', publisher: 'publisher', date: 'date' })) {
+            const value = elementTexts(opf, name).find(Boolean);
+            if (value) metadata[key] = value;
+        }
+
+        return { content: chapters.join('\n\n'), tables, metadata };
+    }
+
+    /**
+     * Parts listed in META-INF/encryption.xml (fonts are often obfuscated
+     * this way, which is harmless; encrypted chapters mean DRM)
+     */
+    encryptedParts(zip) {
+        const parts = new Set();
+        if (!zip.has('META-INF/encryption.xml')) return parts;
+        for (const token of tokenize(zip.readText('META-INF/encryption.xml'))) {
+            if (token.type === 'open' && localName(token.name) === 'CipherReference' && token.attrs.URI) {
+                parts.add(decodeURIComponent(token.attrs.URI));
+            }
+        }
+        return parts;
+    }
+}
+
+/**
+ * Registry with the built-in extractors
+ * @returns {ExtractorRegistry}
+ */
+function createDefaultRegistry() {
+    const registry = new ExtractorRegistry();
+    const text = new TextExtractor();
+    for (const category of ['text', 'data', 'code', 'config', 'web']) {
+        registry.register(category, text);
+    }
+
+    const openDocument = new OpenDocumentExtractor();
+    registry.register('documents', new PdfExtractor());
+    registry.register('documents', new DocxExtractor());
+    registry.register('documents', new EpubExtractor());
+    registry.register('documents', openDocument);
+    registry.register('office', new XlsxExtractor());
+    registry.register('office', new PptxExtractor());
+    registry.register('office', openDocument);
+    return registry;
+}
+
+module.exports = {
+    ExtractorRegistry,
+    createDefaultRegistry,
+    TextExtractor,
+    PdfExtractor,
+    DocxExtractor,
+    XlsxExtractor,
+    PptxExtractor,
+    OpenDocumentExtractor,
+    EpubExtractor
+};
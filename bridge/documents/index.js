@@ -3,11 +3,15 @@
  * 
  * Handles document upload, parsing, and AI analysis.
  * Supports 70+ file formats like Landseek.
+ * Text, tables and metadata come from the extractor registry (extractors.js);
+ * chunks are ranked for questions by the retrieval index (retrieval.js).
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { ExtractorRegistry, createDefaultRegistry } = require('./extractors');
+const { DocumentIndex, formatCitation } = require('./retrieval');
 
 // Supported file extensions by category
 const SUPPORTED_FORMATS = {
@@ -18,7 +22,7 @@ const SUPPORTED_FORMATS = {
            '.sh', '.bash', '.lua', '.pl', '.dart'],
     config: ['.ini', '.cfg', '.conf', '.log'],
     web: ['.html', '.htm', '.xhtml', '.css'],
-    // These require external libraries in production
+    // Legacy binary formats (.doc, .xls, .ppt) and .rtf have no extractor yet
     documents: ['.pdf', '.docx', '.doc', '.odt', '.rtf', '.epub'],
     images: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.tiff', '.svg'],
     audio: ['.mp3', '.wav', '.ogg', '.flac', '.m4a', '.aac'],
@@ -33,15 +37,25 @@ function getAllSupportedExtensions() {
 }
 
 class DocumentManager {
-    constructor(storagePath) {
+    /**
+     * @param {string} storagePath
+     * @param {Object} [options]
+     * @param {ExtractorRegistry} [options.extractors] - Defaults to the built-in extractors
+     * @param {Object} [options.embedder] - Embeds chunks for semantic retrieval; keyword ranking only without one
+     */
+    constructor(storagePath, options = {}) {
         this.storagePath = storagePath || './documents_storage';
         this.documents = new Map(); // id -> document metadata
         this.activeDocument = null;
+        this.extractors = options.extractors || createDefaultRegistry();
+        this.pendingEmbeddings = new Map(); // id -> embedding promise
         
         // Ensure storage directory exists
         if (!fs.existsSync(this.storagePath)) {
             fs.mkdirSync(this.storagePath, { recursive: true });
         }
+
+        this.index = new DocumentIndex(this.storagePath, { embedder: options.embedder });
     }
 
     /**
@@ -66,7 +80,20 @@ class DocumentManager {
     }
 
     /**
-     * Upload and process a document
+     * Add a text extractor for a category (see extractors.js)
+     * @param {string} category - A SUPPORTED_FORMATS key
+     * @param {Object} extractor
+     */
+    registerExtractor(category, extractor) {
+        this.extractors.register(category, extractor);
+    }
+
+    /**
+     * Upload and process a document. A file whose text cannot be extracted
+     * is still stored, with the failure recorded in `extraction`.
+     * @param {string} filePath
+     * @param {Object} [options]
+     * @param {Object} [options.source] - Where it came from, e.g. { room: true, transferId, from } for P2P room documents
      */
     async upload(filePath, options = {}) {
         if (!fs.existsSync(filePath)) {
@@ -81,40 +108,47 @@ class DocumentManager {
         // Generate unique ID using crypto for collision resistance
         const id = `doc_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
         
-        // Read and process content based on type
-        let content = '';
-        let metadata = {};
-
+        let buffer;
         try {
-            if (category === 'text' || category === 'data' || category === 'code' || 
-                category === 'config' || category === 'web') {
-                // Text-based files can be read directly
-                content = fs.readFileSync(filePath, 'utf8');
-                metadata = this.extractTextMetadata(content);
-            } else if (category === 'images') {
-                // For images, store path and basic info (actual vision would need MediaPipe)
-                content = `[Image file: ${filename}]`;
-                metadata = {
-                    type: 'image',
-                    size: stats.size,
-                    path: filePath
-                };
-            } else if (category === 'documents') {
-                // PDF/DOCX would need external libraries
-                content = `[Document file: ${filename}] - Content extraction requires additional libraries`;
-                metadata = {
-                    type: 'document',
-                    size: stats.size,
-                    note: 'Install pymupdf or python-docx for full extraction'
-                };
-            } else {
-                content = `[Binary file: ${filename}]`;
-                metadata = { type: 'binary', size: stats.size };
-            }
+            buffer = await fs.promises.readFile(filePath);
         } catch (e) {
             throw new Error(`Failed to read file: ${e.message}`);
         }
 
+        // Extract content based on type
+        let content = '';
+        let tables = [];
+        let metadata = {};
+        let extraction;
+
+        const extractor = this.extractors.find(category, ext);
+        if (extractor) {
+            try {
+                const result = await extractor.extract(buffer, { extension: ext, filename });
+                content = result.content || '';
+                tables = result.tables || [];
+                metadata = { ...result.metadata, ...this.extractTextMetadata(content) };
+                extraction = { status: 'ok', extractor: extractor.name };
+            } catch (e) {
+                console.warn(`⚠️ Could not extract text from ${filename}: ${e.message}`);
+                metadata = { size: stats.size };
+                extraction = { status: 'failed', extractor: extractor.name, error: e.message };
+            }
+        } else if (category === 'images') {
+            // For images, store path and basic info (actual vision would need MediaPipe)
+            content = `[Image file: ${filename}]`;
+            metadata = {
+                type: 'image',
+                size: stats.size,
+                path: filePath
+            };
+            extraction = { status: 'unsupported', error: 'Images have no text layer' };
+        } else {
+            content = `[Binary file: ${filename}]`;
+            metadata = { type: 'binary', size: stats.size };
+            extraction = { status: 'unsupported', error: `No text extractor for ${ext || 'these'} files` };
+        }
+
         // Create document record
         const doc = {
             id,
@@ -126,28 +160,38 @@ class DocumentManager {
             content,
             preview: content.substring(0, 500),
             metadata,
+            tables,
+            extraction,
+            sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+            source: options.source || null,
             uploadedAt: new Date().toISOString(),
             chunks: [] // For RAG chunking
         };
 
-        // Chunk content for RAG if it's text-based
-        if (content.length > 0 && !content.startsWith('[')) {
+        // Chunk content for RAG if text was extracted
+        if (extraction.status === 'ok' && content.length > 0) {
             doc.chunks = this.chunkContent(content);
         }
 
         // Store document
         this.documents.set(id, doc);
+        this.index.addDocument(doc);
         
         // Save to disk
         this.saveDocumentIndex();
 
+        // Embedding a long document takes a while; queries wait for it in getRelevantChunks
+        this.embed(doc);
+
         return {
             id,
             filename,
             category,
             size: this.formatSize(stats.size),
             preview: doc.preview,
-            chunksCount: doc.chunks.length
+            chunksCount: doc.chunks.length,
+            tablesCount: tables.length,
+            extraction
         };
     }
 
@@ -167,10 +211,12 @@ class DocumentManager {
     }
 
     /**
-     * Chunk content for RAG processing
+     * Chunk content for RAG processing. Each chunk records the 1-based lines
+     * its trimmed text spans so answers can cite them.
      */
     chunkContent(content, chunkSize = 1000, overlap = 200) {
         const chunks = [];
+        const lineAt = lineCounter(content);
         let start = 0;
         let chunkIndex = 0;
 
@@ -189,14 +235,22 @@ class DocumentManager {
                 }
             }
 
+            const text = chunk.trim();
+            const textStart = start + (chunk.length - chunk.trimStart().length);
+            const startLine = lineAt(textStart);
+
             chunks.push({
                 index: chunkIndex++,
-                text: chunk.trim(),
+                text,
                 start,
-                end: start + chunk.length
+                end: start + chunk.length,
+                startLine,
+                endLine: startLine + countNewlines(text)
             });
 
-            start += chunk.length - overlap;
+            // The last chunk is shorter than the overlap; stepping back would loop forever
+            if (start + chunk.length >= content.length) break;
+            start += Math.max(1, chunk.length - overlap);
         }
 
         return chunks;
@@ -221,6 +275,18 @@ class DocumentManager {
         return null;
     }
 
+    /**
+     * Get document by the sha256 of its file (how P2P rooms refer to shared documents)
+     */
+    findByHash(sha256) {
+        for (const doc of this.documents.values()) {
+            if (doc.sha256 === sha256) {
+                return doc;
+            }
+        }
+        return null;
+    }
+
     /**
      * List all documents
      */
@@ -230,7 +296,9 @@ class DocumentManager {
             filename: doc.filename,
             category: doc.category,
             size: this.formatSize(doc.size),
-            uploadedAt: doc.uploadedAt
+            uploadedAt: doc.uploadedAt,
+            // Documents indexed before extraction was tracked were read as text
+            extraction: doc.extraction || { status: 'ok' }
         }));
     }
 
@@ -260,6 +328,8 @@ class DocumentManager {
         const doc = this.get(id);
         if (doc) {
             this.documents.delete(id);
+            this.index.removeDocument(id);
+            this.pendingEmbeddings.delete(id);
             if (this.activeDocument === id) {
                 this.activeDocument = null;
             }
@@ -270,7 +340,7 @@ class DocumentManager {
     }
 
     /**
-     * Search within a document
+     * Search within a document for an exact phrase (see getRelevantChunks for ranked retrieval)
      */
     search(id, query, options = {}) {
         const doc = this.get(id);
@@ -312,18 +382,7 @@ class DocumentManager {
 
         const { maxTokens = 4000, includeMetadata = true } = options;
         
-        let result = '';
-        
-        if (includeMetadata) {
-            result += `📄 Document: ${doc.filename}\n`;
-            result += `Category: ${doc.category}\n`;
-            result += `Size: ${this.formatSize(doc.size)}\n`;
-            
-            if (doc.metadata.lines) {
-                result += `Lines: ${doc.metadata.lines}, Words: ${doc.metadata.words}\n`;
-            }
-            result += '\n---\n\n';
-        }
+        let result = includeMetadata ? this.formatHeader(doc) : '';
 
         // Truncate content if needed (rough estimate: 4 chars per token)
         const maxChars = maxTokens * 4;
@@ -338,36 +397,92 @@ class DocumentManager {
     }
 
     /**
-     * Get relevant chunks for RAG query
+     * Get the chunks of a document that best answer a query, ranked by BM25
+     * and (when an embedder is configured) embedding similarity
+     * @param {string} id
+     * @param {string} query
+     * @param {number} [limit]
+     * @returns {Promise<Array<{chunk: Object, score: number, citation: Object}>>}
      */
-    getRelevantChunks(id, query, limit = 3) {
+    async getRelevantChunks(id, query, limit = 3) {
         const doc = this.get(id);
         if (!doc || doc.chunks.length === 0) return [];
 
-        // Simple keyword-based relevance (in production, use embeddings)
-        const queryTerms = query.toLowerCase().split(/\s+/);
-        
-        const scored = doc.chunks.map(chunk => {
-            const text = chunk.text.toLowerCase();
-            let score = 0;
-            
-            for (const term of queryTerms) {
-                if (text.includes(term)) {
-                    score += 1;
-                    // Bonus for exact word match
-                    const regex = new RegExp(`\\b${term}\\b`, 'gi');
-                    score += (text.match(regex) || []).length * 0.5;
-                }
-            }
-            
-            return { chunk, score };
-        });
-
-        return scored
-            .filter(s => s.score > 0)
-            .sort((a, b) => b.score - a.score)
-            .slice(0, limit)
-            .map(s => s.chunk);
+        await this.embed(doc);
+        return this.index.search(query, { docId: id, limit });
+    }
+
+    /**
+     * Build the context for answering a question about a document: the
+     * metadata header plus only the most relevant chunks, each labelled with
+     * the lines it came from. Falls back to the start of the document when
+     * nothing matches.
+     * @param {string} id
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {number} [options.maxTokens] - Rough budget (4 chars per token)
+     * @param {number} [options.limit] - Maximum chunks
+     * @returns {Promise<{content: string, citations: Array<Object>}|null>}
+     */
+    async getAnalysisContext(id, query, options = {}) {
+        const doc = this.get(id);
+        if (!doc) return null;
+
+        const { maxTokens = 4000, limit = 5 } = options;
+        const ranked = await this.getRelevantChunks(id, query, limit);
+        if (ranked.length === 0) {
+            return { content: this.getContentForAnalysis(id, { maxTokens }), citations: [] };
+        }
+
+        // Keep the best chunks that fit, then present them in document order
+        const maxChars = maxTokens * 4;
+        const selected = [];
+        let used = 0;
+        for (const result of ranked) {
+            if (selected.length > 0 && used + result.chunk.text.length > maxChars) break;
+            selected.push(result);
+            used += result.chunk.text.length;
+        }
+        selected.sort((a, b) => a.chunk.index - b.chunk.index);
+
+        let content = this.formatHeader(doc);
+        content += 'Excerpts most relevant to the request. Cite the line numbers you rely on.\n\n';
+        content += selected
+            .map(r => `[${formatCitation(r.citation)}]\n${r.chunk.text.substring(0, maxChars)}`)
+            .join('\n\n');
+
+        return { content, citations: selected.map(r => r.citation) };
+    }
+
+    /**
+     * Metadata lines that open an analysis prompt
+     */
+    formatHeader(doc) {
+        let header = `📄 Document: ${doc.filename}\n`;
+        header += `Category: ${doc.category}\n`;
+        header += `Size: ${this.formatSize(doc.size)}\n`;
+
+        if (doc.metadata.title) {
+            header += `Title: ${doc.metadata.title}${doc.metadata.author ? ` by ${doc.metadata.author}` : ''}\n`;
+        }
+        if (doc.metadata.lines) {
+            header += `Lines: ${doc.metadata.lines}, Words: ${doc.metadata.words}\n`;
+        }
+        return header + '\n---\n\n';
+    }
+
+    /**
+     * Embed a document's chunks once, sharing the work between callers
+     * @returns {Promise<void>}
+     */
+    embed(doc) {
+        if (!this.pendingEmbeddings.has(doc.id)) {
+            const pending = this.index.embedDocument(doc)
+                .catch(e => console.warn(`⚠️ Could not embed ${doc.filename}: ${e.message}`))
+                .then(() => undefined);
+            this.pendingEmbeddings.set(doc.id, pending);
+        }
+        return this.pendingEmbeddings.get(doc.id);
     }
 
     /**
@@ -397,7 +512,14 @@ class DocumentManager {
             this.activeDocument = index.activeDocument;
         } catch (e) {
             console.error('Failed to load document index:', e);
+            return;
+        }
+
+        for (const doc of this.documents.values()) {
+            addLineNumbers(doc);
+            this.index.addDocument(doc);
         }
+        this.index.loadEmbeddings();
     }
 
     /**
@@ -423,4 +545,47 @@ class DocumentManager {
     }
 }
 
-module.exports = { DocumentManager, SUPPORTED_FORMATS, getAllSupportedExtensions };
+/**
+ * Returns lineAt(offset) giving the 1-based line of each offset. It walks
+ * from the previous offset, so mostly increasing offsets (overlapping
+ * chunks) scan the document about once.
+ * @param {string} content
+ */
+function lineCounter(content) {
+    let pos = 0;
+    let line = 1;
+    return offset => {
+        offset = Math.min(offset, content.length);
+        for (; pos < offset; pos++) {
+            if (content.charCodeAt(pos) === 10) line++;
+        }
+        for (; pos > offset; pos--) {
+            if (content.charCodeAt(pos - 1) === 10) line--;
+        }
+        return line;
+    };
+}
+
+function countNewlines(text) {
+    let count = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text.charCodeAt(i) === 10) count++;
+    }
+    return count;
+}
+
+/**
+ * Chunks saved before line numbers were tracked get them from their offsets
+ * @param {Object} doc
+ */
+function addLineNumbers(doc) {
+    if (!doc.chunks || doc.chunks.every(c => c.startLine)) return;
+    const lineAt = lineCounter(doc.content || '');
+    for (const chunk of doc.chunks) {
+        const raw = (doc.content || '').substring(chunk.start, chunk.end);
+        chunk.startLine = lineAt(chunk.start + (raw.length - raw.trimStart().length));
+        chunk.endLine = chunk.startLine + countNewlines(chunk.text);
+    }
+}
+
+module.exports = { DocumentManager, ExtractorRegistry, SUPPORTED_FORMATS, getAllSupportedExtensions };
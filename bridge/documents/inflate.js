@@ -0,0 +1,54 @@
+/**
+ * Inflate budget
+ *
+ * Caps how much one document may inflate to across all of its PDF streams
+ * or archive entries. Each stream and entry has its own cap as well, but a
+ * small file with many near-cap streams could still fill memory, so the
+ * whole extraction fails once the budget runs out.
+ */
+
+// Well past any real document we read
+const MAX_DOCUMENT_INFLATED = 128 * 1024 * 1024;
+
+class InflateBudget {
+    /**
+     * @param {number} [limit] - Bytes the document may inflate to in total
+     */
+    constructor(limit = MAX_DOCUMENT_INFLATED) {
+        this.limit = limit;
+        this.used = 0;
+    }
+
+    /**
+     * Inflate one stream or entry, counting its output against the budget
+     * @param {Function} inflate - zlib.inflateSync or zlib.inflateRawSync
+     * @param {Buffer} data
+     * @param {Object} options - zlib options; maxOutputLength is the item's own cap
+     * @returns {Buffer}
+     * @throws Error with code DOCUMENT_TOO_LARGE once the budget is spent; zlib's
+     *   ERR_BUFFER_TOO_LARGE if only the item's own cap is passed
+     */
+    inflate(inflate, data, options) {
+        const remaining = this.limit - this.used;
+        if (remaining <= 0) throw this.exhausted();
+
+        const own = options.maxOutputLength;
+        let output;
+        try {
+            output = inflate(data, { ...options, maxOutputLength: Math.min(own, remaining) });
+        } catch (e) {
+            if (e.code === 'ERR_BUFFER_TOO_LARGE' && remaining < own) throw this.exhausted();
+            throw e;
+        }
+        this.used += output.length;
+        return output;
+    }
+
+    exhausted() {
+        const error = new Error(`Document is too large (inflates to over ${this.limit} bytes)`);
+        error.code = 'DOCUMENT_TOO_LARGE';
+        return error;
+    }
+}
+
+module.exports = { InflateBudget, MAX_DOCUMENT_INFLATED };
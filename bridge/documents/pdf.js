@@ -0,0 +1,617 @@
+/**
+ * PDF text extraction
+ *
+ * Reads text from a PDF without external tools:
+ *
+ * 1. Index every `N G obj` in the file, including objects packed into
+ *    object streams (PDF 1.5+)
+ * 2. Walk the page tree from the catalog, inheriting resources
+ * 3. Inflate each page's content streams and interpret the text operators
+ *    (Tj, TJ, ', ", Td, TD, T*, Tm), decoding strings through the font's
+ *    ToUnicode CMap when it has one
+ *
+ * Scanned PDFs have no text to find and encrypted PDFs are refused; both
+ * are reported as errors rather than empty documents.
+ */
+
+const zlib = require('zlib');
+const { InflateBudget } = require('./inflate');
+
+const WHITESPACE = '\x00\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+// TJ offsets (thousandths of an em) wider than this are word gaps
+const WORD_GAP = 200;
+
+// Guards against deflate bombs; no stream we read comes close. The whole
+// document also has to fit an InflateBudget
+const MAX_STREAM_SIZE = 64 * 1024 * 1024;
+
+// WinAnsi characters that differ from Latin-1
+const WIN_ANSI = {
+    0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”',
+    0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™'
+};
+
+/**
+ * Read one PDF value starting at `pos`
+ * @param {string} s - Latin-1 decoded bytes
+ * @param {number} pos
+ * @returns {{value: *, pos: number}} Names are '/Name' strings, strings are
+ *   { str }, references { ref }, operators { op }
+ */
+function parseValue(s, pos) {
+    pos = skipWhitespace(s, pos);
+    const c = s[pos];
+
+    if (c === undefined) return { value: undefined, pos };
+
+    if (c === '<' && s[pos + 1] === '<') {
+        const dict = {};
+        pos += 2;
+        for (;;) {
+            pos = skipWhitespace(s, pos);
+            if (pos >= s.length) break;
+            if (s[pos] === '>' && s[pos + 1] === '>') {
+                pos += 2;
+                break;
+            }
+            const key = parseValue(s, pos);
+            const val = parseValue(s, key.pos);
+            if (typeof key.value === 'string' && key.value[0] === '/') {
+                dict[key.value.slice(1)] = val.value;
+            }
+            pos = val.pos;
+            if (val.value === undefined) break;
+        }
+        return { value: dict, pos };
+    }
+
+    if (c === '[') {
+        const arr = [];
+        pos++;
+        for (;;) {
+            pos = skipWhitespace(s, pos);
+            if (pos >= s.length) break;
+            if (s[pos] === ']') {
+                pos++;
+                break;
+            }
+            const item = parseValue(s, pos);
+            if (item.value === undefined) break;
+            arr.push(item.value);
+            pos = item.pos;
+        }
+        return { value: arr, pos };
+    }
+
+    if (c === '(') return parseLiteralString(s, pos + 1);
+
+    if (c === '<') {
+        const end = s.indexOf('>', pos);
+        const hex = s.slice(pos + 1, end < 0 ? s.length : end).replace(/[^0-9a-fA-F]/g, '');
+        const padded = hex.length % 2 ? `${hex}0` : hex;
+        return { value: { str: Buffer.from(padded, 'hex').toString('latin1') }, pos: end < 0 ? s.length : end + 1 };
+    }
+
+    if (c === '/') {
+        let end = pos + 1;
+        while (end < s.length && !WHITESPACE.includes(s[end]) && !DELIMITERS.includes(s[end])) end++;
+        const name = s.slice(pos + 1, end).replace(/#([0-9a-fA-F]{2})/g, (m, h) => String.fromCharCode(parseInt(h, 16)));
+        return { value: `/${name}`, pos: end };
+    }
+
+    if (c === ')' || c === '>' || c === ']' || c === '{' || c === '}') {
+        return { value: { op: c }, pos: pos + 1 };
+    }
+
+    // Number, reference or keyword
+    let end = pos;
+    while (end < s.length && !WHITESPACE.includes(s[end]) && !DELIMITERS.includes(s[end])) end++;
+    const word = s.slice(pos, end);
+
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+        const ref = /^\s+(\d+)\s+R(?![^\s\/\[\]<>()%])/.exec(s.slice(end, end + 24));
+        if (/^\d+$/.test(word) && ref) {
+            return { value: { ref: parseInt(word, 10) }, pos: end + ref[0].length };
+        }
+        return { value: parseFloat(word), pos: end };
+    }
+    if (word === 'true' || word === 'false') return { value: word === 'true', pos: end };
+    if (word === 'null') return { value: null, pos: end };
+    return { value: { op: word }, pos: end };
+}
+
+function skipWhitespace(s, pos) {
+    while (pos < s.length) {
+        if (WHITESPACE.includes(s[pos])) {
+            pos++;
+        } else if (s[pos] === '%') {
+            while (pos < s.length && s[pos] !== '\n' && s[pos] !== '\r') pos++;
+        } else {
+            break;
+        }
+    }
+    return pos;
+}
+
+function parseLiteralString(s, pos) {
+    let out = '';
+    let depth = 1;
+
+    while (pos < s.length) {
+        const c = s[pos++];
+        if (c === '\\') {
+            const next = s[pos++];
+            const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+            if (next in escapes) {
+                out += escapes[next];
+            } else if (next >= '0' && next <= '7') {
+                let octal = next;
+                while (octal.length < 3 && s[pos] >= '0' && s[pos] <= '7') octal += s[pos++];
+                out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+            } else if (next === '\r') {
+                if (s[pos] === '\n') pos++;
+            } else if (next !== '\n') {
+                out += next;
+            }
+        } else if (c === '(') {
+            depth++;
+            out += c;
+        } else if (c === ')') {
+            if (--depth === 0) break;
+            out += c;
+        } else {
+            out += c;
+        }
+    }
+
+    return { value: { str: out }, pos };
+}
+
+/**
+ * Decode a PDF text string (Info dictionary values)
+ * @param {*} value
+ * @returns {string|null}
+ */
+function textString(value) {
+    if (!value || typeof value.str !== 'string') return null;
+    const raw = value.str;
+    if (raw.startsWith('\xfe\xff')) {
+        return decodeUtf16(raw.slice(2));
+    }
+    return decodeSingleByte(raw);
+}
+
+function decodeUtf16(bytes) {
+    let out = '';
+    for (let i = 0; i + 1 < bytes.length; i += 2) {
+        out += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+    }
+    return out;
+}
+
+function decodeSingleByte(bytes) {
+    let out = '';
+    for (let i = 0; i < bytes.length; i++) {
+        const code = bytes.charCodeAt(i);
+        out += WIN_ANSI[code] || String.fromCharCode(code);
+    }
+    return out;
+}
+
+/**
+ * Parse a ToUnicode CMap into a code -> text map
+ * @param {string} source
+ * @returns {{map: Map<number, string>, bytes: number}}
+ */
+function parseCMap(source) {
+    const map = new Map();
+    let bytes = 1;
+
+    const codespace = /begincodespacerange([\s\S]*?)endcodespacerange/.exec(source);
+    if (codespace) {
+        const first = /<([0-9a-fA-F]+)>/.exec(codespace[1]);
+        if (first) bytes = Math.max(1, first[1].length / 2);
+    }
+
+    const hexToText = hex => decodeUtf16(Buffer.from(hex.length % 4 ? hex.padStart(4, '0') : hex, 'hex').toString('latin1'));
+
+    for (const block of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+        for (const [, src, dst] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+            map.set(parseInt(src, 16), hexToText(dst));
+            if (!codespace) bytes = Math.max(bytes, src.length / 2);
+        }
+    }
+
+    for (const block of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+        const pattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]+)>|\[([^\]]*)\])/g;
+        for (const [, lo, hi, dst, list] of block[1].matchAll(pattern)) {
+            const start = parseInt(lo, 16);
+            const end = Math.min(parseInt(hi, 16), start + 0xffff);
+            if (!codespace) bytes = Math.max(bytes, lo.length / 2);
+
+            if (list !== undefined) {
+                const targets = Array.from(list.matchAll(/<([0-9a-fA-F]+)>/g), m => m[1]);
+                targets.forEach((hex, i) => map.set(start + i, hexToText(hex)));
+            } else {
+                // Increment the last UTF-16 unit across the range
+                const base = hexToText(dst);
+                const last = base.charCodeAt(base.length - 1);
+                for (let code = start; code <= end; code++) {
+                    map.set(code, base.slice(0, -1) + String.fromCharCode(last + code - start));
+                }
+            }
+        }
+    }
+
+    return { map, bytes };
+}
+
+class PdfDocument {
+    /**
+     * @param {Buffer} buffer
+     * @param {InflateBudget} [budget] - Shared with other readers of the same document
+     * @throws If the buffer is not a PDF, or its object streams inflate past the budget
+     */
+    constructor(buffer, budget = new InflateBudget()) {
+        this.source = buffer.toString('latin1');
+        this.budget = budget;
+        if (!this.source.startsWith('%PDF-')) {
+            throw new Error('Not a PDF file');
+        }
+
+        this.offsets = new Map();   // object number -> file offset
+        this.packed = new Map();    // object number -> { container, index }
+        this.cache = new Map();
+        this.fonts = new Map();     // font object -> decoder
+
+        this.indexObjects();
+        this.trailer = this.findTrailer();
+    }
+
+    indexObjects() {
+        const pattern = /(?:^|[\r\n])\s*(\d+)\s+(\d+)\s+obj\b/g;
+        let match;
+        while ((match = pattern.exec(this.source)) !== null) {
+            // Later definitions win (incremental updates append)
+            this.offsets.set(parseInt(match[1], 10), match.index + match[0].length);
+        }
+
+        for (const num of Array.from(this.offsets.keys())) {
+            const obj = this.get(num);
+            if (!obj || obj.Type !== '/ObjStm') continue;
+            try {
+                const data = this.streamData(obj).toString('latin1');
+                const header = data.slice(0, obj.First).trim().split(/\s+/).map(Number);
+                for (let i = 0; i + 1 < header.length; i += 2) {
+                    if (!this.offsets.has(header[i])) {
+                        this.packed.set(header[i], { data, offset: obj.First + header[i + 1] });
+                    }
+                }
+            } catch (e) {
+                if (e.code === 'DOCUMENT_TOO_LARGE') throw e;
+                // Objects in an unreadable stream are simply missing
+            }
+        }
+    }
+
+    findTrailer() {
+        const trailers = [];
+        const pattern = /trailer\s*(?=<<)/g;
+        let match;
+        while ((match = pattern.exec(this.source)) !== null) {
+            trailers.push(parseValue(this.source, match.index + match[0].length).value);
+        }
+
+        // PDF 1.5 cross-reference streams carry the trailer keys themselves
+        for (const num of this.offsets.keys()) {
+            const obj = this.get(num);
+            if (obj && obj.Type === '/XRef') trailers.push(obj);
+        }
+
+        const merged = {};
+        for (const t of trailers) {
+            for (const [key, value] of Object.entries(t || {})) {
+                if (!(key in merged) || key === 'Root' || key === 'Info' || key === 'Encrypt') merged[key] = value;
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Parse an object by number. Stream objects get a `stream` property
+     * holding the raw bytes as a Latin-1 string.
+     * @param {number} num
+     * @returns {*}
+     */
+    get(num) {
+        if (this.cache.has(num)) return this.cache.get(num);
+        this.cache.set(num, null); // guards against reference cycles
+
+        let value = null;
+        if (this.offsets.has(num)) {
+            const offset = this.offsets.get(num);
+            const parsed = parseValue(this.source, offset);
+            value = parsed.value;
+
+            const after = /^\s*stream\r?\n/.exec(this.source.slice(parsed.pos, parsed.pos + 16));
+            if (value && typeof value === 'object' && after) {
+                const start = parsed.pos + after[0].length;
+                const length = this.resolve(value.Length);
+                let end = typeof length === 'number' ? start + length : -1;
+                if (end < 0 || !/^\s*endstream/.test(this.source.slice(end, end + 16))) {
+                    end = this.source.indexOf('endstream', start);
+                }
+                value.stream = this.source.slice(start, end < 0 ? this.source.length : end);
+            }
+        } else if (this.packed.has(num)) {
+            const { data, offset } = this.packed.get(num);
+            value = parseValue(data, offset).value;
+        }
+
+        this.cache.set(num, value);
+        return value;
+    }
+
+    resolve(value) {
+        return value && typeof value === 'object' && 'ref' in value ? this.get(value.ref) : value;
+    }
+
+    /**
+     * Decoded bytes of a stream object
+     * @param {Object} obj
+     * @returns {Buffer}
+     * @throws On filters other than FlateDecode, streams inflating past MAX_STREAM_SIZE,
+     *   or the document inflating past its budget (code DOCUMENT_TOO_LARGE)
+     */
+    streamData(obj) {
+        let data = Buffer.from(obj.stream || '', 'latin1');
+        const filter = this.resolve(obj.Filter);
+        const filters = Array.isArray(filter) ? filter : filter ? [filter] : [];
+
+        for (const f of filters) {
+            if (f === '/FlateDecode' || f === '/Fl') {
+                try {
+                    data = this.budget.inflate(zlib.inflateSync, data, {
+                        finishFlush: zlib.constants.Z_SYNC_FLUSH,
+                        maxOutputLength: MAX_STREAM_SIZE
+                    });
+                } catch (e) {
+                    if (e.code === 'ERR_BUFFER_TOO_LARGE') {
+                        throw new Error(`PDF stream is too large (over ${MAX_STREAM_SIZE} bytes inflated)`);
+                    }
+                    throw e;
+                }
+            } else {
+                throw new Error(`Unsupported PDF filter ${f}`);
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Pages in document order, each with its inherited resources
+     * @returns {Array<{page: Object, resources: Object}>}
+     */
+    pages() {
+        const pages = [];
+        const root = this.resolve(this.trailer.Root);
+        const seen = new Set();
+
+        const walk = (node, resources) => {
+            if (!node || seen.has(node)) return;
+            seen.add(node);
+            const own = this.resolve(node.Resources) || resources;
+            if (node.Type === '/Page' || (!node.Kids && node.Contents)) {
+                pages.push({ page: node, resources: own });
+            }
+            for (const kid of this.resolve(node.Kids) || []) {
+                walk(this.resolve(kid), own);
+            }
+        };
+        walk(root && this.resolve(root.Pages), {});
+
+        // Broken catalog: fall back to every page object in file order
+        if (pages.length === 0) {
+            for (const num of this.offsets.keys()) {
+                const obj = this.get(num);
+                if (obj && obj.Type === '/Page') pages.push({ page: obj, resources: this.resolve(obj.Resources) || {} });
+            }
+        }
+        return pages;
+    }
+
+    /**
+     * Text decoder for a font resource
+     * @param {Object} font
+     * @returns {function(string): string}
+     */
+    fontDecoder(font) {
+        if (!font) return decodeSingleByte;
+        if (this.fonts.has(font)) return this.fonts.get(font);
+
+        let decoder = decodeSingleByte;
+        const toUnicode = this.resolve(font.ToUnicode);
+        if (toUnicode && toUnicode.stream !== undefined) {
+            try {
+                const { map, bytes } = parseCMap(this.streamData(toUnicode).toString('latin1'));
+                decoder = raw => {
+                    let out = '';
+                    for (let i = 0; i + bytes <= raw.length; i += bytes) {
+                        let code = 0;
+                        for (let b = 0; b < bytes; b++) code = (code << 8) | raw.charCodeAt(i + b);
+                        out += map.get(code) ?? '';
+                    }
+                    return out;
+                };
+            } catch (e) {
+                if (e.code === 'DOCUMENT_TOO_LARGE') throw e;
+                decoder = decodeSingleByte;
+            }
+        } else if (font.Subtype === '/Type0') {
+            // Two-byte glyph ids with no way back to characters
+            decoder = () => '';
+        }
+
+        this.fonts.set(font, decoder);
+        return decoder;
+    }
+
+    /**
+     * Text of one page
+     * @param {{page: Object, resources: Object}} entry
+     * @returns {string}
+     */
+    pageText({ page, resources }) {
+        const contents = this.resolve(page.Contents);
+        const streams = (Array.isArray(contents) ? contents : [contents]).map(c => this.resolve(c)).filter(Boolean);
+
+        let source = '';
+        for (const stream of streams) {
+            try {
+                source += this.streamData(stream).toString('latin1') + '\n';
+            } catch (e) {
+                if (e.code === 'DOCUMENT_TOO_LARGE') throw e;
+                // Skip content we cannot decode; other streams may still have text
+            }
+        }
+
+        const fonts = this.resolve(resources && resources.Font) || {};
+        return interpretContent(source, name => this.fontDecoder(this.resolve(fonts[name.slice(1)])));
+    }
+
+    /**
+     * Info dictionary fields
+     * @returns {Object}
+     */
+    info() {
+        const info = this.resolve(this.trailer.Info) || {};
+        const fields = { title: 'Title', author: 'Author', subject: 'Subject', creator: 'Creator', producer: 'Producer' };
+        const result = {};
+        for (const [key, field] of Object.entries(fields)) {
+            const value = textString(this.resolve(info[field]));
+            if (value) result[key] = value.trim();
+        }
+        const created = textString(this.resolve(info.CreationDate));
+        const date = created && /D:(\d{4})(\d{2})?(\d{2})?/.exec(created);
+        if (date) {
+            result.created = [date[1], date[2] || '01', date[3] || '01'].join('-');
+        }
+        return result;
+    }
+}
+
+/**
+ * Run a content stream's text operators
+ * @param {string} source - Decoded content stream
+ * @param {function(string): function(string): string} fontFor - Font name -> decoder
+ * @returns {string}
+ */
+function interpretContent(source, fontFor) {
+    let text = '';
+    let decode = decodeSingleByte;
+    let lineY = null;
+    const operands = [];
+
+    const newLine = () => {
+        if (text && !text.endsWith('\n')) text += '\n';
+    };
+    const show = raw => {
+        text += decode(raw);
+    };
+
+    let pos = 0;
+    while (pos < source.length) {
+        const { value, pos: next } = parseValue(source, pos);
+        if (value === undefined || next <= pos) break;
+        pos = next;
+
+        if (!value || typeof value !== 'object' || !('op' in value)) {
+            operands.push(value);
+            continue;
+        }
+
+        switch (value.op) {
+            case 'Tf':
+                decode = fontFor(String(operands[operands.length - 2] || ''));
+                break;
+            case 'Td':
+            case 'TD':
+                if (operands[1]) newLine();
+                break;
+            case 'Tm': {
+                const y = operands[5];
+                if (lineY !== null && Math.abs(y - lineY) > 1) newLine();
+                lineY = y;
+                break;
+            }
+            case 'T*':
+                newLine();
+                break;
+            case 'Tj':
+                if (operands[0] && operands[0].str !== undefined) show(operands[0].str);
+                break;
+            case "'":
+            case '"':
+                newLine();
+                if (operands.length && operands[operands.length - 1].str !== undefined) {
+                    show(operands[operands.length - 1].str);
+                }
+                break;
+            case 'TJ':
+                for (const item of operands[0] || []) {
+                    if (item && item.str !== undefined) {
+                        show(item.str);
+                    } else if (typeof item === 'number' && item < -WORD_GAP && !text.endsWith(' ')) {
+                        text += ' ';
+                    }
+                }
+                break;
+            case 'ET':
+                if (!text.endsWith('\n') && !text.endsWith(' ')) text += ' ';
+                break;
+            case 'ID': {
+                // Inline image data is binary; skip to its end marker
+                const end = source.indexOf('EI', pos);
+                pos = end < 0 ? source.length : end + 2;
+                break;
+            }
+        }
+        operands.length = 0;
+    }
+
+    return text;
+}
+
+/**
+ * Extract the text and metadata of a PDF
+ * @param {Buffer} buffer
+ * @returns {{text: string, pages: Array<string>, metadata: Object}}
+ * @throws If the file is not a PDF, is encrypted, has no text layer or inflates past the budget
+ */
+function extractPdf(buffer) {
+    const doc = new PdfDocument(buffer);
+    if (doc.trailer.Encrypt) {
+        throw new Error('PDF is encrypted');
+    }
+
+    const pages = doc.pages().map(entry => doc.pageText(entry)
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean)
+        .join('\n'));
+
+    const text = pages.filter(Boolean).join('\n\n');
+    if (!text.trim()) {
+        throw new Error('No extractable text (the PDF may be scanned images)');
+    }
+
+    return {
+        text,
+        pages,
+        metadata: { ...doc.info(), pages: pages.length }
+    };
+}
+
+module.exports = { extractPdf, PdfDocument, parseCMap, MAX_STREAM_SIZE };
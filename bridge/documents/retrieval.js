@@ -0,0 +1,286 @@
+/**
+ * Document Retrieval
+ *
+ * Finds the chunks of uploaded documents that answer a query:
+ *
+ * - BM25 over an inverted index of chunk terms, rebuilt from the document
+ *   index on load (it is cheap compared to embedding)
+ * - Cosine similarity against chunk embeddings, persisted to
+ *   chunk_embeddings.json next to the document index so each chunk is only
+ *   embedded once
+ * - Hybrid ranking: both scores normalized to [0, 1] and blended, so exact
+ *   terms and paraphrases both surface
+ *
+ * Every result cites the document and the lines its chunk spans.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cosineSimilarity } = require('../memory_format/embeddings');
+
+// Configuration
+const CONFIG = {
+    BM25_K1: 1.2,
+    BM25_B: 0.75,
+    VECTOR_WEIGHT: 0.5,      // Share of the hybrid score from embeddings
+    MIN_SIMILARITY: 0.2      // Cosine similarity below this counts as no match
+};
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with',
+    'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'it', 'its', 'this', 'that',
+    'these', 'those', 'what', 'which', 'who', 'how', 'when', 'where', 'do', 'does', 'did'
+]);
+
+/**
+ * Split text into index terms: lowercase words without stop words, with
+ * plural "s" stripped so "invoices" finds "invoice"
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(t => t.length > 1 && !STOP_WORDS.has(t))
+        .map(t => (t.length > 3 && t.endsWith('s') && !t.endsWith('ss') ? t.slice(0, -1) : t));
+}
+
+/**
+ * "report.pdf, lines 12-30"
+ * @param {{filename: string, startLine: number, endLine: number}} citation
+ */
+function formatCitation(citation) {
+    const lines = citation.startLine === citation.endLine
+        ? `line ${citation.startLine}`
+        : `lines ${citation.startLine}-${citation.endLine}`;
+    return `${citation.filename}, ${lines}`;
+}
+
+class DocumentIndex {
+    /**
+     * @param {string} storagePath - Directory holding the document index
+     * @param {Object} [options]
+     * @param {Object} [options.embedder] - Embedding provider (see memory_format/embeddings.js)
+     * @param {Object} [options.config] - Overrides for CONFIG
+     */
+    constructor(storagePath, options = {}) {
+        this.embeddingsFile = path.join(storagePath, 'chunk_embeddings.json');
+        this.embedder = options.embedder || null;
+        this.config = { ...CONFIG, ...options.config };
+
+        this.postings = new Map();   // term -> Map(chunkKey -> term frequency)
+        this.chunks = new Map();     // chunkKey -> { docId, filename, chunk, length }
+        this.totalLength = 0;
+        this.vectors = new Map();    // chunkKey -> embedding
+        this.embeddingFailed = false;
+    }
+
+    /**
+     * Set or clear the embedding provider. Vectors from another provider
+     * live in a different space, so they are dropped.
+     * @param {Object|null} embedder
+     */
+    setEmbedder(embedder) {
+        if (this.embedder && embedder && this.embedder.name !== embedder.name) {
+            this.vectors.clear();
+        }
+        this.embedder = embedder;
+        this.embeddingFailed = false;
+    }
+
+    /**
+     * Add a document's chunks to the term index (replacing any earlier version)
+     * @param {Object} doc - Document record with chunks
+     */
+    addDocument(doc) {
+        this.removeTerms(doc.id);
+
+        for (const chunk of doc.chunks || []) {
+            const key = `${doc.id}#${chunk.index}`;
+            const terms = tokenize(chunk.text);
+            this.chunks.set(key, { docId: doc.id, filename: doc.filename, chunk, length: terms.length });
+            this.totalLength += terms.length;
+
+            const counts = new Map();
+            for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+            for (const [term, tf] of counts) {
+                if (!this.postings.has(term)) this.postings.set(term, new Map());
+                this.postings.get(term).set(key, tf);
+            }
+        }
+    }
+
+    /**
+     * Drop a document's terms and embeddings
+     * @param {string} docId
+     */
+    removeDocument(docId) {
+        this.removeTerms(docId);
+        let removed = false;
+        for (const key of Array.from(this.vectors.keys())) {
+            if (key.startsWith(`${docId}#`)) {
+                this.vectors.delete(key);
+                removed = true;
+            }
+        }
+        if (removed) this.saveEmbeddings();
+    }
+
+    removeTerms(docId) {
+        const prefix = `${docId}#`;
+        for (const [key, entry] of Array.from(this.chunks)) {
+            if (!key.startsWith(prefix)) continue;
+            this.totalLength -= entry.length;
+            this.chunks.delete(key);
+        }
+        for (const [term, keys] of Array.from(this.postings)) {
+            for (const key of Array.from(keys.keys())) {
+                if (key.startsWith(prefix)) keys.delete(key);
+            }
+            if (keys.size === 0) this.postings.delete(term);
+        }
+    }
+
+    /**
+     * Embed chunks that have no vector yet. Best effort: stops at the first
+     * failure and leaves the rest to BM25.
+     * @param {Object} doc
+     * @returns {Promise<number>} Chunks embedded
+     */
+    async embedDocument(doc) {
+        if (!this.embedder || this.embeddingFailed) return 0;
+
+        let embedded = 0;
+        for (const chunk of doc.chunks || []) {
+            const key = `${doc.id}#${chunk.index}`;
+            if (this.vectors.has(key) || !chunk.text) continue;
+            try {
+                this.vectors.set(key, await this.embedder.embed(chunk.text));
+                embedded++;
+            } catch (e) {
+                // Usually the embedding model is not installed; don't retry every chunk
+                console.warn(`⚠️ Document embedding with ${this.embedder.name} failed: ${e.message}`);
+                this.embeddingFailed = true;
+                break;
+            }
+        }
+
+        if (embedded > 0) this.saveEmbeddings();
+        return embedded;
+    }
+
+    /**
+     * Rank chunks for a query
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {string} [options.docId] - Only search this document
+     * @param {number} [options.limit] - Maximum results (default 5)
+     * @returns {Promise<Array<{docId: string, chunk: Object, score: number, bm25: number, similarity: number, citation: Object}>>}
+     */
+    async search(query, options = {}) {
+        const limit = options.limit || 5;
+        const inScope = key => !options.docId || key.startsWith(`${options.docId}#`);
+
+        const bm25 = this.scoreBm25(tokenize(query), inScope);
+        const similarity = await this.scoreVectors(query, inScope);
+
+        const maxBm25 = Math.max(0, ...bm25.values());
+        const useVectors = similarity.size > 0;
+        const weight = useVectors ? this.config.VECTOR_WEIGHT : 0;
+
+        const results = [];
+        for (const key of new Set([...bm25.keys(), ...similarity.keys()])) {
+            const lexical = maxBm25 > 0 ? (bm25.get(key) || 0) / maxBm25 : 0;
+            const semantic = similarity.get(key) || 0;
+            const score = (1 - weight) * lexical + weight * semantic;
+            if (score <= 0) continue;
+
+            const { docId, filename, chunk } = this.chunks.get(key);
+            results.push({
+                docId,
+                chunk,
+                score,
+                bm25: bm25.get(key) || 0,
+                similarity: semantic,
+                citation: { filename, startLine: chunk.startLine, endLine: chunk.endLine }
+            });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, limit);
+    }
+
+    /**
+     * @returns {Map<string, number>} chunkKey -> BM25 score
+     */
+    scoreBm25(terms, inScope) {
+        const scores = new Map();
+        const total = this.chunks.size;
+        if (total === 0) return scores;
+
+        const { BM25_K1: k1, BM25_B: b } = this.config;
+        const avgLength = this.totalLength / total || 1;
+
+        for (const term of new Set(terms)) {
+            const keys = this.postings.get(term);
+            if (!keys) continue;
+            const idf = Math.log(1 + (total - keys.size + 0.5) / (keys.size + 0.5));
+
+            for (const [key, tf] of keys) {
+                if (!inScope(key)) continue;
+                const length = this.chunks.get(key).length;
+                const score = idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * length / avgLength));
+                scores.set(key, (scores.get(key) || 0) + score);
+            }
+        }
+        return scores;
+    }
+
+    /**
+     * @returns {Promise<Map<string, number>>} chunkKey -> similarity, for matches above MIN_SIMILARITY
+     */
+    async scoreVectors(query, inScope) {
+        const scores = new Map();
+        if (!this.embedder || this.embeddingFailed || this.vectors.size === 0) return scores;
+
+        let queryVector;
+        try {
+            queryVector = await this.embedder.embed(query);
+        } catch (e) {
+            console.warn(`⚠️ Query embedding failed, using keywords only: ${e.message}`);
+            return scores;
+        }
+
+        for (const [key, vector] of this.vectors) {
+            if (!inScope(key) || !this.chunks.has(key)) continue;
+            const similarity = cosineSimilarity(queryVector, vector);
+            if (similarity >= this.config.MIN_SIMILARITY) scores.set(key, similarity);
+        }
+        return scores;
+    }
+
+    loadEmbeddings() {
+        if (!fs.existsSync(this.embeddingsFile)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.embeddingsFile, 'utf8'));
+            // Vectors from another provider can't be compared with new queries
+            if (this.embedder && data.embedder !== this.embedder.name) return;
+            this.vectors = new Map(Object.entries(data.vectors || {}));
+        } catch (e) {
+            console.error('Failed to load document embeddings:', e);
+        }
+    }
+
+    saveEmbeddings() {
+        const data = {
+            embedder: this.embedder ? this.embedder.name : null,
+            vectors: Object.fromEntries(this.vectors),
+            updatedAt: new Date().toISOString()
+        };
+        fs.writeFileSync(this.embeddingsFile, JSON.stringify(data));
+    }
+}
+
+DocumentIndex.CONFIG = CONFIG;
+
+module.exports = { DocumentIndex, tokenize, formatCitation };
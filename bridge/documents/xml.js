@@ -0,0 +1,195 @@
+/**
+ * XML helpers for document extraction
+ *
+ * A forgiving tokenizer rather than a full parser: document formats only
+ * need to walk elements in order and pick up text, and real-world files
+ * are not always well-formed.
+ */
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+    nbsp: '\u00a0', mdash: '—', ndash: '–', hellip: '…',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    copy: '©', reg: '®', trade: '™', bull: '•', middot: '·'
+};
+
+// Elements that start a new line when converting XHTML to text
+const HTML_BLOCKS = new Set([
+    'p', 'div', 'section', 'article', 'header', 'footer', 'aside', 'blockquote',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'dt', 'dd', 'pre', 'tr', 'br', 'hr',
+    'ul', 'ol', 'dl', 'table', 'figure', 'figcaption'
+]);
+// Block elements that end a line rather than a paragraph
+const HTML_LINES = new Set(['li', 'tr', 'br', 'dt', 'dd']);
+const HTML_SKIP = new Set(['head', 'script', 'style', 'title']);
+
+/**
+ * Replace XML/HTML character references
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+        if (ref[0] === '#') {
+            const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+        }
+        return NAMED_ENTITIES[ref.toLowerCase()] ?? match;
+    });
+}
+
+/**
+ * Parse `a="1" b='2'` into an object (names keep their prefix)
+ * @param {string} source
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(source) {
+    const attrs = {};
+    const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+        attrs[match[1]] = decodeEntities(match[2] ?? match[3]);
+    }
+    return attrs;
+}
+
+/**
+ * Strip a namespace prefix: `w:p` -> `p`
+ * @param {string} name
+ */
+function localName(name) {
+    const colon = name.indexOf(':');
+    return colon < 0 ? name : name.slice(colon + 1);
+}
+
+/**
+ * Split XML into open, close and text tokens. Comments, processing
+ * instructions and doctypes are dropped; CDATA becomes text.
+ * @param {string} xml
+ * @returns {Array<{type: string, name?: string, attrs?: Object, selfClosing?: boolean, text?: string}>}
+ */
+function tokenize(xml) {
+    const tokens = [];
+    const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<(\/?)([\w:.-]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>|([^<]+)/g;
+    let match;
+
+    while ((match = pattern.exec(xml)) !== null) {
+        const [, cdata, closing, name, attrs, selfClosing, text] = match;
+        if (cdata !== undefined) {
+            tokens.push({ type: 'text', text: cdata });
+        } else if (text !== undefined) {
+            tokens.push({ type: 'text', text: decodeEntities(text) });
+        } else if (name && closing) {
+            tokens.push({ type: 'close', name });
+        } else if (name) {
+            tokens.push({ type: 'open', name, attrs: parseAttributes(attrs), selfClosing: !!selfClosing });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Text of every element with the given local name, in document order
+ * @param {string} xml
+ * @param {string} name - Local name, e.g. 'title' matches dc:title
+ * @returns {Array<string>}
+ */
+function elementTexts(xml, name) {
+    const results = [];
+    let depth = 0;
+    let current = '';
+
+    for (const token of tokenize(xml)) {
+        if (token.type === 'open' && localName(token.name) === name && !token.selfClosing) {
+            if (depth++ === 0) current = '';
+        } else if (token.type === 'close' && localName(token.name) === name && depth > 0) {
+            if (--depth === 0) results.push(current.trim());
+        } else if (token.type === 'text' && depth > 0) {
+            current += token.text;
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Convert XHTML to plain text, keeping paragraph breaks and table rows
+ * @param {string} html
+ * @returns {{text: string, tables: Array<{rows: Array<Array<string>>}>}}
+ */
+function htmlToText(html) {
+    let text = '';
+    let skip = 0;
+    const tables = [];
+    const tableStack = [];
+    let cell = null;
+
+    for (const token of tokenize(html)) {
+        const name = token.name ? localName(token.name).toLowerCase() : null;
+
+        if (token.type === 'open') {
+            if (HTML_SKIP.has(name) && !token.selfClosing) skip++;
+            if (skip > 0) continue;
+
+            if (name === 'table') {
+                tableStack.push({ rows: [] });
+            } else if (name === 'tr' && tableStack.length > 0) {
+                tableStack[tableStack.length - 1].rows.push([]);
+            } else if ((name === 'td' || name === 'th') && tableStack.length > 0) {
+                cell = '';
+                text += '\t';
+            } else if (name === 'li') {
+                text += '\n- ';
+                continue;
+            }
+            if (HTML_BLOCKS.has(name)) text += '\n';
+        } else if (token.type === 'close') {
+            if (HTML_SKIP.has(name)) {
+                skip = Math.max(0, skip - 1);
+                continue;
+            }
+            if (skip > 0) continue;
+
+            if ((name === 'td' || name === 'th') && cell !== null) {
+                const rows = tableStack[tableStack.length - 1].rows;
+                if (rows.length === 0) rows.push([]);
+                rows[rows.length - 1].push(cell.trim());
+                cell = null;
+            } else if (name === 'table' && tableStack.length > 0) {
+                tables.push(tableStack.pop());
+            }
+            if (HTML_BLOCKS.has(name) && !HTML_LINES.has(name)) text += '\n';
+        } else if (skip === 0) {
+            const chunk = token.text.replace(/\s+/g, ' ');
+            text += chunk;
+            if (cell !== null) cell += chunk;
+        }
+    }
+
+    return { text: normalizeWhitespace(text), tables };
+}
+
+/**
+ * Trim lines and collapse runs of blank lines
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeWhitespace(text) {
+    return text
+        .split('\n')
+        .map(line => line.replace(/[ \u00a0]+/g, ' ').replace(/ ?\t ?/g, '\t').replace(/^[ \t]+|[ \t]+$/g, ''))
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+module.exports = {
+    decodeEntities,
+    parseAttributes,
+    localName,
+    tokenize,
+    elementTexts,
+    htmlToText,
+    normalizeWhitespace
+};
@@ -0,0 +1,140 @@
+/**
+ * Minimal ZIP reader
+ *
+ * Enough of the ZIP format to read OOXML (docx/xlsx/pptx), OpenDocument
+ * and EPUB containers: the central directory, stored and deflated entries.
+ * No encryption, multi-disk archives or ZIP64.
+ */
+
+const zlib = require('zlib');
+const { InflateBudget } = require('./inflate');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Guards against zip bombs; no document part we read comes close. The
+// whole archive also has to fit an InflateBudget
+const MAX_ENTRY_SIZE = 64 * 1024 * 1024;
+
+class ZipArchive {
+    /**
+     * @param {Buffer} buffer - Whole archive
+     * @param {InflateBudget} [budget] - Shared by every entry read
+     * @throws If the buffer is not a readable ZIP archive
+     */
+    constructor(buffer, budget = new InflateBudget()) {
+        this.buffer = buffer;
+        this.budget = budget;
+        this.entries = new Map(); // name -> { method, compressedSize, size, offset, flags }
+        this.readCentralDirectory();
+    }
+
+    /**
+     * Whether a buffer starts like a ZIP archive
+     * @param {Buffer} buffer
+     */
+    static isZip(buffer) {
+        return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_SIGNATURE;
+    }
+
+    readCentralDirectory() {
+        const buf = this.buffer;
+        if (buf.length < 22) {
+            throw new Error('Not a ZIP archive (too short)');
+        }
+
+        // The end record sits in the last 22 bytes plus an optional comment
+        let eocd = -1;
+        for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+            if (buf.readUInt32LE(i) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) {
+            throw new Error('Not a ZIP archive (no end of central directory)');
+        }
+
+        const count = buf.readUInt16LE(eocd + 10);
+        let pos = buf.readUInt32LE(eocd + 16);
+
+        for (let i = 0; i < count; i++) {
+            if (pos + 46 > buf.length || buf.readUInt32LE(pos) !== CENTRAL_SIGNATURE) {
+                throw new Error('Corrupt ZIP central directory');
+            }
+            const flags = buf.readUInt16LE(pos + 8);
+            const method = buf.readUInt16LE(pos + 10);
+            const compressedSize = buf.readUInt32LE(pos + 20);
+            const size = buf.readUInt32LE(pos + 24);
+            const nameLength = buf.readUInt16LE(pos + 28);
+            const extraLength = buf.readUInt16LE(pos + 30);
+            const commentLength = buf.readUInt16LE(pos + 32);
+            const offset = buf.readUInt32LE(pos + 42);
+            const name = buf.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+            this.entries.set(name, { method, compressedSize, size, offset, flags });
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+
+    /**
+     * Entry names in archive order
+     * @returns {Array<string>}
+     */
+    names() {
+        return Array.from(this.entries.keys());
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * Read an entry's uncompressed bytes
+     * @param {string} name
+     * @returns {Buffer}
+     * @throws If the entry is missing, encrypted or uses an unsupported method, or
+     *   the archive inflates past its budget (code DOCUMENT_TOO_LARGE)
+     */
+    read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Missing ${name} in archive`);
+        }
+        if (entry.flags & 0x1) {
+            throw new Error(`${name} is encrypted`);
+        }
+        if (entry.size > MAX_ENTRY_SIZE) {
+            throw new Error(`${name} is too large (${entry.size} bytes)`);
+        }
+
+        const buf = this.buffer;
+        if (buf.readUInt32LE(entry.offset) !== LOCAL_SIGNATURE) {
+            throw new Error(`Corrupt ZIP entry ${name}`);
+        }
+        // Local header lengths can differ from the central directory's
+        const start = entry.offset + 30 + buf.readUInt16LE(entry.offset + 26) + buf.readUInt16LE(entry.offset + 28);
+        const data = buf.subarray(start, start + entry.compressedSize);
+
+        switch (entry.method) {
+            case 0:
+                return data;
+            case 8:
+                return this.budget.inflate(zlib.inflateRawSync, data, { maxOutputLength: MAX_ENTRY_SIZE });
+            default:
+                throw new Error(`${name} uses unsupported compression method ${entry.method}`);
+        }
+    }
+
+    /**
+     * Read an entry as UTF-8 text
+     * @param {string} name
+     * @returns {string}
+     */
+    readText(name) {
+        return this.read(name).toString('utf8').replace(/^\uFEFF/, '');
+    }
+}
+
+module.exports = { ZipArchive };
@@ -0,0 +1,100 @@
+/**
+ * Extension Runner
+ *
+ * Child-process entry point for sandboxed marketplace extensions (see
+ * sandbox.js). Loads an extension module and serves its tools over stdio MCP.
+ *
+ * Usage: node extension_runner.js <installPath> <type>
+ *
+ * Extensions export a class (or an object) with getTools() and either
+ * callTool(name, args) or one method per tool name.
+ */
+
+// stdout carries the protocol; extension logging goes to stderr
+console.log = console.info = console.debug = (...args) => console.error(...args);
+
+const path = require('path');
+const { Server } = require("@modelcontextprotocol/sdk/server/index.js");
+const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+const {
+    CallToolRequestSchema,
+    ListToolsRequestSchema,
+} = require("@modelcontextprotocol/sdk/types.js");
+
+// Module file for each extension type
+const ENTRY_FILES = {
+    mcp_server: 'index.js',
+    skill: 'skill.js'
+};
+
+/**
+ * Turn whatever a tool returned into an MCP result
+ */
+function toResult(value) {
+    if (value && Array.isArray(value.content)) return value;
+    return {
+        content: [{
+            type: "text",
+            text: typeof value === 'string' ? value : JSON.stringify(value ?? null)
+        }]
+    };
+}
+
+async function main() {
+    const [installPath, type] = process.argv.slice(2);
+    const entry = ENTRY_FILES[type];
+    if (!installPath || !entry) {
+        throw new Error(`Usage: extension_runner.js <installPath> <${Object.keys(ENTRY_FILES).join('|')}>`);
+    }
+
+    const exported = require(path.join(installPath, entry));
+    const extension = typeof exported === 'function' ? new exported() : exported;
+
+    const server = new Server(
+        { name: path.basename(installPath), version: "1.0.0" },
+        { capabilities: { tools: {} } }
+    );
+
+    const listTools = async () => (typeof extension.getTools === 'function' ? await extension.getTools() : []) || [];
+
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: await listTools() }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+        const { name, arguments: args } = request.params;
+        try {
+            // Only listed tools can be called, never getTools/shutdown or other helpers
+            const tools = await listTools();
+            if (!tools.some(tool => tool.name === name)) {
+                throw new Error(`Unknown tool: ${name}`);
+            }
+            if (typeof extension.callTool === 'function') {
+                return toResult(await extension.callTool(name, args || {}));
+            }
+            if (typeof extension[name] === 'function') {
+                return toResult(await extension[name](args || {}));
+            }
+            throw new Error(`Tool not implemented: ${name}`);
+        } catch (error) {
+            return {
+                content: [{ type: "text", text: `Error executing ${name}: ${error.message}` }],
+                isError: true
+            };
+        }
+    });
+
+    const shutdown = async () => {
+        if (typeof extension.shutdown === 'function') {
+            await extension.shutdown();
+        }
+        process.exit(0);
+    };
+    process.stdin.on('end', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    await server.connect(new StdioServerTransport());
+}
+
+main().catch(error => {
+    console.error(`Extension failed to start: ${error.message}`);
+    process.exit(1);
+});
@@ -11,7 +11,10 @@
  * - Browse and search extensions from moltbook catalog
  * - Install/uninstall extensions
  * - Version management and updates
- * - Security verification
+ * - Security verification (blocklist and review board scan before any
+ *   extension code is loaded)
+ * - Sandboxed execution: extension code runs in a child process speaking
+ *   stdio MCP, never inside the bridge (see sandbox.js)
  * - Extension ratings and reviews
  * - Categories and tags
  */
@@ -22,6 +25,9 @@ const path = require('path');
 const crypto = require('crypto');
 const { Readable } = require('stream');
 const { pipeline } = require('stream/promises');
+const { ExtensionReviewBoard, ExtensionStatus: ReviewStatus } = require('../openclaw/extension_security');
+const AmphibianHost = require('../mcp_host');
+const { PermissionManifest, buildLaunch, SANDBOX_CONFIG } = require('./sandbox');
 
 // Extension types
 const ExtensionType = {
@@ -35,6 +41,9 @@ const ExtensionType = {
 // Moltbook catalog URL
 const MOLTBOOK_CATALOG_URL = 'https://raw.githubusercontent.com/terminalcraft/moltbook-mcp/main/services.json';
 
+// Source files handed to the security scanner
+const SCANNED_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.json', '.sh', '.py'];
+
 // Extension status
 const ExtensionStatus = {
     AVAILABLE: 'available',
@@ -104,7 +113,9 @@ class InstalledExtension {
         installPath,
         installedAt,
         enabled = true,
-        config = {}
+        config = {},
+        security = null,
+        permissions = null
     }) {
         this.id = id;
         this.name = name;
@@ -114,6 +125,8 @@ class InstalledExtension {
         this.installedAt = installedAt;
         this.enabled = enabled;
         this.config = config;
+        this.security = security; // Review board report from install/update
+        this.permissions = permissions; // Sandbox permission manifest
     }
 }
 
@@ -121,11 +134,23 @@ class InstalledExtension {
  * Extension Marketplace
  */
 class ExtensionMarketplace {
+    /**
+     * @param {Object} [options]
+     * @param {ExtensionReviewBoard} [options.reviewBoard] - Vets extensions before they are loaded
+     * @param {Function} [options.confirmInstall] - async ({ extension, review }) => boolean,
+     *   asked when the review board flags an extension. Without it flagged extensions are refused.
+     * @param {AmphibianHost} [options.host] - Runs extension processes; pass the agent's host so
+     *   extension tools appear alongside the other MCP servers and go through its tool policy.
+     *   Without it extensions get a host of their own that no agent sees.
+     */
     constructor(options = {}) {
         this.catalogUrl = options.catalogUrl || MOLTBOOK_CATALOG_URL;
         this.extensionsDir = options.extensionsDir || './extensions';
         this.configFile = options.configFile || './extensions/installed.json';
         this.catalogCacheFile = options.catalogCacheFile || './extensions/catalog_cache.json';
+        this.reviewBoard = options.reviewBoard || new ExtensionReviewBoard();
+        this.confirmInstall = options.confirmInstall || null;
+        this.host = options.host || new AmphibianHost();
         
         // State
         this.catalog = [];
@@ -395,9 +420,13 @@ class ExtensionMarketplace {
     }
     
     /**
-     * Install an extension
+     * Install an extension. Nothing is loaded until the extension passes the
+     * blocklist and the review board scan.
+     * @param {string} extensionId
+     * @param {Object} [options]
+     * @param {Function} [options.confirm] - Overrides confirmInstall for this install
      */
-    async install(extensionId) {
+    async install(extensionId, options = {}) {
         const extension = this.catalog.find(ext => ext.id === extensionId);
         if (!extension) {
             throw new Error(`Extension not found: ${extensionId}`);
@@ -415,10 +444,13 @@ class ExtensionMarketplace {
             for (const dep of extension.dependencies) {
                 if (!this.installed.has(dep)) {
                     console.log(`   Installing dependency: ${dep}`);
-                    await this.install(dep);
+                    await this.install(dep, options);
                 }
             }
             
+            // Known malicious extensions are never downloaded
+            this.checkBlocklist(extension);
+            
             // Download extension
             const installPath = await this.downloadExtension(extension);
             
@@ -431,6 +463,9 @@ class ExtensionMarketplace {
                 }
             }
             
+            // Scan before any of its code can run
+            const { security, permissions } = await this.reviewDownload(extension, installPath, options);
+            
             // Create installed record
             const installed = new InstalledExtension({
                 id: extension.id,
@@ -439,7 +474,9 @@ class ExtensionMarketplace {
                 type: extension.type,
                 installPath,
                 installedAt: Date.now(),
-                enabled: true
+                enabled: true,
+                security,
+                permissions
             });
             
             this.installed.set(extensionId, installed);
@@ -521,8 +558,11 @@ class ExtensionMarketplace {
     
     /**
      * Update an extension
+     * @param {string} extensionId
+     * @param {Object} [options]
+     * @param {Function} [options.confirm] - Overrides confirmInstall for this update
      */
-    async update(extensionId) {
+    async update(extensionId, options = {}) {
         const installed = this.installed.get(extensionId);
         const catalogEntry = this.catalog.find(ext => ext.id === extensionId);
         
@@ -541,11 +581,163 @@ class ExtensionMarketplace {
         
         console.log(`🔄 Updating extension: ${installed.name} (${installed.version} -> ${catalogEntry.version})`);
         
-        // Uninstall old version
-        await this.uninstall(extensionId);
+        // The new version is downloaded beside the old one and reviewed first,
+        // so a refused update leaves the working version in place
+        this.checkBlocklist(catalogEntry);
+        const stagingPath = path.join(this.extensionsDir, '.staging', extensionId);
+        await fs.rm(stagingPath, { recursive: true, force: true });
+        await this.downloadExtension(catalogEntry, stagingPath);
+        const { security, permissions } = await this.reviewDownload(catalogEntry, stagingPath, options);
+        
+        // Swap in the new version
+        await this.unloadExtension(extensionId);
+        await fs.rm(installed.installPath, { recursive: true, force: true });
+        await fs.rename(stagingPath, installed.installPath);
+        
+        const updated = new InstalledExtension({
+            ...installed,
+            version: catalogEntry.version,
+            type: catalogEntry.type,
+            installedAt: Date.now(),
+            security,
+            permissions
+        });
+        this.installed.set(extensionId, updated);
+        await this.saveInstalledExtensions();
+        
+        if (updated.enabled) {
+            await this.loadExtension(updated);
+        }
+        
+        this.emit('extension_updated', { extension: updated });
+        console.log(`✅ Extension updated: ${updated.name} v${updated.version}`);
+        
+        return updated;
+    }
+    
+    /**
+     * Refuse extensions on the review board's blocklist
+     * @param {ExtensionInfo} extension
+     */
+    checkBlocklist(extension) {
+        const identifiers = [extension.id, extension.name, extension.sha256].filter(Boolean);
+        const blocked = identifiers.find(id => this.reviewBoard.isBlocked(id));
+        if (blocked) {
+            const info = this.reviewBoard.database.getBlockInfo(blocked);
+            const error = new Error(`Extension is blocklisted: ${info.reason}`);
+            error.security = { status: ReviewStatus.BLOCKED, threats: [info] };
+            throw error;
+        }
+    }
+    
+    /**
+     * Run the review board over downloaded files. BLOCKED and QUARANTINED
+     * extensions are refused, FLAGGED ones need confirmation; refused files
+     * are deleted.
+     * @param {ExtensionInfo} extension
+     * @param {string} installPath
+     * @param {Object} [options]
+     * @param {Function} [options.confirm] - Overrides confirmInstall
+     * @returns {Promise<{security: Object, permissions: Array<string>}>} Security report and
+     *   sandbox permissions for the InstalledExtension record
+     */
+    async reviewDownload(extension, installPath, options = {}) {
+        const { code, manifest } = await this.readExtensionSource(installPath);
+        const subject = {
+            id: extension.id,
+            name: extension.name,
+            version: extension.version,
+            publisher: extension.author,
+            code,
+            manifest,
+            permissions: [...new Set([...(extension.permissions || []), ...(manifest?.permissions || [])])],
+            // The scanner expects package.json style { name: version }
+            dependencies: { ...Object.fromEntries((extension.dependencies || []).map(dep => [dep, '*'])), ...manifest?.dependencies }
+        };
+        const review = await this.reviewBoard.reviewExtension(subject);
+        
+        const security = {
+            status: review.status,
+            threatLevel: review.threatLevel,
+            threats: review.threats,
+            warnings: review.warnings,
+            consensus: review.consensus,
+            reviewedAt: review.timestamp,
+            userApproved: false
+        };
+        
+        let refusal = null;
+        if (review.status === ReviewStatus.BLOCKED || review.status === ReviewStatus.QUARANTINED) {
+            refusal = `Extension ${review.status} by security review: ${review.threats[0]?.description || 'security violations'}`;
+        } else if (review.status === ReviewStatus.FLAGGED) {
+            const confirm = options.confirm || this.confirmInstall;
+            security.userApproved = confirm ? !!(await confirm({ extension, review })) : false;
+            if (!security.userApproved) {
+                refusal = `Extension flagged by security review and not confirmed: ${this.summarizeFindings(review)}`;
+            }
+        }
+        
+        if (refusal) {
+            await fs.rm(installPath, { recursive: true, force: true });
+            this.emit('extension_rejected', { extensionId: extension.id, review });
+            const error = new Error(refusal);
+            error.security = security;
+            throw error;
+        }
+        
+        const permissions = this.reviewBoard.scanners[0].inferPermissions(subject);
+        console.log(`   🛡️ Security review: ${review.status} (${review.threatLevel}), permissions: ${permissions.join(', ') || 'none'}`);
+        return { security, permissions };
+    }
+    
+    /**
+     * One line describing what a review found
+     */
+    summarizeFindings(review) {
+        const findings = [...review.threats, ...review.warnings]
+            .map(f => f.description || f.message)
+            .filter(Boolean);
+        return findings.slice(0, 3).join('; ') || 'no consensus';
+    }
+    
+    /**
+     * Concatenate an extension's source files for scanning
+     * @param {string} installPath
+     * @returns {Promise<{code: string, manifest: Object|null}>}
+     */
+    async readExtensionSource(installPath) {
+        const maxSize = this.reviewBoard.scanners[0]?.config.maxCodeSize || 10 * 1024 * 1024;
+        const parts = [];
+        let size = 0;
+        let manifest = null;
+        
+        const walk = async (dir) => {
+            const entries = await fs.readdir(dir, { withFileTypes: true });
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.isFile() && SCANNED_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                    // Stop once over the limit; the scanner warns about oversized code
+                    if (size > maxSize) continue;
+                    const content = await fs.readFile(fullPath, 'utf-8');
+                    const relative = path.relative(installPath, fullPath);
+                    parts.push(`// File: ${relative}\n${content}`);
+                    size += content.length;
+                    
+                    if (relative === 'package.json') {
+                        try {
+                            manifest = JSON.parse(content);
+                        } catch (e) {
+                            // Malformed manifests are still scanned as text
+                        }
+                    }
+                }
+            }
+        };
         
-        // Install new version
-        return await this.install(extensionId);
+        await walk(installPath);
+        return { code: parts.join('\n'), manifest };
     }
     
     /**
@@ -640,14 +832,16 @@ class ExtensionMarketplace {
     }
     
     async loadExtension(installed) {
+        // The blocklist may have grown since the extension was installed
+        if (this.reviewBoard.isBlocked(installed.id) || this.reviewBoard.isBlocked(installed.name)) {
+            throw new Error(`Refusing to load blocklisted extension: ${installed.name}`);
+        }
+        
         try {
             // Load based on type
             switch (installed.type) {
                 case ExtensionType.MCP_SERVER:
-                    const serverPath = path.join(installed.installPath, 'index.js');
-                    const ServerClass = require(serverPath);
-                    const server = new ServerClass();
-                    this.loadedExtensions.set(installed.id, server);
+                    this.loadedExtensions.set(installed.id, await this.launchExtension(installed));
                     console.log(`   Loaded MCP server: ${installed.name}`);
                     break;
                     
@@ -659,9 +853,7 @@ class ExtensionMarketplace {
                     break;
                     
                 case ExtensionType.SKILL:
-                    const skillPath = path.join(installed.installPath, 'skill.js');
-                    const skill = require(skillPath);
-                    this.loadedExtensions.set(installed.id, skill);
+                    this.loadedExtensions.set(installed.id, await this.launchExtension(installed));
                     console.log(`   Loaded skill: ${installed.name}`);
                     break;
                     
@@ -677,6 +869,50 @@ class ExtensionMarketplace {
         }
     }
     
+    /**
+     * Start an extension's sandboxed process and connect it to the host.
+     * Extensions whose package.json says "mcp": "stdio" are MCP servers
+     * themselves; others are wrapped by extension_runner.js.
+     * @param {InstalledExtension} installed
+     * @returns {Promise<Object>} Loaded entry: { serverName, client, permissions, shutdown() }
+     */
+    async launchExtension(installed) {
+        const { code, manifest } = await this.readExtensionSource(installed.installPath);
+        if (!installed.permissions) {
+            // Installed before permission manifests were recorded
+            installed.permissions = this.reviewBoard.scanners[0].inferPermissions({ code, manifest });
+            await this.saveInstalledExtensions();
+        }
+        
+        const permissions = new PermissionManifest(installed.permissions);
+        const entry = manifest?.mcp === 'stdio' ? (manifest.main || 'index.js') : null;
+        const launch = buildLaunch(installed, permissions, { entry });
+        await fs.mkdir(launch.cwd, { recursive: true });
+        
+        const serverName = `ext_${installed.id}`;
+        const client = await this.host.connectStdioServer(serverName, launch.command, launch.args, launch.env, {
+            cwd: launch.cwd,
+            sandbox: {
+                manifest: permissions,
+                callTimeout: SANDBOX_CONFIG.CALL_TIMEOUT_MS,
+                maxBufferSize: SANDBOX_CONFIG.MAX_OUTPUT_BYTES,
+                maxStderrBytes: SANDBOX_CONFIG.MAX_STDERR_BYTES
+            },
+            onExit: () => {
+                // Crashed or killed; the bridge keeps running without it
+                this.loadedExtensions.delete(installed.id);
+                this.emit('extension_crashed', { extensionId: installed.id });
+            }
+        });
+        
+        return {
+            serverName,
+            client,
+            permissions: permissions.toJSON(),
+            shutdown: () => this.host.disconnect(serverName)
+        };
+    }
+    
     async unloadExtension(extensionId) {
         const instance = this.loadedExtensions.get(extensionId);
         if (instance) {
@@ -688,8 +924,7 @@ class ExtensionMarketplace {
         }
     }
     
-    async downloadExtension(extension) {
-        const installPath = path.join(this.extensionsDir, extension.id);
+    async downloadExtension(extension, installPath = path.join(this.extensionsDir, extension.id)) {
         await fs.mkdir(installPath, { recursive: true });
         
         if (extension.downloadUrl) {
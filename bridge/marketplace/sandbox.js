@@ -0,0 +1,156 @@
+/**
+ * Extension Sandbox
+ *
+ * Marketplace extensions run as child processes speaking stdio MCP, never
+ * inside the bridge. Each child gets:
+ * - a scrubbed environment (no AUTH_TOKEN, API keys or bridge settings)
+ * - a working directory inside its install path
+ * - Node's permission model: read access to its own code, write access to
+ *   its data directory only with the filesystem permission, child processes
+ *   only with the process permission
+ * - a heap limit, a per-call timeout and a cap on protocol output
+ *
+ * Tool calls are checked against a PermissionManifest before they reach the
+ * child, so an extension without the network permission cannot be handed
+ * URLs and one without filesystem cannot be handed paths.
+ *
+ * Network access is NOT restricted. Node's permission model has no network
+ * controls, so any extension process can open connections of its own; the
+ * network permission only decides whether it may be given URLs.
+ */
+
+const path = require('path');
+
+// Configuration
+const SANDBOX_CONFIG = {
+    MAX_MEMORY_MB: 128,                  // V8 heap limit per extension
+    CALL_TIMEOUT_MS: 30000,              // Longest a tool call may run
+    MAX_OUTPUT_BYTES: 4 * 1024 * 1024,   // Largest pending protocol message
+    MAX_STDERR_BYTES: 64 * 1024,         // Extension log output kept per process
+    DATA_DIR: 'data',                    // Working directory, relative to the install path
+    PASSED_ENV: ['LANG', 'LC_ALL', 'TZ'] // Harmless variables copied from the bridge
+};
+
+const RUNNER_PATH = path.join(__dirname, 'extension_runner.js');
+const NODE_MODULES_PATH = path.join(__dirname, '..', 'node_modules');
+
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\//i;
+const PATH_PATTERN = /^(\/|~[\\/]|[a-z]:[\\/])|(^|[\\/])\.\.([\\/]|$)/i;
+
+/**
+ * Permissions an extension was granted, checked at the callTool boundary.
+ * filesystem and process are also enforced by Node in the child; network is
+ * only checked here (see the note above).
+ */
+class PermissionManifest {
+    /**
+     * @param {Array<string>} permissions - e.g. from ExtensionSecurityScanner.inferPermissions
+     */
+    constructor(permissions = []) {
+        this.permissions = new Set(permissions);
+    }
+
+    has(permission) {
+        return this.permissions.has(permission);
+    }
+
+    /**
+     * Throw if a tool call's arguments need a permission the extension lacks
+     * @param {string} toolName
+     * @param {Object} args
+     */
+    check(toolName, args) {
+        for (const value of stringValues(args)) {
+            const text = value.trim();
+            if (/^file:/i.test(text) || (!/\s/.test(text) && PATH_PATTERN.test(text))) {
+                if (!this.has('filesystem')) {
+                    throw new Error(`${toolName} was given a file path but the extension lacks the filesystem permission`);
+                }
+            } else if (URL_PATTERN.test(text) && !this.has('network')) {
+                throw new Error(`${toolName} was given a URL but the extension lacks the network permission`);
+            }
+        }
+    }
+
+    toJSON() {
+        return Array.from(this.permissions).sort();
+    }
+}
+
+/**
+ * Every string inside a tool's arguments
+ * @param {*} value
+ * @returns {Array<string>}
+ */
+function stringValues(value) {
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value)) return value.flatMap(stringValues);
+    if (value && typeof value === 'object') return Object.values(value).flatMap(stringValues);
+    return [];
+}
+
+/**
+ * Node's permission flag (`--permission` from Node 22, experimental before),
+ * or null on runtimes without a permission model
+ */
+function permissionFlag() {
+    const flags = process.allowedNodeEnvironmentFlags;
+    if (flags.has('--permission')) return '--permission';
+    if (flags.has('--experimental-permission')) return '--experimental-permission';
+    return null;
+}
+
+/**
+ * Command line, environment and working directory for an extension process
+ * @param {Object} installed - InstalledExtension
+ * @param {PermissionManifest} manifest
+ * @param {Object} [options]
+ * @param {string} [options.entry] - Script to run; defaults to the runner wrapping the extension module
+ * @returns {{command: string, args: Array<string>, env: Object, cwd: string}}
+ */
+function buildLaunch(installed, manifest, options = {}) {
+    const installPath = path.resolve(installed.installPath);
+    const cwd = path.join(installPath, SANDBOX_CONFIG.DATA_DIR);
+    const entry = options.entry ? path.resolve(installPath, options.entry) : RUNNER_PATH;
+
+    const args = [`--max-old-space-size=${SANDBOX_CONFIG.MAX_MEMORY_MB}`];
+    const flag = permissionFlag();
+    if (flag) {
+        args.push(flag, '--no-warnings');
+        // Node 20 takes one path per flag; a trailing separator covers the directory
+        for (const readable of [installPath, RUNNER_PATH, NODE_MODULES_PATH]) {
+            args.push(`--allow-fs-read=${readable.endsWith('.js') ? readable : readable + path.sep}`);
+        }
+        if (manifest.has('filesystem')) args.push(`--allow-fs-write=${cwd}${path.sep}`);
+        if (manifest.has('process')) args.push('--allow-child-process', '--allow-worker');
+    } else {
+        console.warn(`⚠️ This Node.js has no permission model; ${installed.name} runs without filesystem restrictions`);
+    }
+
+    args.push(entry);
+    if (!options.entry) args.push(installPath, installed.type);
+
+    const env = {
+        HOME: cwd,
+        TMPDIR: cwd,
+        NODE_ENV: 'production',
+        AMPHIBIAN_EXTENSION_ID: installed.id
+    };
+    for (const key of SANDBOX_CONFIG.PASSED_ENV) {
+        if (process.env[key] !== undefined) env[key] = process.env[key];
+    }
+    // Variables configured for this extension, e.g. its own service API key
+    if (manifest.has('environment')) {
+        Object.assign(env, installed.config?.env);
+    }
+
+    return { command: process.execPath, args, env, cwd };
+}
+
+module.exports = {
+    PermissionManifest,
+    buildLaunch,
+    permissionFlag,
+    SANDBOX_CONFIG,
+    RUNNER_PATH
+};
@@ -2,23 +2,68 @@
  * Amphibian MCP Host
  *
  * Uses the Model Context Protocol SDK to connect the local agent
- * to external MCP servers. Loads server configuration from mcp.json.
+ * to external MCP servers. Loads server configuration from mcp.json,
+ * watches it for changes and applies only the entries that changed.
+ *
+ * Servers are either spawned over stdio ("command") or reached over the
+ * network ("url", with SSE or streamable HTTP and optional headers), so one
+ * MCP server on a desktop can serve every phone on the LAN.
+ *
+ * Supervised servers (mcp.json entries and the built-in brains) are
+ * restarted with exponential backoff when they exit, and every server
+ * has a health record: status, last error, restarts, tool latency and
+ * recent stderr lines.
  */
 
 const { Client } = require("@modelcontextprotocol/sdk/client/index.js");
 const { StdioClientTransport } = require("@modelcontextprotocol/sdk/client/stdio.js");
+const { SSEClientTransport } = require("@modelcontextprotocol/sdk/client/sse.js");
+const { StreamableHTTPClientTransport } = require("@modelcontextprotocol/sdk/client/streamableHttp.js");
 const fs = require('fs');
 const path = require('path');
 
+// Supervision settings
+const SUPERVISOR_CONFIG = {
+    INITIAL_BACKOFF_MS: 1000,    // First restart delay, doubled after each failure
+    MAX_BACKOFF_MS: 60000,
+    MAX_RESTARTS: 10,            // Failed restarts in a row before giving up
+    STABLE_AFTER_MS: 60000,      // A server that ran this long starts over with a short backoff
+    RELOAD_DEBOUNCE_MS: 300,     // Editors save files in several writes
+    LOG_LINES: 200,              // stderr lines kept per server for /mcp logs
+    MAX_LINE_LENGTH: 500
+};
+
 class AmphibianHost {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.supervisor] - Overrides for SUPERVISOR_CONFIG
+     */
+    constructor(options = {}) {
         this.clients = new Map();
         this.serverInfo = new Map(); // name -> { description, tools }
+        this.sandboxes = new Map();  // name -> { manifest, callTimeout } for sandboxed servers
+        this.policy = null;          // ToolPolicy consulted before every call
+        this.health = new Map();     // name -> health record (see getHealth)
+        this.managed = new Map();    // name -> { start, timer } restarted on exit
+        this.configEntries = new Map(); // name -> mcp.json entry currently applied
+        this.configPath = null;
+        this.watcher = null;
+        this.reloadTimer = null;
+        this.supervisor = { ...SUPERVISOR_CONFIG, ...options.supervisor };
+        this.eventHandlers = new Map();
+    }
+
+    /**
+     * Check every tool call against a ToolPolicy (see tool_policy/)
+     * @param {Object|null} policy
+     */
+    setPolicy(policy) {
+        this.policy = policy;
     }
 
     /**
      * Load MCP server configuration from mcp.json
-     * Searches: ./mcp.json, ../mcp.json, ~/.amphibian/mcp.json
+     * Searches: ./mcp.json, ~/.amphibian/mcp.json, ../mcp.json
      */
     loadConfig() {
         const searchPaths = [
@@ -30,8 +75,8 @@ class AmphibianHost {
         for (const configPath of searchPaths) {
             try {
                 if (fs.existsSync(configPath)) {
-                    const raw = fs.readFileSync(configPath, 'utf8');
-                    const config = JSON.parse(raw);
+                    const config = this.readConfigFile(configPath);
+                    this.configPath = configPath;
                     console.log(`📄 Loaded MCP config from ${configPath}`);
                     return config;
                 }
@@ -44,58 +89,430 @@ class AmphibianHost {
         return { mcpServers: {} };
     }
 
+    readConfigFile(configPath) {
+        return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    }
+
     /**
      * Connect all enabled MCP servers from config
      */
     async connectFromConfig() {
-        const config = this.loadConfig();
-        const servers = config.mcpServers || {};
-        let connected = 0;
-        let failed = 0;
+        const report = await this.applyConfig(this.loadConfig());
+        const connected = report.started.length;
+        const failed = report.failed.length;
 
-        for (const [name, serverConfig] of Object.entries(servers)) {
-            // Skip disabled servers
-            if (serverConfig.enabled === false) continue;
-            // Skip entries that are clearly documentation
-            if (!serverConfig.command) continue;
+        if (connected > 0 || failed > 0) {
+            console.log(`🔌 MCP: ${connected} connected, ${failed} failed`);
+        }
+
+        return { connected, failed };
+    }
+
+    /**
+     * Bring running servers in line with a config: start new entries, stop
+     * removed or disabled ones and restart those whose command, args, env
+     * or cwd changed. Everything else keeps running.
+     * @param {Object} config - Parsed mcp.json
+     * @returns {Promise<{started: Array<string>, stopped: Array<string>, restarted: Array<string>, failed: Array<string>}>}
+     */
+    async applyConfig(config) {
+        const wanted = new Map();
+        for (const [name, entry] of Object.entries(config.mcpServers || {})) {
+            // Skip disabled servers and entries that are clearly documentation
+            if (!entry || entry.enabled === false || !(entry.command || entry.url)) continue;
+            wanted.set(name, entry);
+        }
+
+        const report = { started: [], stopped: [], restarted: [], failed: [] };
 
+        for (const name of Array.from(this.configEntries.keys())) {
+            if (wanted.has(name)) continue;
+            this.configEntries.delete(name);
+            await this.stopServer(name);
+            this.serverInfo.delete(name);
+            report.stopped.push(name);
+        }
+
+        for (const [name, entry] of wanted) {
+            const previous = this.configEntries.get(name);
+            const info = this.serverInfo.get(name) || {};
+            this.serverInfo.set(name, {
+                ...info,
+                description: entry.description || name,
+                command: entry.command,
+                url: entry.url
+            });
+            if (previous && launchKey(previous) === launchKey(entry)) continue;
+
+            this.configEntries.set(name, entry);
+            if (previous) await this.stopServer(name);
             try {
-                await this.connectStdioServer(
-                    name,
-                    serverConfig.command,
-                    serverConfig.args || [],
-                    serverConfig.env || {}
-                );
-                this.serverInfo.set(name, {
-                    description: serverConfig.description || name,
-                    command: serverConfig.command
-                });
-                connected++;
+                if (entry.url) {
+                    await this.superviseRemote(name, entry.url, {
+                        transport: entry.transport || entry.type,
+                        headers: expandEnv(entry.headers || {})
+                    });
+                } else {
+                    await this.supervise(name, entry.command, entry.args || [], entry.env || {}, { cwd: entry.cwd });
+                }
+                report[previous ? 'restarted' : 'started'].push(name);
             } catch (e) {
                 console.warn(`⚠️ Failed to connect MCP server "${name}": ${e.message}`);
-                failed++;
+                report.failed.push(name);
             }
         }
 
-        if (connected > 0 || failed > 0) {
-            console.log(`🔌 MCP: ${connected} connected, ${failed} failed`);
+        this.emit('config_applied', report);
+        return report;
+    }
+
+    /**
+     * Re-read the config file and apply it. A file that doesn't parse
+     * (e.g. half-saved) leaves the running servers alone.
+     */
+    async reloadConfig() {
+        if (!this.configPath) return this.applyConfig(this.loadConfig());
+
+        let config;
+        try {
+            config = fs.existsSync(this.configPath) ? this.readConfigFile(this.configPath) : { mcpServers: {} };
+        } catch (e) {
+            console.warn(`⚠️ Ignoring ${this.configPath} until it parses: ${e.message}`);
+            this.emit('config_error', { path: this.configPath, error: e.message });
+            return null;
         }
 
-        return { connected, failed };
+        const report = await this.applyConfig(config);
+        const changes = report.started.length + report.stopped.length + report.restarted.length + report.failed.length;
+        if (changes > 0) {
+            console.log(`🔄 MCP config reloaded: ${report.started.length} started, ${report.stopped.length} stopped, ` +
+                `${report.restarted.length} restarted, ${report.failed.length} failed`);
+        }
+        return report;
+    }
+
+    /**
+     * Watch mcp.json and apply changes as they are saved
+     */
+    watchConfig() {
+        if (this.watcher) return;
+        const configPath = this.configPath || path.join(process.cwd(), 'mcp.json');
+        this.configPath = configPath;
+
+        // Watch the directory: editors often replace the file instead of writing to it
+        try {
+            this.watcher = fs.watch(path.dirname(configPath), (event, filename) => {
+                if (filename && filename !== path.basename(configPath)) return;
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = setTimeout(() => {
+                    this.reloadConfig().catch(e => console.error('MCP config reload failed:', e));
+                }, this.supervisor.RELOAD_DEBOUNCE_MS);
+                this.reloadTimer.unref();
+            });
+            this.watcher.on('error', e => console.warn(`⚠️ Stopped watching ${configPath}: ${e.message}`));
+            console.log(`👀 Watching ${configPath} for MCP server changes`);
+        } catch (e) {
+            console.warn(`⚠️ Cannot watch ${configPath}: ${e.message}`);
+        }
+    }
+
+    unwatchConfig() {
+        clearTimeout(this.reloadTimer);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Enable or disable an mcp.json entry, saving the file and applying it
+     * @param {string} name
+     * @param {boolean} enabled
+     */
+    async setServerEnabled(name, enabled) {
+        if (!this.configPath || !fs.existsSync(this.configPath)) {
+            throw new Error('No mcp.json loaded');
+        }
+        const config = this.readConfigFile(this.configPath);
+        const entry = config.mcpServers && config.mcpServers[name];
+        if (!entry) {
+            throw new Error(`No MCP server named "${name}" in ${this.configPath}`);
+        }
+
+        entry.enabled = enabled;
+        fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2) + '\n');
+        return this.applyConfig(config);
+    }
+
+    // ============================================
+    // SUPERVISION
+    // ============================================
+
+    /**
+     * Connect a stdio server and restart it with backoff whenever it exits.
+     * Takes the same arguments as connectStdioServer.
+     */
+    async supervise(name, command, args = [], env = {}, options = {}) {
+        return this.manage(name, onExit => this.connectStdioServer(name, command, args, env, { ...options, onExit }));
+    }
+
+    /**
+     * Connect a network server and reconnect with backoff whenever the
+     * connection drops. Takes the same arguments as connectHttpServer.
+     */
+    async superviseRemote(name, url, options = {}) {
+        return this.manage(name, onExit => this.connectHttpServer(name, url, { ...options, onExit }));
+    }
+
+    async manage(name, start) {
+        const previous = this.managed.get(name);
+        if (previous) clearTimeout(previous.timer);
+
+        this.managed.set(name, { start, timer: null });
+        return this.launch(name);
+    }
+
+    async launch(name) {
+        const managed = this.managed.get(name);
+        const health = this.getHealthRecord(name);
+        try {
+            const client = await managed.start(() => this.scheduleRestart(name));
+            this.emit('server_started', { name, restarts: health.restarts });
+            return client;
+        } catch (e) {
+            this.scheduleRestart(name);
+            throw e;
+        }
+    }
+
+    /**
+     * Restart a supervised server after its backoff delay
+     */
+    scheduleRestart(name) {
+        const managed = this.managed.get(name);
+        if (!managed || managed.timer) return;
+
+        const health = this.getHealthRecord(name);
+        if (health.lastUptimeMs >= this.supervisor.STABLE_AFTER_MS) {
+            health.consecutiveFailures = 0;
+        }
+        health.lastUptimeMs = 0;
+        health.consecutiveFailures++;
+
+        if (health.consecutiveFailures > this.supervisor.MAX_RESTARTS) {
+            health.status = 'failed';
+            health.nextRestartAt = null;
+            console.error(`❌ MCP server ${name} keeps failing; giving up after ${this.supervisor.MAX_RESTARTS} restarts`);
+            this.emit('server_failed', { name, error: health.lastError });
+            return;
+        }
+
+        const delay = Math.min(
+            this.supervisor.INITIAL_BACKOFF_MS * 2 ** (health.consecutiveFailures - 1),
+            this.supervisor.MAX_BACKOFF_MS
+        );
+        health.status = 'restarting';
+        health.nextRestartAt = new Date(Date.now() + delay).toISOString();
+        console.warn(`🔁 Restarting MCP server ${name} in ${delay}ms`);
+
+        managed.timer = setTimeout(() => {
+            managed.timer = null;
+            if (this.managed.get(name) !== managed) return;
+            health.restarts++;
+            this.launch(name).catch(() => {});
+        }, delay);
+        // A pending restart alone shouldn't keep the process alive
+        managed.timer.unref();
+    }
+
+    /**
+     * Restart a supervised server now, resetting its backoff
+     * @param {string} name
+     */
+    async restartServer(name) {
+        const managed = this.managed.get(name);
+        if (!managed) {
+            throw new Error(`${name} is not a supervised MCP server`);
+        }
+
+        clearTimeout(managed.timer);
+        managed.timer = null;
+        await this.disconnect(name);
+
+        const health = this.getHealthRecord(name);
+        health.consecutiveFailures = 0;
+        health.restarts++;
+        return this.launch(name);
+    }
+
+    /**
+     * Stop a server and its supervision
+     * @param {string} name
+     */
+    async stopServer(name) {
+        const managed = this.managed.get(name);
+        if (managed) {
+            clearTimeout(managed.timer);
+            this.managed.delete(name);
+        }
+        await this.disconnect(name);
+
+        const health = this.health.get(name);
+        if (health) {
+            health.status = 'stopped';
+            health.nextRestartAt = null;
+        }
+        this.emit('server_stopped', { name });
+    }
+
+    // ============================================
+    // HEALTH
+    // ============================================
+
+    getHealthRecord(name) {
+        if (!this.health.has(name)) {
+            this.health.set(name, {
+                status: 'starting',
+                lastError: null,
+                restarts: 0,
+                consecutiveFailures: 0,
+                startedAt: null,
+                lastUptimeMs: 0,
+                nextRestartAt: null,
+                calls: 0,
+                errors: 0,
+                lastLatencyMs: null,
+                avgLatencyMs: null,
+                logs: []
+            });
+        }
+        return this.health.get(name);
+    }
+
+    /**
+     * Health of one server, or of all servers
+     * @param {string} [name]
+     * @returns {Object|Array<Object>} { name, status, supervised, lastError, restarts, calls, errors, avgLatencyMs, ... }
+     */
+    getHealth(name) {
+        const describe = (serverName, { logs, consecutiveFailures, lastUptimeMs, ...health }) => ({
+            name: serverName,
+            ...health,
+            supervised: this.managed.has(serverName),
+            connected: this.clients.has(serverName)
+        });
+
+        if (name) {
+            const health = this.health.get(name);
+            return health ? describe(name, health) : null;
+        }
+        return Array.from(this.health, ([serverName, health]) => describe(serverName, health));
+    }
+
+    /**
+     * Recent stderr output of a server
+     * @param {string} name
+     * @param {number} [lines]
+     * @returns {Array<string>}
+     */
+    getLogs(name, lines = 50) {
+        const health = this.health.get(name);
+        return health ? health.logs.slice(-lines) : [];
+    }
+
+    recordCall(name, latencyMs, error = null) {
+        const health = this.getHealthRecord(name);
+        health.calls++;
+        health.lastLatencyMs = latencyMs;
+        health.avgLatencyMs = health.avgLatencyMs === null
+            ? latencyMs
+            : Math.round(health.avgLatencyMs + (latencyMs - health.avgLatencyMs) / health.calls);
+        if (error) {
+            health.errors++;
+            health.lastError = error;
+        }
     }
 
     /**
      * Connect to a stdio-based MCP server
+     * @param {string} name
+     * @param {string} command
+     * @param {Array<string>} [args]
+     * @param {Object} [env] - Added to the bridge environment, or the whole environment when sandboxed
+     * @param {Object} [options]
+     * @param {Object} [options.sandbox] - { manifest, callTimeout, maxBufferSize, maxStderrBytes } for
+     *   untrusted servers (see marketplace/sandbox.js): no bridge environment, captured stderr,
+     *   and every tool call checked against the PermissionManifest
+     * @param {string} [options.cwd]
+     * @param {Function} [options.onExit] - Called when the server process goes away
      */
-    async connectStdioServer(name, command, args = [], env = {}) {
+    async connectStdioServer(name, command, args = [], env = {}, options = {}) {
         console.log(`🔌 Connecting to MCP Server: ${name}...`);
 
+        const sandbox = options.sandbox || null;
         const transport = new StdioClientTransport({
             command: command,
             args: args,
-            env: { ...process.env, ...env }
+            // Sandboxed servers only see the variables they are given
+            env: sandbox ? env : { ...process.env, ...env },
+            cwd: options.cwd,
+            stderr: 'pipe',
+            maxBufferSize: sandbox?.maxBufferSize
         });
 
+        this.captureStderr(name, transport.stderr, sandbox ? sandbox.maxStderrBytes : Infinity);
+
+        return this.connectTransport(name, transport, { sandbox, onExit: options.onExit, closedReason: 'Process exited' });
+    }
+
+    /**
+     * Connect to an MCP server over the network
+     * @param {string} name
+     * @param {string} url - e.g. http://192.168.1.20:8808/mcp
+     * @param {Object} [options]
+     * @param {string} [options.transport] - 'sse', 'http' (streamable HTTP) or unset to try
+     *   streamable HTTP first and fall back to SSE
+     * @param {Object} [options.headers] - Sent with every request, e.g. { Authorization: 'Bearer ...' }
+     * @param {Function} [options.onExit] - Called when the connection is lost
+     */
+    async connectHttpServer(name, url, options = {}) {
+        console.log(`🌐 Connecting to MCP Server: ${name} at ${url}...`);
+
+        const kind = normalizeTransport(options.transport);
+        const requestInit = { headers: options.headers || {} };
+        const attempts = kind === 'auto' ? ['http', 'sse'] : [kind];
+
+        let lastError = null;
+        for (const attempt of attempts) {
+            const transport = attempt === 'sse'
+                ? new SSEClientTransport(new URL(url), { requestInit })
+                : new StreamableHTTPClientTransport(new URL(url), { requestInit });
+            try {
+                const client = await this.connectTransport(name, transport, {
+                    onExit: options.onExit,
+                    closedReason: 'Connection closed'
+                });
+                const info = this.serverInfo.get(name) || {};
+                this.serverInfo.set(name, { ...info, url, transport: attempt });
+                return client;
+            } catch (e) {
+                lastError = e;
+                if (attempts.length > 1 && attempt === 'http') {
+                    console.log(`   ${name} did not accept streamable HTTP, trying SSE...`);
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Connect a client over a transport, register it and watch for it going away
+     */
+    async connectTransport(name, transport, options = {}) {
+        const sandbox = options.sandbox || null;
+        const health = this.getHealthRecord(name);
+        health.status = 'starting';
+
         const client = new Client({
             name: "AmphibianHost",
             version: "1.0.0",
@@ -107,8 +524,38 @@ class AmphibianHost {
             },
         });
 
-        await client.connect(transport);
+        let runError = null;
+        client.onerror = (error) => {
+            runError = error.message;
+            health.lastError = error.message;
+        };
+
+        try {
+            await client.connect(transport);
+        } catch (e) {
+            health.status = 'failed';
+            health.lastError = e.message;
+            await transport.close().catch(() => {});
+            throw e;
+        }
         this.clients.set(name, client);
+        if (sandbox) {
+            this.sandboxes.set(name, sandbox);
+        }
+        health.status = 'connected';
+        health.startedAt = new Date().toISOString();
+
+        // A crashed server is dropped; the agent carries on without its tools
+        client.onclose = () => {
+            if (this.clients.get(name) !== client) return;
+            this.clients.delete(name);
+            this.sandboxes.delete(name);
+            health.status = 'exited';
+            health.lastUptimeMs = Date.now() - Date.parse(health.startedAt);
+            health.lastError = runError || options.closedReason;
+            console.warn(`⚠️ MCP server ${name} exited`);
+            if (options.onExit) options.onExit();
+        };
 
         // Discover and cache tools
         try {
@@ -124,6 +571,35 @@ class AmphibianHost {
         return client;
     }
 
+    /**
+     * Keep a server's recent stderr for /mcp logs and forward it to the
+     * log, up to a byte limit
+     */
+    captureStderr(name, stream, maxBytes = 64 * 1024) {
+        if (!stream) return;
+        const health = this.getHealthRecord(name);
+        let logged = 0;
+        stream.on('data', chunk => {
+            const lines = chunk.toString('utf8').split('\n').filter(Boolean);
+            for (const line of lines) {
+                health.logs.push(line.slice(0, this.supervisor.MAX_LINE_LENGTH));
+            }
+            if (health.logs.length > this.supervisor.LOG_LINES) {
+                health.logs.splice(0, health.logs.length - this.supervisor.LOG_LINES);
+            }
+
+            if (logged >= maxBytes) return;
+            const text = chunk.toString('utf8', 0, Math.min(chunk.length, maxBytes - logged));
+            logged += chunk.length;
+            for (const line of text.split('\n').filter(Boolean)) {
+                console.log(`   [${name}] ${line}`);
+            }
+            if (logged >= maxBytes) {
+                console.warn(`⚠️ ${name} is logging too much; further output dropped`);
+            }
+        });
+    }
+
     /**
      * Aggregate all tools from all connected MCP servers
      */
@@ -158,7 +634,8 @@ class AmphibianHost {
                 name,
                 description: info.description || name,
                 tools: toolCount,
-                connected: this.clients.has(name)
+                connected: this.clients.has(name),
+                status: this.health.get(name)?.status || 'unknown'
             });
         }
         return summary;
@@ -166,8 +643,12 @@ class AmphibianHost {
 
     /**
      * Execute a tool on the appropriate server
+     * @param {string} serverName
+     * @param {string} toolName
+     * @param {Object} args
+     * @param {Object} [context] - Who is asking, for the policy: { requester, personality, reason }
      */
-    async callTool(serverName, toolName, args) {
+    async callTool(serverName, toolName, args, context = {}) {
         try {
             const client = this.clients.get(serverName);
             if (!client) throw new Error(`Unknown MCP server: ${serverName}`);
@@ -175,11 +656,37 @@ class AmphibianHost {
             // Strip prefix if we added one
             const realToolName = toolName.replace(`${serverName}_`, '');
 
+            // Sandboxed servers only get listed tools and arguments their permissions allow
+            const sandbox = this.sandboxes.get(serverName);
+            if (sandbox) {
+                const tools = this.serverInfo.get(serverName)?.tools || [];
+                if (!tools.some(t => t.name === realToolName)) {
+                    throw new Error(`Tool not offered by ${serverName}: ${realToolName}`);
+                }
+                sandbox.manifest.check(realToolName, args);
+            }
+
+            // Only ask the user about calls that could actually run
+            if (this.policy) {
+                const verdict = await this.policy.authorize({ ...context, server: serverName, tool: realToolName, args });
+                if (!verdict.approved) {
+                    throw new Error(`Tool call not permitted: ${verdict.reason}`);
+                }
+            }
+
             console.log(`🛠️ Calling tool ${realToolName} on ${serverName}...`);
-            const result = await client.callTool({
-                name: realToolName,
-                arguments: args
-            });
+            const started = Date.now();
+            let result;
+            try {
+                result = await client.callTool({
+                    name: realToolName,
+                    arguments: args
+                }, undefined, sandbox ? { timeout: sandbox.callTimeout } : undefined);
+            } catch (error) {
+                this.recordCall(serverName, Date.now() - started, error.message);
+                throw error;
+            }
+            this.recordCall(serverName, Date.now() - started, result.isError ? `${realToolName} returned an error` : null);
             return result;
         } catch (error) {
             console.error(`❌ MCP Tool Call Error (${serverName}:${toolName}):`, error.message);
@@ -193,11 +700,39 @@ class AmphibianHost {
         }
     }
 
+    /**
+     * Disconnect one MCP server
+     * @param {string} name
+     */
+    async disconnect(name) {
+        const client = this.clients.get(name);
+        if (!client) return;
+        this.clients.delete(name);
+        this.sandboxes.delete(name);
+        try {
+            await client.close();
+            console.log(`🔌 Disconnected from ${name}`);
+        } catch (e) {
+            // Ignore close errors
+        }
+    }
+
     /**
      * Disconnect all MCP servers
      */
     async disconnectAll() {
-        for (const [name, client] of this.clients) {
+        this.unwatchConfig();
+        for (const managed of this.managed.values()) {
+            clearTimeout(managed.timer);
+        }
+        this.managed.clear();
+
+        // Cleared first so the close handlers don't report these as crashes
+        const clients = Array.from(this.clients);
+        this.clients.clear();
+        this.sandboxes.clear();
+
+        for (const [name, client] of clients) {
             try {
                 await client.close();
                 console.log(`🔌 Disconnected from ${name}`);
@@ -205,8 +740,53 @@ class AmphibianHost {
                 // Ignore close errors
             }
         }
-        this.clients.clear();
     }
+
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, []);
+        }
+        this.eventHandlers.get(event).push(handler);
+    }
+
+    emit(event, data) {
+        const handlers = this.eventHandlers.get(event) || [];
+        handlers.forEach(handler => handler(data));
+    }
+}
+
+/**
+ * What a server is started with; description or enabled changes don't need a restart
+ */
+function launchKey(entry) {
+    if (entry.url) {
+        return JSON.stringify([entry.url, entry.transport || entry.type || null, entry.headers || {}]);
+    }
+    return JSON.stringify([entry.command, entry.args || [], entry.env || {}, entry.cwd || null]);
+}
+
+/**
+ * mcp.json transport names: "sse", or "http" / "streamable-http" / "streamableHttp"
+ */
+function normalizeTransport(transport) {
+    if (!transport) return 'auto';
+    const kind = String(transport).toLowerCase().replace(/[-_]/g, '');
+    if (kind === 'sse') return 'sse';
+    if (kind === 'http' || kind === 'streamablehttp') return 'http';
+    throw new Error(`Unknown MCP transport: ${transport}. Use "sse" or "http".`);
+}
+
+/**
+ * Replace ${VAR} with environment variables, so tokens can stay out of mcp.json
+ */
+function expandEnv(values) {
+    const expanded = {};
+    for (const [key, value] of Object.entries(values)) {
+        expanded[key] = String(value).replace(/\$\{(\w+)\}/g, (match, variable) => process.env[variable] || '');
+    }
+    return expanded;
 }
 
+AmphibianHost.SUPERVISOR_CONFIG = SUPERVISOR_CONFIG;
+
 module.exports = AmphibianHost;
@@ -0,0 +1,339 @@
+/**
+ * Memory Bundles
+ *
+ * Portable interchange format for moving memory between devices (Android
+ * app, desktop client, P2P peers). A bundle carries the graph nodes plus
+ * the co-occurrence edge provenance, and is signed with an ed25519 key.
+ *
+ * {
+ *   format: 'amphibian-memory-bundle',
+ *   version: 1,
+ *   exportedAt, origin: { signerId, deviceName },
+ *   nodes: [MemoryNode JSON],
+ *   edges: { "id1|id2": { observations, belief, lastUpdated } },
+ *   signature: { algorithm: 'ed25519', publicKey, value }
+ * }
+ *
+ * The signature covers every field except `signature`, serialized with
+ * sorted keys.
+ *
+ * A partial bundle (`nodeIds`) carries only the chosen memories, the
+ * entity hubs they link to, and edges between them.
+ */
+
+const crypto = require('crypto');
+const { MemoryNode, CONNECTION_TYPES, NODE_KINDS } = require('./models');
+const CooccurrenceTracker = require('./cooccurrence');
+
+const BUNDLE_FORMAT = 'amphibian-memory-bundle';
+const BUNDLE_VERSION = 1;
+
+const { TRUST_TIERS, LINK_THRESHOLD } = CooccurrenceTracker.CONFIG;
+
+/**
+ * JSON with object keys sorted, so signatures survive re-serialization
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalize(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalize).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+        return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Create an ed25519 signing key for bundles
+ * @returns {{id: string, publicKey: string, privateKey: string, createdAt: number}}
+ */
+function createSigner() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519', {
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+    return { id: signerIdFor(publicKey), publicKey, privateKey, createdAt: Date.now() };
+}
+
+function signerIdFor(publicKey) {
+    return `amphi_${crypto.createHash('sha256').update(publicKey).digest('hex').substring(0, 16)}`;
+}
+
+/**
+ * Short content fingerprint, used in sync digests and to break update ties
+ * @param {string} content
+ * @returns {string}
+ */
+function contentHash(content) {
+    return crypto.createHash('sha256').update(content || '').digest('hex').substring(0, 16);
+}
+
+/**
+ * Package a graph and its edge provenance into a signed bundle
+ * @param {MemoryGraph} graph
+ * @param {Map<string, Object>} edges - CooccurrenceTracker.edges
+ * @param {Object} [options]
+ * @param {Object} [options.signer] - From createSigner(); unsigned if omitted
+ * @param {string} [options.deviceName]
+ * @param {Array<string>} [options.nodeIds] - Only these memories (plus their entity hubs)
+ * @returns {Object}
+ */
+function createBundle(graph, edges, options = {}) {
+    const { signer = null, deviceName = null, nodeIds = null } = options;
+
+    let nodes = Array.from(graph.nodes.values()).map(n => n.toJSON());
+    let edgeEntries = Array.from(edges || []);
+
+    if (nodeIds) {
+        const ids = new Set(nodeIds.filter(id => graph.nodes.has(id)));
+        for (const id of Array.from(ids)) {
+            for (const link of graph.nodes.get(id).connections) {
+                const target = graph.nodes.get(link.targetId);
+                if (target && target.kind === NODE_KINDS.ENTITY) ids.add(target.id);
+            }
+        }
+
+        // Links to anything left behind would leak its id
+        nodes = Array.from(ids).map(id => {
+            const json = graph.nodes.get(id).toJSON();
+            return { ...json, connections: json.connections.filter(c => ids.has(c.targetId)) };
+        });
+        edgeEntries = edgeEntries.filter(([key]) => key.split('|').every(id => ids.has(id)));
+    }
+
+    const bundle = {
+        format: BUNDLE_FORMAT,
+        version: BUNDLE_VERSION,
+        exportedAt: new Date().toISOString(),
+        origin: { signerId: signer ? signer.id : null, deviceName },
+        nodes,
+        edges: Object.fromEntries(edgeEntries)
+    };
+
+    if (signer) {
+        const value = crypto.sign(null, Buffer.from(canonicalize(bundle)), signer.privateKey).toString('base64');
+        bundle.signature = { algorithm: 'ed25519', publicKey: signer.publicKey, value };
+    }
+
+    return bundle;
+}
+
+/**
+ * Check a bundle's format and signature
+ * @param {Object} bundle
+ * @returns {{valid: boolean, signed: boolean, signerId: string|null, reason?: string}}
+ */
+function verifyBundle(bundle) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+        return { valid: false, signed: false, signerId: null, reason: 'Not a memory bundle' };
+    }
+    if (bundle.version > BUNDLE_VERSION) {
+        return { valid: false, signed: false, signerId: null, reason: `Bundle version ${bundle.version} is newer than supported (${BUNDLE_VERSION})` };
+    }
+    if (!Array.isArray(bundle.nodes)) {
+        return { valid: false, signed: false, signerId: null, reason: 'Bundle has no nodes' };
+    }
+
+    if (!bundle.signature) {
+        return { valid: true, signed: false, signerId: null };
+    }
+
+    const { signature, ...body } = bundle;
+    const signerId = signerIdFor(signature.publicKey);
+
+    if (body.origin && body.origin.signerId && body.origin.signerId !== signerId) {
+        return { valid: false, signed: true, signerId, reason: 'Signer does not match origin' };
+    }
+
+    let valid = false;
+    try {
+        valid = crypto.verify(null, Buffer.from(canonicalize(body)), signature.publicKey,
+            Buffer.from(signature.value, 'base64'));
+    } catch (e) {
+        valid = false;
+    }
+
+    return valid
+        ? { valid: true, signed: true, signerId }
+        : { valid: false, signed: true, signerId, reason: 'Invalid signature' };
+}
+
+/**
+ * Lower a trust tier to at most `cap` (by TRUST_TIERS weight)
+ * @param {string} tier
+ * @param {string} cap
+ * @returns {string}
+ */
+function capTrustTier(tier, cap) {
+    const known = tier in TRUST_TIERS ? tier : 'unknown';
+    return TRUST_TIERS[known] > TRUST_TIERS[cap] ? cap : known;
+}
+
+/**
+ * Merge a bundle into a graph and tracker.
+ *
+ * Id conflicts: a node whose id already exists with the same content is
+ * merged into it. With different content it gets a new id ('rename'), or
+ * the more recently updated version wins ('newer', used by sync so ids
+ * stay the same on every device). 'newer' never touches a node that isn't
+ * shared: bundle nodes with a private node's id are skipped. Entity hubs are matched by name and
+ * type. Imported observations are capped at `trustTier` and tagged with
+ * the bundle's signer.
+ *
+ * @param {MemoryGraph} graph
+ * @param {CooccurrenceTracker} tracker
+ * @param {Object} bundle - Already checked with verifyBundle()
+ * @param {Object} [options]
+ * @param {string} [options.trustTier] - Highest tier for imported observations (default 'unknown')
+ * @param {string} [options.signerId]
+ * @param {string} [options.onConflict] - 'rename' (default) or 'newer'
+ * @param {boolean} [options.markShared] - Mark added memories as shared
+ * @returns {{added: number, merged: number, updated: number, remapped: number, skipped: number, edges: number, links: number}}
+ */
+function mergeBundle(graph, tracker, bundle, options = {}) {
+    const trustTier = options.trustTier || 'unknown';
+    const importedFrom = options.signerId || 'unsigned';
+    const onConflict = options.onConflict || 'rename';
+    const report = { added: 0, merged: 0, updated: 0, remapped: 0, skipped: 0, edges: 0, links: 0 };
+
+    // Pass 1: decide where every bundle node lands
+    const idMap = new Map(); // bundle id -> local id
+    const replaced = new Set(); // local ids whose content the bundle replaces
+    const skipped = new Set(); // private ids a synced bundle claims
+    for (const item of bundle.nodes) {
+        if (item.kind === NODE_KINDS.ENTITY) {
+            const hub = graph.findEntity(item.content, item.metadata && item.metadata.entityType);
+            if (hub) {
+                idMap.set(item.id, hub.id);
+                report.merged++;
+                continue;
+            }
+        }
+
+        const existing = graph.nodes.get(item.id);
+        if (existing && onConflict === 'newer' && existing.shared !== true) {
+            // A peer's version of a private memory, newer or not, never replaces it
+            skipped.add(item.id);
+            report.skipped++;
+        } else if (!existing) {
+            idMap.set(item.id, item.id);
+            report.added++;
+        } else if (existing.content === item.content) {
+            idMap.set(item.id, item.id);
+            report.merged++;
+        } else if (onConflict === 'newer') {
+            idMap.set(item.id, item.id);
+            if (isNewer(item, existing)) {
+                replaced.add(item.id);
+                report.updated++;
+            } else {
+                report.merged++;
+            }
+        } else {
+            idMap.set(item.id, crypto.randomUUID());
+            report.remapped++;
+        }
+    }
+
+    // Pass 2: create or merge nodes with remapped connections
+    const localIds = new Set(idMap.values());
+    for (const item of bundle.nodes) {
+        const localId = idMap.get(item.id);
+        if (!localId) continue;
+        const connections = (item.connections || [])
+            .filter(c => !skipped.has(c.targetId))
+            .map(c => ({ ...c, targetId: idMap.get(c.targetId) || c.targetId }))
+            .filter(c => localIds.has(c.targetId) || graph.nodes.has(c.targetId));
+
+        const existing = graph.nodes.get(localId);
+        if (existing && replaced.has(localId)) {
+            existing.content = item.content;
+            existing.embedding = Array.isArray(item.embedding) ? item.embedding : [];
+            existing.updatedAt = item.updatedAt;
+        }
+        if (existing) {
+            existing.salience = Math.max(existing.salience, item.salience ?? 0);
+            existing.createdAt = Math.min(existing.createdAt, item.createdAt ?? existing.createdAt);
+            existing.lastAccessed = Math.max(existing.lastAccessed, item.lastAccessed ?? 0);
+            existing.accessCount = Math.max(existing.accessCount || 0, item.accessCount || 0);
+            if (existing.embedding.length === 0 && Array.isArray(item.embedding)) {
+                existing.embedding = item.embedding;
+            }
+            for (const c of connections) {
+                existing.addConnection(c.targetId, c.type, c.weight, c.metadata);
+            }
+            graph.markDirty(localId);
+        } else {
+            const node = MemoryNode.fromJSON({ ...item, id: localId, connections });
+            if (options.markShared && node.kind === NODE_KINDS.MEMORY) node.shared = true;
+            graph.nodes.set(localId, node);
+            graph.markDirty(localId);
+        }
+    }
+
+    // Edge provenance, re-keyed and downgraded
+    for (const [pairKey, edge] of Object.entries(bundle.edges || {})) {
+        const [a, b] = pairKey.split('|');
+        const localA = idMap.get(a);
+        const localB = idMap.get(b);
+        if (!localA || !localB || localA === localB) continue;
+
+        const key = [localA, localB].sort().join('|');
+        let local = tracker.edges.get(key);
+        if (!local) {
+            local = { observations: [], belief: 0.0, lastUpdated: edge.lastUpdated };
+            tracker.edges.set(key, local);
+        }
+
+        const known = new Set(local.observations.map(o => o.id));
+        for (const obs of edge.observations || []) {
+            if (known.has(obs.id)) continue;
+            local.observations.push({
+                ...obs,
+                trustTier: capTrustTier(obs.trustTier, trustTier),
+                source: { ...obs.source, importedFrom }
+            });
+        }
+
+        if (edge.lastUpdated && edge.lastUpdated > local.lastUpdated) {
+            local.lastUpdated = edge.lastUpdated;
+        }
+        local.belief = tracker.calculateBelief(local.observations);
+        tracker.changedEdges.add(key);
+        report.edges++;
+
+        if (local.belief >= LINK_THRESHOLD) {
+            const [id1, id2] = key.split('|');
+            graph.linkMemories(id1, id2, CONNECTION_TYPES.ASSOCIATIVE, tracker.normalizeBelief(local.belief));
+            report.links++;
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Whether a bundle node should replace the local version of the same id.
+ * Ties go to the larger content hash so every device picks the same one.
+ */
+function isNewer(item, existing) {
+    const theirs = item.updatedAt || item.createdAt || 0;
+    const ours = existing.updatedAt || existing.createdAt || 0;
+    if (theirs !== ours) return theirs > ours;
+    return contentHash(item.content) > contentHash(existing.content);
+}
+
+module.exports = {
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    canonicalize,
+    contentHash,
+    createSigner,
+    createBundle,
+    verifyBundle,
+    capTrustTier,
+    mergeBundle
+};
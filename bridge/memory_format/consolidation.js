@@ -0,0 +1,366 @@
+/**
+ * Memory Consolidation
+ *
+ * Periodic maintenance pass over a MemoryGraph, so it doesn't grow forever
+ * on a device with limited storage:
+ *
+ * 1. Decay - salience fades with time since last access; frequently
+ *    accessed memories fade more slowly
+ * 2. Merge - near-duplicate memories collapse into a single summary node
+ *    (summarized by the local brain when it is available)
+ * 3. Archive - memories whose salience falls below a threshold move out
+ *    of the graph into an archive file
+ *
+ * Each pass appends a report of what changed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { cosineSimilarity } = require('./embeddings');
+const { NODE_KINDS } = require('./models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Configuration
+const CONFIG = {
+    SALIENCE_HALF_LIFE_DAYS: 30,   // Half-life of an unaccessed memory
+    MERGE_SIMILARITY: 0.92,        // Cosine similarity that counts as a duplicate
+    ARCHIVE_THRESHOLD: 0.1,        // Archive memories below this salience
+    ARCHIVE_MIN_AGE_DAYS: 7,       // Never archive memories younger than this
+    SCAN_BATCH: 5000,              // Duplicate comparisons between event loop yields
+    MAX_REPORTS: 20                // Reports kept in the report file
+};
+
+class MemoryConsolidator {
+    /**
+     * @param {MemoryGraph} memoryGraph
+     * @param {string} storagePath - Directory for the archive and report files
+     * @param {Object} [options]
+     * @param {Object} [options.brain] - LocalBrain used to write merge summaries
+     * @param {CooccurrenceTracker} [options.tracker] - Co-occurrence edges to remap on merge
+     * @param {Object} [options.config] - Overrides for CONFIG
+     */
+    constructor(memoryGraph, storagePath, options = {}) {
+        this.graph = memoryGraph;
+        this.storagePath = storagePath;
+        this.archiveFile = path.join(storagePath, 'memory_archive.json');
+        this.reportFile = path.join(storagePath, 'consolidation_reports.json');
+
+        this.brain = options.brain || null;
+        this.tracker = options.tracker || null;
+        this.config = { ...CONFIG, ...options.config };
+
+        this.reports = this.loadJSON(this.reportFile, []);
+        const last = this.reports[this.reports.length - 1];
+        this.lastRunAt = last ? last.finishedAt : null;
+    }
+
+    /**
+     * Run a full consolidation pass
+     * @returns {Promise<Object>} Report of what changed
+     */
+    async run() {
+        const startedAt = Date.now();
+        const report = {
+            startedAt,
+            finishedAt: null,
+            memoriesBefore: this.graph.nodes.size,
+            memoriesAfter: 0,
+            decayed: 0,
+            merged: [],    // { summaryId, sourceIds, summarizedBy }
+            archived: []   // { id, salience }
+        };
+
+        report.decayed = this.decay(startedAt);
+        report.merged = await this.mergeDuplicates();
+        report.archived = await this.archive(startedAt);
+
+        report.memoriesAfter = this.graph.nodes.size;
+        report.finishedAt = Date.now();
+        this.lastRunAt = report.finishedAt;
+
+        await this.saveReport(report);
+
+        console.log(`🧹 Memory consolidated: ${report.decayed} decayed, ` +
+            `${report.merged.length} merged, ${report.archived.length} archived ` +
+            `(${report.memoriesBefore} → ${report.memoriesAfter})`);
+
+        return report;
+    }
+
+    /**
+     * Lower salience by time since last access (or last pass, whichever is
+     * later). Each access stretches the half-life a little.
+     * @param {number} now
+     * @returns {number} Number of memories whose salience changed
+     */
+    decay(now) {
+        let changed = 0;
+
+        for (const node of this.graph.nodes.values()) {
+            if (node.kind !== NODE_KINDS.MEMORY) continue;
+            const since = Math.max(node.lastAccessed, this.lastRunAt || 0);
+            const elapsedDays = Math.max(0, now - since) / DAY_MS;
+            if (elapsedDays === 0) continue;
+
+            const halfLife = this.config.SALIENCE_HALF_LIFE_DAYS * (1 + Math.log2(1 + (node.accessCount || 0)));
+            const salience = node.salience * Math.pow(0.5, elapsedDays / halfLife);
+            const rounded = parseFloat(salience.toFixed(4));
+
+            if (rounded !== node.salience) {
+                node.salience = rounded;
+                this.graph.markDirty(node.id);
+                changed++;
+            }
+        }
+
+        return changed;
+    }
+
+    /**
+     * Collapse groups of near-duplicate memories into summary nodes
+     * @returns {Promise<Array<Object>>}
+     */
+    async mergeDuplicates() {
+        const groups = await this.findDuplicateGroups();
+        if (groups.length === 0) return [];
+
+        const useBrain = await this.isBrainAvailable();
+        const merged = [];
+
+        for (const group of groups) {
+            // Memories deleted or replaced while we yielded stay as they are
+            if (!group.every(n => this.graph.nodes.get(n.id) === n)) continue;
+            const summary = useBrain ? await this.summarize(group) : null;
+            if (!group.every(n => this.graph.nodes.get(n.id) === n)) continue;
+            const node = this.mergeGroup(group, summary || this.fallbackSummary(group));
+            merged.push({
+                summaryId: node.id,
+                sourceIds: group.map(n => n.id),
+                summarizedBy: summary ? 'brain' : 'longest'
+            });
+        }
+
+        return merged;
+    }
+
+    /**
+     * Greedy grouping: each memory joins the first group whose seed it
+     * duplicates. Memories without embeddings only match identical text.
+     * Yields to the event loop every SCAN_BATCH comparisons.
+     * @returns {Promise<Array<Array<MemoryNode>>>} Groups with two or more members
+     */
+    async findDuplicateGroups() {
+        const nodes = Array.from(this.graph.nodes.values()).filter(n => n.kind === NODE_KINDS.MEMORY);
+        const texts = nodes.map(n => normalizeText(n.content));
+        const assigned = new Set();
+        const groups = [];
+        let compared = 0;
+
+        for (let i = 0; i < nodes.length; i++) {
+            const seed = nodes[i];
+            if (assigned.has(seed.id)) continue;
+
+            const group = [seed];
+            for (let j = i + 1; j < nodes.length; j++) {
+                const other = nodes[j];
+                if (assigned.has(other.id)) continue;
+
+                if (texts[i] === texts[j] || this.isSimilar(seed, other)) {
+                    group.push(other);
+                    assigned.add(other.id);
+                }
+                if (++compared % this.config.SCAN_BATCH === 0) {
+                    await new Promise(resolve => setImmediate(resolve));
+                }
+            }
+
+            if (group.length > 1) {
+                assigned.add(seed.id);
+                groups.push(group);
+            }
+        }
+
+        return groups;
+    }
+
+    isSimilar(a, b) {
+        if (a.embedding.length === 0 || a.embedding.length !== b.embedding.length) return false;
+        return cosineSimilarity(a.embedding, b.embedding) >= this.config.MERGE_SIMILARITY;
+    }
+
+    async isBrainAvailable() {
+        if (!this.brain || typeof this.brain.quickInfer !== 'function') return false;
+        if (typeof this.brain.isAvailable !== 'function') return true;
+        try {
+            return await this.brain.isAvailable();
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Ask the brain for a one-sentence summary of a duplicate group
+     * @param {Array<MemoryNode>} group
+     * @returns {Promise<string|null>} null if the brain gave nothing usable
+     */
+    async summarize(group) {
+        const prompt = 'These notes describe the same memory. Combine them into one short ' +
+            'factual sentence that keeps every detail. Reply with the sentence only.\n\n' +
+            group.map(n => `- ${n.content}`).join('\n');
+
+        try {
+            const response = await this.brain.quickInfer(prompt, { temperature: 0.2, maxTokens: 128 });
+            const text = (response && response.content || '').trim();
+            // LocalBrain reports stream failures inline rather than throwing
+            if (!text || text.includes('[Error:')) return null;
+            return text;
+        } catch (e) {
+            console.warn(`⚠️ Memory summary failed: ${e.message}`);
+            return null;
+        }
+    }
+
+    fallbackSummary(group) {
+        return group.reduce((best, n) => n.content.length > best.length ? n.content : best, '');
+    }
+
+    /**
+     * Replace a group with one summary node that inherits its history and links
+     * @param {Array<MemoryNode>} group
+     * @param {string} content
+     * @returns {MemoryNode}
+     */
+    mergeGroup(group, content) {
+        const ids = new Set(group.map(n => n.id));
+
+        const node = this.graph.addMemory(content, averageEmbedding(group), {
+            salience: Math.max(...group.map(n => n.salience)),
+            createdAt: Math.min(...group.map(n => n.createdAt)),
+            lastAccessed: Math.max(...group.map(n => n.lastAccessed)),
+            accessCount: group.reduce((sum, n) => sum + (n.accessCount || 0), 0),
+            // The summary may repeat private details
+            shared: group.every(n => n.shared)
+        });
+
+        // Outgoing links from the group
+        for (const member of group) {
+            for (const link of member.connections) {
+                if (ids.has(link.targetId)) continue;
+                node.addConnection(link.targetId, link.type, link.weight, link.metadata);
+            }
+        }
+
+        // Incoming links to the group now point at the summary
+        for (const other of this.graph.nodes.values()) {
+            if (ids.has(other.id) || other.id === node.id) continue;
+            for (const link of other.connections) {
+                if (ids.has(link.targetId)) {
+                    other.addConnection(node.id, link.type, link.weight, link.metadata);
+                    this.graph.markDirty(other.id);
+                }
+            }
+        }
+
+        for (const id of ids) {
+            this.graph.deleteMemory(id);
+        }
+        if (this.tracker) this.tracker.remapNodes(ids, node.id);
+
+        return node;
+    }
+
+    /**
+     * Move low-salience memories out of the graph
+     * @param {number} now
+     * @returns {Promise<Array<{id: string, salience: number}>>}
+     */
+    async archive(now) {
+        const minAge = this.config.ARCHIVE_MIN_AGE_DAYS * DAY_MS;
+        const candidates = Array.from(this.graph.nodes.values()).filter(n =>
+            n.kind === NODE_KINDS.MEMORY &&
+            n.salience < this.config.ARCHIVE_THRESHOLD && now - n.createdAt >= minAge
+        );
+        if (candidates.length === 0) return [];
+
+        const archive = this.loadJSON(this.archiveFile, []);
+        for (const node of candidates) {
+            // Embeddings are the bulk of a node and can be recomputed
+            archive.push({ ...node.toJSON(), embedding: [], archivedAt: now });
+            this.graph.deleteMemory(node.id);
+        }
+
+        // Entity hubs with nothing left pointing at them go too
+        for (const node of Array.from(this.graph.nodes.values())) {
+            if (node.kind === NODE_KINDS.ENTITY && node.connections.length === 0) {
+                this.graph.deleteMemory(node.id);
+            }
+        }
+
+        await this.writeJSON(this.archiveFile, archive);
+        return candidates.map(n => ({ id: n.id, salience: n.salience }));
+    }
+
+    /**
+     * Recent consolidation reports, oldest first
+     */
+    getReports() {
+        return this.reports.slice();
+    }
+
+    async saveReport(report) {
+        this.reports.push(report);
+        if (this.reports.length > this.config.MAX_REPORTS) {
+            this.reports = this.reports.slice(-this.config.MAX_REPORTS);
+        }
+        await this.writeJSON(this.reportFile, this.reports);
+    }
+
+    loadJSON(file, fallback) {
+        try {
+            if (fs.existsSync(file)) {
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            }
+        } catch (e) {
+            console.error(`Failed to load ${path.basename(file)}:`, e);
+        }
+        return fallback;
+    }
+
+    async writeJSON(file, data) {
+        const tmp = `${file}.tmp`;
+        try {
+            await fs.promises.mkdir(this.storagePath, { recursive: true });
+            await fs.promises.writeFile(tmp, JSON.stringify(data, null, 2));
+            await fs.promises.rename(tmp, file);
+        } catch (e) {
+            console.error(`Failed to save ${path.basename(file)}:`, e);
+        }
+    }
+}
+
+function normalizeText(text) {
+    return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Mean of the group's embeddings (only those sharing the first embedding's size)
+ * @param {Array<MemoryNode>} group
+ * @returns {Array<number>}
+ */
+function averageEmbedding(group) {
+    const vectors = group.map(n => n.embedding).filter(e => e.length > 0);
+    if (vectors.length === 0) return [];
+
+    const size = vectors[0].length;
+    const same = vectors.filter(v => v.length === size);
+    const mean = new Array(size).fill(0);
+    for (const v of same) {
+        for (let i = 0; i < size; i++) mean[i] += v[i] / same.length;
+    }
+    return mean;
+}
+
+MemoryConsolidator.CONFIG = CONFIG;
+
+module.exports = MemoryConsolidator;
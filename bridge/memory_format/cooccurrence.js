@@ -5,10 +5,10 @@
  * Tracks memory recalls within sessions and automatically builds associative links.
  */
 
-const fs = require('fs');
 const path = require('path');
 const { randomUUID } = require('crypto');
 const { CONNECTION_TYPES } = require('./models');
+const JournalStore = require('./journal');
 
 // Configuration
 const CONFIG = {
@@ -50,10 +50,13 @@ class CooccurrenceTracker {
         this.graph = memoryGraph;
         this.storagePath = storagePath;
         this.provenanceFile = path.join(storagePath, 'cooccurrence_provenance.json');
+        this.journal = new JournalStore(this.provenanceFile, { schemaVersion: 1 });
         
         // In-memory state
         this.sessionRecalls = new Map(); // id -> count
         this.edges = new Map(); // "id1|id2" -> { observations: [], belief: 0.0, lastUpdated: ... }
+        this.changedEdges = new Set(); // pair keys not yet persisted
+        this.needsSnapshot = false;
         
         this.loadProvenance();
     }
@@ -113,6 +116,7 @@ class CooccurrenceTracker {
                 
                 edge.observations.push(observation);
                 edge.lastUpdated = now;
+                this.changedEdges.add(pairKey);
                 
                 // Update belief
                 const oldBelief = edge.belief;
@@ -190,7 +194,11 @@ class CooccurrenceTracker {
                 // SpindriftMend logic: "mark inactive".
             }
 
+            const oldBelief = edge.belief;
             edge.belief = Math.max(0, parseFloat(newBelief.toFixed(3)));
+            if (edge.belief !== oldBelief) {
+                this.changedEdges.add(pairKey);
+            }
             
             // Update Graph
             if (edge.belief < CONFIG.LINK_THRESHOLD) {
@@ -220,26 +228,87 @@ class CooccurrenceTracker {
         return Math.min(1.0, belief / 10.0); // Rough scaling
     }
 
+    /**
+     * Move the edges of merged memories onto the node that replaced them.
+     * Pairs inside the merged group are dropped.
+     * @param {Set<string>} fromIds - Ids of the merged memories
+     * @param {string} toId - Id of the summary node
+     */
+    remapNodes(fromIds, toId) {
+        for (const [pairKey, edge] of Array.from(this.edges)) {
+            const ends = pairKey.split('|');
+            if (!ends.some(id => fromIds.has(id))) continue;
+
+            this.edges.delete(pairKey);
+            this.changedEdges.add(pairKey);
+
+            const [id1, id2] = ends.map(id => fromIds.has(id) ? toId : id);
+            if (id1 === id2) continue;
+
+            const newKey = [id1, id2].sort().join('|');
+            const existing = this.edges.get(newKey);
+            if (existing) {
+                existing.observations.push(...edge.observations);
+                if (edge.lastUpdated > existing.lastUpdated) existing.lastUpdated = edge.lastUpdated;
+                existing.belief = this.calculateBelief(existing.observations);
+            } else {
+                this.edges.set(newKey, edge);
+            }
+            this.changedEdges.add(newKey);
+        }
+
+        for (const id of fromIds) {
+            const count = this.sessionRecalls.get(id);
+            if (count === undefined) continue;
+            this.sessionRecalls.delete(id);
+            this.sessionRecalls.set(toId, (this.sessionRecalls.get(toId) || 0) + count);
+        }
+    }
+
     loadProvenance() {
         try {
-            if (fs.existsSync(this.provenanceFile)) {
-                const data = JSON.parse(fs.readFileSync(this.provenanceFile, 'utf8'));
-                this.edges = new Map(Object.entries(data));
+            const { data, version, entries } = this.journal.loadSync();
+            this.edges = new Map(Object.entries(data || {}));
+
+            for (const entry of entries) {
+                if (entry.op === 'put') {
+                    this.edges.set(entry.key, entry.value);
+                } else if (entry.op === 'del') {
+                    this.edges.delete(entry.key);
+                }
+            }
+
+            // Legacy provenance files are rewritten with a schema header on next save
+            if (data && version < 1) {
+                this.needsSnapshot = true;
             }
         } catch (e) {
             console.error('Failed to load provenance:', e);
         }
     }
 
+    /**
+     * Persist edges changed since the last save
+     */
     async saveProvenance() {
         try {
-            const data = Object.fromEntries(this.edges);
-            await fs.promises.mkdir(this.storagePath, { recursive: true });
-            await fs.promises.writeFile(this.provenanceFile, JSON.stringify(data, null, 2));
+            const records = Array.from(this.changedEdges).map(key => (
+                this.edges.has(key) ? { op: 'put', key, value: this.edges.get(key) } : { op: 'del', key }
+            ));
+            this.changedEdges.clear();
+
+            if (this.needsSnapshot || this.journal.needsCompaction(this.edges.size)) {
+                this.needsSnapshot = false;
+                await this.journal.compact(Object.fromEntries(this.edges));
+            } else {
+                await this.journal.append(records);
+            }
         } catch (e) {
             console.error('Failed to save provenance:', e);
         }
     }
 }
 
+CooccurrenceTracker.CONFIG = CONFIG;
+
 module.exports = CooccurrenceTracker;
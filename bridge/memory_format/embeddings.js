@@ -0,0 +1,127 @@
+/**
+ * Embedding Providers
+ *
+ * Turn text into vectors for MemoryGraph.searchSimilar(). A provider is any
+ * object with `name`, `dimensions` (0 if unknown) and `async embed(text)`.
+ *
+ * - BrainEmbedder: wraps anything with an embed() method, i.e. LocalBrain
+ *   (Ollama /api/embeddings) or CollectiveBrain
+ * - HashingEmbedder: deterministic feature hashing, works offline
+ *
+ * Vectors from different providers live in different spaces - stick to one
+ * provider per memory graph.
+ */
+
+/**
+ * Cosine similarity between two vectors
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number} Similarity in [-1, 1], or 0 if the vectors can't be compared
+ */
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} str
+ * @returns {number}
+ */
+function fnv1a(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Embeds text through a brain's embed() method
+ */
+class BrainEmbedder {
+    /**
+     * @param {Object} brain - LocalBrain, CollectiveBrain or anything with async embed(text)
+     * @param {Object} [options]
+     * @param {string} [options.name]
+     */
+    constructor(brain, options = {}) {
+        if (!brain || typeof brain.embed !== 'function') {
+            throw new Error('Brain does not support embeddings');
+        }
+        this.brain = brain;
+        this.name = options.name || brain.embeddingModel || brain.constructor.name;
+        this.dimensions = 0; // Known after the first embedding
+    }
+
+    async embed(text) {
+        const vector = await this.brain.embed(text);
+        if (!Array.isArray(vector) || vector.length === 0) {
+            throw new Error(`${this.name} returned an empty embedding`);
+        }
+        this.dimensions = vector.length;
+        return vector;
+    }
+}
+
+/**
+ * Deterministic bag-of-words embedder using the hashing trick.
+ * Same text always gives the same vector, so it is safe for tests and
+ * offline devices, but it only captures word overlap, not meaning.
+ */
+class HashingEmbedder {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.dimensions] - Vector size (default 256)
+     */
+    constructor(options = {}) {
+        this.name = 'hashing';
+        this.dimensions = options.dimensions || 256;
+    }
+
+    async embed(text) {
+        return this.embedSync(text);
+    }
+
+    /**
+     * @param {string} text
+     * @returns {Array<number>} L2-normalized vector
+     */
+    embedSync(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const words = (text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+        // Words plus adjacent word pairs, so word order counts a little
+        const features = words.slice();
+        for (let i = 0; i < words.length - 1; i++) {
+            features.push(`${words[i]} ${words[i + 1]}`);
+        }
+
+        for (const feature of features) {
+            const hash = fnv1a(feature);
+            const sign = (hash & 0x80000000) ? -1 : 1;
+            vector[hash % this.dimensions] += sign;
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0));
+        return norm === 0 ? vector : vector.map(v => v / norm);
+    }
+}
+
+module.exports = {
+    cosineSimilarity,
+    BrainEmbedder,
+    HashingEmbedder
+};
@@ -0,0 +1,411 @@
+/**
+ * Link Extraction
+ *
+ * Builds structure around new memories as they are added to a MemoryGraph:
+ * - ENTITY links to hub nodes for the people, places and dates mentioned
+ * - TEMPORAL before/after links to the memories next to it in time
+ * - CAUSAL links to an earlier memory that a "because ..." clause refers to
+ *
+ * Extractors return { entities: [{ name, type }], causes: [{ cause, effect }] }.
+ * RuleBasedExtractor works offline and runs inside addMemory(); LLMExtractor
+ * is async and runs afterwards via enrich().
+ */
+
+const { CONNECTION_TYPES, NODE_KINDS } = require('./models');
+
+const ENTITY_TYPES = {
+    PERSON: 'person',
+    PLACE: 'place',
+    DATE: 'date'
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+// Capitalized words that are never names
+const NOT_NAMES = new Set([
+    'i', 'the', 'a', 'an', 'on', 'in', 'at', 'to', 'from', 'my', 'our', 'we', 'he', 'she',
+    'they', 'it', 'this', 'that', 'and', 'but', 'or', 'if', 'when', 'after', 'before',
+    'today', 'tomorrow', 'yesterday', 'tonight', 'mr', 'mrs', 'ms', 'dr',
+    ...WEEKDAYS, ...MONTHS
+]);
+
+// A preceding word that marks a capitalized name as a place
+const PLACE_CUES = new Set(['in', 'at', 'from', 'to', 'near', 'visited', 'visit', 'around', 'into']);
+
+// A sentence-initial word is only a name when followed by one of these
+const PERSON_VERBS = /^(?:['’]s\b|\s+(?:said|says|told|asked|likes|loves|hates|wants|lives|works|thinks|called|texted|mentioned)\b)/;
+
+/**
+ * Lowercase content words, for matching clauses against memories
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function terms(text) {
+    return new Set((text || '').toLowerCase().split(/[^a-z0-9]+/).filter(t => t.length > 2));
+}
+
+function toISODate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Offline extraction with regular expressions and capitalization cues
+ */
+class RuleBasedExtractor {
+    constructor() {
+        this.name = 'rules';
+        this.async = false;
+    }
+
+    /**
+     * @param {string} text
+     * @param {Object} [context]
+     * @param {number} [context.now] - Reference time for "today", "yesterday", ...
+     * @returns {{entities: Array<{name: string, type: string}>, causes: Array<{cause: string, effect: string}>}}
+     */
+    extract(text, context = {}) {
+        const now = new Date(context.now || Date.now());
+        const entities = [
+            ...this.extractNames(text),
+            ...this.extractDates(text, now)
+        ];
+
+        // One entry per name and type
+        const seen = new Set();
+        const unique = entities.filter(e => {
+            const key = `${e.type}:${e.name.toLowerCase()}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+        return { entities: unique, causes: this.extractCauses(text) };
+    }
+
+    extractNames(text) {
+        const entities = [];
+        const sentences = (text || '').split(/(?<=[.!?])\s+/);
+
+        for (const sentence of sentences) {
+            const words = Array.from(sentence.matchAll(/[A-Za-z][A-Za-z'’-]*/g));
+            let i = 0;
+
+            while (i < words.length) {
+                const word = words[i][0].replace(/['’]s$/, '');
+                if (!/^[A-Z][a-z]/.test(word) || NOT_NAMES.has(word.toLowerCase())) {
+                    i++;
+                    continue;
+                }
+
+                // Join adjacent capitalized words ("Ada Lovelace", "New York")
+                const parts = [word];
+                let j = i + 1;
+                while (j < words.length) {
+                    const gap = sentence.slice(words[j - 1].index + words[j - 1][0].length, words[j].index);
+                    const next = words[j][0].replace(/['’]s$/, '');
+                    if (!/^\s+$/.test(gap) || !/^[A-Z][a-z]/.test(next) || NOT_NAMES.has(next.toLowerCase())) break;
+                    parts.push(next);
+                    if (next !== words[j][0]) { j++; break; } // Possessive ends the name
+                    j++;
+                }
+
+                const last = words[j - 1];
+                const after = sentence.slice(last.index + last[0].length - (last[0].match(/['’]s$/) ? 2 : 0));
+                // Look past an article: "at the Louvre"
+                let k = i - 1;
+                if (k > 0 && words[k][0].toLowerCase() === 'the') k--;
+                const before = k >= 0 ? words[k][0].toLowerCase() : null;
+
+                // A sentence-initial capital is usually just grammar
+                if (i > 0 || PERSON_VERBS.test(after)) {
+                    entities.push({
+                        name: parts.join(' '),
+                        type: before && PLACE_CUES.has(before) ? ENTITY_TYPES.PLACE : ENTITY_TYPES.PERSON
+                    });
+                }
+                i = j;
+            }
+        }
+
+        return entities;
+    }
+
+    extractDates(text, now) {
+        const dates = [];
+        const lower = (text || '').toLowerCase();
+        const monthPattern = MONTHS.join('|');
+
+        for (const m of lower.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+            dates.push(`${m[1]}-${m[2]}-${m[3]}`);
+        }
+
+        const monthDay = new RegExp(`\\b(${monthPattern})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`, 'g');
+        for (const m of lower.matchAll(monthDay)) {
+            dates.push(toISODate(new Date(m[3] ? Number(m[3]) : now.getFullYear(), MONTHS.indexOf(m[1]), Number(m[2]))));
+        }
+
+        const dayMonth = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${monthPattern})(?:,?\\s+(\\d{4}))?\\b`, 'g');
+        for (const m of lower.matchAll(dayMonth)) {
+            dates.push(toISODate(new Date(m[3] ? Number(m[3]) : now.getFullYear(), MONTHS.indexOf(m[2]), Number(m[1]))));
+        }
+
+        const relative = { yesterday: -1, today: 0, tonight: 0, tomorrow: 1 };
+        for (const m of lower.matchAll(/\b(yesterday|today|tonight|tomorrow)\b/g)) {
+            const date = new Date(now);
+            date.setDate(date.getDate() + relative[m[1]]);
+            dates.push(toISODate(date));
+        }
+
+        for (const m of lower.matchAll(new RegExp(`\\b(${WEEKDAYS.join('|')})\\b`, 'g'))) {
+            dates.push(capitalize(m[1]));
+        }
+
+        return dates.map(name => ({ name, type: ENTITY_TYPES.DATE }));
+    }
+
+    extractCauses(text) {
+        const causes = [];
+        const clean = s => s.trim().replace(/^[,;:\s]+|[,;:.!?\s]+$/g, '');
+
+        for (const sentence of (text || '').split(/(?<=[.!?])\s+/)) {
+            // "<effect> because <cause>"
+            let m = sentence.match(/^(.+?)\b(?:because(?: of)?|due to|as a result of)\b(.+)$/i);
+            if (m) {
+                causes.push({ cause: clean(m[2]), effect: clean(m[1]) });
+                continue;
+            }
+            // "<cause>, so <effect>" / "<cause> led to <effect>"
+            m = sentence.match(/^(.+?)(?:,\s*so\b|\b(?:therefore|led to|caused|resulted in)\b)(.+)$/i);
+            if (m) {
+                causes.push({ cause: clean(m[1]), effect: clean(m[2]) });
+            }
+        }
+
+        return causes.filter(c => c.cause.length >= 3 && c.effect.length >= 3);
+    }
+}
+
+/**
+ * Asks the local brain for entities and causes. Slower and needs a model,
+ * so it runs after the rule-based pass.
+ */
+class LLMExtractor {
+    /**
+     * @param {Object} brain - LocalBrain (anything with quickInfer)
+     */
+    constructor(brain) {
+        this.name = 'llm';
+        this.async = true;
+        this.brain = brain;
+    }
+
+    async extract(text) {
+        const prompt = 'Extract the people, places, dates and cause/effect pairs from this note. ' +
+            'Reply with JSON only, in the form ' +
+            '{"people":[],"places":[],"dates":[],"causes":[{"cause":"","effect":""}]}.\n\n' +
+            `Note: ${text}`;
+
+        try {
+            const response = await this.brain.quickInfer(prompt, { temperature: 0 });
+            const match = (response && response.content || '').match(/\{[\s\S]*\}/);
+            if (!match) return { entities: [], causes: [] };
+
+            const data = JSON.parse(match[0]);
+            const names = (list, type) => (Array.isArray(list) ? list : [])
+                .filter(n => typeof n === 'string' && n.trim())
+                .map(n => ({ name: n.trim(), type }));
+
+            return {
+                entities: [
+                    ...names(data.people, ENTITY_TYPES.PERSON),
+                    ...names(data.places, ENTITY_TYPES.PLACE),
+                    ...names(data.dates, ENTITY_TYPES.DATE)
+                ],
+                causes: (Array.isArray(data.causes) ? data.causes : [])
+                    .filter(c => c && typeof c.cause === 'string' && typeof c.effect === 'string')
+            };
+        } catch (e) {
+            console.warn(`⚠️ LLM extraction failed: ${e.message}`);
+            return { entities: [], causes: [] };
+        }
+    }
+}
+
+/**
+ * Turns extractor output into graph links. Attach with graph.addLinker().
+ */
+class LinkExtractionPipeline {
+    /**
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.extractors] - Default: [RuleBasedExtractor]
+     * @param {boolean} [options.temporal] - Link to neighbours in time (default true)
+     * @param {number} [options.causalLookback] - Recent memories searched for a cause (default 200)
+     * @param {number} [options.causalMinOverlap] - Share of cause terms a memory must contain (default 0.5)
+     */
+    constructor(options = {}) {
+        this.extractors = options.extractors || [new RuleBasedExtractor()];
+        this.temporal = options.temporal !== false;
+        this.causalLookback = options.causalLookback || 200;
+        this.causalMinOverlap = options.causalMinOverlap || 0.5;
+
+        // Entity hub index: "type:name" -> node id
+        this.hubs = new Map();
+        this.indexedGraph = null;
+    }
+
+    addExtractor(extractor) {
+        this.extractors.push(extractor);
+    }
+
+    /**
+     * Synchronous pass, called by MemoryGraph.addMemory
+     * @param {MemoryGraph} graph
+     * @param {MemoryNode} node
+     */
+    link(graph, node) {
+        if (this.temporal) {
+            this.linkTemporal(graph, node);
+        }
+        for (const extractor of this.extractors) {
+            if (extractor.async) continue;
+            this.apply(graph, node, extractor.extract(node.content, { now: node.createdAt }));
+        }
+    }
+
+    /**
+     * Run the async extractors (e.g. LLMExtractor) on a node
+     * @param {MemoryGraph} graph
+     * @param {MemoryNode} node
+     * @returns {Promise<void>}
+     */
+    async enrich(graph, node) {
+        for (const extractor of this.extractors) {
+            if (!extractor.async) continue;
+            const result = await extractor.extract(node.content, { now: node.createdAt });
+            if (graph.nodes.has(node.id)) {
+                this.apply(graph, node, result);
+            }
+        }
+    }
+
+    hasAsyncExtractors() {
+        return this.extractors.some(e => e.async);
+    }
+
+    /**
+     * Link a node to the memories immediately before and after it
+     */
+    linkTemporal(graph, node) {
+        let prev = null;
+        let next = null;
+
+        for (const other of graph.nodes.values()) {
+            if (other.id === node.id || other.kind !== NODE_KINDS.MEMORY) continue;
+            if (other.createdAt <= node.createdAt) {
+                if (!prev || other.createdAt > prev.createdAt) prev = other;
+            } else if (!next || other.createdAt < next.createdAt) {
+                next = other;
+            }
+        }
+
+        if (prev) {
+            graph.linkMemories(node.id, prev.id, CONNECTION_TYPES.TEMPORAL, 1.0, { relation: 'after' });
+            graph.linkMemories(prev.id, node.id, CONNECTION_TYPES.TEMPORAL, 1.0, { relation: 'before' });
+        }
+        if (next) {
+            graph.linkMemories(node.id, next.id, CONNECTION_TYPES.TEMPORAL, 1.0, { relation: 'before' });
+            graph.linkMemories(next.id, node.id, CONNECTION_TYPES.TEMPORAL, 1.0, { relation: 'after' });
+        }
+    }
+
+    /**
+     * Create entity and causal links from one extractor's result
+     */
+    apply(graph, node, result) {
+        for (const entity of (result && result.entities) || []) {
+            const hub = this.getHub(graph, entity.name, entity.type);
+            const metadata = { entityType: entity.type };
+            graph.linkMemories(node.id, hub.id, CONNECTION_TYPES.ENTITY, 1.0, metadata);
+            graph.linkMemories(hub.id, node.id, CONNECTION_TYPES.ENTITY, 1.0, metadata);
+        }
+
+        for (const { cause, effect } of (result && result.causes) || []) {
+            const source = this.findCause(graph, node, cause);
+            if (!source) continue;
+            graph.linkMemories(source.id, node.id, CONNECTION_TYPES.CAUSAL, 1.0, { relation: 'caused', cause, effect });
+            graph.linkMemories(node.id, source.id, CONNECTION_TYPES.CAUSAL, 1.0, { relation: 'caused_by', cause, effect });
+        }
+    }
+
+    /**
+     * Find or create the hub node for an entity
+     * @returns {MemoryNode}
+     */
+    getHub(graph, name, type) {
+        if (this.indexedGraph !== graph) {
+            this.hubs.clear();
+            for (const n of graph.nodes.values()) {
+                if (n.kind === NODE_KINDS.ENTITY) {
+                    this.hubs.set(`${n.metadata.entityType}:${n.content.toLowerCase()}`, n.id);
+                }
+            }
+            this.indexedGraph = graph;
+        }
+
+        const key = `${type}:${name.toLowerCase()}`;
+        const existing = graph.nodes.get(this.hubs.get(key));
+        if (existing) return existing;
+
+        const hub = graph.addMemory(name, [], {
+            kind: NODE_KINDS.ENTITY,
+            metadata: { entityType: type }
+        });
+        this.hubs.set(key, hub.id);
+        return hub;
+    }
+
+    /**
+     * Most recent memory that contains most of the cause clause's terms
+     * @returns {MemoryNode|null}
+     */
+    findCause(graph, node, cause) {
+        const causeTerms = terms(cause);
+        if (causeTerms.size === 0) return null;
+
+        const candidates = Array.from(graph.nodes.values())
+            .filter(n => n.id !== node.id && n.kind === NODE_KINDS.MEMORY)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, this.causalLookback);
+
+        let best = null;
+        let bestOverlap = 0;
+        for (const candidate of candidates) {
+            const candidateTerms = terms(candidate.content);
+            let shared = 0;
+            for (const t of causeTerms) {
+                if (candidateTerms.has(t)) shared++;
+            }
+            const overlap = shared / causeTerms.size;
+            if (overlap > bestOverlap) {
+                best = candidate;
+                bestOverlap = overlap;
+            }
+        }
+
+        return bestOverlap >= this.causalMinOverlap ? best : null;
+    }
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    RuleBasedExtractor,
+    LLMExtractor,
+    LinkExtractionPipeline
+};
@@ -4,11 +4,56 @@
  * Manages the collection of memories and their relationships.
  */
 
-const { MemoryNode, CONNECTION_TYPES } = require('./models');
+const { MemoryNode, CONNECTION_TYPES, NODE_KINDS } = require('./models');
+const { cosineSimilarity } = require('./embeddings');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class MemoryGraph {
     constructor() {
         this.nodes = new Map(); // Map<UUID, MemoryNode>
+
+        // Changes since the last save, for incremental persistence
+        this.changed = new Set();
+        this.removed = new Set();
+
+        // Run on every new memory to add links (see extraction.js)
+        this.linkers = [];
+    }
+
+    /**
+     * Register a linker: an object with link(graph, node), called for
+     * each memory added through addMemory()
+     * @param {Object} linker
+     */
+    addLinker(linker) {
+        if (!this.linkers.includes(linker)) {
+            this.linkers.push(linker);
+        }
+    }
+
+    /**
+     * Record that a node was modified outside the graph's own methods
+     * @param {string} id
+     */
+    markDirty(id) {
+        if (this.nodes.has(id)) {
+            this.changed.add(id);
+        }
+    }
+
+    /**
+     * Return and reset the changes since the last call
+     * @returns {{changed: Array<MemoryNode>, removed: Array<string>}}
+     */
+    takeChanges() {
+        const changes = {
+            changed: Array.from(this.changed).map(id => this.nodes.get(id)).filter(Boolean),
+            removed: Array.from(this.removed)
+        };
+        this.changed.clear();
+        this.removed.clear();
+        return changes;
     }
 
     /**
@@ -25,9 +70,37 @@ class MemoryGraph {
             ...options
         });
         this.nodes.set(node.id, node);
+        this.changed.add(node.id);
+        this.removed.delete(node.id);
+
+        if (node.kind === NODE_KINDS.MEMORY) {
+            for (const linker of this.linkers) {
+                try {
+                    linker.link(this, node);
+                } catch (e) {
+                    console.warn(`⚠️ Memory linker failed: ${e.message}`);
+                }
+            }
+        }
+
         return node;
     }
 
+    /**
+     * Find the hub node for a person, place or date
+     * @param {string} name
+     * @param {string} [entityType] - person, place or date
+     * @returns {MemoryNode|undefined}
+     */
+    findEntity(name, entityType = null) {
+        const key = name.toLowerCase();
+        for (const node of this.nodes.values()) {
+            if (node.kind !== NODE_KINDS.ENTITY || node.content.toLowerCase() !== key) continue;
+            if (!entityType || node.metadata.entityType === entityType) return node;
+        }
+        return undefined;
+    }
+
     /**
      * Get a memory by ID
      * @param {string} id
@@ -37,6 +110,7 @@ class MemoryGraph {
         const node = this.nodes.get(id);
         if (node) {
             node.touch();
+            this.changed.add(id);
         }
         return node;
     }
@@ -54,8 +128,13 @@ class MemoryGraph {
         if (updates.content !== undefined) node.content = updates.content;
         if (updates.embedding !== undefined) node.embedding = updates.embedding;
         if (updates.salience !== undefined) node.salience = updates.salience;
+        if (updates.shared !== undefined) node.shared = updates.shared;
+        if (updates.content !== undefined || updates.shared !== undefined) {
+            node.updatedAt = Date.now();
+        }
 
         node.touch();
+        this.changed.add(id);
         return true;
     }
 
@@ -68,10 +147,16 @@ class MemoryGraph {
         if (!this.nodes.has(id)) return false;
 
         this.nodes.delete(id);
+        this.changed.delete(id);
+        this.removed.add(id);
 
         // Clean up connections pointing to this node
         for (const node of this.nodes.values()) {
+            const before = node.connections.length;
             node.connections = node.connections.filter(c => c.targetId !== id);
+            if (node.connections.length !== before) {
+                this.changed.add(node.id);
+            }
         }
 
         return true;
@@ -93,6 +178,7 @@ class MemoryGraph {
         if (!source || !target) return false;
 
         source.addConnection(targetId, type, weight, metadata);
+        this.changed.add(sourceId);
         return true;
     }
 
@@ -136,6 +222,61 @@ class MemoryGraph {
         return results;
     }
 
+    /**
+     * Find the memories whose embeddings are closest to a query embedding.
+     * Nodes without an embedding, or with a different dimension, are skipped.
+     * @param {Array<number>} queryEmbedding
+     * @param {number} [k] - Maximum results
+     * @param {Object} [filters]
+     * @param {number} [filters.minSimilarity] - Drop results below this cosine similarity
+     * @param {number} [filters.minSalience] - Drop nodes below this salience
+     * @param {number} [filters.since] - Only nodes created at or after this timestamp
+     * @param {number} [filters.until] - Only nodes created at or before this timestamp
+     * @param {Function} [filters.predicate] - Extra (node) => boolean filter
+     * @param {number} [filters.salienceBoost] - Weight of salience in the score (default 0)
+     * @param {number} [filters.recencyBoost] - Weight of recency in the score (default 0)
+     * @param {number} [filters.recencyHalfLifeDays] - Days for the recency bonus to halve (default 30)
+     * @returns {Array<{node: MemoryNode, similarity: number, score: number}>} Best first
+     */
+    searchSimilar(queryEmbedding, k = 5, filters = {}) {
+        if (!queryEmbedding || queryEmbedding.length === 0) return [];
+
+        const {
+            minSimilarity = -1,
+            minSalience = 0,
+            since = null,
+            until = null,
+            predicate = null,
+            salienceBoost = 0,
+            recencyBoost = 0,
+            recencyHalfLifeDays = 30
+        } = filters;
+
+        const now = Date.now();
+        const results = [];
+
+        for (const node of this.nodes.values()) {
+            if (!node.embedding || node.embedding.length !== queryEmbedding.length) continue;
+            if (node.salience < minSalience) continue;
+            if (since !== null && node.createdAt < since) continue;
+            if (until !== null && node.createdAt > until) continue;
+            if (predicate && !predicate(node)) continue;
+
+            const similarity = cosineSimilarity(queryEmbedding, node.embedding);
+            if (similarity < minSimilarity) continue;
+
+            const ageDays = Math.max(0, now - node.lastAccessed) / DAY_MS;
+            const recency = Math.pow(0.5, ageDays / recencyHalfLifeDays);
+            const score = similarity + salienceBoost * node.salience + recencyBoost * recency;
+
+            results.push({ node, similarity, score });
+        }
+
+        return results
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
+    }
+
     /**
      * Serialize the entire graph to JSON
      * @returns {string}
@@ -156,6 +297,8 @@ class MemoryGraph {
             const node = MemoryNode.fromJSON(item);
             this.nodes.set(node.id, node);
         }
+        this.changed.clear();
+        this.removed.clear();
     }
 }
 
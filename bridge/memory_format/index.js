@@ -1,15 +1,39 @@
-const { MemoryNode, MemoryLink, CONNECTION_TYPES } = require('./models');
+const { MemoryNode, MemoryLink, CONNECTION_TYPES, NODE_KINDS } = require('./models');
 const MemoryGraph = require('./graph');
 const MemoryStorage = require('./storage');
+const JournalStore = require('./journal');
 const RAGIntegration = require('./integration');
 const CooccurrenceTracker = require('./cooccurrence');
+const MemoryConsolidator = require('./consolidation');
+const MemoryService = require('./service');
+const MemorySync = require('./sync');
+const { BUNDLE_FORMAT, BUNDLE_VERSION, createBundle, verifyBundle, mergeBundle } = require('./bundle');
+const { ENTITY_TYPES, RuleBasedExtractor, LLMExtractor, LinkExtractionPipeline } = require('./extraction');
+const { cosineSimilarity, BrainEmbedder, HashingEmbedder } = require('./embeddings');
 
 module.exports = {
     MemoryNode,
     MemoryLink,
     CONNECTION_TYPES,
+    NODE_KINDS,
     MemoryGraph,
     MemoryStorage,
+    JournalStore,
     RAGIntegration,
-    CooccurrenceTracker
+    CooccurrenceTracker,
+    MemoryConsolidator,
+    MemoryService,
+    MemorySync,
+    BUNDLE_FORMAT,
+    BUNDLE_VERSION,
+    createBundle,
+    verifyBundle,
+    mergeBundle,
+    ENTITY_TYPES,
+    RuleBasedExtractor,
+    LLMExtractor,
+    LinkExtractionPipeline,
+    cosineSimilarity,
+    BrainEmbedder,
+    HashingEmbedder
 };
@@ -45,6 +45,26 @@ class RAGIntegration {
     static toRAGChunks(nodes) {
         return nodes.map(node => this.toRAGChunk(node));
     }
+
+    /**
+     * Create a MemoryService sink that mirrors new memories into the
+     * Android RAG service through the bridge's tool callback
+     * @param {Function} bridgeCallback - async (toolName, args) => result
+     * @returns {Object} Sink with name and add(node)
+     */
+    static createSink(bridgeCallback) {
+        return {
+            name: 'android_rag',
+            add: async (node) => {
+                const chunk = this.toRAGChunk(node);
+                const result = await bridgeCallback('remember', { content: chunk.text, chunk });
+                if (result && result.success === false) {
+                    throw new Error(result.message || 'RAG service rejected memory');
+                }
+                return result;
+            }
+        };
+    }
 }
 
 module.exports = RAGIntegration;
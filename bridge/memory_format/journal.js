@@ -0,0 +1,201 @@
+/**
+ * Journal Store
+ *
+ * Crash-safe persistence for keyed records: a JSON snapshot plus an
+ * append-only JSONL write-ahead log.
+ *
+ * - Changes are appended to `<name>.wal.jsonl` and fsynced, so a save only
+ *   writes what changed
+ * - Compaction writes a fresh snapshot to a temp file and renames it into
+ *   place, so the snapshot is never half-written
+ * - Every WAL line carries a sequence number; the snapshot records the last
+ *   one it includes, so replay after a crash mid-compaction is exact
+ * - A torn last line (crash mid-append) is skipped on load and cut off the
+ *   file, so the next append starts on a line of its own
+ *
+ * Snapshot format: { schemaVersion, walSeq, savedAt, data }
+ * WAL line format: { seq, op: 'put' | 'del', key, value? }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class JournalStore {
+    /**
+     * @param {string} filePath - Snapshot file (e.g. memory_graph.json)
+     * @param {Object} options
+     * @param {number} options.schemaVersion - Current schema version of `data`
+     * @param {number} [options.compactAfter] - Minimum WAL entries before compacting (default 500)
+     */
+    constructor(filePath, options = {}) {
+        this.snapshotFile = filePath;
+        this.walFile = filePath.replace(/\.json$/, '') + '.wal.jsonl';
+        this.tempFile = `${filePath}.tmp`;
+
+        this.schemaVersion = options.schemaVersion || 1;
+        this.compactAfter = options.compactAfter || 500;
+
+        this.seq = 0;          // Last sequence number handed out
+        this.walEntries = 0;   // Entries currently in the WAL
+        this.queue = Promise.resolve(); // Serializes file operations
+    }
+
+    /**
+     * Read the snapshot and replay the WAL
+     * @returns {{ data: *, version: number, entries: Array<Object> }}
+     *   data is null if there is no snapshot; version 0 means a legacy
+     *   file without a schema header
+     */
+    loadSync() {
+        const snapshot = this.readSnapshot();
+        const walSeq = snapshot ? snapshot.walSeq : 0;
+
+        const entries = [];
+        let corrupt = 0;
+        this.walEntries = 0;
+        this.seq = walSeq;
+
+        if (fs.existsSync(this.walFile)) {
+            const content = fs.readFileSync(this.walFile);
+            const end = content.lastIndexOf(0x0a) + 1;
+            if (end < content.length) {
+                // Left as is, the next append would join onto the torn line and be lost with it
+                fs.truncateSync(this.walFile, end);
+                corrupt++;
+            }
+            const lines = content.subarray(0, end).toString('utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (e) {
+                    corrupt++;
+                    continue;
+                }
+                this.walEntries++;
+                this.seq = Math.max(this.seq, entry.seq || 0);
+                if ((entry.seq || 0) > walSeq) {
+                    entries.push(entry);
+                }
+            }
+        }
+
+        if (corrupt > 0) {
+            console.warn(`⚠️ Skipped ${corrupt} corrupt line(s) in ${path.basename(this.walFile)}`);
+        }
+
+        return {
+            data: snapshot ? snapshot.data : null,
+            version: snapshot ? snapshot.schemaVersion : this.schemaVersion,
+            entries
+        };
+    }
+
+    /**
+     * Async wrapper for loadSync, ordered after pending writes
+     */
+    async load() {
+        await this.queue;
+        return this.loadSync();
+    }
+
+    readSnapshot() {
+        if (!fs.existsSync(this.snapshotFile)) return null;
+
+        let parsed;
+        try {
+            parsed = JSON.parse(fs.readFileSync(this.snapshotFile, 'utf8'));
+        } catch (e) {
+            // Only legacy non-atomic writes can leave a broken snapshot.
+            // Keep it for inspection instead of overwriting it later.
+            const aside = `${this.snapshotFile}.corrupt-${Date.now()}`;
+            fs.renameSync(this.snapshotFile, aside);
+            console.error(`❌ Corrupt snapshot moved to ${path.basename(aside)}:`, e.message);
+            return null;
+        }
+
+        if (parsed && typeof parsed === 'object' && !Array.isArray(parsed) && 'schemaVersion' in parsed) {
+            if (parsed.schemaVersion > this.schemaVersion) {
+                throw new Error(`${path.basename(this.snapshotFile)} uses schema v${parsed.schemaVersion}, ` +
+                    `this build supports up to v${this.schemaVersion}`);
+            }
+            return parsed;
+        }
+
+        // Legacy file: the data itself, no header
+        return { schemaVersion: 0, walSeq: 0, data: parsed };
+    }
+
+    /**
+     * Append records to the WAL. Sequence numbers are assigned immediately,
+     * so the caller may keep mutating its state while the write is pending.
+     * @param {Array<{op: string, key: string, value?: *}>} records
+     * @returns {Promise<void>}
+     */
+    append(records) {
+        if (records.length === 0) return this.queue;
+
+        const lines = records
+            .map(r => JSON.stringify({ seq: ++this.seq, ...r }))
+            .join('\n') + '\n';
+        this.walEntries += records.length;
+
+        return this.enqueue(async () => {
+            await fs.promises.mkdir(path.dirname(this.walFile), { recursive: true });
+            const handle = await fs.promises.open(this.walFile, 'a');
+            try {
+                await handle.writeFile(lines, 'utf8');
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+        });
+    }
+
+    /**
+     * Write a full snapshot atomically and truncate the WAL
+     * @param {*} data - Complete current state (serialized immediately)
+     * @returns {Promise<void>}
+     */
+    compact(data) {
+        const json = JSON.stringify({
+            schemaVersion: this.schemaVersion,
+            walSeq: this.seq,
+            savedAt: Date.now(),
+            data
+        });
+        this.walEntries = 0;
+
+        return this.enqueue(async () => {
+            await fs.promises.mkdir(path.dirname(this.snapshotFile), { recursive: true });
+            const handle = await fs.promises.open(this.tempFile, 'w');
+            try {
+                await handle.writeFile(json, 'utf8');
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            await fs.promises.rename(this.tempFile, this.snapshotFile);
+            // Entries up to walSeq are in the snapshot; replay skips them if this fails
+            await fs.promises.rm(this.walFile, { force: true });
+        });
+    }
+
+    /**
+     * Whether the WAL has grown enough to be worth folding into the snapshot
+     * @param {number} liveRecords - Records in the current state
+     */
+    needsCompaction(liveRecords) {
+        return this.walEntries >= Math.max(this.compactAfter, liveRecords);
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        // Keep the chain alive after a failed write
+        this.queue = run.catch(() => {});
+        return run;
+    }
+}
+
+module.exports = JournalStore;
@@ -17,6 +17,14 @@ const CONNECTION_TYPES = {
     SPATIAL: 'spatial'          // Physical context
 };
 
+/**
+ * Kinds of node in the graph
+ */
+const NODE_KINDS = {
+    MEMORY: 'memory',   // Something remembered
+    ENTITY: 'entity'    // Hub for a person, place or date mentioned by memories
+};
+
 /**
  * Represents a connection between two memory nodes
  */
@@ -56,6 +64,11 @@ class MemoryNode {
      * @param {number} [params.salience] - Importance score (0.0 to 1.0)
      * @param {number} [params.createdAt] - Timestamp in ms
      * @param {number} [params.lastAccessed] - Timestamp in ms
+     * @param {number} [params.accessCount] - Number of times the memory was accessed
+     * @param {number} [params.updatedAt] - Timestamp in ms of the last content change
+     * @param {boolean} [params.shared] - May be synced to P2P rooms (private by default)
+     * @param {string} [params.kind] - One of NODE_KINDS
+     * @param {Object} [params.metadata] - Extra fields (e.g. entityType for entity hubs)
      * @param {Array<MemoryLink>} [params.connections] - List of connections
      */
     constructor({
@@ -65,6 +78,11 @@ class MemoryNode {
         salience = 1.0,
         createdAt = Date.now(),
         lastAccessed = Date.now(),
+        accessCount = 0,
+        updatedAt = null,
+        shared = false,
+        kind = NODE_KINDS.MEMORY,
+        metadata = {},
         connections = []
     }) {
         this.id = id;
@@ -73,6 +91,11 @@ class MemoryNode {
         this.salience = salience;
         this.createdAt = createdAt;
         this.lastAccessed = lastAccessed;
+        this.accessCount = accessCount;
+        this.updatedAt = updatedAt || createdAt;
+        this.shared = shared;
+        this.kind = kind;
+        this.metadata = metadata;
         this.connections = connections.map(c =>
             c instanceof MemoryLink ? c : new MemoryLink(c.targetId, c.type, c.weight, c.metadata)
         );
@@ -97,10 +120,11 @@ class MemoryNode {
     }
 
     /**
-     * Update access timestamp
+     * Update access timestamp and count
      */
     touch() {
         this.lastAccessed = Date.now();
+        this.accessCount += 1;
     }
 
     toJSON() {
@@ -111,6 +135,11 @@ class MemoryNode {
             salience: this.salience,
             createdAt: this.createdAt,
             lastAccessed: this.lastAccessed,
+            accessCount: this.accessCount,
+            updatedAt: this.updatedAt,
+            shared: this.shared,
+            kind: this.kind,
+            metadata: this.metadata,
             connections: this.connections.map(c => c.toJSON())
         };
     }
@@ -122,6 +151,7 @@ class MemoryNode {
 
 module.exports = {
     CONNECTION_TYPES,
+    NODE_KINDS,
     MemoryLink,
     MemoryNode
 };
@@ -0,0 +1,489 @@
+/**
+ * Memory Service
+ *
+ * Owns the bridge's persistent memory: a MemoryGraph stored on disk,
+ * co-occurrence tracking across recalls, and optional sinks (such as the
+ * Android RAG service) that receive a copy of every new memory.
+ *
+ * With an embedding provider, memories are embedded on the way in and
+ * recall blends vector similarity with keyword matching. A scheduled
+ * consolidation pass decays, merges and archives old memories.
+ *
+ * Memory moves between devices as signed bundles (see bundle.js), and
+ * memories marked shared sync with P2P room participants (see sync.js).
+ * Memories are private unless shared.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryStorage = require('./storage');
+const CooccurrenceTracker = require('./cooccurrence');
+const MemoryConsolidator = require('./consolidation');
+const { CONNECTION_TYPES, NODE_KINDS } = require('./models');
+const { LinkExtractionPipeline } = require('./extraction');
+const { createSigner, createBundle, verifyBundle, mergeBundle, capTrustTier } = require('./bundle');
+
+// Words too common to be useful when matching a recall query
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'was', 'were', 'what', 'when', 'where', 'who',
+    'how', 'that', 'this', 'with', 'from', 'about', 'have', 'has', 'did', 'does',
+    'you', 'your', 'my', 'our', 'its', 'any', 'all', 'can'
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(t => t.length > 2 && !STOP_WORDS.has(t));
+}
+
+class MemoryService {
+    /**
+     * @param {Object} options
+     * @param {string} options.storagePath - Directory for the graph and provenance files
+     * @param {Array<Object>} [options.sinks] - Receivers notified of new memories
+     * @param {Object} [options.embedder] - Embedding provider (see embeddings.js)
+     * @param {number} [options.minSimilarity] - Vector matches below this are ignored (default 0.35)
+     * @param {Object} [options.brain] - LocalBrain used to summarize merged memories
+     * @param {Object} [options.consolidation] - Overrides for MemoryConsolidator.CONFIG
+     * @param {Array<Object>} [options.extractors] - Entity/causal extractors (default: rule-based)
+     */
+    constructor(options = {}) {
+        this.storagePath = options.storagePath || './data/memory';
+        this.storage = new MemoryStorage(path.join(this.storagePath, 'memory_graph.json'));
+
+        this.graph = null;
+        this.tracker = null;
+        this.sinks = options.sinks || [];
+        this.embedder = options.embedder || null;
+        this.minSimilarity = options.minSimilarity ?? 0.35;
+        this.brain = options.brain || null;
+        this.consolidationConfig = options.consolidation || {};
+        this.linker = new LinkExtractionPipeline({ extractors: options.extractors });
+
+        this.consolidator = null;
+        this.consolidationTimer = null;
+        this.consolidating = null;
+
+        // Bundle signing key and signers whose bundles are trusted
+        this.signerFile = path.join(this.storagePath, 'bundle_signer.json');
+        this.trustedSignersFile = path.join(this.storagePath, 'trusted_signers.json');
+        this.signer = null;
+        this.trustedSigners = null;
+
+        this.loading = null;
+    }
+
+    /**
+     * Load the graph and co-occurrence provenance from disk
+     * @returns {Promise<MemoryService>}
+     */
+    load() {
+        if (!this.loading) {
+            this.loading = this.storage.load().then(graph => {
+                this.graph = graph;
+                graph.addLinker(this.linker);
+                this.tracker = new CooccurrenceTracker(graph, this.storagePath);
+                this.consolidator = new MemoryConsolidator(graph, this.storagePath, {
+                    brain: this.brain,
+                    tracker: this.tracker,
+                    config: this.consolidationConfig
+                });
+                console.log(`🧠 Memory loaded: ${this.countNodes(NODE_KINDS.MEMORY)} memories`);
+                return this;
+            });
+        }
+        return this.loading;
+    }
+
+    /**
+     * Register a sink. Sinks expose `name` and `async add(node)`.
+     * @param {Object} sink
+     */
+    addSink(sink) {
+        if (!this.sinks.some(s => s.name === sink.name)) {
+            this.sinks.push(sink);
+        }
+    }
+
+    /**
+     * Set or clear the embedding provider
+     * @param {Object|null} embedder
+     */
+    setEmbedder(embedder) {
+        this.embedder = embedder;
+    }
+
+    /**
+     * Embed text with the configured provider. Returns null when there is
+     * no provider or it fails, so callers can fall back to keywords.
+     * @param {string} text
+     * @returns {Promise<Array<number>|null>}
+     */
+    async embed(text) {
+        if (!this.embedder) return null;
+        try {
+            return await this.embedder.embed(text);
+        } catch (e) {
+            console.warn(`⚠️ Embedding with ${this.embedder.name} failed: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Store a new memory
+     * @param {string} content
+     * @param {Object} [options] - Passed to MemoryGraph.addMemory (embedding, salience, shared, ...)
+     * @returns {Promise<MemoryNode>}
+     */
+    async remember(content, options = {}) {
+        await this.load();
+
+        const { embedding, ...nodeOptions } = options;
+        const vector = embedding || await this.embed(content) || [];
+        const node = this.graph.addMemory(content, vector, nodeOptions);
+        if (this.linker.hasAsyncExtractors()) {
+            await this.linker.enrich(this.graph, node);
+        }
+        await this.save();
+
+        // Sinks are best effort - the graph is the source of truth
+        for (const sink of this.sinks) {
+            try {
+                await sink.add(node);
+            } catch (e) {
+                console.warn(`⚠️ Memory sink ${sink.name} failed: ${e.message}`);
+            }
+        }
+
+        return node;
+    }
+
+    /**
+     * Allow or stop a memory syncing to P2P rooms
+     * @param {string} id
+     * @param {boolean} shared
+     * @returns {Promise<boolean>} False if there is no such memory
+     */
+    async setShared(id, shared) {
+        await this.load();
+
+        const node = this.graph.nodes.get(id);
+        if (!node || node.kind !== NODE_KINDS.MEMORY) return false;
+        if (node.shared !== shared) {
+            this.graph.updateMemory(id, { shared });
+            await this.save();
+        }
+        return true;
+    }
+
+    /**
+     * Find memories relevant to a query. Every returned memory is
+     * recorded as recalled in the current session.
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum results (default 5)
+     * @returns {Promise<Array<{node: MemoryNode, score: number}>>}
+     */
+    async recall(query, options = {}) {
+        await this.load();
+
+        const limit = options.limit || 5;
+        const terms = tokenize(query);
+        const queryEmbedding = await this.embed(query);
+        if (terms.length === 0 && !queryEmbedding) return [];
+
+        const now = Date.now();
+        const scored = new Map(); // id -> { node, score }
+
+        if (terms.length > 0) {
+            for (const node of this.graph.nodes.values()) {
+                if (node.kind !== NODE_KINDS.MEMORY) continue;
+                const score = this.scoreNode(node, query, terms, now);
+                if (score > 0) {
+                    scored.set(node.id, { node, score });
+                }
+            }
+        }
+
+        // Semantic matches add to (or stand in for) the keyword score
+        if (queryEmbedding) {
+            const similar = this.graph.searchSimilar(queryEmbedding, limit * 2, {
+                minSimilarity: this.minSimilarity,
+                salienceBoost: 0.1,
+                recencyBoost: 0.1
+            });
+            for (const { node, score } of similar) {
+                const existing = scored.get(node.id);
+                scored.set(node.id, { node, score: (existing ? existing.score : 0) + score });
+            }
+        }
+
+        // Memories that are often recalled together come along at a discount
+        const direct = Array.from(scored.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        for (const { node, score } of direct) {
+            for (const link of node.connections) {
+                if (link.type !== CONNECTION_TYPES.ASSOCIATIVE || scored.has(link.targetId)) continue;
+                const neighbor = this.graph.nodes.get(link.targetId);
+                if (neighbor) {
+                    scored.set(neighbor.id, { node: neighbor, score: score * link.weight * 0.5 });
+                }
+            }
+        }
+
+        const results = Array.from(scored.values())
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        for (const { node } of results) {
+            this.graph.getMemory(node.id); // touch
+            this.tracker.trackRecall(node.id);
+        }
+
+        if (results.length > 0) {
+            await this.save();
+        }
+
+        return results;
+    }
+
+    /**
+     * Keyword relevance weighted by salience and recency
+     * @param {MemoryNode} node
+     * @param {string} query
+     * @param {Array<string>} terms
+     * @param {number} now
+     * @returns {number}
+     */
+    scoreNode(node, query, terms, now) {
+        const content = (node.content || '').toLowerCase();
+        const words = new Set(tokenize(content));
+
+        let matched = 0;
+        for (const term of terms) {
+            if (words.has(term)) {
+                matched += 1;
+            } else if (content.includes(term)) {
+                matched += 0.5;
+            }
+        }
+        if (matched === 0) return 0;
+
+        let score = matched / terms.length;
+        if (content.includes(query.toLowerCase().trim())) {
+            score += 0.5;
+        }
+
+        const ageDays = (now - node.lastAccessed) / DAY_MS;
+        const recency = 1 / (1 + ageDays / 30);
+
+        return score * (0.5 + 0.5 * node.salience) * (0.8 + 0.2 * recency);
+    }
+
+    /**
+     * End the recall session, turning co-occurring recalls into links
+     * @param {Object} [sessionMetadata]
+     * @returns {Promise<Array<string>>} Newly linked pairs
+     */
+    async endSession(sessionMetadata = {}) {
+        await this.load();
+
+        if (this.tracker.sessionRecalls.size === 0) {
+            return [];
+        }
+
+        const newLinks = await this.tracker.endSession(sessionMetadata);
+        await this.save();
+
+        if (newLinks.length > 0) {
+            console.log(`🔗 Session linked ${newLinks.length} memory pair(s)`);
+        }
+        return newLinks;
+    }
+
+    /**
+     * Decay, merge and archive memories. Concurrent calls share one pass.
+     * @returns {Promise<Object>} Consolidation report
+     */
+    async consolidate() {
+        await this.load();
+
+        if (!this.consolidating) {
+            this.consolidating = this.consolidator.run()
+                .then(async report => {
+                    await this.save();
+                    await this.tracker.saveProvenance();
+                    return report;
+                })
+                .finally(() => {
+                    this.consolidating = null;
+                });
+        }
+        return this.consolidating;
+    }
+
+    /**
+     * Consolidate on a fixed interval
+     * @param {number} [intervalMs] - Default every 6 hours
+     */
+    startConsolidation(intervalMs = 6 * 60 * 60 * 1000) {
+        this.stopConsolidation();
+        this.consolidationTimer = setInterval(() => {
+            this.consolidate().catch(e => console.error('Memory consolidation failed:', e));
+        }, intervalMs);
+        // Don't keep the process alive just for maintenance
+        if (this.consolidationTimer.unref) this.consolidationTimer.unref();
+    }
+
+    stopConsolidation() {
+        if (this.consolidationTimer) {
+            clearInterval(this.consolidationTimer);
+            this.consolidationTimer = null;
+        }
+    }
+
+    /**
+     * This device's bundle signing key, created on first use
+     * @returns {{id: string, publicKey: string, privateKey: string}}
+     */
+    getSigner() {
+        if (!this.signer) {
+            if (fs.existsSync(this.signerFile)) {
+                this.signer = JSON.parse(fs.readFileSync(this.signerFile, 'utf8'));
+            } else {
+                this.signer = createSigner();
+                fs.mkdirSync(this.storagePath, { recursive: true });
+                fs.writeFileSync(this.signerFile, JSON.stringify(this.signer, null, 2), { mode: 0o600 });
+                console.log(`🔐 Created memory bundle signer ${this.signer.id}`);
+            }
+        }
+        return this.signer;
+    }
+
+    getTrustedSigners() {
+        if (!this.trustedSigners) {
+            const ids = fs.existsSync(this.trustedSignersFile)
+                ? JSON.parse(fs.readFileSync(this.trustedSignersFile, 'utf8'))
+                : [];
+            this.trustedSigners = new Set(ids);
+        }
+        return this.trustedSigners;
+    }
+
+    /**
+     * Trust bundles signed by another device (e.g. the user's desktop).
+     * Their observations import at the verified_agent tier instead of unknown.
+     * @param {string} signerId
+     */
+    async trustSigner(signerId) {
+        const trusted = this.getTrustedSigners();
+        trusted.add(signerId);
+        await fs.promises.mkdir(this.storagePath, { recursive: true });
+        await fs.promises.writeFile(this.trustedSignersFile, JSON.stringify(Array.from(trusted), null, 2));
+    }
+
+    /**
+     * Export the graph and edge provenance as a signed bundle
+     * @param {Object} [options]
+     * @param {Array<string>} [options.nodeIds] - Only these memories (default: everything)
+     * @returns {Promise<Object>}
+     */
+    async exportBundle(options = {}) {
+        await this.load();
+        return createBundle(this.graph, this.tracker.edges, {
+            signer: this.getSigner(),
+            deviceName: os.hostname(),
+            nodeIds: options.nodeIds
+        });
+    }
+
+    /**
+     * Merge a bundle from another device into this graph
+     * @param {Object} bundle
+     * @param {Object} [options]
+     * @param {string} [options.onConflict] - 'rename' (default) or 'newer' (see mergeBundle)
+     * @param {boolean} [options.markShared] - Mark added memories as shared
+     * @param {string} [options.maxTrustTier] - Cap the tier granted to the signer
+     * @returns {Promise<Object>} Merge report with signerId and trustTier
+     * @throws If the bundle is malformed or its signature doesn't verify
+     */
+    async importBundle(bundle, options = {}) {
+        await this.load();
+
+        const check = verifyBundle(bundle);
+        if (!check.valid) {
+            throw new Error(`Cannot import memory bundle: ${check.reason}`);
+        }
+
+        let trustTier = 'unknown';
+        if (check.signed && check.signerId === this.getSigner().id) {
+            trustTier = 'self';
+        } else if (check.signed && this.getTrustedSigners().has(check.signerId)) {
+            trustTier = 'verified_agent';
+        }
+        if (options.maxTrustTier) {
+            trustTier = capTrustTier(trustTier, options.maxTrustTier);
+        }
+
+        const report = mergeBundle(this.graph, this.tracker, bundle, {
+            trustTier,
+            signerId: check.signerId,
+            onConflict: options.onConflict,
+            markShared: options.markShared
+        });
+
+        await this.save();
+        await this.tracker.saveProvenance();
+
+        console.log(`📥 Imported memory bundle from ${check.signerId || 'unsigned source'}: ` +
+            `${report.added} added, ${report.merged} merged, ${report.updated} updated, ${report.remapped} remapped, ` +
+            `${report.skipped} private skipped`);
+
+        return { ...report, signerId: check.signerId, trustTier };
+    }
+
+    /**
+     * Persist the graph
+     * @returns {Promise<boolean>}
+     */
+    async save() {
+        return this.storage.save(this.graph);
+    }
+
+    countNodes(kind) {
+        if (!this.graph) return 0;
+        let count = 0;
+        for (const node of this.graph.nodes.values()) {
+            if (node.kind === kind) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Memory statistics
+     */
+    getStats() {
+        return {
+            memories: this.countNodes(NODE_KINDS.MEMORY),
+            entities: this.countNodes(NODE_KINDS.ENTITY),
+            shared: this.graph ? Array.from(this.graph.nodes.values()).filter(n => n.shared).length : 0,
+            sessionRecalls: this.tracker ? this.tracker.sessionRecalls.size : 0,
+            embedder: this.embedder ? this.embedder.name : null,
+            lastConsolidated: this.consolidator ? this.consolidator.lastRunAt : null,
+            sinks: this.sinks.map(s => s.name)
+        };
+    }
+}
+
+module.exports = MemoryService;
@@ -2,15 +2,34 @@
  * Memory Persistence
  *
  * Handles saving and loading the memory graph to/from disk.
+ *
+ * The graph file is a snapshot; saves append only the nodes that changed
+ * to a write-ahead log next to it, which is folded back into the snapshot
+ * once it grows as large as the graph (see journal.js).
  */
 
-const fs = require('fs');
-const path = require('path');
+const JournalStore = require('./journal');
 const MemoryGraph = require('./graph');
+const { MemoryNode } = require('./models');
+
+// v0: bare array of nodes, v1: journal snapshot header
+const SCHEMA_VERSION = 1;
 
 class MemoryStorage {
-    constructor(filePath) {
+    /**
+     * @param {string} filePath
+     * @param {Object} [options]
+     * @param {number} [options.compactAfter] - Minimum WAL entries before compacting
+     */
+    constructor(filePath, options = {}) {
         this.filePath = filePath;
+        this.journal = new JournalStore(filePath, {
+            schemaVersion: SCHEMA_VERSION,
+            compactAfter: options.compactAfter
+        });
+
+        // Graph whose changes are tracked against what is on disk
+        this.graph = null;
     }
 
     /**
@@ -19,9 +38,24 @@ class MemoryStorage {
      */
     async save(graph) {
         try {
-            const json = graph.serialize();
-            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
-            await fs.promises.writeFile(this.filePath, json, 'utf8');
+            // A graph we didn't load (or a first save) needs a full snapshot
+            if (graph !== this.graph) {
+                this.graph = graph;
+                graph.takeChanges();
+                await this.journal.compact(this.snapshotData(graph));
+                return true;
+            }
+
+            const { changed, removed } = graph.takeChanges();
+            const records = [
+                ...changed.map(node => ({ op: 'put', key: node.id, value: node.toJSON() })),
+                ...removed.map(id => ({ op: 'del', key: id }))
+            ];
+            await this.journal.append(records);
+
+            if (this.journal.needsCompaction(graph.nodes.size)) {
+                await this.journal.compact(this.snapshotData(graph));
+            }
             return true;
         } catch (error) {
             console.error('Failed to save memory graph:', error);
@@ -30,21 +64,52 @@ class MemoryStorage {
     }
 
     /**
-     * Load the memory graph from disk
+     * Load the memory graph from disk, replaying any journaled changes
      * @returns {Promise<MemoryGraph>}
+     * @throws If the file was written by a newer schema version
      */
     async load() {
         const graph = new MemoryGraph();
-        try {
-            if (fs.existsSync(this.filePath)) {
-                const json = await fs.promises.readFile(this.filePath, 'utf8');
-                graph.deserialize(json);
+        const { data, version, entries } = await this.journal.load();
+
+        for (const item of this.migrate(data || [], version)) {
+            graph.nodes.set(item.id, MemoryNode.fromJSON(item));
+        }
+
+        for (const entry of entries) {
+            if (entry.op === 'put') {
+                graph.nodes.set(entry.key, MemoryNode.fromJSON(entry.value));
+            } else if (entry.op === 'del') {
+                graph.nodes.delete(entry.key);
             }
-        } catch (error) {
-            console.error('Failed to load memory graph:', error);
         }
+
+        this.graph = graph;
+
+        // Move legacy files and long journals into a fresh snapshot
+        if (version < SCHEMA_VERSION || this.journal.needsCompaction(graph.nodes.size)) {
+            await this.journal.compact(this.snapshotData(graph));
+        }
+
         return graph;
     }
+
+    /**
+     * Bring snapshot data up to the current schema
+     * @param {Array<Object>} data
+     * @param {number} version
+     * @returns {Array<Object>}
+     */
+    migrate(data, version) {
+        // v0 -> v1 only added the header; node fields default in MemoryNode
+        return data;
+    }
+
+    snapshotData(graph) {
+        return Array.from(graph.nodes.values()).map(node => node.toJSON());
+    }
 }
 
+MemoryStorage.SCHEMA_VERSION = SCHEMA_VERSION;
+
 module.exports = MemoryStorage;
@@ -0,0 +1,170 @@
+/**
+ * Memory Sync
+ *
+ * Digest-based exchange of shared memories between P2P room participants.
+ * Transport agnostic: the caller delivers messages and supplies `reply`.
+ *
+ * 1. A peer sends MEMORY_DIGEST: { id: { h: contentHash, u: updatedAt } }
+ *    for every memory it shares
+ * 2. The receiver pushes MEMORY_SYNC bundles with the memories the peer is
+ *    missing or has an older version of, and sends MEMORY_REQUEST for the
+ *    ones it is missing itself
+ * 3. MEMORY_REQUEST is answered with a MEMORY_SYNC bundle
+ *
+ * Only memories marked shared ever leave the device; private memories are
+ * left out of digests, bundles and request answers, and a peer's bundle
+ * never replaces one, even under the same id. Incoming
+ * co-occurrence observations are imported at a reduced trust tier.
+ */
+
+const { NODE_KINDS } = require('./models');
+const { contentHash } = require('./bundle');
+
+const MESSAGE_TYPES = {
+    DIGEST: 'MEMORY_DIGEST',
+    REQUEST: 'MEMORY_REQUEST',
+    SYNC: 'MEMORY_SYNC'
+};
+
+// Configuration
+const CONFIG = {
+    MAX_BATCH: 200,                    // Memories per MEMORY_SYNC message
+    MAX_TRUST_TIER: 'verified_agent'   // Highest tier for observations from peers
+};
+
+class MemorySync {
+    /**
+     * @param {MemoryService} memoryService
+     * @param {Object} [options]
+     * @param {Object} [options.config] - Overrides for CONFIG
+     */
+    constructor(memoryService, options = {}) {
+        this.memory = memoryService;
+        this.config = { ...CONFIG, ...options.config };
+    }
+
+    /**
+     * Digest of every shared memory on this device
+     * @returns {Promise<Object>} MEMORY_DIGEST message
+     */
+    async createDigest() {
+        await this.memory.load();
+
+        const digest = {};
+        for (const node of this.sharedNodes()) {
+            digest[node.id] = { h: contentHash(node.content), u: node.updatedAt };
+        }
+
+        return {
+            type: MESSAGE_TYPES.DIGEST,
+            signerId: this.memory.getSigner().id,
+            digest
+        };
+    }
+
+    /**
+     * Handle a sync message from a peer
+     * @param {Object} msg
+     * @param {Function} reply - Sends a message back to the peer
+     * @returns {Promise<Object|null>} Import report for MEMORY_SYNC, otherwise null
+     */
+    async handleMessage(msg, reply) {
+        switch (msg.type) {
+            case MESSAGE_TYPES.DIGEST:
+                await this.reconcile(msg.digest || {}, reply);
+                return null;
+
+            case MESSAGE_TYPES.REQUEST:
+                await this.push(Array.isArray(msg.ids) ? msg.ids : [], reply);
+                return null;
+
+            case MESSAGE_TYPES.SYNC:
+                if (!msg.bundle || typeof msg.bundle !== 'object') {
+                    throw new Error('MEMORY_SYNC without a bundle');
+                }
+                return this.memory.importBundle(msg.bundle, {
+                    onConflict: 'newer',
+                    markShared: true,
+                    maxTrustTier: this.config.MAX_TRUST_TIER
+                });
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Compare a peer's digest with ours: push what it lacks, request what we lack
+     * @param {Object} digest
+     * @param {Function} reply
+     */
+    async reconcile(digest, reply) {
+        await this.memory.load();
+
+        const graph = this.memory.graph;
+        const toPush = [];
+        for (const node of this.sharedNodes()) {
+            const theirs = digest[node.id];
+            if (!theirs || this.compare(node, theirs) > 0) {
+                toPush.push(node.id);
+            }
+        }
+
+        const wanted = [];
+        for (const [id, theirs] of Object.entries(digest)) {
+            const ours = graph.nodes.get(id);
+            // Our private version stays private and is never overwritten
+            if (ours && !ours.shared) continue;
+            if (!ours || this.compare(ours, theirs) < 0) {
+                wanted.push(id);
+            }
+        }
+
+        await this.push(toPush, reply);
+        if (wanted.length > 0) {
+            reply({ type: MESSAGE_TYPES.REQUEST, ids: wanted });
+        }
+    }
+
+    /**
+     * Send shared memories in MEMORY_SYNC batches
+     * @param {Array<string>} ids - Unknown or private ids are skipped
+     * @param {Function} reply
+     * @returns {Promise<number>} Memories sent
+     */
+    async push(ids, reply) {
+        await this.memory.load();
+
+        const shared = ids.filter(id => {
+            const node = this.memory.graph.nodes.get(id);
+            return node && node.kind === NODE_KINDS.MEMORY && node.shared;
+        });
+
+        for (let i = 0; i < shared.length; i += this.config.MAX_BATCH) {
+            const bundle = await this.memory.exportBundle({ nodeIds: shared.slice(i, i + this.config.MAX_BATCH) });
+            reply({ type: MESSAGE_TYPES.SYNC, bundle });
+        }
+        return shared.length;
+    }
+
+    /**
+     * Order our node against a digest entry, the same way mergeBundle does
+     * @returns {number} > 0 if ours is newer, < 0 if theirs is, 0 if equal
+     */
+    compare(node, entry) {
+        const hash = contentHash(node.content);
+        if (hash === entry.h) return 0;
+        if (node.updatedAt !== entry.u) return node.updatedAt - entry.u;
+        return hash > entry.h ? 1 : -1;
+    }
+
+    sharedNodes() {
+        return Array.from(this.memory.graph.nodes.values())
+            .filter(n => n.kind === NODE_KINDS.MEMORY && n.shared);
+    }
+}
+
+MemorySync.MESSAGE_TYPES = MESSAGE_TYPES;
+MemorySync.CONFIG = CONFIG;
+
+module.exports = MemorySync;
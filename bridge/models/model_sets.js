@@ -310,6 +310,32 @@ function getModelForTask(modelSet, taskType) {
     return compatibleModels[0] || null;
 }
 
+// Context window assumed for models not in the catalog
+const DEFAULT_CONTEXT_LENGTH = 4096;
+
+/**
+ * Context window for a model by catalog key, name, filename or Ollama tag
+ * ("gemma:3-4b-it" matches gemma-3-4b-it-gpu-int4.bin)
+ * @param {string} modelName
+ * @returns {number} Tokens
+ */
+function getContextLength(modelName) {
+    const key = normalizeModelName(modelName);
+    if (key.length < 4) return DEFAULT_CONTEXT_LENGTH;
+
+    for (const [id, model] of Object.entries(Models)) {
+        const names = [id, model.name, model.filename].map(normalizeModelName);
+        if (names.some(name => name === key || name.startsWith(key) || key.startsWith(name))) {
+            return model.maxContextLength;
+        }
+    }
+    return DEFAULT_CONTEXT_LENGTH;
+}
+
+function normalizeModelName(name) {
+    return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
 /**
  * Get all OpenClaw-capable models
  */
@@ -376,5 +402,7 @@ module.exports = {
     getModelForTask,
     getOpenClawCapableModels,
     deviceTierToCapability,
-    getModelForOpenClawTask
+    getModelForOpenClawTask,
+    getContextLength,
+    DEFAULT_CONTEXT_LENGTH
 };
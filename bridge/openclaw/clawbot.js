@@ -0,0 +1,334 @@
+/**
+ * ClawBot Client
+ *
+ * Minimal client that lets this device join an OpenClaw pool or a
+ * Universal Host as a ClawBot, list available tasks and claim them.
+ *
+ * Speaks both dialects:
+ * - OpenPool (REGISTER)
+ * - UniversalHost (REGISTER_BOT)
+ */
+
+const WebSocket = require('ws');
+const os = require('os');
+
+/**
+ * Remote endpoint types
+ */
+const ClawBotTarget = {
+    POOL: 'pool',
+    HOST: 'host'
+};
+
+class ClawBotClient {
+    constructor(options = {}) {
+        this.target = options.target || ClawBotTarget.POOL;
+        this.name = options.name || `ClawBot_${os.hostname()}`;
+        this.capability = options.capability || 'basic';
+        this.platform = options.platform || process.platform;
+
+        // Connection state
+        this.ws = null;
+        this.botId = null;
+        this.remote = null; // { host, port, name }
+        this.isConnected = false;
+
+        // Tasks claimed by this bot
+        this.claimedTasks = new Map(); // taskId -> task
+
+        // Configuration
+        this.config = {
+            requestTimeout: options.requestTimeout || 10000
+        };
+
+        // Event handlers
+        this.eventHandlers = [];
+    }
+
+    /**
+     * Connect and register with a pool or host
+     */
+    async connect(host, port) {
+        if (this.isConnected) {
+            throw new Error('Already connected. Disconnect first.');
+        }
+
+        const url = `ws://${host}:${port}`;
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                cleanup();
+                if (this.ws) this.ws.terminate();
+                reject(new Error(`Registration with ${url} timed out`));
+            }, this.config.requestTimeout);
+
+            const onRegistered = (msg) => {
+                clearTimeout(timeout);
+                cleanup();
+                resolve({
+                    botId: this.botId,
+                    name: this.name,
+                    remoteName: this.remote.name,
+                    url
+                });
+            };
+
+            const onFailed = (msg) => {
+                clearTimeout(timeout);
+                cleanup();
+                this.disconnect();
+                reject(new Error(msg.reason || 'Registration rejected'));
+            };
+
+            const cleanup = () => {
+                this.off('registered', onRegistered);
+                this.off('register_failed', onFailed);
+            };
+
+            this.on('registered', onRegistered);
+            this.on('register_failed', onFailed);
+
+            try {
+                this.ws = new WebSocket(url);
+            } catch (e) {
+                clearTimeout(timeout);
+                cleanup();
+                reject(e);
+                return;
+            }
+
+            this.remote = { host, port, name: `${host}:${port}` };
+
+            this.ws.on('open', () => {
+                this.isConnected = true;
+                this.send({
+                    type: this.target === ClawBotTarget.HOST ? 'REGISTER_BOT' : 'REGISTER',
+                    name: this.name,
+                    capability: this.capability,
+                    platform: this.platform
+                });
+            });
+
+            this.ws.on('message', (data) => {
+                try {
+                    this.handleMessage(JSON.parse(data));
+                } catch (e) {
+                    console.error('ClawBot message error:', e);
+                }
+            });
+
+            this.ws.on('close', () => {
+                this.isConnected = false;
+                this.emit('disconnected', this.remote);
+            });
+
+            this.ws.on('error', (err) => {
+                if (!this.isConnected) {
+                    clearTimeout(timeout);
+                    cleanup();
+                    reject(err);
+                }
+                console.error('ClawBot WebSocket error:', err.message);
+            });
+        });
+    }
+
+    /**
+     * Handle message from the pool/host
+     */
+    handleMessage(msg) {
+        switch (msg.type) {
+            case 'WELCOME':
+                this.remote.name = msg.poolName || this.remote.name;
+                break;
+
+            case 'HOST_INFO':
+                this.remote.name = msg.hostName || this.remote.name;
+                break;
+
+            case 'REGISTERED':
+                this.botId = msg.botId;
+                this.remote.name = msg.poolName || msg.hostName || this.remote.name;
+                this.emit('registered', msg);
+                break;
+
+            case 'REGISTER_FAILED':
+                this.emit('register_failed', msg);
+                break;
+
+            case 'AVAILABLE_TASKS':
+                this.emit('available_tasks', msg.tasks || []);
+                break;
+
+            case 'TASK_CLAIMED':
+                this.claimedTasks.set(msg.task.id, msg.task);
+                this.emit('task_claimed', msg.task);
+                break;
+
+            case 'CLAIM_FAILED':
+                this.emit('claim_failed', msg);
+                break;
+
+            case 'TASK_SUBMITTED':
+                this.emit('task_submitted', msg.taskId);
+                break;
+
+            case 'NEW_TASK':
+                this.emit('new_task', msg.task);
+                break;
+
+            default:
+                this.emit('message', msg);
+        }
+    }
+
+    /**
+     * Request the list of tasks available to this bot
+     */
+    async getTasks() {
+        return this.request({ type: 'GET_TASKS' }, 'available_tasks');
+    }
+
+    /**
+     * Claim a task. Claims the first available task if no id is given.
+     */
+    async claimTask(taskId = null) {
+        if (!taskId) {
+            const tasks = await this.getTasks();
+            if (tasks.length === 0) {
+                return null;
+            }
+            taskId = tasks[0].id;
+        }
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                cleanup();
+                reject(new Error('Task claim timed out'));
+            }, this.config.requestTimeout);
+
+            const onClaimed = (task) => {
+                if (task.id !== taskId) return;
+                clearTimeout(timeout);
+                cleanup();
+                resolve(task);
+            };
+
+            const onFailed = (msg) => {
+                if (msg.taskId !== taskId) return;
+                clearTimeout(timeout);
+                cleanup();
+                reject(new Error(msg.reason || 'Claim failed'));
+            };
+
+            const cleanup = () => {
+                this.off('task_claimed', onClaimed);
+                this.off('claim_failed', onFailed);
+            };
+
+            this.on('task_claimed', onClaimed);
+            this.on('claim_failed', onFailed);
+
+            this.send({ type: 'CLAIM_TASK', taskId, botId: this.botId });
+        });
+    }
+
+    /**
+     * Submit a task to the pool
+     */
+    async submitTask(taskType, payload, options = {}) {
+        return this.request({ type: 'SUBMIT_TASK', taskType, payload, options }, 'task_submitted');
+    }
+
+    /**
+     * Send a message and wait for a single reply event
+     */
+    async request(msg, replyEvent) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                this.off(replyEvent, handler);
+                reject(new Error(`Request ${msg.type} timed out`));
+            }, this.config.requestTimeout);
+
+            const handler = (data) => {
+                clearTimeout(timeout);
+                this.off(replyEvent, handler);
+                resolve(data);
+            };
+
+            this.on(replyEvent, handler);
+            this.send(msg);
+        });
+    }
+
+    /**
+     * Send a message to the pool/host
+     */
+    send(msg) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            throw new Error('Not connected');
+        }
+        this.ws.send(JSON.stringify(msg));
+    }
+
+    /**
+     * Get client status
+     */
+    getStatus() {
+        return {
+            name: this.name,
+            botId: this.botId,
+            target: this.target,
+            remote: this.remote,
+            isConnected: this.isConnected,
+            claimedTasks: this.claimedTasks.size
+        };
+    }
+
+    /**
+     * Register event handler
+     */
+    on(event, handler) {
+        this.eventHandlers.push({ event, handler });
+    }
+
+    /**
+     * Remove event handler
+     */
+    off(event, handler) {
+        this.eventHandlers = this.eventHandlers.filter(
+            h => !(h.event === event && h.handler === handler)
+        );
+    }
+
+    /**
+     * Emit event
+     */
+    emit(event, data) {
+        for (const h of this.eventHandlers) {
+            if (h.event === event) {
+                try {
+                    h.handler(data);
+                } catch (e) {
+                    console.error(`Event handler error (${event}):`, e);
+                }
+            }
+        }
+    }
+
+    /**
+     * Disconnect from the pool/host
+     */
+    disconnect() {
+        if (this.ws) {
+            this.ws.removeAllListeners('close');
+            this.ws.close();
+            this.ws = null;
+        }
+        this.isConnected = false;
+        this.botId = null;
+        this.claimedTasks.clear();
+    }
+}
+
+module.exports = { ClawBotClient, ClawBotTarget };
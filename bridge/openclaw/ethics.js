@@ -542,18 +542,19 @@ class EthicsReviewBoard {
         }
         
         // Collect reviews from all reviewers
-        const reviewPromises = this.reviewers.map(r => 
-            Promise.race([
+        const reviewPromises = this.reviewers.map(r => {
+            let timer;
+            return Promise.race([
                 r.review(task),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Review timeout')), this.config.reviewTimeout)
-                )
+                new Promise((_, reject) => {
+                    timer = setTimeout(() => reject(new Error('Review timeout')), this.config.reviewTimeout);
+                })
             ]).catch(e => ({
                 reviewerId: r.id,
                 decision: ReviewDecision.ABSTAIN,
                 error: e.message
-            }))
-        );
+            })).finally(() => clearTimeout(timer));
+        });
         
         const reviews = await Promise.all(reviewPromises);
         
@@ -141,6 +141,31 @@ const MaliciousPatterns = {
     ]
 };
 
+/**
+ * Capabilities an extension's code uses, keyed by the permission it needs.
+ * The marketplace sandbox grants only these.
+ */
+const PermissionPatterns = {
+    network: [
+        /require\s*\(\s*['"](node:)?(https?|http2|net|tls|dgram|dns)['"]\s*\)/,
+        /\bfetch\s*\(/,
+        /\bnew\s+WebSocket\s*\(/,
+        /require\s*\(\s*['"](axios|ws|node-fetch|undici)['"]\s*\)/
+    ],
+    filesystem: [
+        /require\s*\(\s*['"](node:)?fs(\/promises)?['"]\s*\)/
+    ],
+    process: [
+        /require\s*\(\s*['"](node:)?(child_process|worker_threads|cluster)['"]\s*\)/
+    ],
+    environment: [
+        /process\.env\b/
+    ],
+    storage: [
+        /\b(localStorage|sessionStorage|indexedDB)\b/
+    ]
+};
+
 /**
  * Known malicious extensions database
  */
@@ -304,6 +329,7 @@ class ExtensionSecurityScanner {
         this.stats.lastScan = startTime;
         
         const result = {
+            scannerId: this.id,
             extensionId: extension.id,
             extensionName: extension.name,
             version: extension.version,
@@ -587,6 +613,28 @@ class ExtensionSecurityScanner {
         }
     }
     
+    /**
+     * Infer the permissions an extension needs: the ones it declares plus
+     * those implied by its code (see PermissionPatterns)
+     * @param {Object} extension - { code, permissions, manifest }
+     * @returns {Array<string>} Sorted permission names
+     */
+    inferPermissions(extension) {
+        const code = extension.code || '';
+        const permissions = new Set([
+            ...(extension.permissions || []),
+            ...(extension.manifest?.permissions || [])
+        ]);
+        
+        for (const [permission, patterns] of Object.entries(PermissionPatterns)) {
+            if (patterns.some(pattern => pattern.test(code))) {
+                permissions.add(permission);
+            }
+        }
+        
+        return Array.from(permissions).sort();
+    }
+    
     /**
      * Check publisher trust
      */
@@ -1024,6 +1072,7 @@ module.exports = {
     ExtensionStatus,
     ThreatCategory,
     MaliciousPatterns,
+    PermissionPatterns,
     MaliciousExtensionDatabase,
     ExtensionSecurityScanner,
     ExtensionReviewBoard
@@ -17,6 +17,7 @@
  */
 
 const { OpenPool } = require('./pool');
+const { ClawBotClient, ClawBotTarget } = require('./clawbot');
 const { OpenRegistry } = require('./registry');
 const { ContributionTracker } = require('./contributions');
 const { 
@@ -49,6 +50,8 @@ module.exports = {
     OpenPool,
     OpenRegistry,
     ContributionTracker,
+    ClawBotClient,
+    ClawBotTarget,
     
     // Ethics
     EthicsGuidelines,
@@ -430,7 +430,7 @@ class OpenPool {
         console.log(`🎯 Task ${taskId} claimed by ${bot?.name || botId}`);
         
         // Set claim timeout
-        setTimeout(() => this.checkTaskTimeout(taskId), task.timeout);
+        task.claimTimer = setTimeout(() => this.checkTaskTimeout(taskId), task.timeout);
         
         this.emit('task_claimed', { task, botId });
     }
@@ -733,7 +733,7 @@ class OpenPool {
      */
     startTaskProcessor() {
         // Clean up expired tasks
-        setInterval(() => {
+        this.taskProcessor = setInterval(() => {
             const now = Date.now();
             
             this.taskQueue = this.taskQueue.filter(task => {
@@ -806,8 +806,19 @@ class OpenPool {
             // Stop open training
             this.stopOpenTraining();
             
-            // Shutdown registry
+            if (this.taskProcessor) {
+                clearInterval(this.taskProcessor);
+                this.taskProcessor = null;
+            }
+            
+            // Reassigned tasks keep their old claim timer
+            for (const task of [...this.taskQueue, ...this.activeTasks.values()]) {
+                clearTimeout(task.claimTimer);
+            }
+            
+            // Shutdown registry and contribution tracking
             this.registry.shutdown();
+            this.contributions.shutdown();
             
             if (this.wss) {
                 this.wss.close();
@@ -8,29 +8,77 @@
  * - Host a room and generate share codes
  * - Join remote rooms via share codes
  * - Bidirectional message and memory sync
+ * - End-to-end encrypted rooms: the share code pins the host's key, joiners
+ *   prove they hold the room secret without sending it, and every message is
+ *   sealed (see secure_channel.js)
+ * - Roles, invites, kick/ban/mute and AI request limits (see moderation.js)
+ * - Sequence-numbered room log, replayed to late joiners and reconnecting
+ *   clients (see room_log.js)
+ * - Host migration: participants elect a new host when the host leaves and
+ *   move over without a new share code (see migration.js)
+ * - Chunked, checksummed and resumable document sharing (see transfers.js)
  */
 
 const WebSocket = require('ws');
 const http = require('http');
 const crypto = require('crypto');
+const fs = require('fs');
 const os = require('os');
+const path = require('path');
+const { createIdentity, exportIdentity, importIdentity, createHello, acceptAuth, answerHello } = require('./secure_channel');
+const { RoomModeration, ROLES, PERMISSIONS } = require('./moderation');
+const { RoomLog } = require('./room_log');
+const { MIGRATION_CONFIG, electHost, createTicket, hashTicket, dialableAddress } = require('./migration');
+const { DocumentTransfers } = require('./transfers');
+
+const P2P_CONFIG = {
+    HANDSHAKE_TIMEOUT_MS: 10000,
+    MAX_AUTH_FAILURES: 5,          // Per address, before it is refused for a while
+    AUTH_FAILURE_WINDOW_MS: 60000,
+    MAX_NAME_LENGTH: 32
+};
+
+// Close codes after which a client must not reconnect on its own
+const CLOSE_CODES = {
+    INVALID_SECRET: 4001,
+    INVALID_FRAME: 4002,
+    THROTTLED: 4003,
+    BANNED: 4004,
+    KICKED: 4005,
+    INVALID_NAME: 4006
+};
+
+/**
+ * Remove every room's directory under dir except the current room's
+ */
+function clearOtherRooms(dir, roomId) {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir)) {
+        if (entry !== roomId) {
+            fs.rmSync(path.join(dir, entry), { recursive: true, force: true });
+        }
+    }
+}
 
 /**
  * Generate a share code from connection details
+ * @param {string} [fingerprint] - Host key fingerprint the joiner will check
  */
-function generateShareCode(host, port, secret) {
-    const data = `${host}:${port}:${secret}`;
+function generateShareCode(host, port, secret, fingerprint = null) {
+    const data = [host, port, secret, fingerprint].filter(Boolean).join(':');
     return Buffer.from(data).toString('base64');
 }
 
 /**
- * Parse a share code to get connection details
+ * Parse a share code to get connection details. Codes from before
+ * encrypted rooms have no fingerprint.
  */
 function parseShareCode(code) {
     try {
         const data = Buffer.from(code, 'base64').toString('utf8');
-        const [host, port, secret] = data.split(':');
-        return { host, port: parseInt(port), secret };
+        const [host, port, secret, fingerprint] = data.split(':');
+        if (!host || !port || !secret) return null;
+        return { host, port: parseInt(port), secret, fingerprint: fingerprint || null };
     } catch (e) {
         return null;
     }
@@ -54,15 +102,125 @@ function getLocalIPs() {
     return ips;
 }
 
+/**
+ * The room a device hosted before: { roomId, secret, identity }, or {} if none
+ */
+function loadHostedRoom(filePath) {
+    if (!fs.existsSync(filePath)) return {};
+    try {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        return { roomId: saved.roomId, secret: saved.secret, identity: importIdentity(saved.identity) };
+    } catch (e) {
+        console.error('Failed to load hosted room:', e);
+        return {};
+    }
+}
+
+function saveHostedRoom(filePath, host) {
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        // Holds the room secret and key
+        fs.writeFileSync(tmpPath, JSON.stringify({
+            roomId: host.roomId,
+            secret: host.secret,
+            identity: exportIdentity(host.identity)
+        }), { mode: 0o600 });
+        fs.renameSync(tmpPath, filePath);
+    } catch (e) {
+        console.error('Failed to save hosted room:', e);
+    }
+}
+
 class P2PHost {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.port]
+     * @param {string} [options.secret] - Room secret carried in the share code
+     * @param {Object} [options.identity] - From createIdentity(); a new key per room by default
+     * @param {string} [options.defaultRole='member'] - Role of joiners using the room's own share code
+     * @param {Object} [options.moderation] - Overrides RoomModeration's config (e.g. ROLE_LIMITS)
+     * @param {string} [options.logPath] - File for the room log; kept in memory if omitted
+     * @param {string} [options.roomId] - Resume a room hosted before, with its log; a new room if omitted
+     * @param {Object} [options.migration] - Room taken over from a previous host, from P2PClient's 'promote' event
+     * @param {string} [options.transferDir] - Shared documents and partial uploads, one directory per room; kept in memory if omitted
+     */
     constructor(options = {}) {
-        this.port = options.port || 8765;
-        this.secret = options.secret || crypto.randomBytes(6).toString('hex');
+        this.port = options.port ?? 8765;
+        this.secret = options.secret || crypto.randomBytes(8).toString('hex');
+        this.identity = options.identity || createIdentity();
+        this.moderation = new RoomModeration(options.moderation);
+        // The room's own share code is just a never-expiring invite
+        this.defaultInvite = this.moderation.createInvite({ role: options.defaultRole || ROLES.MEMBER, secret: this.secret });
+        this.authFailures = new Map(); // address -> { count, since }
+
+        // Replicated to every participant so one of them can take over (see migration.js)
+        const migration = options.migration || {};
+        this.roomId = migration.roomId || options.roomId || crypto.randomBytes(6).toString('hex');
+        this.log = new RoomLog(options.logPath || null);
+        this.log.load(this.roomId);
+        // Documents belong to the room they were shared in; earlier rooms' are dropped
+        if (options.transferDir) {
+            clearOtherRooms(options.transferDir, this.roomId);
+        }
+        this.transfers = new DocumentTransfers(options.transferDir ? path.join(options.transferDir, this.roomId) : null);
+        this.transfers.load();
+        // Uploads from the last run's participants can't continue: their client ids are gone
+        this.transfers.cancelFrom(null);
+        // The previous host's participants follow us here with its migration secret, for
+        // a while. Everyone in the room knew it, so alone it only gets a viewer in;
+        // a migration ticket brings back the participant's own role
+        this.migrationInvite = migration.secret
+            ? this.moderation.createInvite({ role: ROLES.VIEWER, secret: migration.secret, expiresInMs: MIGRATION_CONFIG.HANDOVER_MS })
+            : null;
+        this.migrationSecret = null; // For our successor; replaced every time it is replicated
+        this.tickets = new Map(); // ticket hash -> { role, name } of participants not connected right now
+        for (const ticket of migration.tickets || []) {
+            this.tickets.set(ticket.hash, { role: ticket.role, name: ticket.name });
+        }
+        for (const ban of migration.bans || []) {
+            this.moderation.ban(ban.address, { name: ban.name, by: ban.by });
+        }
+        if (migration.log) {
+            this.log.restore(migration.log);
+        }
         this.server = null;
         this.wss = null;
-        this.clients = new Map(); // clientId -> { ws, name, joinedAt }
+        this.clients = new Map(); // clientId -> { ws, channel, name, role, address, inviteId, joinedAt }
         this.messageHandlers = [];
         this.isRunning = false;
+        this.roomFile = null; // Set by inDirectory()
+    }
+
+    /**
+     * A host that keeps its room under dir: the room's id, secret and key, its
+     * log and shared documents. Hosting from the same dir after a restart
+     * resumes the room, so share codes and the log carry over. A room taken
+     * over from another host replaces the one kept there.
+     * @param {string} dir
+     * @param {Object} [options] - As for the constructor
+     * @returns {P2PHost}
+     */
+    static inDirectory(dir, options = {}) {
+        const roomFile = path.join(dir, 'room.json');
+        const host = new P2PHost({
+            ...(options.migration ? {} : loadHostedRoom(roomFile)),
+            ...options,
+            logPath: path.join(dir, 'room_log.json'),
+            transferDir: path.join(dir, 'transfers', 'host')
+        });
+        host.roomFile = roomFile;
+        saveHostedRoom(roomFile, host);
+        return host;
+    }
+
+    /**
+     * Don't resume this room next time (it was left on purpose)
+     */
+    forgetRoom() {
+        if (this.roomFile) {
+            fs.rmSync(this.roomFile, { force: true });
+        }
     }
 
     /**
@@ -84,20 +242,14 @@ class P2PHost {
 
                 this.server.listen(this.port, '0.0.0.0', () => {
                     this.isRunning = true;
-                    
-                    const localIPs = getLocalIPs();
-                    const lanCode = localIPs.length > 0 
-                        ? generateShareCode(localIPs[0], this.port, this.secret)
-                        : null;
+                    this.port = this.server.address().port; // Port 0 picks a free one
                     
                     resolve({
                         port: this.port,
                         secret: this.secret,
-                        localIPs,
-                        shareCodes: {
-                            lan: lanCode,
-                            localhost: generateShareCode('127.0.0.1', this.port, this.secret)
-                        }
+                        fingerprint: this.identity.fingerprint,
+                        localIPs: getLocalIPs(),
+                        shareCodes: this.shareCodesFor(this.secret)
                     });
                 });
 
@@ -113,66 +265,168 @@ class P2PHost {
      */
     handleConnection(ws, req) {
         const clientId = crypto.randomBytes(8).toString('hex');
+        const address = req && req.socket ? req.socket.remoteAddress : 'unknown';
+
+        if (this.moderation.isBanned(address)) {
+            ws.close(CLOSE_CODES.BANNED, 'Banned from this room');
+            return;
+        }
+        if (this.isBlocked(address)) {
+            ws.close(CLOSE_CODES.THROTTLED, 'Too many failed attempts');
+            return;
+        }
+
+        const handshake = createHello(this.identity);
+        const timeout = setTimeout(() => ws.close(4000, 'Handshake timeout'), P2P_CONFIG.HANDSHAKE_TIMEOUT_MS);
         
-        // Auth handshake
+        // Auth handshake: the joiner answers our HELLO with a join request sealed with
+        // the keys of one of the room's invites, which decides its role
         ws.once('message', (data) => {
-            try {
-                const msg = JSON.parse(data);
-                
-                if (msg.type === 'AUTH' && msg.secret === this.secret) {
-                    // Auth successful
-                    const client = {
-                        ws,
-                        id: clientId,
-                        name: msg.name || `Guest_${clientId.substring(0, 4)}`,
-                        joinedAt: new Date().toISOString()
-                    };
-                    
-                    this.clients.set(clientId, client);
-                    
-                    ws.send(JSON.stringify({
-                        type: 'AUTH_SUCCESS',
-                        clientId,
-                        participants: this.getParticipantList()
-                    }));
-                    
-                    // Notify others
-                    this.broadcast({
-                        type: 'PARTICIPANT_JOINED',
-                        participant: { id: clientId, name: client.name }
-                    }, clientId);
-                    
-                    // Set up message handler
-                    ws.on('message', (data) => this.handleMessage(clientId, data));
-                    ws.on('close', () => this.handleDisconnect(clientId));
-                    
-                    console.log(`🟢 P2P Client joined: ${client.name} (${clientId})`);
-                } else {
-                    ws.close(4001, 'Invalid secret');
-                }
-            } catch (e) {
-                ws.close(4000, 'Invalid message format');
+            clearTimeout(timeout);
+            const joined = this.acceptInvite(handshake, data);
+            if (!joined) {
+                this.recordAuthFailure(address);
+                ws.close(CLOSE_CODES.INVALID_SECRET, 'Invalid secret');
+                return;
             }
+            const join = joined.auth.join;
+            const name = validName(join.name);
+            if (!name) {
+                // Before using up the invite or ticket, so the joiner can retry with another name
+                ws.close(CLOSE_CODES.INVALID_NAME, `Names must be 1-${P2P_CONFIG.MAX_NAME_LENGTH} characters`);
+                return;
+            }
+            this.moderation.useInvite(joined.invite);
+            const ticketed = this.redeemTicket(join.ticket);
+
+            const client = {
+                ws,
+                channel: joined.auth.channel,
+                id: clientId,
+                name,
+                role: ticketed ? ticketed.role : joined.invite.role,
+                address,
+                inviteId: joined.invite.id,
+                joinedAt: new Date().toISOString(),
+                standby: validStandby(join.standby),
+                ticket: createTicket()
+            };
+            
+            this.clients.set(clientId, client);
+            
+            ws.send(client.channel.seal({
+                type: 'AUTH_SUCCESS',
+                clientId,
+                role: client.role,
+                participants: this.getParticipantList(),
+                log: { id: this.log.id, lastSeq: this.log.lastSeq }
+            }));
+
+            // Catch up on what was said before joining or while disconnected
+            this.replayTo(client, join.since, join.logId);
+            
+            // Notify others
+            this.broadcast({
+                type: 'PARTICIPANT_JOINED',
+                participant: this.describeClient(client)
+            }, clientId);
+            
+            this.replicateState();
+            
+            // Set up message handler
+            ws.on('message', (data) => this.handleMessage(clientId, data));
+            ws.on('close', () => this.handleDisconnect(clientId));
+            
+            console.log(`🟢 P2P Client joined: ${client.name} (${clientId}) as ${client.role}`);
         });
+        ws.on('close', () => clearTimeout(timeout));
         
-        // Send auth request
-        ws.send(JSON.stringify({ type: 'AUTH_REQUIRED' }));
+        // Start the handshake
+        ws.send(JSON.stringify(handshake.hello));
+    }
+
+    /**
+     * Find the active invite whose secret the joiner used
+     * @returns {{invite: Object, auth: Object}|null}
+     */
+    acceptInvite(handshake, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (e) {
+            return null;
+        }
+        for (const invite of this.moderation.activeInvites()) {
+            try {
+                return { invite, auth: acceptAuth(handshake, message, invite.secret) };
+            } catch (e) {
+                // Sealed with another invite's keys
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Role held by the owner of a migration ticket; each ticket works once
+     * @returns {{role: string, name: string}|null}
+     */
+    redeemTicket(ticket) {
+        if (typeof ticket !== 'string') return null;
+        const hash = hashTicket(ticket);
+        const held = this.tickets.get(hash);
+        if (!held) return null;
+        this.tickets.delete(hash);
+        return held;
+    }
+
+    isBlocked(address) {
+        const failures = this.authFailures.get(address);
+        if (!failures) return false;
+        if (Date.now() - failures.since > P2P_CONFIG.AUTH_FAILURE_WINDOW_MS) {
+            this.authFailures.delete(address);
+            return false;
+        }
+        return failures.count >= P2P_CONFIG.MAX_AUTH_FAILURES;
+    }
+
+    recordAuthFailure(address) {
+        const failures = this.authFailures.get(address);
+        if (failures && Date.now() - failures.since <= P2P_CONFIG.AUTH_FAILURE_WINDOW_MS) {
+            failures.count++;
+        } else {
+            this.authFailures.set(address, { count: 1, since: Date.now() });
+        }
+        console.warn(`⚠️ P2P join with a wrong secret from ${address}`);
     }
 
     /**
      * Handle incoming message from client
      */
     handleMessage(clientId, data) {
+        const client = this.clients.get(clientId);
+        if (!client) return;
+
+        let msg;
         try {
-            const msg = JSON.parse(data);
-            const client = this.clients.get(clientId);
-            
-            if (!client) return;
+            msg = client.channel.open(JSON.parse(data));
+        } catch (e) {
+            // Forged, replayed or corrupted: the channel can't be trusted any more
+            console.warn(`⚠️ Dropping ${client.name}: ${e.message}`);
+            client.ws.close(4002, 'Invalid frame');
+            return;
+        }
+
+        try {
+            const denial = this.checkPermission(client, msg.type);
+            if (denial) {
+                this.sendTo(clientId, { type: 'DENIED', action: msg.type, ...denial });
+                return;
+            }
 
             switch (msg.type) {
                 case 'CHAT_MESSAGE':
                     // Broadcast chat to all clients
-                    this.broadcast({
+                    this.publish({
                         type: 'CHAT_MESSAGE',
                         from: { id: clientId, name: client.name },
                         content: msg.content,
@@ -186,15 +440,34 @@ class P2PHost {
                         clientId,
                         clientName: client.name,
                         task: msg.task,
-                        personality: msg.personality
+                        personality: msg.personality,
+                        document: typeof msg.document === 'string' ? msg.document : null // sha256 of a shared document
                     });
                     break;
 
+                case 'DOCUMENT_SHARE':
+                    this.shareDocument(msg.document, { id: clientId, name: client.name });
+                    break;
+
+                case 'DOCUMENT_OFFER':
+                case 'DOCUMENT_REQUEST':
+                case 'DOCUMENT_CHUNK':
+                case 'DOCUMENT_UNAVAILABLE':
+                    this.handleTransfer(client, msg);
+                    break;
+
+                case 'MODERATE':
+                    this.handleModerate(client, msg);
+                    break;
+
+                case 'MEMORY_DIGEST':
+                case 'MEMORY_REQUEST':
                 case 'MEMORY_SYNC':
-                    // Handle memory synchronization
+                    // Digest exchange and signed bundles (memory_format/sync.js)
                     this.emit('memory_sync', {
                         clientId,
-                        memories: msg.memories
+                        clientName: client.name,
+                        msg
                     });
                     break;
 
@@ -207,6 +480,261 @@ class P2PHost {
         }
     }
 
+    /**
+     * Why a client may not send this message right now, or null if it may
+     * @returns {{reason: string, retryAfterMs?: number}|null}
+     */
+    checkPermission(client, type) {
+        const needs = {
+            CHAT_MESSAGE: PERMISSIONS.CHAT,
+            DOCUMENT_SHARE: PERMISSIONS.CHAT,
+            DOCUMENT_OFFER: PERMISSIONS.CHAT,
+            DOCUMENT_CHUNK: PERMISSIONS.CHAT,
+            DOCUMENT_REQUEST: PERMISSIONS.READ_DOCUMENTS,
+            AI_REQUEST: PERMISSIONS.AI_REQUEST,
+            MEMORY_DIGEST: PERMISSIONS.MEMORY_SYNC,
+            MEMORY_REQUEST: PERMISSIONS.MEMORY_SYNC,
+            MEMORY_SYNC: PERMISSIONS.MEMORY_SYNC,
+            MODERATE: PERMISSIONS.MODERATE
+        }[type];
+        if (!needs) return null;
+
+        if (!this.moderation.can(client.role, needs)) {
+            return { reason: `A ${client.role} can't do that in this room` };
+        }
+        if (['CHAT_MESSAGE', 'DOCUMENT_SHARE', 'DOCUMENT_OFFER', 'AI_REQUEST'].includes(type)) {
+            const until = this.moderation.mutedUntil(client.address);
+            if (until) {
+                return { reason: 'You are muted', retryAfterMs: until - Date.now() };
+            }
+            const limit = this.moderation.consume(client.address, client.role, type === 'AI_REQUEST' ? 'ai' : 'chat');
+            if (!limit.allowed) {
+                return { reason: limit.reason, retryAfterMs: limit.retryAfterMs };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Document transfer messages from a participant. We download what they
+     * offer, then offer it to the whole room; they download what we offer.
+     */
+    handleTransfer(client, msg) {
+        const from = { id: client.id, name: client.name };
+        try {
+            switch (msg.type) {
+                case 'DOCUMENT_OFFER': {
+                    const request = this.transfers.accept(msg, client.id);
+                    if (request) {
+                        this.sendTo(client.id, request);
+                        this.emit('transfer', { offer: msg, from, status: 'receiving' });
+                    } else {
+                        // We already have it: pass it straight on
+                        this.publishOffer(msg, from);
+                    }
+                    break;
+                }
+                case 'DOCUMENT_REQUEST':
+                    for (const reply of this.transfers.serve(msg)) {
+                        this.sendTo(client.id, reply);
+                    }
+                    break;
+                case 'DOCUMENT_CHUNK': {
+                    const { request, done } = this.transfers.receive(msg, client.id);
+                    if (request) this.sendTo(client.id, request);
+                    if (done) {
+                        this.publishOffer(done.offer, from);
+                        this.emit('document', { ...done, from });
+                    }
+                    break;
+                }
+                case 'DOCUMENT_UNAVAILABLE':
+                    this.cancelUpload(client, msg.transferId);
+                    break;
+            }
+        } catch (e) {
+            this.cancelUpload(client, msg.transferId);
+            this.sendTo(client.id, { type: 'DENIED', action: msg.type, reason: e.message });
+        }
+    }
+
+    /**
+     * Stop downloading a participant's document; nobody else's
+     */
+    cancelUpload(client, transferId) {
+        const entry = this.transfers.incoming.get(transferId);
+        if (entry && entry.from === client.id) {
+            this.transfers.cancel(transferId);
+        }
+    }
+
+    /**
+     * Whether a document (by sha256) was shared in this room, so participants
+     * can ask about it
+     */
+    isShared(sha256) {
+        return Array.from(this.transfers.outgoing.values()).some(entry => entry.offer.sha256 === sha256);
+    }
+
+    /**
+     * A moderator's kick/ban/mute/unmute request
+     */
+    handleModerate(actor, msg) {
+        const target = this.findClient(msg.target);
+        const by = { id: actor.id, name: actor.name, role: actor.role };
+        try {
+            if (!target) throw new Error('No such participant');
+            if (!this.moderation.canModerate(actor.role, target.role)) {
+                throw new Error(`A ${actor.role} can't moderate a ${target.role}`);
+            }
+            switch (msg.action) {
+                case 'kick':
+                    this.kick(target.id, { by, reason: msg.reason });
+                    break;
+                case 'ban':
+                    this.ban(target.id, { by, reason: msg.reason });
+                    break;
+                case 'mute':
+                    this.mute(target.id, msg.durationMs, { by });
+                    break;
+                case 'unmute':
+                    this.unmute(target.id, { by });
+                    break;
+                default:
+                    throw new Error(`Unknown moderation action: ${msg.action}`);
+            }
+        } catch (e) {
+            this.sendTo(actor.id, { type: 'DENIED', action: 'MODERATE', reason: e.message });
+        }
+    }
+
+    /**
+     * Find a participant by id or name (case-insensitive)
+     */
+    findClient(ref) {
+        if (!ref) return null;
+        if (this.clients.has(ref)) return this.clients.get(ref);
+        const name = String(ref).toLowerCase();
+        return Array.from(this.clients.values()).find(c => c.name.toLowerCase() === name) || null;
+    }
+
+    /**
+     * Remove a participant; they can rejoin with a valid invite
+     * @param {Object} [options] - { by, reason }
+     */
+    kick(clientId, options = {}) {
+        const client = this.clients.get(clientId);
+        if (!client) return false;
+
+        client.ticket = null; // Back only with an invite, at the invite's role
+        this.retireMigrationInvite();
+        this.sendTo(clientId, { type: 'KICKED', by: options.by || null, reason: options.reason || null });
+        this.emit('moderation', { action: 'kick', target: this.describeClient(client), by: options.by || null });
+        // Disconnecting replicates a new migration secret they never see
+        client.ws.close(CLOSE_CODES.KICKED, 'Kicked from the room');
+        return true;
+    }
+
+    /**
+     * Remove a participant and refuse their device from now on
+     */
+    ban(clientId, options = {}) {
+        const client = this.clients.get(clientId);
+        if (!client) return false;
+
+        this.moderation.ban(client.address, { name: client.name, by: options.by ? options.by.name : 'owner' });
+        client.ticket = null;
+        this.retireMigrationInvite();
+        this.sendTo(clientId, { type: 'BANNED', by: options.by || null, reason: options.reason || null });
+        this.emit('moderation', { action: 'ban', target: this.describeClient(client), by: options.by || null });
+        client.ws.close(CLOSE_CODES.BANNED, 'Banned from this room');
+        return true;
+    }
+
+    /**
+     * A removed participant knew the previous host's migration secret too,
+     * so stop taking it
+     */
+    retireMigrationInvite() {
+        if (this.migrationInvite) {
+            this.moderation.revokeInvite(this.migrationInvite.id);
+            this.migrationInvite = null;
+        }
+    }
+
+    /**
+     * Stop a participant from chatting and asking the AI for a while
+     */
+    mute(clientId, durationMs, options = {}) {
+        const client = this.clients.get(clientId);
+        if (!client) return false;
+
+        const until = this.moderation.mute(client.address, durationMs || undefined);
+        this.sendTo(clientId, { type: 'MUTED', until: new Date(until).toISOString(), by: options.by || null });
+        this.participantUpdated(client);
+        this.emit('moderation', { action: 'mute', target: this.describeClient(client), by: options.by || null });
+        return true;
+    }
+
+    unmute(clientId, options = {}) {
+        const client = this.clients.get(clientId);
+        if (!client) return false;
+
+        this.moderation.unmute(client.address);
+        this.sendTo(clientId, { type: 'UNMUTED', by: options.by || null });
+        this.participantUpdated(client);
+        return true;
+    }
+
+    /**
+     * Change a participant's role (owner only)
+     */
+    setRole(clientId, role) {
+        const client = this.clients.get(clientId);
+        if (!client) return false;
+        if (!Object.values(ROLES).includes(role) || role === ROLES.OWNER) {
+            throw new Error(`Role must be one of ${[ROLES.MODERATOR, ROLES.MEMBER, ROLES.VIEWER].join(', ')}`);
+        }
+
+        client.role = role;
+        this.sendTo(clientId, { type: 'ROLE_CHANGED', role });
+        this.participantUpdated(client);
+        this.replicateState();
+        return true;
+    }
+
+    /**
+     * New share codes that join with the given role
+     * @param {Object} [options] - { role, expiresInMs, maxUses }, see RoomModeration.createInvite
+     */
+    createInvite(options = {}) {
+        const invite = this.moderation.createInvite(options);
+        return { invite, shareCodes: this.shareCodesFor(invite.secret) };
+    }
+
+    shareCodesFor(secret) {
+        const localIPs = getLocalIPs();
+        return {
+            lan: localIPs.length > 0 ? generateShareCode(localIPs[0], this.port, secret, this.identity.fingerprint) : null,
+            localhost: generateShareCode('127.0.0.1', this.port, secret, this.identity.fingerprint)
+        };
+    }
+
+    participantUpdated(client) {
+        this.broadcast({ type: 'PARTICIPANT_UPDATED', participant: this.describeClient(client) });
+    }
+
+    describeClient(client) {
+        const mutedUntil = this.moderation.mutedUntil(client.address);
+        return {
+            id: client.id,
+            name: client.name,
+            role: client.role,
+            muted: !!mutedUntil,
+            joinedAt: client.joinedAt
+        };
+    }
+
     /**
      * Handle client disconnect
      */
@@ -214,6 +742,13 @@ class P2PHost {
         const client = this.clients.get(clientId);
         if (client) {
             this.clients.delete(clientId);
+            // Their unfinished uploads would hold download slots for good
+            this.transfers.cancelFrom(clientId);
+            if (client.ticket) {
+                // Coming back with the ticket restores their role
+                this.tickets.set(hashTicket(client.ticket), { role: client.role, name: client.name });
+            }
+            this.replicateState();
             
             this.broadcast({
                 type: 'PARTICIPANT_LEFT',
@@ -224,37 +759,153 @@ class P2PHost {
         }
     }
 
+    /**
+     * Participants who could host the room after us. Viewers never take over a room.
+     */
+    migrationCandidates() {
+        return Array.from(this.clients.values())
+            .filter(c => c.standby && c.role !== ROLES.VIEWER)
+            .map(c => ({
+                id: c.id,
+                name: c.name,
+                address: dialableAddress(c.address),
+                port: c.standby.port,
+                fingerprint: c.standby.fingerprint,
+                role: c.role,
+                joinedAt: c.joinedAt
+            }));
+    }
+
+    /**
+     * Send every participant what it needs to elect and join the next host,
+     * plus its own migration ticket. The migration secret is new each time,
+     * so only those in the room now know the current one.
+     */
+    replicateState() {
+        this.migrationSecret = crypto.randomBytes(8).toString('hex');
+        const state = {
+            type: 'ROOM_STATE',
+            roomId: this.roomId,
+            secret: this.migrationSecret,
+            candidates: this.migrationCandidates(),
+            tickets: [
+                ...Array.from(this.clients.values())
+                    .filter(c => c.ticket)
+                    .map(c => ({ hash: hashTicket(c.ticket), role: c.role, name: c.name })),
+                ...Array.from(this.tickets, ([hash, held]) => ({ hash, ...held }))
+            ],
+            bans: Array.from(this.moderation.bans, ([address, ban]) => ({ address, name: ban.name, by: ban.by }))
+        };
+        for (const client of this.clients.values()) {
+            this.sendTo(client.id, { ...state, ticket: client.ticket });
+        }
+    }
+
     /**
      * Broadcast message to all clients (optionally excluding one)
      */
     broadcast(msg, excludeClientId = null) {
-        const data = JSON.stringify(msg);
-        
+        // Each client has its own keys, so each gets its own sealed copy
         for (const [id, client] of this.clients) {
             if (id !== excludeClientId && client.ws.readyState === WebSocket.OPEN) {
-                client.ws.send(data);
+                client.ws.send(client.channel.seal(msg));
             }
         }
     }
 
+    /**
+     * Record a message in the room log and broadcast it with its seq
+     * @returns {Object} The logged entry
+     */
+    publish(msg, excludeClientId = null) {
+        const entry = this.log.append(msg);
+        this.broadcast(entry, excludeClientId);
+        return entry;
+    }
+
+    /**
+     * Send a client the log entries after the last seq it saw, in pages
+     * @param {number} [since] - 0 or omitted for everything still in the log
+     * @param {string} [logId] - The log that seq came from
+     */
+    replayTo(client, since = 0, logId = null) {
+        const { entries, missed } = this.log.since(Number(since) || 0, logId);
+        const page = this.log.config.REPLAY_PAGE;
+        let offset = 0;
+        do {
+            this.sendTo(client.id, {
+                type: 'HISTORY',
+                logId: this.log.id,
+                entries: entries.slice(offset, offset + page),
+                missed: offset === 0 ? missed : 0,
+                done: offset + page >= entries.length
+            });
+            offset += page;
+        } while (offset < entries.length);
+    }
+
+    /**
+     * Offer a document to everyone in the room, now and when they join later
+     * @param {string|Buffer} source - File path or contents
+     * @param {Object} [meta] - { filename, category }
+     * @returns {Object} The logged DOCUMENT_OFFER
+     */
+    offerDocument(source, meta = {}) {
+        return this.publishOffer(this.transfers.createOffer(source, meta), { id: 'host', name: 'host' });
+    }
+
+    publishOffer(offer, from) {
+        const { transferId, filename, size, sha256, chunkSize, chunks, category } = offer;
+        return this.publish({
+            type: 'DOCUMENT_OFFER',
+            transferId, filename, size, sha256, chunkSize, chunks, category,
+            from,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Share a document's details (not its contents) with the room
+     * @param {Object} document - { id, filename, size, category, preview }
+     * @param {Object} [from] - { id, name } of the participant; the host if omitted
+     */
+    shareDocument(document, from = null) {
+        if (!document || !document.filename) return null;
+        return this.publish({
+            type: 'DOCUMENT_SHARED',
+            from: from || { id: 'host', name: 'host' },
+            document: {
+                id: document.id || null,
+                filename: String(document.filename),
+                size: document.size || null,
+                category: document.category || null,
+                preview: document.preview ? String(document.preview).slice(0, 200) : null
+            },
+            timestamp: new Date().toISOString()
+        });
+    }
+
     /**
      * Send message to specific client
      */
     sendTo(clientId, msg) {
         const client = this.clients.get(clientId);
         if (client && client.ws.readyState === WebSocket.OPEN) {
-            client.ws.send(JSON.stringify(msg));
+            client.ws.send(client.channel.seal(msg));
         }
     }
 
     /**
-     * Send AI response to client
+     * Answer a client's AI request in front of the room, so it is logged
+     * for everyone who joins later
      */
     sendAIResponse(clientId, response, personality) {
-        this.sendTo(clientId, {
+        const client = this.clients.get(clientId);
+        return this.publish({
             type: 'AI_RESPONSE',
             content: response,
             personality,
+            requestedBy: client ? { id: clientId, name: client.name } : { id: clientId },
             timestamp: new Date().toISOString()
         });
     }
@@ -263,11 +914,7 @@ class P2PHost {
      * Get list of participants
      */
     getParticipantList() {
-        return Array.from(this.clients.values()).map(c => ({
-            id: c.id,
-            name: c.name,
-            joinedAt: c.joinedAt
-        }));
+        return Array.from(this.clients.values()).map(c => this.describeClient(c));
     }
 
     /**
@@ -289,15 +936,23 @@ class P2PHost {
     }
 
     /**
-     * Stop hosting
+     * Stop hosting. Participants move to the host they elect, unless
+     * migrate is false.
+     * @param {Object} [options] - { migrate }
+     * @returns {Promise<Object|null>} The elected successor
      */
-    stop() {
+    stop(options = {}) {
         return new Promise((resolve) => {
+            const successor = options.migrate === false ? null : electHost(this.migrationCandidates());
             // Close all client connections
             for (const client of this.clients.values()) {
+                if (successor) {
+                    this.sendTo(client.id, { type: 'MIGRATE', successor: successor.id });
+                }
                 client.ws.close(1001, 'Server shutting down');
             }
             this.clients.clear();
+            this.log.save();
 
             if (this.wss) {
                 this.wss.close();
@@ -306,19 +961,62 @@ class P2PHost {
             if (this.server) {
                 this.server.close(() => {
                     this.isRunning = false;
-                    resolve();
+                    resolve(successor);
                 });
             } else {
-                resolve();
+                resolve(successor);
             }
         });
     }
 }
 
+/**
+ * A joiner's display name, trimmed; null unless it is a non-empty string within MAX_NAME_LENGTH
+ */
+function validName(name) {
+    if (typeof name !== 'string') return null;
+    const trimmed = name.trim();
+    return trimmed && trimmed.length <= P2P_CONFIG.MAX_NAME_LENGTH ? trimmed : null;
+}
+
+/**
+ * Standby key and port a joiner offers, if well-formed
+ */
+function validStandby(standby) {
+    if (!standby || typeof standby.fingerprint !== 'string' || !/^[0-9a-f]{32}$/.test(standby.fingerprint)) return null;
+    if (!Number.isInteger(standby.port) || standby.port < 1 || standby.port > 65535) return null;
+    return { fingerprint: standby.fingerprint, port: standby.port };
+}
+
 class P2PClient {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.standbyPort] - Port to host on if elected
+     * @param {boolean} [options.canHost=true] - false never takes over a room
+     * @param {string} [options.transferDir] - Downloaded documents and partial downloads; kept in memory if omitted
+     * @param {boolean} [options.acceptDocuments=true] - Download documents offered in the room
+     */
+    constructor(options = {}) {
         this.ws = null;
+        this.channel = null;
         this.clientId = null;
+        this.name = null;
+        this.role = null;
+        this.logId = null;   // Room log our seq numbers refer to
+        this.lastSeq = 0;    // Last room log entry seen, sent when (re)joining
+        this.history = [];   // Our copy of the room log, handed over if we become host
+        // Key and port we'd host on; its fingerprint reaches the room through the host
+        this.standby = options.canHost === false ? null : {
+            identity: createIdentity(),
+            port: options.standbyPort || MIGRATION_CONFIG.DEFAULT_STANDBY_PORT
+        };
+        this.transfers = new DocumentTransfers(options.transferDir || null);
+        this.transfers.load();
+        this.acceptDocuments = options.acceptDocuments !== false;
+        this.uploads = new Map();  // transferId -> our offers the host hasn't passed on yet
+        this.roomState = null;     // Latest ROOM_STATE: candidates, migration secret, our ticket
+        this.hostLeaving = false;
+        this.migrating = false;
         this.isConnected = false;
         this.messageHandlers = [];
         this.reconnectAttempts = 0;
@@ -334,42 +1032,93 @@ class P2PClient {
         if (!details) {
             throw new Error('Invalid share code');
         }
+        if (!details.fingerprint) {
+            throw new Error('This share code is from an older version without encryption. Ask the host for a new one.');
+        }
 
-        return this.connectDirect(details.host, details.port, details.secret, name);
+        return this.connectDirect(details, name);
     }
 
     /**
      * Connect directly with host details
+     * @param {Object} details - { host, port, secret, fingerprint }, as in a share code
      */
-    async connectDirect(host, port, secret, name) {
+    async connectDirect(details, name) {
+        const { host, port } = details;
+        this.name = name;
         return new Promise((resolve, reject) => {
             try {
                 const url = `ws://${host}:${port}`;
                 this.ws = new WebSocket(url);
+                this.channel = null;
 
                 this.ws.on('open', () => {
                     console.log(`🔌 Connected to P2P room at ${host}:${port}`);
                 });
 
                 this.ws.on('message', (data) => {
+                    let msg;
                     try {
-                        const msg = JSON.parse(data);
-                        
-                        if (msg.type === 'AUTH_REQUIRED') {
-                            // Send auth
-                            this.ws.send(JSON.stringify({
-                                type: 'AUTH',
-                                secret,
-                                name
-                            }));
-                        } else if (msg.type === 'AUTH_SUCCESS') {
+                        const frame = JSON.parse(data);
+                        if (!this.channel) {
+                            // Check the host against the share code, then prove we hold the secret
+                            const { auth, channel } = answerHello(frame, details, {
+                                name,
+                                since: this.lastSeq,
+                                logId: this.logId,
+                                ticket: this.roomState ? this.roomState.ticket : null,
+                                standby: this.standby && { fingerprint: this.standby.identity.fingerprint, port: this.standby.port }
+                            });
+                            this.channel = channel;
+                            this.ws.send(JSON.stringify(auth));
+                            return;
+                        }
+                        msg = this.channel.open(frame);
+                    } catch (e) {
+                        console.error(`P2P Client handshake or frame error: ${e.message}`);
+                        if (!this.isConnected) {
+                            // Not the host named in the share code; retrying won't help
+                            this.shouldReconnect = false;
+                            reject(e);
+                        }
+                        this.ws.close(4002, 'Invalid frame');
+                        return;
+                    }
+
+                    try {
+                        if (msg.type === 'AUTH_SUCCESS') {
+                            clearTimeout(timer);
                             this.clientId = msg.clientId;
+                            this.role = msg.role;
+                            if (msg.log && msg.log.id !== this.logId) {
+                                // Another room, or the host lost its log: start over
+                                this.logId = msg.log.id;
+                                this.lastSeq = 0;
+                                this.history = [];
+                            }
                             this.isConnected = true;
                             this.reconnectAttempts = 0;
+                            this.resumeTransfers();
                             resolve({
                                 clientId: msg.clientId,
+                                role: msg.role,
                                 participants: msg.participants
                             });
+                        } else if (msg.type === 'HISTORY') {
+                            this.handleHistory(msg);
+                        } else if (msg.type === 'ROOM_STATE') {
+                            this.roomState = msg;
+                        } else if (msg.type === 'MIGRATE') {
+                            this.hostLeaving = true;
+                        } else if (['DOCUMENT_REQUEST', 'DOCUMENT_CHUNK', 'DOCUMENT_UNAVAILABLE'].includes(msg.type)) {
+                            this.handleTransfer(msg);
+                        } else if (msg.type === 'ROLE_CHANGED') {
+                            this.role = msg.role;
+                            this.emit('message', msg);
+                        } else if (msg.seq) {
+                            // Logged room message; skip anything a replay already delivered
+                            if (msg.seq <= this.lastSeq) return;
+                            this.deliver(msg);
                         } else {
                             // Handle other messages
                             this.emit('message', msg);
@@ -380,16 +1129,27 @@ class P2PClient {
                 });
 
                 this.ws.on('close', (code, reason) => {
+                    clearTimeout(timer);
                     this.isConnected = false;
                     this.emit('disconnected', { code, reason: reason.toString() });
                     
-                    // Auto-reconnect logic (only if explicitly allowed)
-                    if (this.shouldReconnect && this.reconnectAttempts < this.maxReconnectAttempts) {
-                        this.reconnectAttempts++;
-                        setTimeout(() => {
-                            this.connectDirect(host, port, secret, name);
-                        }, 2000 * this.reconnectAttempts);
+                    // Auto-reconnect logic (only if explicitly allowed, and not after the host refused us)
+                    const refused = [CLOSE_CODES.INVALID_SECRET, CLOSE_CODES.THROTTLED, CLOSE_CODES.BANNED, CLOSE_CODES.KICKED,
+                        CLOSE_CODES.INVALID_NAME].includes(code);
+                    if (refused) {
+                        reject(new Error(code === CLOSE_CODES.INVALID_SECRET ? 'Wrong room secret' : reason.toString()));
+                    }
+                    if (refused || !this.shouldReconnect || this.migrating) return;
+
+                    // The host left on purpose, or is gone for good: move to the next one
+                    if (this.hostLeaving || code === 1001 || this.reconnectAttempts >= this.maxReconnectAttempts) {
+                        if (this.roomState) this.migrate();
+                        return;
                     }
+                    this.reconnectAttempts++;
+                    setTimeout(() => {
+                        this.connectDirect(details, name).catch(() => {});
+                    }, 2000 * this.reconnectAttempts);
                 });
 
                 this.ws.on('error', (err) => {
@@ -400,12 +1160,12 @@ class P2PClient {
                 });
 
                 // Timeout for connection
-                setTimeout(() => {
+                const timer = setTimeout(() => {
                     if (!this.isConnected) {
                         this.ws.close();
                         reject(new Error('Connection timeout'));
                     }
-                }, 10000);
+                }, P2P_CONFIG.HANDSHAKE_TIMEOUT_MS);
 
             } catch (e) {
                 reject(e);
@@ -413,13 +1173,178 @@ class P2PClient {
         });
     }
 
+    /**
+     * Deliver replayed room log entries as messages marked `replayed`
+     */
+    handleHistory(msg) {
+        if (msg.logId !== this.logId) return;
+
+        const fresh = (msg.entries || []).filter(entry => entry.seq > this.lastSeq);
+        for (const entry of fresh) {
+            this.deliver({ ...entry, replayed: true });
+        }
+        this.emit('history', { count: fresh.length, missed: msg.missed || 0, done: !!msg.done });
+    }
+
+    /**
+     * A logged room message, live or replayed
+     */
+    deliver(msg) {
+        const { replayed, ...entry } = msg;
+        this.record(entry);
+        this.emit('message', msg);
+        if (msg.type === 'DOCUMENT_OFFER') {
+            this.uploads.delete(msg.transferId);
+            if (this.acceptDocuments) this.download(msg);
+        }
+    }
+
+    /**
+     * Start fetching an offered document from the host
+     */
+    download(offer) {
+        try {
+            const request = this.transfers.accept(offer, 'host');
+            if (request) {
+                this.send(request);
+                this.emit('transfer', { offer, status: 'receiving' });
+            }
+        } catch (e) {
+            this.emit('transfer_failed', { offer, reason: e.message });
+        }
+    }
+
+    /**
+     * Chunks for a download, or the host asking for chunks of our upload
+     */
+    handleTransfer(msg) {
+        if (msg.type === 'DOCUMENT_REQUEST') {
+            for (const reply of this.transfers.serve(msg)) {
+                this.send(reply);
+            }
+            return;
+        }
+        if (msg.type === 'DOCUMENT_UNAVAILABLE') {
+            const offer = (this.transfers.incoming.get(msg.transferId) || {}).offer || { transferId: msg.transferId };
+            if (this.transfers.cancel(msg.transferId)) {
+                this.emit('transfer_failed', { offer, reason: 'The host no longer has this document' });
+            }
+            return;
+        }
+        const pending = this.transfers.incoming.get(msg.transferId);
+        try {
+            const { request, done } = this.transfers.receive(msg, 'host');
+            if (request) this.send(request);
+            if (done) this.emit('document', done);
+        } catch (e) {
+            this.transfers.cancel(msg.transferId);
+            this.emit('transfer_failed', { offer: pending ? pending.offer : { transferId: msg.transferId }, reason: e.message });
+        }
+    }
+
+    /**
+     * After (re)joining: ask for the rest of unfinished downloads and offer
+     * again whatever the host hadn't finished taking from us
+     */
+    resumeTransfers() {
+        for (const request of this.transfers.resume('host')) {
+            this.send(request);
+        }
+        for (const offer of this.uploads.values()) {
+            this.send(offer);
+        }
+    }
+
+    record(entry) {
+        this.lastSeq = entry.seq;
+        this.history.push(entry);
+        if (this.history.length > RoomLog.CONFIG.MAX_ENTRIES) {
+            this.history.splice(0, this.history.length - RoomLog.CONFIG.MAX_ENTRIES);
+        }
+    }
+
+    /**
+     * The host is gone: elect its successor from the last ROOM_STATE and
+     * either take over (the 'promote' event) or join it with our ticket.
+     * Emits 'migrating', then 'migrated' or 'migration_failed'.
+     * @returns {Promise<boolean>} Whether the room carried on
+     */
+    async migrate() {
+        if (this.migrating || !this.roomState) return false;
+        this.migrating = true;
+        this.hostLeaving = false;
+        const state = this.roomState;
+        let candidates = state.candidates || [];
+
+        try {
+            for (let successor = electHost(candidates); successor; successor = electHost(candidates)) {
+                if (successor.id === this.clientId) {
+                    this.promote(state);
+                    return true;
+                }
+                this.emit('migrating', { successor });
+                if (await this.joinSuccessor(successor, state)) {
+                    this.emit('migrated', { host: successor, role: this.role });
+                    return true;
+                }
+                if (!this.shouldReconnect) return false;
+                // Everyone who can't reach it drops it and elects the next one
+                candidates = candidates.filter(c => c.id !== successor.id);
+            }
+            this.emit('migration_failed', { reason: 'Nobody left in the room could take over as host' });
+            return false;
+        } finally {
+            this.migrating = false;
+        }
+    }
+
+    /**
+     * Join the elected host, giving it time to start hosting
+     */
+    async joinSuccessor(successor, state) {
+        const details = { host: successor.address, port: successor.port, secret: state.secret, fingerprint: successor.fingerprint };
+        for (let attempt = 1; attempt <= MIGRATION_CONFIG.CONNECT_ATTEMPTS; attempt++) {
+            await new Promise(resolve => setTimeout(resolve, MIGRATION_CONFIG.RETRY_DELAY_MS * attempt));
+            if (!this.shouldReconnect) return false;
+            try {
+                await this.connectDirect(details, this.name);
+                return true;
+            } catch (e) {
+                // Not hosting yet
+            }
+        }
+        return false;
+    }
+
+    /**
+     * We were elected: hand the caller what it needs to host the room
+     * (options for a new P2PHost) and stop being a client
+     */
+    promote(state) {
+        this.shouldReconnect = false;
+        const ownTicket = hashTicket(state.ticket);
+        this.emit('promote', {
+            options: {
+                port: this.standby.port,
+                identity: this.standby.identity,
+                migration: {
+                    roomId: state.roomId,
+                    secret: state.secret,
+                    tickets: (state.tickets || []).filter(t => t.hash !== ownTicket),
+                    bans: state.bans || [],
+                    log: { id: this.logId, lastSeq: this.lastSeq, entries: this.history }
+                }
+            }
+        });
+    }
+
     /**
      * Send chat message
      */
     sendMessage(content) {
         if (!this.isConnected) return false;
         
-        this.ws.send(JSON.stringify({
+        this.ws.send(this.channel.seal({
             type: 'CHAT_MESSAGE',
             content
         }));
@@ -428,28 +1353,59 @@ class P2PClient {
 
     /**
      * Request AI processing
+     * @param {Object} [options] - { document: sha256 of a room document to ask about }
      */
-    requestAI(task, personality = null) {
+    requestAI(task, personality = null, options = {}) {
         if (!this.isConnected) return false;
         
-        this.ws.send(JSON.stringify({
+        this.ws.send(this.channel.seal({
             type: 'AI_REQUEST',
             task,
-            personality
+            personality,
+            document: options.document || null
         }));
         return true;
     }
 
     /**
-     * Sync memories with host
+     * Offer a document to the room. The host downloads it, then offers it to everyone.
+     * @param {string|Buffer} source - File path or contents
+     * @param {Object} [meta] - { filename, category }
+     * @returns {Object} The DOCUMENT_OFFER
+     */
+    offerDocument(source, meta = {}) {
+        if (!this.isConnected) throw new Error('Not connected to a room');
+        const offer = this.transfers.createOffer(source, meta);
+        this.uploads.set(offer.transferId, offer);
+        this.send(offer);
+        return offer;
+    }
+
+    /**
+     * Share a document's details with the room
+     * @param {Object} document - { id, filename, size, category, preview }
      */
-    syncMemories(memories) {
+    shareDocument(document) {
+        return this.send({ type: 'DOCUMENT_SHARE', document });
+    }
+
+    /**
+     * Ask the host to kick, ban, mute or unmute someone (moderators only)
+     * @param {string} action - kick, ban, mute or unmute
+     * @param {string} target - Participant id or name
+     * @param {Object} [options] - { reason, durationMs }
+     */
+    moderate(action, target, options = {}) {
+        return this.send({ type: 'MODERATE', action, target, ...options });
+    }
+
+    /**
+     * Send a raw protocol message to the host (e.g. memory sync)
+     */
+    send(msg) {
         if (!this.isConnected) return false;
         
-        this.ws.send(JSON.stringify({
-            type: 'MEMORY_SYNC',
-            memories
-        }));
+        this.ws.send(this.channel.seal(msg));
         return true;
     }
 
@@ -483,10 +1439,14 @@ class P2PClient {
     }
 }
 
+P2PHost.CONFIG = P2P_CONFIG;
+P2PHost.CLOSE_CODES = CLOSE_CODES;
+
 module.exports = { 
     P2PHost, 
     P2PClient, 
     generateShareCode, 
     parseShareCode,
-    getLocalIPs 
+    getLocalIPs,
+    ROLES
 };
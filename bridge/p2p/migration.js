@@ -0,0 +1,78 @@
+/**
+ * P2P Host Migration
+ *
+ * Keeps a room alive when its host leaves. The host replicates what a
+ * successor needs to every participant (ROOM_STATE):
+ *
+ * - candidates: participants able to host, with their role, when they
+ *   joined and the address, port and key fingerprint they would host on. The key is a standby identity each
+ *   client makes up front, so its fingerprint reaches everyone over the
+ *   host's authenticated channel and can be pinned like a share code's.
+ * - the room's migration secret, used to join the successor. The current
+ *   host never accepts it; it changes with every ROOM_STATE, so whoever
+ *   left or was kicked holds a stale one, and the successor only takes it
+ *   for HANDOVER_MS after taking over
+ * - hashes of everyone's migration tickets with their roles, so the
+ *   successor gives each returning participant back their role
+ * - bans
+ *
+ * Each participant also gets its own ticket. When the host stops (or can't
+ * be reached any more), every client runs the same election on the same
+ * state, the winner starts hosting and the rest join it with their ticket.
+ * Nobody has to pass around a new share code.
+ */
+
+const crypto = require('crypto');
+
+const MIGRATION_CONFIG = {
+    CONNECT_ATTEMPTS: 5,       // Per successor, while it starts hosting
+    RETRY_DELAY_MS: 1000,      // Grows with each attempt
+    DEFAULT_STANDBY_PORT: 8765,
+    HANDOVER_MS: 5 * 60 * 1000 // How long a new host lets the room in with the migration secret
+};
+
+// Moderators were trusted by the owner, so they take over first. Viewers never do
+const ROLE_RANK = { moderator: 1, member: 0 };
+
+/**
+ * Pick the next host: a moderator before a member, then whoever has been in
+ * the room longest, then the lowest id. All of it comes from the host, never
+ * from what participants say about themselves, so nobody can claim the room.
+ * Every peer gets the same answer from the same candidates.
+ * @param {Array<Object>} candidates - { id, role, joinedAt, ... }
+ * @returns {Object|null}
+ */
+function electHost(candidates) {
+    const ranked = [...(candidates || [])].sort((a, b) =>
+        (ROLE_RANK[b.role] ?? -1) - (ROLE_RANK[a.role] ?? -1)
+        || String(a.joinedAt).localeCompare(String(b.joinedAt))
+        || String(a.id).localeCompare(String(b.id)));
+    return ranked[0] || null;
+}
+
+function createTicket() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * What the room shares about a ticket: enough to recognise it, not to use it
+ */
+function hashTicket(ticket) {
+    return crypto.createHash('sha256').update(String(ticket)).digest('hex');
+}
+
+/**
+ * "::ffff:192.168.1.5" -> "192.168.1.5", so peers can dial it
+ */
+function dialableAddress(address) {
+    return String(address || '').replace(/^::ffff:/, '');
+}
+
+module.exports = {
+    MIGRATION_CONFIG,
+    ROLE_RANK,
+    electHost,
+    createTicket,
+    hashTicket,
+    dialableAddress
+};
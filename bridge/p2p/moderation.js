@@ -0,0 +1,242 @@
+/**
+ * P2P Room Moderation
+ *
+ * Roles, permissions, invites, bans, mutes and AI/chat limits for a P2PHost
+ * room. The host device is the owner; everyone else joins with the role of
+ * the invite they used.
+ *
+ * - owner:     everything, including changing roles
+ * - moderator: chat, AI requests, memory sync, kick/ban/mute lower roles
+ * - member:    chat, AI requests, memory sync
+ * - viewer:    read-only; sees the room and downloads its documents but can't
+ *              post, ask the AI or push memories
+ *
+ * Bans, mutes and quotas are kept per device address, so reconnecting under
+ * another name doesn't reset them.
+ */
+
+const crypto = require('crypto');
+
+const ROLES = {
+    OWNER: 'owner',
+    MODERATOR: 'moderator',
+    MEMBER: 'member',
+    VIEWER: 'viewer'
+};
+
+const ROLE_RANK = { owner: 3, moderator: 2, member: 1, viewer: 0 };
+
+const PERMISSIONS = {
+    CHAT: 'chat',
+    READ_DOCUMENTS: 'read_documents',   // Downloading documents shared in the room
+    AI_REQUEST: 'ai_request',
+    MEMORY_SYNC: 'memory_sync',   // Exchanging memories with the host (digests, requests and bundles)
+    MODERATE: 'moderate',
+    MANAGE_ROLES: 'manage_roles'
+};
+
+const ROLE_PERMISSIONS = {
+    owner: Object.values(PERMISSIONS),
+    moderator: [PERMISSIONS.CHAT, PERMISSIONS.READ_DOCUMENTS, PERMISSIONS.AI_REQUEST, PERMISSIONS.MEMORY_SYNC, PERMISSIONS.MODERATE],
+    member: [PERMISSIONS.CHAT, PERMISSIONS.READ_DOCUMENTS, PERMISSIONS.AI_REQUEST, PERMISSIONS.MEMORY_SYNC],
+    viewer: [PERMISSIONS.READ_DOCUMENTS]
+};
+
+const MODERATION_CONFIG = {
+    // AI requests spend the host's compute, so they are capped per minute and per day
+    ROLE_LIMITS: {
+        owner: { aiPerMinute: Infinity, aiPerDay: Infinity, chatPerMinute: Infinity },
+        moderator: { aiPerMinute: 10, aiPerDay: 200, chatPerMinute: 60 },
+        member: { aiPerMinute: 3, aiPerDay: 50, chatPerMinute: 20 },
+        viewer: { aiPerMinute: 0, aiPerDay: 0, chatPerMinute: 0 }
+    },
+    DEFAULT_MUTE_MS: 10 * 60 * 1000,
+    MAX_MUTE_MS: 7 * 24 * 60 * 60 * 1000,  // Longer mutes are cut to this
+    INVITE_SECRET_BYTES: 8
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+class RoomModeration {
+    /**
+     * @param {Object} [config] - Overrides MODERATION_CONFIG
+     */
+    constructor(config = {}) {
+        this.config = {
+            ...MODERATION_CONFIG,
+            ...config,
+            ROLE_LIMITS: { ...MODERATION_CONFIG.ROLE_LIMITS, ...(config.ROLE_LIMITS || {}) }
+        };
+        this.invites = new Map(); // id -> invite
+        this.bans = new Map();    // address -> { name, by, at }
+        this.mutes = new Map();   // address -> until (ms)
+        this.usage = new Map();   // `${address}:${kind}` -> [timestamps]
+    }
+
+    /**
+     * Create an invite: its secret goes in the share code and decides the joiner's role
+     * @param {Object} [options]
+     * @param {string} [options.role='member'] - moderator, member or viewer
+     * @param {number} [options.expiresInMs] - Never expires if omitted
+     * @param {number} [options.maxUses] - Unlimited if omitted
+     * @param {string} [options.secret] - Random if omitted
+     */
+    createInvite(options = {}) {
+        const role = options.role || ROLES.MEMBER;
+        if (!ROLE_RANK.hasOwnProperty(role) || role === ROLES.OWNER) {
+            throw new Error(`Invites can be for ${[ROLES.MODERATOR, ROLES.MEMBER, ROLES.VIEWER].join(', ')}`);
+        }
+
+        const invite = {
+            id: crypto.randomBytes(3).toString('hex'),
+            secret: options.secret || crypto.randomBytes(this.config.INVITE_SECRET_BYTES).toString('hex'),
+            role,
+            createdAt: Date.now(),
+            expiresAt: options.expiresInMs ? Date.now() + options.expiresInMs : null,
+            maxUses: options.maxUses || null,
+            uses: 0
+        };
+        this.invites.set(invite.id, invite);
+        return invite;
+    }
+
+    isInviteActive(invite) {
+        if (invite.expiresAt && Date.now() > invite.expiresAt) return false;
+        if (invite.maxUses && invite.uses >= invite.maxUses) return false;
+        return true;
+    }
+
+    activeInvites() {
+        return Array.from(this.invites.values()).filter(invite => this.isInviteActive(invite));
+    }
+
+    useInvite(invite) {
+        invite.uses++;
+    }
+
+    revokeInvite(id) {
+        return this.invites.delete(id);
+    }
+
+    can(role, permission) {
+        return (ROLE_PERMISSIONS[role] || []).includes(permission);
+    }
+
+    /**
+     * Moderators only act on roles below their own
+     */
+    canModerate(actorRole, targetRole) {
+        return this.can(actorRole, PERMISSIONS.MODERATE) && ROLE_RANK[actorRole] > ROLE_RANK[targetRole];
+    }
+
+    ban(address, details = {}) {
+        this.bans.set(address, { name: details.name || null, by: details.by || null, at: Date.now() });
+    }
+
+    /**
+     * Lift a ban by address or by the banned participant's name
+     * @returns {boolean}
+     */
+    unban(ref) {
+        if (this.bans.delete(ref)) return true;
+        for (const [address, ban] of this.bans) {
+            if (ban.name && ban.name.toLowerCase() === String(ref).toLowerCase()) {
+                return this.bans.delete(address);
+            }
+        }
+        return false;
+    }
+
+    isBanned(address) {
+        return this.bans.has(address);
+    }
+
+    /**
+     * @param {string} address
+     * @param {number} [durationMs] - Positive whole milliseconds, capped at MAX_MUTE_MS
+     * @returns {number} When the mute ends (ms)
+     */
+    mute(address, durationMs = this.config.DEFAULT_MUTE_MS) {
+        // Durations can come straight off the network
+        if (!Number.isSafeInteger(durationMs) || durationMs <= 0) {
+            throw new Error('Mute duration must be a positive number of milliseconds');
+        }
+        const until = Date.now() + Math.min(durationMs, this.config.MAX_MUTE_MS);
+        this.mutes.set(address, until);
+        return until;
+    }
+
+    unmute(address) {
+        return this.mutes.delete(address);
+    }
+
+    mutedUntil(address) {
+        const until = this.mutes.get(address);
+        if (!until) return null;
+        if (Date.now() >= until) {
+            this.mutes.delete(address);
+            return null;
+        }
+        return until;
+    }
+
+    /**
+     * Check and count one chat message or AI request against the role's limits
+     * @param {string} address - Device the request came from
+     * @param {string} role
+     * @param {string} kind - 'chat' or 'ai'
+     * @returns {{allowed: boolean, reason?: string, retryAfterMs?: number}}
+     */
+    consume(address, role, kind) {
+        const limits = this.config.ROLE_LIMITS[role] || this.config.ROLE_LIMITS.viewer;
+        const windows = kind === 'ai'
+            ? [['minute', MINUTE_MS, limits.aiPerMinute], ['day', DAY_MS, limits.aiPerDay]]
+            : [['minute', MINUTE_MS, limits.chatPerMinute]];
+
+        const key = `${address}:${kind}`;
+        const now = Date.now();
+        const longest = Math.max(...windows.map(([, ms]) => ms));
+        const history = (this.usage.get(key) || []).filter(at => now - at < longest);
+
+        for (const [name, ms, max] of windows) {
+            const inWindow = history.filter(at => now - at < ms);
+            if (inWindow.length >= max) {
+                this.usage.set(key, history);
+                return {
+                    allowed: false,
+                    reason: max === 0
+                        ? `A ${role} can't do that`
+                        : `Limit of ${max} ${kind === 'ai' ? 'AI requests' : 'messages'} per ${name} reached`,
+                    retryAfterMs: max === 0 ? null : ms - (now - inWindow[0])
+                };
+            }
+        }
+
+        history.push(now);
+        this.usage.set(key, history);
+        return { allowed: true };
+    }
+}
+
+/**
+ * "30m", "2h", "1d", "45s" or plain minutes -> milliseconds (null if unparseable)
+ */
+function parseDuration(text) {
+    const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/i.exec(String(text || '').trim());
+    if (!match) return null;
+    const unit = { s: 1000, m: MINUTE_MS, h: 60 * MINUTE_MS, d: DAY_MS }[(match[2] || 'm').toLowerCase()];
+    return Math.round(parseFloat(match[1]) * unit);
+}
+
+RoomModeration.CONFIG = MODERATION_CONFIG;
+
+module.exports = {
+    RoomModeration,
+    ROLES,
+    ROLE_RANK,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    MODERATION_CONFIG,
+    parseDuration
+};
@@ -0,0 +1,142 @@
+/**
+ * P2P Room Log
+ *
+ * The host's record of what was said in a room: chat, AI responses and
+ * document shares, each with a sequence number. Joiners and reconnecting
+ * clients send the last sequence number they saw and get everything after
+ * it, so nobody misses what was posted while they were away.
+ *
+ * The log is bounded (oldest entries drop off) and saved to a JSON file, so
+ * it survives the host restarting. The file belongs to one room: a host
+ * starting another room starts an empty log, so nobody is replayed an
+ * unrelated room's history. The log's id changes only when the file is lost
+ * or the room changes, which tells clients their sequence numbers refer to
+ * another log.
+ *
+ * Saves are batched: appends within SAVE_DELAY_MS are written together, to
+ * a temporary file that then replaces the log, so a crash never leaves half
+ * a log behind.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOM_LOG_CONFIG = {
+    MAX_ENTRIES: 500,     // Entries kept for replay
+    REPLAY_PAGE: 100,     // Entries per HISTORY frame
+    SAVE_DELAY_MS: 500    // Appends within this window are saved together
+};
+
+class RoomLog {
+    /**
+     * @param {string|null} filePath - Where to keep the log; null keeps it in memory
+     * @param {Object} [config] - Overrides ROOM_LOG_CONFIG
+     */
+    constructor(filePath = null, config = {}) {
+        this.filePath = filePath;
+        this.config = { ...ROOM_LOG_CONFIG, ...config };
+        this.id = crypto.randomBytes(6).toString('hex');
+        this.roomId = null;
+        this.lastSeq = 0;
+        this.entries = [];
+        this.saveTimer = null;
+    }
+
+    /**
+     * Record a room message
+     * @param {Object} msg - As broadcast to the room
+     * @returns {Object} The message with its seq
+     */
+    append(msg) {
+        const entry = { ...msg, seq: ++this.lastSeq };
+        this.entries.push(entry);
+        if (this.entries.length > this.config.MAX_ENTRIES) {
+            this.entries.splice(0, this.entries.length - this.config.MAX_ENTRIES);
+        }
+        this.scheduleSave();
+        return entry;
+    }
+
+    /**
+     * Everything after a client's last seen sequence number
+     * @param {number} [since=0]
+     * @param {string} [logId] - The log the client's seq came from; another log replays from the start
+     * @returns {{entries: Array<Object>, missed: number}} missed counts entries that already dropped off
+     */
+    since(since = 0, logId = null) {
+        const from = logId === this.id && since <= this.lastSeq ? Math.max(0, since) : 0;
+        const first = this.entries.length > 0 ? this.entries[0].seq : this.lastSeq + 1;
+        return {
+            entries: this.entries.filter(entry => entry.seq > from),
+            missed: Math.max(0, first - from - 1)
+        };
+    }
+
+    /**
+     * Take over another copy of the log (a migrated room's), keeping its id and seq numbers
+     * @param {Object} state - { id, lastSeq, entries }
+     */
+    restore(state) {
+        this.id = state.id || this.id;
+        this.entries = (state.entries || []).slice(-this.config.MAX_ENTRIES);
+        const newest = this.entries.length > 0 ? this.entries[this.entries.length - 1].seq : 0;
+        this.lastSeq = Math.max(state.lastSeq || 0, newest);
+        this.save();
+    }
+
+    scheduleSave() {
+        if (!this.filePath || this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.save(), this.config.SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Write the log now (e.g. before the host stops)
+     */
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.filePath) return;
+
+        try {
+            const dir = path.dirname(this.filePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify({
+                roomId: this.roomId,
+                id: this.id,
+                lastSeq: this.lastSeq,
+                entries: this.entries
+            }));
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (e) {
+            console.error('Failed to save room log:', e);
+        }
+    }
+
+    /**
+     * Load the log saved by a previous run of this room. Another room's log
+     * is not loaded, and is replaced on the next save.
+     * @param {string} [roomId]
+     */
+    load(roomId = null) {
+        this.roomId = roomId;
+        if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+        try {
+            const state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            if (state.roomId === roomId) {
+                this.restore(state);
+            }
+        } catch (e) {
+            console.error('Failed to load room log:', e);
+        }
+    }
+}
+
+RoomLog.CONFIG = ROOM_LOG_CONFIG;
+
+module.exports = { RoomLog, ROOM_LOG_CONFIG };
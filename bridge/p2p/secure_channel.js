@@ -0,0 +1,222 @@
+/**
+ * P2P Secure Channel
+ *
+ * Authenticated key exchange and sealed messages for P2P rooms, over the
+ * existing WebSocket transport.
+ *
+ * Handshake:
+ *   host -> HELLO  { hostKey, ephemeral, nonce, signature }
+ *       The host's ed25519 identity key signs a fresh X25519 key. The share
+ *       code carries the identity key's fingerprint, so the joiner knows it
+ *       is talking to the real host and not a LAN impostor.
+ *   client -> AUTH { ephemeral, box }
+ *       Both sides derive keys with HKDF from the X25519 secret, salted with
+ *       the room secret from the share code. `box` is the join request
+ *       sealed with those keys: only someone holding the share code can
+ *       produce it, and the room secret never crosses the wire. Because the
+ *       host is authenticated by its key, an eavesdropper can't run an
+ *       offline guess against the secret either (no separate PAKE needed).
+ *   host -> SEALED AUTH_SUCCESS
+ *
+ * Every message after that is a SEALED frame: ChaCha20-Poly1305 with one
+ * key per direction and a counter nonce, so frames can't be read, altered,
+ * replayed, reordered or reflected back.
+ */
+
+const crypto = require('crypto');
+
+const PROTOCOL = 'amphibian-p2p-v2';
+const CIPHER = 'chacha20-poly1305';
+const TAG_LENGTH = 16;
+const FINGERPRINT_BYTES = 16;
+
+/**
+ * Long-term ed25519 identity for a host
+ * @returns {{publicKey: string, privateKey: crypto.KeyObject, fingerprint: string}}
+ */
+function createIdentity() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const publicDer = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+    return { publicKey: publicDer, privateKey, fingerprint: fingerprintOf(publicDer) };
+}
+
+/**
+ * An identity as JSON, to keep a room's key across restarts
+ */
+function exportIdentity(identity) {
+    return {
+        publicKey: identity.publicKey,
+        privateKey: identity.privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
+}
+
+/**
+ * Inverse of exportIdentity()
+ */
+function importIdentity(saved) {
+    return {
+        publicKey: saved.publicKey,
+        privateKey: crypto.createPrivateKey(saved.privateKey),
+        fingerprint: fingerprintOf(saved.publicKey)
+    };
+}
+
+/**
+ * Short hash of a base64 DER public key, as put in share codes
+ */
+function fingerprintOf(publicKey) {
+    return crypto.createHash('sha256')
+        .update(Buffer.from(publicKey, 'base64'))
+        .digest('hex')
+        .slice(0, FINGERPRINT_BYTES * 2);
+}
+
+function createEphemeral() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('x25519');
+    return { publicKey: publicKey.export({ type: 'spki', format: 'der' }).toString('base64'), privateKey };
+}
+
+/**
+ * Per-direction keys from the X25519 secret, bound to the room secret and
+ * to every public value of the handshake
+ */
+function deriveKeys(privateKey, peerPublicKey, secret, transcript) {
+    const shared = crypto.diffieHellman({
+        privateKey,
+        publicKey: crypto.createPublicKey({ key: Buffer.from(peerPublicKey, 'base64'), format: 'der', type: 'spki' })
+    });
+    const salt = crypto.createHash('sha256').update(`${PROTOCOL}:${secret}`).digest();
+    const keys = Buffer.from(crypto.hkdfSync('sha256', shared, salt, transcript, 64));
+    return { clientToHost: keys.subarray(0, 32), hostToClient: keys.subarray(32, 64) };
+}
+
+function transcriptOf(hello, clientEphemeral) {
+    return Buffer.from([PROTOCOL, hello.hostKey, hello.ephemeral, hello.nonce, clientEphemeral].join('|'));
+}
+
+function helloPayload(hello) {
+    return Buffer.from([PROTOCOL, hello.ephemeral, hello.nonce].join('|'));
+}
+
+/**
+ * Seals and opens the room messages of one connection
+ */
+class SecureChannel {
+    constructor(sendKey, receiveKey, label) {
+        this.sendKey = sendKey;
+        this.receiveKey = receiveKey;
+        this.sendLabel = label;
+        this.receiveLabel = label === 'host' ? 'client' : 'host';
+        this.sendSeq = 0;
+        this.receiveSeq = 0;
+    }
+
+    /**
+     * @param {Object} msg
+     * @returns {string} A SEALED frame
+     */
+    seal(msg) {
+        const seq = this.sendSeq++;
+        const cipher = crypto.createCipheriv(CIPHER, this.sendKey, nonceFor(seq), { authTagLength: TAG_LENGTH });
+        cipher.setAAD(Buffer.from(this.sendLabel));
+        const body = Buffer.concat([cipher.update(JSON.stringify(msg), 'utf8'), cipher.final(), cipher.getAuthTag()]);
+        return JSON.stringify({ type: 'SEALED', seq, box: body.toString('base64') });
+    }
+
+    /**
+     * @param {Object} frame - A parsed SEALED frame
+     * @returns {Object} The message; throws if it was tampered with, replayed or out of order
+     */
+    open(frame) {
+        if (!frame || frame.type !== 'SEALED' || frame.seq !== this.receiveSeq) {
+            throw new Error('Unexpected or replayed frame');
+        }
+        const body = Buffer.from(frame.box || '', 'base64');
+        if (body.length < TAG_LENGTH) throw new Error('Truncated frame');
+
+        const decipher = crypto.createDecipheriv(CIPHER, this.receiveKey, nonceFor(frame.seq), { authTagLength: TAG_LENGTH });
+        decipher.setAAD(Buffer.from(this.receiveLabel));
+        decipher.setAuthTag(body.subarray(body.length - TAG_LENGTH));
+        const plain = Buffer.concat([decipher.update(body.subarray(0, body.length - TAG_LENGTH)), decipher.final()]);
+
+        this.receiveSeq++;
+        return JSON.parse(plain.toString('utf8'));
+    }
+}
+
+function nonceFor(seq) {
+    const nonce = Buffer.alloc(12);
+    nonce.writeBigUInt64BE(BigInt(seq), 4);
+    return nonce;
+}
+
+/**
+ * Host side: the HELLO for a new connection, and the state to check its AUTH
+ * @param {Object} identity - From createIdentity()
+ */
+function createHello(identity) {
+    const ephemeral = createEphemeral();
+    const hello = {
+        type: 'HELLO',
+        protocol: PROTOCOL,
+        hostKey: identity.publicKey,
+        ephemeral: ephemeral.publicKey,
+        nonce: crypto.randomBytes(16).toString('base64')
+    };
+    hello.signature = crypto.sign(null, helloPayload(hello), identity.privateKey).toString('base64');
+    return { hello, ephemeral };
+}
+
+/**
+ * Host side: check a joiner's AUTH
+ * @returns {{channel: SecureChannel, join: Object}} join is the sealed join request ({ name })
+ * @throws if the joiner doesn't hold the room secret
+ */
+function acceptAuth(state, auth, secret) {
+    if (!auth || auth.type !== 'AUTH' || typeof auth.ephemeral !== 'string' || !auth.box) {
+        throw new Error('Invalid handshake');
+    }
+    const keys = deriveKeys(state.ephemeral.privateKey, auth.ephemeral, secret, transcriptOf(state.hello, auth.ephemeral));
+    const channel = new SecureChannel(keys.hostToClient, keys.clientToHost, 'host');
+    const join = channel.open(auth.box);
+    return { channel, join };
+}
+
+/**
+ * Client side: verify the host's HELLO against the share code and answer it
+ * @param {Object} hello
+ * @param {Object} details - { fingerprint, secret } from the share code
+ * @param {Object} join - Sent sealed to the host, e.g. { name }
+ * @returns {{auth: Object, channel: SecureChannel}}
+ * @throws if the host isn't the one the share code names
+ */
+function answerHello(hello, details, join) {
+    if (!hello || hello.protocol !== PROTOCOL) {
+        throw new Error('Host speaks an unsupported P2P protocol');
+    }
+    if (fingerprintOf(hello.hostKey || '') !== details.fingerprint) {
+        throw new Error('Host key does not match the share code');
+    }
+    const hostKey = crypto.createPublicKey({ key: Buffer.from(hello.hostKey, 'base64'), format: 'der', type: 'spki' });
+    if (!crypto.verify(null, helloPayload(hello), hostKey, Buffer.from(hello.signature || '', 'base64'))) {
+        throw new Error('Host handshake signature is invalid');
+    }
+
+    const ephemeral = createEphemeral();
+    const keys = deriveKeys(ephemeral.privateKey, hello.ephemeral, details.secret, transcriptOf(hello, ephemeral.publicKey));
+    const channel = new SecureChannel(keys.clientToHost, keys.hostToClient, 'client');
+    const box = JSON.parse(channel.seal({ type: 'JOIN', ...join }));
+    return { auth: { type: 'AUTH', ephemeral: ephemeral.publicKey, box }, channel };
+}
+
+module.exports = {
+    PROTOCOL,
+    SecureChannel,
+    createIdentity,
+    exportIdentity,
+    importIdentity,
+    fingerprintOf,
+    createHello,
+    acceptAuth,
+    answerHello
+};
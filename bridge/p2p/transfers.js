@@ -0,0 +1,424 @@
+/**
+ * P2P Document Transfers
+ *
+ * Moves documents between room members over the sealed P2P socket:
+ *
+ *   sender    -> DOCUMENT_OFFER   { transferId, filename, size, sha256, chunkSize, chunks, category }
+ *   receiver  -> DOCUMENT_REQUEST { transferId, indices }   (a window of missing chunks)
+ *   sender    -> DOCUMENT_CHUNK   { transferId, index, data }  (base64)
+ *   sender    -> DOCUMENT_UNAVAILABLE { transferId }          (it no longer has the file)
+ *
+ * The receiver asks for the next window once the last one arrived, keeps what
+ * it has on disk and asks only for the missing chunks after a reconnect or a
+ * restart. The whole file is checked against the offer's sha256 before it is
+ * accepted. Rooms are stars, so the host relays: it downloads a participant's
+ * document first, then offers it to everyone.
+ *
+ * Every finished download can be served onward, so whoever takes over a
+ * room after host migration can still hand out its documents. Finished
+ * downloads are kept up to MAX_RECEIVED_BYTES; the oldest make room for new
+ * ones. Unfinished downloads that have been idle for IDLE_TIMEOUT_MS give
+ * way when a new offer needs their slot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const TRANSFER_CONFIG = {
+    CHUNK_SIZE: 64 * 1024,
+    MAX_DOCUMENT_BYTES: 25 * 1024 * 1024,
+    REQUEST_WINDOW: 8,      // Chunks asked for at a time
+    MAX_INCOMING: 5,        // Unfinished downloads kept at once
+    IDLE_TIMEOUT_MS: 2 * 60 * 1000,         // After this without a chunk, a download can be dropped for a new one
+    MAX_RECEIVED_BYTES: 200 * 1024 * 1024   // Finished downloads kept on disk
+};
+
+class DocumentTransfers {
+    /**
+     * @param {string|null} storageDir - Partial and finished downloads; null keeps them in memory
+     * @param {Object} [config] - Overrides TRANSFER_CONFIG
+     */
+    constructor(storageDir = null, config = {}) {
+        this.storageDir = storageDir;
+        this.config = { ...TRANSFER_CONFIG, ...config };
+        this.outgoing = new Map(); // transferId -> { offer, path?, buffer? }
+        this.incoming = new Map(); // transferId -> { offer, received: Set, from, outstanding, lastActivity, chunks? }
+    }
+
+    /**
+     * Offer a file, or a buffer, to a peer
+     * @param {string|Buffer} source - File path or contents
+     * @param {Object} [meta] - { filename, category }
+     * @returns {Object} The DOCUMENT_OFFER
+     */
+    createOffer(source, meta = {}) {
+        const buffer = Buffer.isBuffer(source) ? source : fs.readFileSync(source);
+        if (buffer.length === 0) {
+            throw new Error('Empty documents can\'t be shared');
+        }
+        if (buffer.length > this.config.MAX_DOCUMENT_BYTES) {
+            throw new Error(`Documents over ${formatBytes(this.config.MAX_DOCUMENT_BYTES)} can't be shared`);
+        }
+
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        const offer = {
+            type: 'DOCUMENT_OFFER',
+            transferId: sha256.slice(0, 16),
+            filename: safeFilename(meta.filename || (Buffer.isBuffer(source) ? 'document' : path.basename(source))),
+            size: buffer.length,
+            sha256,
+            chunkSize: this.config.CHUNK_SIZE,
+            chunks: Math.ceil(buffer.length / this.config.CHUNK_SIZE),
+            category: meta.category || null
+        };
+        this.outgoing.set(offer.transferId, Buffer.isBuffer(source) ? { offer, buffer } : { offer, path: source });
+        this.saveOutgoing();
+        return offer;
+    }
+
+    /**
+     * Answer a DOCUMENT_REQUEST
+     * @returns {Array<Object>} DOCUMENT_CHUNK messages, or one DOCUMENT_UNAVAILABLE
+     */
+    serve(request) {
+        const entry = this.outgoing.get(request.transferId);
+        const unavailable = [{ type: 'DOCUMENT_UNAVAILABLE', transferId: request.transferId }];
+        if (!entry) return unavailable;
+
+        const { offer } = entry;
+        const indices = (Array.isArray(request.indices) ? request.indices : [])
+            .filter(index => Number.isInteger(index) && index >= 0 && index < offer.chunks)
+            .slice(0, this.config.REQUEST_WINDOW);
+        try {
+            return indices.map(index => ({
+                type: 'DOCUMENT_CHUNK',
+                transferId: offer.transferId,
+                index,
+                data: this.readChunk(entry, index).toString('base64')
+            }));
+        } catch (e) {
+            // The file was moved or deleted since it was offered
+            this.outgoing.delete(offer.transferId);
+            this.saveOutgoing();
+            return unavailable;
+        }
+    }
+
+    /**
+     * Start, or resume, downloading an offer
+     * @param {Object} offer - A DOCUMENT_OFFER
+     * @param {string} [from] - Who to take chunks from; chunks from anyone else are ignored
+     * @returns {Object|null} The first DOCUMENT_REQUEST, or null if we already have the document
+     * @throws if the offer is malformed or over the size limit
+     */
+    accept(offer, from = null) {
+        this.validateOffer(offer);
+        if (this.outgoing.has(offer.transferId)) return null;
+
+        let entry = this.incoming.get(offer.transferId);
+        if (!entry) {
+            if (this.incoming.size >= this.config.MAX_INCOMING) {
+                this.dropIdle();
+            }
+            if (this.incoming.size >= this.config.MAX_INCOMING) {
+                throw new Error('Too many documents are already downloading');
+            }
+            entry = { offer: { ...offer, type: 'DOCUMENT_OFFER' }, received: new Set(), chunks: this.storageDir ? null : [] };
+            this.incoming.set(offer.transferId, entry);
+            this.saveIncoming(entry);
+        }
+        entry.from = from;
+        entry.outstanding = 0;
+        entry.lastActivity = Date.now();
+        return this.nextRequest(entry);
+    }
+
+    /**
+     * Store a DOCUMENT_CHUNK
+     * @param {Object} chunk
+     * @param {string} [from] - Who sent it
+     * @returns {{request?: Object, done?: {offer: Object, path?: string, buffer?: Buffer}}}
+     *   The next DOCUMENT_REQUEST once this window is in, or the verified document
+     * @throws if the chunk has the wrong length or the finished file fails its checksum
+     */
+    receive(chunk, from = null) {
+        const entry = this.incoming.get(chunk.transferId);
+        if (!entry || entry.from !== from) return {};
+
+        const { offer } = entry;
+        const { index } = chunk;
+        if (!Number.isInteger(index) || index < 0 || index >= offer.chunks || entry.received.has(index)) return {};
+
+        const data = Buffer.from(String(chunk.data || ''), 'base64');
+        const expected = index === offer.chunks - 1 ? offer.size - index * offer.chunkSize : offer.chunkSize;
+        if (data.length !== expected) {
+            throw new Error(`Chunk ${index} of ${offer.filename} has the wrong length`);
+        }
+
+        this.writeChunk(entry, index, data);
+        entry.received.add(index);
+        entry.outstanding--;
+        entry.lastActivity = Date.now();
+        this.saveIncoming(entry);
+
+        if (entry.received.size === offer.chunks) {
+            return { done: this.finish(entry) };
+        }
+        return entry.outstanding <= 0 ? { request: this.nextRequest(entry) } : {};
+    }
+
+    /**
+     * Requests for every unfinished download from a new source (after reconnecting)
+     * @returns {Array<Object>} DOCUMENT_REQUESTs
+     */
+    resume(from = null) {
+        const requests = [];
+        for (const entry of this.incoming.values()) {
+            entry.from = from;
+            entry.outstanding = 0;
+            entry.lastActivity = Date.now();
+            const request = this.nextRequest(entry);
+            if (request) requests.push(request);
+        }
+        return requests;
+    }
+
+    /**
+     * Give up on a download (e.g. the sender no longer has it)
+     */
+    cancel(transferId) {
+        const entry = this.incoming.get(transferId);
+        if (!entry) return false;
+        this.incoming.delete(transferId);
+        this.removeFiles(transferId);
+        return true;
+    }
+
+    /**
+     * Give up on every download from one source (e.g. a participant who left)
+     * @param {string|null} from
+     * @returns {number} Downloads cancelled
+     */
+    cancelFrom(from) {
+        const ids = Array.from(this.incoming.values())
+            .filter(entry => entry.from === from)
+            .map(entry => entry.offer.transferId);
+        for (const id of ids) this.cancel(id);
+        return ids.length;
+    }
+
+    /**
+     * Drop downloads that haven't had a chunk for IDLE_TIMEOUT_MS
+     */
+    dropIdle() {
+        const cutoff = Date.now() - this.config.IDLE_TIMEOUT_MS;
+        for (const entry of Array.from(this.incoming.values())) {
+            if (entry.lastActivity < cutoff) this.cancel(entry.offer.transferId);
+        }
+    }
+
+    /**
+     * @returns {Array<{offer: Object, received: number}>} Unfinished downloads
+     */
+    pending() {
+        return Array.from(this.incoming.values()).map(entry => ({ offer: entry.offer, received: entry.received.size }));
+    }
+
+    validateOffer(offer) {
+        if (!offer || typeof offer.transferId !== 'string' || !/^[0-9a-f]{16}$/.test(offer.transferId)) {
+            throw new Error('Invalid document offer');
+        }
+        if (typeof offer.sha256 !== 'string' || !/^[0-9a-f]{64}$/.test(offer.sha256) || !offer.sha256.startsWith(offer.transferId)) {
+            throw new Error('Invalid document checksum');
+        }
+        if (!Number.isInteger(offer.size) || offer.size < 1) {
+            throw new Error('Invalid document size');
+        }
+        if (offer.size > this.config.MAX_DOCUMENT_BYTES) {
+            throw new Error(`${offer.filename} is over the ${formatBytes(this.config.MAX_DOCUMENT_BYTES)} limit`);
+        }
+        if (!Number.isInteger(offer.chunkSize) || offer.chunkSize < 1 || offer.chunkSize > this.config.CHUNK_SIZE * 4
+            || offer.chunks !== Math.ceil(offer.size / offer.chunkSize)) {
+            throw new Error('Invalid document chunking');
+        }
+        offer.filename = safeFilename(offer.filename);
+    }
+
+    nextRequest(entry) {
+        const indices = [];
+        for (let i = 0; i < entry.offer.chunks && indices.length < this.config.REQUEST_WINDOW; i++) {
+            if (!entry.received.has(i)) indices.push(i);
+        }
+        if (indices.length === 0) return null;
+        entry.outstanding = indices.length;
+        return { type: 'DOCUMENT_REQUEST', transferId: entry.offer.transferId, indices };
+    }
+
+    /**
+     * Check the assembled file and keep it; it can then be served to others
+     */
+    finish(entry) {
+        const { offer } = entry;
+        const buffer = this.storageDir
+            ? fs.readFileSync(this.partPath(offer.transferId))
+            : Buffer.concat(entry.chunks);
+        this.incoming.delete(offer.transferId);
+
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        if (sha256 !== offer.sha256) {
+            this.removeFiles(offer.transferId);
+            throw new Error(`${offer.filename} failed its checksum and was discarded`);
+        }
+
+        if (!this.storageDir) {
+            this.outgoing.set(offer.transferId, { offer, buffer });
+            return { offer, buffer };
+        }
+
+        const receivedDir = path.join(this.storageDir, 'received');
+        ensureDir(receivedDir);
+        this.makeRoom(receivedDir, offer.size);
+        const finalPath = path.join(receivedDir, `${offer.transferId}_${offer.filename}`);
+        fs.renameSync(this.partPath(offer.transferId), finalPath);
+        this.removeFiles(offer.transferId);
+        this.outgoing.set(offer.transferId, { offer, path: finalPath });
+        this.saveOutgoing();
+        return { offer, path: finalPath };
+    }
+
+    /**
+     * Forget the oldest finished downloads until `bytes` more fit under MAX_RECEIVED_BYTES
+     */
+    makeRoom(receivedDir, bytes) {
+        const received = Array.from(this.outgoing.values())
+            .filter(entry => entry.path && path.dirname(entry.path) === receivedDir);
+        let total = received.reduce((sum, entry) => sum + entry.offer.size, 0);
+        for (const entry of received) {
+            if (total + bytes <= this.config.MAX_RECEIVED_BYTES) break;
+            fs.rmSync(entry.path, { force: true });
+            this.outgoing.delete(entry.offer.transferId);
+            total -= entry.offer.size;
+        }
+    }
+
+    readChunk(entry, index) {
+        const { offer } = entry;
+        const start = index * offer.chunkSize;
+        const length = Math.min(offer.chunkSize, offer.size - start);
+        if (entry.buffer) return entry.buffer.subarray(start, start + length);
+
+        const chunk = Buffer.alloc(length);
+        const fd = fs.openSync(entry.path, 'r');
+        try {
+            fs.readSync(fd, chunk, 0, length, start);
+        } finally {
+            fs.closeSync(fd);
+        }
+        return chunk;
+    }
+
+    writeChunk(entry, index, data) {
+        if (!this.storageDir) {
+            entry.chunks[index] = data;
+            return;
+        }
+        const partPath = this.partPath(entry.offer.transferId);
+        const fd = fs.openSync(partPath, fs.existsSync(partPath) ? 'r+' : 'w+');
+        try {
+            fs.writeSync(fd, data, 0, data.length, index * entry.offer.chunkSize);
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    partPath(transferId) {
+        return path.join(this.storageDir, `${transferId}.part`);
+    }
+
+    removeFiles(transferId) {
+        if (!this.storageDir) return;
+        for (const file of [this.partPath(transferId), path.join(this.storageDir, `${transferId}.json`)]) {
+            fs.rmSync(file, { force: true });
+        }
+    }
+
+    saveIncoming(entry) {
+        if (!this.storageDir) return;
+
+        try {
+            ensureDir(this.storageDir);
+            fs.writeFileSync(path.join(this.storageDir, `${entry.offer.transferId}.json`),
+                JSON.stringify({ offer: entry.offer, received: Array.from(entry.received) }));
+        } catch (e) {
+            console.error(`Failed to save transfer of ${entry.offer.filename}:`, e);
+        }
+    }
+
+    saveOutgoing() {
+        if (!this.storageDir) return;
+
+        try {
+            ensureDir(this.storageDir);
+            // Buffers offered in memory can't be served after a restart
+            const shared = Array.from(this.outgoing.values())
+                .filter(entry => entry.path)
+                .map(entry => ({ offer: entry.offer, path: entry.path }));
+            fs.writeFileSync(path.join(this.storageDir, 'outgoing.json'), JSON.stringify(shared, null, 2));
+        } catch (e) {
+            console.error('Failed to save shared documents:', e);
+        }
+    }
+
+    /**
+     * Load shared documents and unfinished downloads from a previous run
+     */
+    load() {
+        if (!this.storageDir || !fs.existsSync(this.storageDir)) return;
+
+        try {
+            const outgoingPath = path.join(this.storageDir, 'outgoing.json');
+            if (fs.existsSync(outgoingPath)) {
+                for (const entry of JSON.parse(fs.readFileSync(outgoingPath, 'utf8'))) {
+                    this.outgoing.set(entry.offer.transferId, entry);
+                }
+            }
+            for (const file of fs.readdirSync(this.storageDir)) {
+                if (!file.endsWith('.json') || file === 'outgoing.json') continue;
+                const state = JSON.parse(fs.readFileSync(path.join(this.storageDir, file), 'utf8'));
+                this.incoming.set(state.offer.transferId, {
+                    offer: state.offer,
+                    received: new Set(state.received),
+                    from: null,
+                    outstanding: 0,
+                    lastActivity: Date.now(),
+                    chunks: null
+                });
+            }
+        } catch (e) {
+            console.error('Failed to load document transfers:', e);
+        }
+    }
+}
+
+/**
+ * Only the file's own name, nothing that could climb out of a directory
+ */
+function safeFilename(name) {
+    const base = path.basename(String(name || 'document')).replace(/[\u0000-\u001f<>:"/\\|?*]/g, '_');
+    return base && base !== '.' && base !== '..' ? base.slice(0, 200) : 'document';
+}
+
+function formatBytes(bytes) {
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+function ensureDir(dir) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+}
+
+DocumentTransfers.CONFIG = TRANSFER_CONFIG;
+
+module.exports = { DocumentTransfers, TRANSFER_CONFIG };
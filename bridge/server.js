@@ -20,6 +20,7 @@
 const WebSocket = require('ws');
 const http = require('http');
 const path = require('path');
+const fs = require('fs');
 
 // Configuration
 const PORT = process.env.AMPHIBIAN_PORT || 3000;
@@ -36,6 +37,7 @@ const EVENTS = {
     PROVIDE_INPUT: 'PROVIDE_INPUT',
     CALL_TOOL: 'CALL_TOOL',
     EXECUTE_COMMAND: 'EXECUTE_COMMAND',
+    SESSION_REQUEST: 'SESSION_REQUEST',  // { action: list|new|switch|rename|archive|search, ... }
     
     // Outbound (Agent -> UI)
     STATUS_UPDATE: 'STATUS_UPDATE',
@@ -48,14 +50,15 @@ const EVENTS = {
     AI_RESPONSE: 'AI_RESPONSE',
     COMMAND_RESULT: 'COMMAND_RESULT',
     P2P_STATUS: 'P2P_STATUS',
-    COLLECTIVE_STATUS: 'COLLECTIVE_STATUS'
+    COLLECTIVE_STATUS: 'COLLECTIVE_STATUS',
+    CONFIRM_TOOL: 'CONFIRM_TOOL',        // Answered with PROVIDE_INPUT { requestId, approved, remember }
+    SESSION_UPDATE: 'SESSION_UPDATE'     // { active, sessions } after any session change
 };
 
 // State
 let activeSocket = null;
 let agentBusy = false;
 let currentTaskAborted = false;
-let privateChat = null; // { personality, history }
 let p2pHost = null;
 let p2pClient = null;
 
@@ -65,18 +68,29 @@ let collectiveClient = null;
 let collectiveBrain = null;
 let useCollectiveForNextInference = false;
 
+// Long-term memory session (one per UI connection)
+let memorySessionId = null;
+
 // Core Components
 const AmphibianHost = require('./mcp_host');
 const MultiBrainRouter = require('./brains/router');
 const LocalBrain = require('./brains/local_brain');
 const ConversationMemory = require('./brains/memory');
+const { AgentLoop } = require('./brains/agent_loop');
+const { ANDROID_TOOLS } = require('./android_mcp');
 
 // New Landseek Features
 const { PersonalityManager } = require('./personalities');
 const { DocumentManager } = require('./documents');
+const { SessionManager } = require('./sessions');
+const { formatCitation } = require('./documents/retrieval');
 const { CommandProcessor } = require('./commands');
+const { ActionDispatcher } = require('./commands/actions');
+const { ToolPolicy } = require('./tool_policy');
+const { ExtensionMarketplace } = require('./marketplace');
 const { P2PHost, P2PClient } = require('./p2p');
 const ModelManager = require('./model_manager');
+const { MemoryService, MemorySync, RAGIntegration, BrainEmbedder, HashingEmbedder, RuleBasedExtractor, LLMExtractor } = require('./memory_format');
 
 // Collective Mode
 const { CollectiveCoordinator, CollectiveBrain, CollectiveClient } = require('./collective');
@@ -87,17 +101,53 @@ const { handleIdentityRoutes } = require('./identity/routes');
 
 // Initialize Components with TPU optimization
 const host = new AmphibianHost();
+// LLM_BACKENDS picks llama.cpp, OpenAI-compatible or on-device MediaPipe instead of (or before) Ollama
 const localBrain = new LocalBrain({
     baseUrl: OLLAMA_URL,
-    model: TPU_MODEL
+    model: TPU_MODEL,
+    androidCallback: (tool, args) => androidToolCallback(tool, args)
+});
+// History budgeted to the model's context window; evicted turns are summarized by the local brain
+const memory = new ConversationMemory({ model: TPU_MODEL, summarizer: localBrain });
+
+// Named conversations, each with its own transcript and memory, kept across restarts
+const sessions = new SessionManager(path.join(STORAGE_PATH, 'sessions'));
+
+// Every Android and MCP tool call is allowed, confirmed by the user or denied here
+const toolPolicy = new ToolPolicy(path.join(STORAGE_PATH, 'tool_policy.json'));
+host.setPolicy(toolPolicy);
+
+// Extensions run on the same host, so their tools reach the agent and go through the tool policy
+const marketplace = new ExtensionMarketplace({
+    host,
+    extensionsDir: path.join(STORAGE_PATH, 'extensions'),
+    configFile: path.join(STORAGE_PATH, 'extensions', 'installed.json'),
+    catalogCacheFile: path.join(STORAGE_PATH, 'extensions', 'catalog_cache.json')
 });
-const router = new MultiBrainRouter(localBrain);
-const memory = new ConversationMemory(50); // Extended memory for complex tasks
 
 // Initialize Landseek Features
 const personalities = new PersonalityManager(path.join(STORAGE_PATH, 'personalities.json'));
-const documents = new DocumentManager(path.join(STORAGE_PATH, 'documents'));
+// MEMORY_EMBEDDER=hashing embeds offline when no Ollama embedding model is installed
+const embedder = process.env.MEMORY_EMBEDDER === 'hashing' ? new HashingEmbedder() : new BrainEmbedder(localBrain);
+// Routing reuses decisions for similar tasks and learns from /route corrections
+const router = new MultiBrainRouter(localBrain, {
+    embedder,
+    examplesPath: path.join(STORAGE_PATH, 'route_examples.json')
+});
+router.load();
+const documents = new DocumentManager(path.join(STORAGE_PATH, 'documents'), { embedder });
 const identityManager = new IdentityManager(path.join(STORAGE_PATH, 'identity'));
+const longTermMemory = new MemoryService({
+    storagePath: path.join(STORAGE_PATH, 'memory'),
+    embedder,
+    brain: localBrain,
+    // LLM extraction costs an inference per memory, so it is opt-in
+    extractors: process.env.MEMORY_LLM_EXTRACTION === 'true'
+        ? [new RuleBasedExtractor(), new LLMExtractor(localBrain)]
+        : [new RuleBasedExtractor()]
+});
+// Exchanges shared memories with P2P room participants
+const memorySync = new MemorySync(longTermMemory);
 
 const commandProcessor = new CommandProcessor({
     personalities,
@@ -107,10 +157,23 @@ const commandProcessor = new CommandProcessor({
     identityManager
 });
 
+// Runs the actions returned by slash commands
+const actionDispatcher = new ActionDispatcher({
+    send: (type, payload) => send(type, payload),
+    events: EVENTS,
+    localBrain
+});
+
 // Load saved state
 personalities.load();
+toolPolicy.load();
 documents.loadDocumentIndex();
 identityManager.load();
+sessions.load();
+resumeSession(sessions.getActive());
+longTermMemory.load()
+    .then(() => longTermMemory.startConsolidation())
+    .catch(e => console.error('Failed to load memory:', e));
 
 // Android Bridge Callback (injected via JNI in production)
 let androidToolCallback = global.androidBridgeCallback || async function(toolName, args) {
@@ -125,11 +188,143 @@ let androidToolCallback = global.androidBridgeCallback || async function(toolNam
     };
 };
 
+// Mirror long-term memories into the Android RAG service when on device
+const ragSink = RAGIntegration.createSink((tool, args) => androidToolCallback(tool, args));
+if (global.androidBridgeCallback) {
+    longTermMemory.addSink(ragSink);
+}
+
 // Initialize Model Manager
 const modelManager = new ModelManager(async (tool, args) => {
     return androidToolCallback(tool, args);
 });
 
+/**
+ * Call an Android tool on someone's behalf, after the tool policy agrees.
+ * Internal plumbing (RAG sink, model manager) calls androidToolCallback directly.
+ * @param {Object} [context] - { requester, personality, reason }
+ */
+async function callAndroidTool(tool, args, context = {}) {
+    const verdict = await toolPolicy.authorize({ ...context, server: 'android', tool, args });
+    if (!verdict.approved) {
+        return { success: false, denied: true, message: `Not permitted: ${verdict.reason}` };
+    }
+    return androidToolCallback(tool, args);
+}
+
+// Android's remember/recall are answered from the bridge's long-term memory
+const MEMORY_TOOLS = ['remember', 'recall'];
+
+/**
+ * Every tool the agent loop may call: Android, memory and connected MCP servers
+ * @returns {Promise<Array<{name, description, inputSchema, server, tool}>>}
+ */
+async function listAgentTools() {
+    const android = ANDROID_TOOLS.map(tool => {
+        const server = MEMORY_TOOLS.includes(tool.name) ? 'memory' : 'android';
+        return { ...tool, name: `${server}_${tool.name}`, server, tool: tool.name };
+    });
+    const mcp = (await host.getAllTools()).map(tool => ({
+        ...tool,
+        tool: tool.name.slice(tool.server.length + 1)
+    }));
+    return [...android, ...mcp];
+}
+
+/**
+ * Run a tool the agent loop asked for, under the tool policy
+ * @param {Object} context - { requester, personality, reason }
+ */
+async function callAgentTool(server, tool, args, context = {}) {
+    if (server === 'android') {
+        return callAndroidTool(tool, args, context);
+    }
+    if (server === 'memory') {
+        const verdict = await toolPolicy.authorize({ ...context, server, tool, args });
+        if (!verdict.approved) {
+            return { success: false, denied: true, message: `Not permitted: ${verdict.reason}` };
+        }
+        if (tool === 'remember') {
+            await longTermMemory.remember(args.content);
+            return { success: true, message: `Memory saved: "${args.content}"` };
+        }
+        const results = await longTermMemory.recall(args.query);
+        return results.length > 0 ? formatRecall(results) : `No relevant memories found for: ${args.query}`;
+    }
+    return host.callTool(server, tool, args, context);
+}
+
+const agentLoop = new AgentLoop({
+    brain: localBrain,
+    listTools: listAgentTools,
+    callTool: callAgentTool
+});
+
+/**
+ * System prompt for the agent loop, in a personality's voice if one is acting
+ */
+function agentSystemPrompt(personality, options = {}) {
+    const base = personality
+        ? personalities.buildSystemPrompt(personality, options)
+        : "You are Amphibian, an AI agent running on the user's device.";
+    return `${base}\n\nUse your tools when a request needs them, one step at a time, and base your answer on their results. Only send messages, place calls or change files when that is exactly what was asked.`;
+}
+
+/**
+ * Show the agent loop's steps in the UI as they happen
+ */
+function reportAgentStep(onLog) {
+    return (event) => {
+        if (event.type === 'tool_use') {
+            onLog(`🛠️ Step ${event.step}: ${event.tool}`, 'info');
+            send(EVENTS.TOOL_USE, {
+                tool: event.tool,
+                server: event.server,
+                args: event.args,
+                step: event.step,
+                status: 'starting'
+            });
+        } else {
+            if (event.isError) onLog(`⚠️ ${event.tool}: ${event.text}`, 'error');
+            send(EVENTS.TOOL_RESULT, {
+                tool: event.tool,
+                step: event.step,
+                result: event.result,
+                isError: event.isError,
+                latencyMs: event.latencyMs
+            });
+        }
+    };
+}
+
+// Ask the UI to confirm tool calls; without a UI there is no one to say yes
+toolPolicy.on('confirm', (request) => {
+    if (!activeSocket || activeSocket.readyState !== WebSocket.OPEN) {
+        toolPolicy.answer(request.requestId, { approved: false });
+        return;
+    }
+    send(EVENTS.CONFIRM_TOOL, request);
+});
+
+// Keep the router in step with MCP servers as mcp.json changes and servers restart
+host.on('server_started', ({ name }) => router.register(name, true));
+host.on('server_stopped', ({ name }) => router.unregister(name));
+host.on('server_failed', ({ name, error }) => {
+    router.unregister(name);
+    send(EVENTS.ERROR, { message: `MCP server ${name} keeps failing and was given up on: ${error}. Try /mcp restart ${name}` });
+});
+host.on('config_applied', ({ started, stopped, restarted, failed }) => {
+    const changes = [
+        ...started.map(name => `+${name}`),
+        ...stopped.map(name => `-${name}`),
+        ...restarted.map(name => `↻${name}`),
+        ...failed.map(name => `✗${name}`)
+    ];
+    if (changes.length > 0) {
+        send(EVENTS.LOG, { text: `🔌 MCP servers updated: ${changes.join(' ')}`, type: 'info' });
+    }
+});
+
 // Start MCP Servers (Brain Modules)
 async function startBrains() {
     try {
@@ -141,8 +336,9 @@ async function startBrains() {
 
         const filteredConfigs = brainConfigs.filter(config => config.apiKey);
 
+        // Supervised: restarted with backoff if they crash
         const connections = filteredConfigs.map(config =>
-            host.connectStdioServer(config.name, 'node', [config.adapter])
+            host.supervise(config.name, 'node', [config.adapter])
                 .then(() => router.register(config.name, true))
         );
 
@@ -162,8 +358,12 @@ async function startBrains() {
         router.register('local', true);
         console.log('✅ Local Brain (TPU) registered');
 
-        // Load MCP servers from mcp.json config
+        // Load MCP servers from mcp.json config, then follow edits to it
         const mcpResult = await host.connectFromConfig();
+        host.watchConfig();
+
+        // Start installed marketplace extensions (ext_<id>) in their sandboxes
+        await marketplace.initialize();
 
         // Register connected MCP servers with the router
         for (const [name] of host.clients) {
@@ -171,19 +371,20 @@ async function startBrains() {
         }
 
         // Also support legacy env var approach for Jules/Stitch/Context7
-        if (process.env.JULES_API_KEY && !host.clients.has('jules')) {
+        // (skipped while a failed first attempt is still being retried)
+        if (process.env.JULES_API_KEY && !host.clients.has('jules') && !host.managed.has('jules')) {
             await host.connectStdioServer('jules', 'node', ['./mcp_servers/jules_adapter.js']);
             router.register('jules', true);
             console.log('✅ Jules (Coding Agent) connected');
         }
 
-        if (process.env.STITCH_API_KEY && !host.clients.has('stitch')) {
+        if (process.env.STITCH_API_KEY && !host.clients.has('stitch') && !host.managed.has('stitch')) {
             await host.connectStdioServer('stitch', 'node', ['./mcp_servers/stitch_adapter.js']);
             router.register('stitch', true);
             console.log('✅ Stitch (UI Designer) connected');
         }
 
-        if (process.env.CONTEXT7_API_KEY && !host.clients.has('context7')) {
+        if (process.env.CONTEXT7_API_KEY && !host.clients.has('context7') && !host.managed.has('context7')) {
             await host.connectStdioServer('context7', 'node', ['./mcp_servers/context7_adapter.js']);
             router.register('context7', true);
             console.log('✅ Context7 (Memory) connected');
@@ -191,7 +392,7 @@ async function startBrains() {
 
         // Connect Local Android System Tools
         const AndroidSystemServer = require('./android_mcp');
-        const androidServer = new AndroidSystemServer(androidToolCallback);
+        const androidServer = new AndroidSystemServer((tool, args) => callAndroidTool(tool, args));
         router.register('android', true);
         console.log('✅ Android System Tools connected');
 
@@ -204,6 +405,7 @@ async function startBrains() {
 // Set Android Bridge Callback (called from JNI)
 global.setAndroidBridgeCallback = function(callback) {
     androidToolCallback = callback;
+    longTermMemory.addSink(ragSink);
     console.log('📱 Android Bridge Callback registered');
 };
 
@@ -212,8 +414,9 @@ startBrains();
 // ClawdBot Agent - Full Tool Support
 const agent = {
     /**
-     * Execute a user task with full ClawdBot tool support
-     * Routes to appropriate brain/tool based on intent classification
+     * Execute a user task with full ClawdBot tool support.
+     * The local brain works through the task with tools (see AgentLoop);
+     * the collective pool answers without tools when asked for.
      */
     execute: async (task, onLog, options = {}) => {
         if (currentTaskAborted) {
@@ -224,114 +427,58 @@ const agent = {
         
         // 0. Update Memory
         memory.add('user', task);
-        
-        // 1. Intent Classification via Local TPU Brain (fast on-device)
-        const decision = await router.route(task, memory.getHistory());
-        onLog(`🎯 Routing to: ${decision.toolName} (${decision.reason})`, 'thought');
+        sessions.addMessage('user', task);
+        const personalityId = options.personality || sessions.getActive().privateWith;
         
         try {
             let resultText = "";
-            
-            // Send tool use notification
-            send(EVENTS.TOOL_USE, { 
-                tool: decision.toolName, 
-                status: 'starting',
-                confidence: decision.confidence 
-            });
 
-            switch (decision.toolName) {
-                case 'jules':
-                    // Google Jules for coding tasks
-                    onLog('🔧 Delegating to Jules (Coding Agent)...', 'info');
-                    const julesResult = await host.callTool('jules', 'create_coding_session', {
-                        prompt: task, 
-                        source: 'current' 
-                    });
-                    resultText = julesResult.content ? julesResult.content[0].text : JSON.stringify(julesResult);
-                    break;
-
-                case 'stitch':
-                    // Google Stitch for UI generation
-                    onLog('🎨 Delegating to Stitch (UI Designer)...', 'info');
-                    const stitchResult = await host.callTool('stitch', 'generate_ui', { prompt: task });
-                    resultText = stitchResult.content ? stitchResult.content[0].text : JSON.stringify(stitchResult);
-                    break;
-
-                case 'context7':
-                    // Context7 for memory/knowledge retrieval
-                    onLog('📚 Searching knowledge base...', 'info');
-                    const context7Result = await host.callTool('context7', 'recall_memories', { query: task });
-                    resultText = context7Result.content ? context7Result.content[0].text : "No relevant memories found.";
-                    break;
-
-                case 'android':
-                    // Android native tools (SMS, Calls, Files, etc.)
-                    resultText = await executeAndroidTool(task, onLog);
-                    break;
-
-                case 'collective':
-                    // Collective distributed inference
-                    if (collectiveBrain && await collectiveBrain.isAvailable()) {
-                        onLog('🌐 Thinking with collective brain...', 'info');
-                        if (options.stream) {
-                            resultText = await streamCollectiveResponse(task, onLog);
-                        } else {
-                            const messages = memory.getHistory();
-                            const response = await collectiveBrain.chat(messages);
-                            resultText = response.content || "Collective inference failed.";
-                        }
-                    } else {
-                        // Fallback to local
-                        onLog('⚠️ Collective not available, using local brain...', 'info');
-                        const messages = memory.getHistory();
-                        const response = await localBrain.chat(messages);
-                        resultText = response.content || "I apologize, I couldn't generate a response.";
-                    }
-                    break;
-
-                default:
-                    // Local TPU Brain for general chat/reasoning
-                    // Check if collective should be used
-                    const brain = getActiveBrain();
-                    const isCollective = brain === collectiveBrain;
-                    
-                    if (isCollective) {
-                        onLog('🌐 Thinking with collective brain...', 'info');
-                    } else {
-                        onLog('💭 Thinking with local TPU...', 'info');
-                    }
-                    
-                    // Check for streaming preference
-                    if (options.stream) {
-                        if (isCollective) {
-                            resultText = await streamCollectiveResponse(task, onLog);
-                        } else {
-                            resultText = await streamLocalResponse(task, onLog);
-                        }
-                    } else {
-                        const messages = memory.getHistory();
-                        const response = await brain.chat(messages);
-                        resultText = response.content || "I apologize, I couldn't generate a response.";
-                    }
-                    break;
+            // 1. Collective: requested with /usecollective or routed there
+            let useCollective = getActiveBrain() === collectiveBrain;
+            if (!useCollective && collectiveBrain && await collectiveBrain.isAvailable()) {
+                const decision = await router.route(task, memory.getHistory());
+                useCollective = decision.toolName === 'collective';
             }
 
-            // Send tool completion
-            send(EVENTS.TOOL_USE, { 
-                tool: decision.toolName, 
-                status: 'completed' 
-            });
+            if (useCollective) {
+                onLog('🌐 Thinking with collective brain...', 'info');
+                send(EVENTS.TOOL_USE, { tool: 'collective', status: 'starting' });
+                if (options.stream) {
+                    resultText = await streamCollectiveResponse(task, onLog);
+                } else {
+                    const response = await collectiveBrain.chat(memory.getHistory());
+                    resultText = response.content || "Collective inference failed.";
+                }
+                send(EVENTS.TOOL_USE, { tool: 'collective', status: 'completed' });
+            } else {
+                // 2. Local TPU brain, calling tools until it can answer
+                onLog('💭 Thinking with local TPU...', 'info');
+                const personality = personalityId ? personalities.get(personalityId) : null;
+                memory.pin('system', agentSystemPrompt(personality));
+                const outcome = await agentLoop.run(memory.getHistory(), {
+                    // Tool calls go through the tool policy on behalf of whoever asked
+                    context: {
+                        requester: options.requester || { type: 'user' },
+                        personality: personalityId,
+                        reason: task
+                    },
+                    onEvent: reportAgentStep(onLog),
+                    onChunk: options.stream ? (text) => send(EVENTS.STREAM_CHUNK, { text }) : undefined,
+                    isAborted: () => currentTaskAborted
+                });
+                if (outcome.budgetExhausted) {
+                    onLog(`⏱️ Used all ${outcome.steps} tool steps`, 'info');
+                }
+                resultText = outcome.content || "I apologize, I couldn't generate a response.";
+            }
 
             memory.add('assistant', resultText);
+            sessions.addMessage('assistant', resultText, { personality: personalityId });
+            saveSessionState();
             return resultText;
             
         } catch (err) {
             onLog(`❌ Error executing task: ${err.message}`, 'error');
-            send(EVENTS.TOOL_USE, { 
-                tool: decision.toolName, 
-                status: 'failed',
-                error: err.message 
-            });
             return `Task Failed: ${err.message}`;
         }
     },
@@ -339,11 +486,14 @@ const agent = {
     /**
      * Direct tool execution for explicit tool calls
      */
-    callTool: async (toolServer, toolName, args, onLog) => {
+    callTool: async (toolServer, toolName, args, onLog, context = { requester: { type: 'user' } }) => {
         onLog(`🛠️ Calling tool: ${toolServer}/${toolName}`, 'info');
         
         try {
-            const result = await host.callTool(toolServer, toolName, args);
+            if (toolServer === 'android') {
+                return await callAndroidTool(toolName, args, context);
+            }
+            const result = await host.callTool(toolServer, toolName, args, context);
             return result;
         } catch (err) {
             onLog(`❌ Tool call failed: ${err.message}`, 'error');
@@ -360,81 +510,6 @@ const agent = {
     }
 };
 
-/**
- * Execute Android-specific tools based on task intent
- */
-async function executeAndroidTool(task, onLog) {
-    const text = task.toLowerCase();
-    
-    // SMS Intent
-    const smsMatch = task.match(/(?:text|sms|message)\s+(\d{10,})\s+(?:saying|with|:)?\s*(.+)/i);
-    if (smsMatch) {
-        onLog('📱 Sending SMS...', 'info');
-        const result = await androidToolCallback('send_sms', { 
-            phone: smsMatch[1], 
-            message: smsMatch[2] 
-        });
-        return result.success ? `SMS sent to ${smsMatch[1]}: "${smsMatch[2]}"` : `Failed: ${result.message}`;
-    }
-    
-    // Call Intent
-    const callMatch = task.match(/(?:call|phone|dial)\s+(\d{10,})/i);
-    if (callMatch) {
-        onLog('📞 Initiating call...', 'info');
-        const result = await androidToolCallback('make_call', { phone: callMatch[1] });
-        return result.success ? `Calling ${callMatch[1]}...` : `Failed: ${result.message}`;
-    }
-    
-    // Remember Intent
-    const rememberMatch = task.match(/(?:remember|memorize|save)\s+(?:that\s+)?(.+)/i);
-    if (rememberMatch) {
-        onLog('💾 Saving to memory...', 'info');
-        const result = await androidToolCallback('remember', { content: rememberMatch[1] });
-        return result.success ? `Memory saved: "${rememberMatch[1].substring(0, 50)}..."` : `Failed: ${result.message}`;
-    }
-    
-    // Recall Intent
-    const recallMatch = task.match(/(?:recall|remember|what.*about)\s+(.+)/i);
-    if (recallMatch) {
-        onLog('🔍 Searching memory...', 'info');
-        const result = await androidToolCallback('recall', { query: recallMatch[1] });
-        return result.success ? result.output : `No relevant memories found for: ${recallMatch[1]}`;
-    }
-    
-    // File Read Intent
-    const readMatch = task.match(/(?:read|open|show)\s+(?:file\s+)?(.+\.(?:txt|json|md|kt|java))/i);
-    if (readMatch) {
-        onLog('📄 Reading file...', 'info');
-        const result = await androidToolCallback('read_file', { path: readMatch[1] });
-        return result.success ? result.output : `Failed: ${result.message}`;
-    }
-    
-    // Default: Use local brain for unclear android intents
-    onLog('💭 Processing with local AI...', 'info');
-    const messages = memory.getHistory();
-    const response = await localBrain.chat(messages);
-    return response.content || "I'm not sure how to handle that request.";
-}
-
-/**
- * Stream response from local TPU brain
- */
-async function streamLocalResponse(task, onLog) {
-    const messages = memory.getHistory();
-    let fullResponse = '';
-    
-    try {
-        for await (const chunk of localBrain.chatStream(messages)) {
-            fullResponse += chunk;
-            send(EVENTS.STREAM_CHUNK, { text: chunk });
-        }
-    } catch (err) {
-        onLog(`Stream error: ${err.message}`, 'error');
-    }
-    
-    return fullResponse || "I apologize, I couldn't generate a response.";
-}
-
 /**
  * Stream response from collective brain
  */
@@ -483,9 +558,11 @@ wss.on('connection', (ws, req) => {
 
     console.log('Android UI connected to Bridge');
     activeSocket = ws;
+    memorySessionId = `session_${Date.now()}`;
 
     // Send Hello
     send(EVENTS.STATUS_UPDATE, { status: 'READY', message: 'Agent ready for commands.' });
+    sendSessionUpdate();
 
     ws.on('message', async (message) => {
         try {
@@ -499,6 +576,8 @@ wss.on('connection', (ws, req) => {
     ws.on('close', () => {
         console.log('Android UI disconnected');
         activeSocket = null;
+        toolPolicy.cancelAll('cancelled: the UI disconnected');
+        endMemorySession();
     });
 });
 
@@ -559,7 +638,13 @@ async function handleMessage(data) {
             
         case EVENTS.PROVIDE_INPUT:
             // Handle user input during a task (e.g., confirmations)
-            if (data.payload && data.payload.input) {
+            if (data.payload && data.payload.requestId) {
+                // Answer to a CONFIRM_TOOL request
+                const { requestId, approved, remember } = data.payload;
+                if (!toolPolicy.answer(requestId, { approved: approved === true, remember: !!remember })) {
+                    send(EVENTS.LOG, { text: '⌛ That confirmation already expired.', type: 'warning' });
+                }
+            } else if (data.payload && data.payload.input) {
                 console.log(`📥 User input received: ${data.payload.input}`);
                 // Could be handled by pending promises in tool execution
             }
@@ -569,6 +654,13 @@ async function handleMessage(data) {
             // Handle slash commands
             await handleCommand(data.payload.command);
             break;
+
+        case EVENTS.SESSION_REQUEST: {
+            // Same actions as /session
+            const request = data.payload || {};
+            await handleCommandAction(`session_${request.action || 'list'}`, request);
+            break;
+        }
             
         default:
             console.log(`Unknown event type: ${data.type}`);
@@ -594,122 +686,541 @@ async function handleCommand(commandText) {
 }
 
 /**
- * Handle command actions that need special processing
+ * Register command actions that need bridge state.
+ * OpenClaw, device, ethics and guardian actions live in the dispatcher itself.
  */
-async function handleCommandAction(action, data) {
-    switch (action) {
-        case 'ask_ai':
-            // Ask specific AI personality
-            await askPersonality(data.personality, data.question);
-            break;
-            
-        case 'ai_round':
-            // Start round of AI exchanges
-            await runAIRound(data.count);
-            break;
-            
-        case 'analyze_document':
-            // Have AI analyze document
-            await analyzeDocument(data.personality, data.document, data.content, data.prompt);
-            break;
-            
-        case 'start_private':
-            privateChat = {
-                personality: data.personality,
-                history: []
-            };
-            break;
-            
-        case 'end_private':
-            privateChat = null;
-            break;
-            
-        case 'host_p2p':
-            await startP2PHost(data.port);
-            break;
-            
-        case 'join_p2p':
-            await joinP2PRoom(data.shareCode);
-            break;
-            
-        case 'leave_p2p':
-            await leaveP2P();
-            break;
-            
-        case 'remember':
-            await androidToolCallback('remember', { content: data.content });
-            send(EVENTS.COMMAND_RESULT, { message: '💾 Memory saved.' });
-            break;
-            
-        case 'recall':
-            const recallResult = await androidToolCallback('recall', { query: data.query });
-            send(EVENTS.COMMAND_RESULT, { message: recallResult.output || 'No memories found.' });
-            break;
+function registerBridgeActions() {
+    // The UI closes the chat itself; memory was already cleared by /clear
+    actionDispatcher.register('quit', async () => {});
+    actionDispatcher.register('clear', async () => {
+        sessions.clearActive();
+        sessions.update({ privateWith: null });
+        sendSessionUpdate();
+        await endMemorySession();
+        memorySessionId = `session_${Date.now()}`;
+    });
 
-        case 'list_models':
-            try {
-                const list = await modelManager.listModels();
-                let msg = "**Available Models:**\n";
-                list.available.forEach(m => {
-                    const status = m.installed ? "✅ Installed" : (m.isDownloading ? `⬇️ ${m.progress}%` : "☁️ Cloud");
-                    const size = m.size ? formatSize(m.size) : 'Unknown size';
-                    msg += `- **${m.name}** (${m.id})\n  ${status} | ${size}\n  Filename: \`${m.filename}\`\n`;
-                });
-                send(EVENTS.COMMAND_RESULT, { message: msg });
-            } catch (e) {
-                send(EVENTS.ERROR, { message: `Failed to list models: ${e.message}` });
+    actionDispatcher.register('ask_ai', async (data) => {
+        await askPersonality(data.personality, data.question);
+    });
+
+    actionDispatcher.register('ai_round', async (data) => {
+        await runAIRound(data.count);
+    });
+
+    actionDispatcher.register('analyze_document', async (data) => {
+        // Room documents are analyzed by the host, with its personalities
+        const source = data.document.source;
+        if (source && source.room && p2pClient && !p2pHost) {
+            if (!p2pClient.requestAI(data.prompt, data.personality.id, { document: data.document.sha256 })) {
+                throw new Error('Not connected to the room this document came from.');
             }
-            break;
+            return `📨 Asked the room host's ${data.personality.name} to analyze ${data.document.filename}.`;
+        }
+        await analyzeDocument(data.personality, data.document, data.content, data.prompt, data.citations);
+    });
+
+    // Private chat is per session, so it survives switching away and back
+    actionDispatcher.register('start_private', async (data) => {
+        sessions.update({ privateWith: data.personality.id });
+        sendSessionUpdate();
+    });
 
-        case 'download_model':
-            send(EVENTS.COMMAND_RESULT, { message: `⬇️ Starting download for ${data.modelId}...` });
-            modelManager.downloadModel(data.modelId, (progress) => {
-                 // Optional: Send progress updates if needed, but might spam
-            }).then(() => {
-                 send(EVENTS.COMMAND_RESULT, { message: `✅ Download complete for ${data.modelId}` });
-            }).catch(e => {
-                 send(EVENTS.ERROR, { message: `Download failed: ${e.message}` });
+    actionDispatcher.register('end_private', async () => {
+        sessions.update({ privateWith: null });
+        sendSessionUpdate();
+    });
+
+    actionDispatcher.register('session_list', async (data) => {
+        sendSessionUpdate();
+        return sessions.formatList({ includeArchived: !!data.includeArchived });
+    });
+
+    actionDispatcher.register('session_new', async (data) => {
+        const session = await openSession(() => sessions.create(data.name));
+        return `🆕 Started session **${session.name}**`;
+    });
+
+    actionDispatcher.register('session_switch', async (data) => {
+        const session = await openSession(() => sessions.activate(data.session));
+        if (!session) throw new Error(`No session named "${data.session}". Use /session list`);
+        return `💬 Resumed **${session.name}** (${session.messages.length} messages)`;
+    });
+
+    actionDispatcher.register('session_rename', async (data) => {
+        const session = sessions.rename(data.session || sessions.getActive().id, data.name);
+        if (!session) throw new Error(`No session named "${data.session}"`);
+        sendSessionUpdate();
+        return `✏️ Renamed to **${session.name}**`;
+    });
+
+    actionDispatcher.register('session_archive', async (data) => {
+        const target = data.session ? sessions.find(data.session) : sessions.getActive();
+        if (!target) throw new Error(`No session named "${data.session}"`);
+        if (target.id === sessions.getActive().id) {
+            await openSession(() => {
+                sessions.archive(target.id);
+                return sessions.getActive();
             });
-            break;
+        } else {
+            sessions.archive(target.id);
+            sendSessionUpdate();
+        }
+        return `🗄️ Archived **${target.name}**. Now in **${sessions.getActive().name}**`;
+    });
 
-        case 'switch_model':
-            try {
-                const res = await modelManager.switchModel(data.modelName);
-                send(EVENTS.COMMAND_RESULT, { message: res.success ? `✅ Switched to ${data.modelName}` : `❌ Failed: ${res.output}` });
-            } catch (e) {
-                send(EVENTS.ERROR, { message: `Switch failed: ${e.message}` });
-            }
-            break;
-            
-        // ============================================
-        // COLLECTIVE MODE ACTIONS
-        // ============================================
-        
-        case 'start_collective':
-            await startCollective(data.port, data.poolName);
-            break;
-            
-        case 'join_collective':
-            await joinCollective(data.shareCode);
-            break;
-            
-        case 'leave_collective':
-            await leaveCollective();
-            break;
-            
-        case 'collective_status':
-            sendCollectiveStatus();
-            break;
-            
-        case 'set_capability':
-            if (collectiveClient) {
-                collectiveClient.updateCapability(data.capability);
-            }
-            break;
-            
-        case 'use_collective':
-            useCollectiveForNextInference = true;
-            break;
+    actionDispatcher.register('session_search', async (data) => {
+        const results = sessions.search(data.query);
+        send(EVENTS.SESSION_UPDATE, {
+            query: data.query,
+            results: results.map(r => ({
+                session: { id: r.session.id, name: r.session.name },
+                role: r.message ? r.message.role : null,
+                timestamp: r.message ? r.message.timestamp : null,
+                snippet: r.snippet
+            }))
+        });
+        if (results.length === 0) return `No sessions mention "${data.query}".`;
+        return [`**🔎 Sessions mentioning "${data.query}":**\n`,
+            ...results.map(r => `• **${r.session.name}**${r.message ? ` (${r.message.role})` : ''}: ${r.snippet}`)
+        ].join('\n');
+    });
+
+    actionDispatcher.register('host_p2p', async (data) => {
+        await startP2PHost(data.port);
+    });
+
+    actionDispatcher.register('join_p2p', async (data) => {
+        await joinP2PRoom(data.shareCode);
+    });
+
+    actionDispatcher.register('leave_p2p', async () => {
+        await leaveP2P();
+    });
+
+    actionDispatcher.register('room_list', async () => {
+        if (p2pClient && !p2pHost) {
+            return `👥 You are a **${p2pClient.role}** in this room.`;
+        }
+        const room = requireRoom();
+        const lines = ['**👥 Room participants:**\n', '👑 You (owner)'];
+        for (const p of room.getParticipantList()) {
+            lines.push(`• **${p.name}** \`${p.id}\` - ${p.role}${p.muted ? ' 🔇' : ''}`);
+        }
+        lines.push('\n**🎟️ Invites:**');
+        for (const invite of room.moderation.activeInvites()) {
+            const limits = [
+                invite.expiresAt ? `expires ${new Date(invite.expiresAt).toLocaleString()}` : null,
+                invite.maxUses ? `${invite.uses}/${invite.maxUses} used` : null
+            ].filter(Boolean);
+            const label = invite === room.defaultInvite ? ' (room code)' : invite === room.migrationInvite ? ' (host handover)' : '';
+            lines.push(`• \`${invite.id}\` ${invite.role}${label}` +
+                (limits.length > 0 ? ` - ${limits.join(', ')}` : ''));
+        }
+        return lines.join('\n');
+    });
+
+    actionDispatcher.register('room_invite', async (data) => {
+        const { invite, shareCodes } = requireRoom().createInvite({
+            role: data.role,
+            expiresInMs: data.expiresInMs,
+            maxUses: data.maxUses
+        });
+        send(EVENTS.P2P_STATUS, { status: 'invite', invite: { id: invite.id, role: invite.role, expiresAt: invite.expiresAt }, shareCodes });
+        return `🎟️ ${invite.role} invite \`${invite.id}\`: ${shareCodes.lan || shareCodes.localhost}` +
+            (invite.expiresAt ? `\n   Expires ${new Date(invite.expiresAt).toLocaleString()}` : '') +
+            (invite.maxUses ? `\n   Good for ${invite.maxUses} join${invite.maxUses === 1 ? '' : 's'}` : '');
+    });
+
+    actionDispatcher.register('room_revoke', async (data) => {
+        const room = requireRoom();
+        if (room.defaultInvite.id === data.id) {
+            throw new Error('The room code can only be revoked by hosting a new room');
+        }
+        if (room.migrationInvite && room.migrationInvite.id === data.id) {
+            throw new Error('Participants need this invite to follow the room if you leave');
+        }
+        if (!room.moderation.revokeInvite(data.id)) throw new Error(`No invite ${data.id}`);
+        return `🚫 Invite ${data.id} revoked. People already in the room stay.`;
+    });
+
+    actionDispatcher.register('room_share', async () => {
+        const doc = documents.getActive();
+        if (!doc) throw new Error('No document selected. Use /select <filename> first.');
+        const meta = { filename: doc.filename, category: doc.category };
+        if (p2pClient && !p2pHost) {
+            p2pClient.offerDocument(doc.path, meta);
+            return `📤 Sending ${doc.filename} to the room host, who passes it on to everyone.`;
+        }
+        const offer = requireRoom().offerDocument(doc.path, meta);
+        return `📤 Offered ${doc.filename} (${formatSize(offer.size)}) to the room. Participants can /analyze it with your personalities.`;
+    });
+
+    actionDispatcher.register('room_role', async (data) => {
+        const room = requireRoom();
+        const target = room.findClient(data.target);
+        if (!target) throw new Error(`No participant named "${data.target}"`);
+        room.setRole(target.id, data.role);
+        return `🎖️ ${target.name} is now a ${data.role}.`;
+    });
+
+    actionDispatcher.register('room_moderate', async (data) => {
+        // Moderators in someone else's room ask that host to do it
+        if (p2pClient && !p2pHost) {
+            p2pClient.moderate(data.action, data.target, { durationMs: data.durationMs || undefined });
+            return `📨 Asked the host to ${data.action} ${data.target}.`;
+        }
+        const room = requireRoom();
+        if (data.action === 'unban') {
+            if (!room.moderation.unban(data.target)) throw new Error(`${data.target} isn't banned`);
+            return `✅ ${data.target} can join again.`;
+        }
+        const target = room.findClient(data.target);
+        if (!target) throw new Error(`No participant named "${data.target}"`);
+        const by = { id: 'owner', name: 'owner', role: 'owner' };
+        switch (data.action) {
+            case 'kick':
+                room.kick(target.id, { by });
+                return `👢 Kicked ${target.name}.`;
+            case 'ban':
+                room.ban(target.id, { by });
+                return `⛔ Banned ${target.name}.`;
+            case 'mute':
+                room.mute(target.id, data.durationMs, { by });
+                return `🔇 Muted ${target.name}.`;
+            case 'unmute':
+                room.unmute(target.id, { by });
+                return `🔊 Unmuted ${target.name}.`;
+            default:
+                throw new Error(`Unknown room action: ${data.action}`);
+        }
+    });
+
+    actionDispatcher.register('remember', async (data) => {
+        await longTermMemory.remember(data.content, { shared: !!data.shared });
+        return `💾 Memory saved${data.shared ? ' and shared' : ''}. (${longTermMemory.getStats().memories} total)`;
+    });
+
+    actionDispatcher.register('recall', async (data) => {
+        const results = await longTermMemory.recall(data.query);
+        return results.length > 0 ? formatRecall(results) : 'No memories found.';
+    });
+
+    actionDispatcher.register('memory_export', async (data) => {
+        const filePath = data.filePath || path.join(STORAGE_PATH, 'exports', `memory_${Date.now()}.json`);
+        const bundle = await longTermMemory.exportBundle();
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, JSON.stringify(bundle));
+        return `📦 Exported ${bundle.nodes.length} nodes to ${filePath}\n` +
+            `   Signed by ${bundle.origin.signerId}. On the other device: /memory trust ${bundle.origin.signerId}`;
+    });
+
+    actionDispatcher.register('memory_import', async (data) => {
+        const bundle = JSON.parse(await fs.promises.readFile(data.filePath, 'utf8'));
+        return formatImportReport(await longTermMemory.importBundle(bundle));
+    });
+
+    actionDispatcher.register('memory_trust', async (data) => {
+        await longTermMemory.trustSigner(data.signerId);
+        return `🔐 Bundles signed by ${data.signerId} are now trusted.`;
+    });
+
+    actionDispatcher.register('memory_share', async (data) => {
+        const [match] = await longTermMemory.recall(data.query, { limit: 1 });
+        if (!match) return 'No matching memory to share.';
+        await longTermMemory.setShared(match.node.id, true);
+        return `🔓 Shared with P2P rooms: "${match.node.content}"`;
+    });
+
+    actionDispatcher.register('memory_sync', async () => {
+        const digest = await memorySync.createDigest();
+        if (p2pClient && p2pClient.isConnected) {
+            p2pClient.send(digest);
+        } else if (p2pHost) {
+            p2pHost.broadcast(digest);
+        } else {
+            throw new Error('Not in a P2P room. Use /host or /join first.');
+        }
+        return `🔄 Comparing ${Object.keys(digest.digest).length} shared memories with the room.`;
+    });
+
+    actionDispatcher.register('mcp_list', async () => {
+        return formatMcpServers(host.getHealth());
+    });
+
+    actionDispatcher.register('mcp_restart', async (data) => {
+        await host.restartServer(data.name);
+        return `🔁 Restarted ${data.name}`;
+    });
+
+    actionDispatcher.register('mcp_enable', async (data) => {
+        const report = await host.setServerEnabled(data.name, true);
+        return report.failed.includes(data.name)
+            ? `⚠️ ${data.name} is enabled but failed to start; see /mcp logs ${data.name}`
+            : `✅ ${data.name} enabled`;
+    });
+
+    actionDispatcher.register('mcp_disable', async (data) => {
+        await host.setServerEnabled(data.name, false);
+        return `⏸️ ${data.name} disabled`;
+    });
+
+    actionDispatcher.register('mcp_logs', async (data) => {
+        if (!host.getHealth(data.name)) throw new Error(`Unknown MCP server: ${data.name}`);
+        const lines = host.getLogs(data.name, data.lines);
+        return lines.length > 0
+            ? `**${data.name} logs:**\n\`\`\`\n${lines.join('\n')}\n\`\`\``
+            : `No output from ${data.name} yet.`;
+    });
+
+    actionDispatcher.register('policy_list', async () => {
+        return toolPolicy.describe();
+    });
+
+    actionDispatcher.register('policy_set', async (data) => {
+        const rule = toolPolicy.setRule(data.rule);
+        const scope = rule.participant ? ` for participant ${rule.participant}`
+            : rule.personality ? ` for ${rule.personality}` : '';
+        return `🛡️ ${rule.tool}${scope}: ${rule.decision}`;
+    });
+
+    actionDispatcher.register('policy_reset', async (data) => {
+        const removed = toolPolicy.resetRules(data.tool);
+        return `🛡️ Removed ${removed} tool rule${removed === 1 ? '' : 's'}; defaults apply.`;
+    });
+
+    actionDispatcher.register('route_status', async () => {
+        const status = router.getStatus();
+        const stats = status.routeCache;
+        const lines = ['**Routing**', ''];
+        lines.push(status.lastRoute
+            ? `Last: "${status.lastRoute.task}" → **${status.lastRoute.toolName}** (${status.lastRoute.reason})`
+            : 'Nothing routed yet.');
+        lines.push(`Cache: ${stats.cached} decisions | ${stats.exact} exact, ${stats.semantic} similar, ${stats.centroid} centroid hits, ${stats.misses} LLM calls`);
+        lines.push(`Examples: ${stats.examples}${stats.centroids.length > 0 ? ` (centroids: ${stats.centroids.join(', ')})` : ''}`);
+        lines.push(`Embeddings: ${stats.embedder || 'off (exact repeats only)'}`);
+        return lines.join('\n');
+    });
+
+    actionDispatcher.register('route_correct', async (data) => {
+        const { task, tool, previous } = await router.correct(data.tool, data.task);
+        const change = previous && previous !== tool ? ` (was ${previous})` : '';
+        return `🎯 "${task}" → ${tool}${change}. Similar requests will go there too.`;
+    });
+
+    actionDispatcher.register('route_examples', async () => {
+        const grouped = router.cache.getExamples();
+        const tools = Object.keys(grouped);
+        if (tools.length === 0) return 'No routing examples yet. Correct a decision with /route <tool>.';
+        return ['**Routing Examples**', ...tools.flatMap(tool => [
+            '', `**${tool}**`, ...grouped[tool].map(task => `- ${task}`)
+        ])].join('\n');
+    });
+
+    actionDispatcher.register('route_forget', async (data) => {
+        const removed = router.cache.removeExamples(data.tool);
+        router.cache.clear();
+        return `🎯 Removed ${removed} routing example${removed === 1 ? '' : 's'}${data.tool ? ` for ${data.tool}` : ''}.`;
+    });
+
+    actionDispatcher.register('list_models', async () => {
+        try {
+            const list = await modelManager.listModels();
+            let msg = "**Available Models:**\n";
+            list.available.forEach(m => {
+                const status = m.installed ? "✅ Installed" : (m.isDownloading ? `⬇️ ${m.progress}%` : "☁️ Cloud");
+                const size = m.size ? formatSize(m.size) : 'Unknown size';
+                msg += `- **${m.name}** (${m.id})\n  ${status} | ${size}\n  Filename: \`${m.filename}\`\n`;
+            });
+            return msg;
+        } catch (e) {
+            throw new Error(`Failed to list models: ${e.message}`);
+        }
+    });
+
+    actionDispatcher.register('download_model', async (data) => {
+        modelManager.downloadModel(data.modelId, (progress) => {
+             // Optional: Send progress updates if needed, but might spam
+        }).then(() => {
+             send(EVENTS.COMMAND_RESULT, { message: `✅ Download complete for ${data.modelId}` });
+        }).catch(e => {
+             send(EVENTS.ERROR, { message: `Download failed: ${e.message}` });
+        });
+        return `⬇️ Starting download for ${data.modelId}...`;
+    });
+
+    actionDispatcher.register('switch_model', async (data) => {
+        try {
+            const res = await modelManager.switchModel(data.modelName);
+            if (res.success) memory.setModel(data.modelName);
+            return res.success ? `✅ Switched to ${data.modelName}` : `❌ Failed: ${res.output}`;
+        } catch (e) {
+            throw new Error(`Switch failed: ${e.message}`);
+        }
+    });
+
+    // ============================================
+    // COLLECTIVE MODE ACTIONS
+    // ============================================
+
+    actionDispatcher.register('start_collective', async (data) => {
+        await startCollective(data.port, data.poolName);
+    });
+
+    actionDispatcher.register('join_collective', async (data) => {
+        await joinCollective(data.shareCode);
+    });
+
+    actionDispatcher.register('leave_collective', async () => {
+        await leaveCollective();
+    });
+
+    actionDispatcher.register('collective_status', async () => {
+        sendCollectiveStatus();
+    });
+
+    actionDispatcher.register('set_capability', async (data) => {
+        if (collectiveClient) {
+            collectiveClient.updateCapability(data.capability);
+        }
+    });
+
+    actionDispatcher.register('use_collective', async () => {
+        useCollectiveForNextInference = true;
+    });
+}
+
+registerBridgeActions();
+
+/**
+ * Format MCP server health for /mcp list
+ */
+function formatMcpServers(servers) {
+    if (servers.length === 0) return 'No MCP servers. Add them to mcp.json; changes are picked up automatically.';
+
+    const icons = { connected: '🟢', starting: '🟡', restarting: '🟡', exited: '🔴', failed: '🔴', stopped: '⚪' };
+    const lines = ['**MCP Servers:**'];
+    for (const server of servers) {
+        const tools = host.serverInfo.get(server.name)?.tools;
+        const details = [server.status];
+        if (tools) details.push(`${tools.length} tools`);
+        if (server.calls > 0) details.push(`${server.calls} calls, avg ${server.avgLatencyMs}ms, ${server.errors} errors`);
+        if (server.restarts > 0) details.push(`${server.restarts} restarts`);
+        if (server.status === 'restarting' && server.nextRestartAt) {
+            details.push(`next try ${new Date(server.nextRestartAt).toLocaleTimeString()}`);
+        }
+        lines.push(`- ${icons[server.status] || '⚪'} **${server.name}** ${details.join(' · ')}`);
+        if (server.lastError) lines.push(`  last error: ${server.lastError}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Format recalled memories for display
+ */
+function formatRecall(results) {
+    const lines = ['**Recalled memories:**'];
+    for (const { node } of results) {
+        const date = new Date(node.createdAt).toLocaleDateString();
+        lines.push(`- ${node.content} _(${date})_`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Describe the result of a memory bundle import
+ */
+function formatImportReport(report) {
+    const source = report.signerId || 'an unsigned bundle';
+    return `📥 Imported memory from ${source} (trust: ${report.trustTier})\n` +
+        `   ${report.added} added, ${report.merged} merged, ${report.updated || 0} updated, ` +
+        `${report.remapped} renamed on id conflict, ${report.edges} edges`;
+}
+
+/**
+ * Handle a memory sync message from a P2P peer
+ * @returns {Promise<boolean>} True if memories were added or updated
+ */
+async function handleMemorySync(msg, reply, fromName) {
+    try {
+        const report = await memorySync.handleMessage(msg, reply);
+        if (!report || report.added + report.updated === 0) return false;
+        send(EVENTS.COMMAND_RESULT, { message: `${formatImportReport(report)}\n   Synced from ${fromName}` });
+        return true;
+    } catch (e) {
+        send(EVENTS.ERROR, { message: `Memory sync from ${fromName} failed: ${e.message}` });
+        return false;
+    }
+}
+
+/**
+ * Close the current memory session so co-recalled memories get linked
+ */
+async function endMemorySession() {
+    if (!memorySessionId) return;
+
+    const sessionId = memorySessionId;
+    memorySessionId = null;
+    try {
+        await longTermMemory.endSession({ sessionId });
+    } catch (e) {
+        console.error('Failed to end memory session:', e);
+    }
+}
+
+/**
+ * Save the current conversation into the active session
+ */
+function saveSessionState() {
+    sessions.update({ memory: memory.snapshot(), activeDocument: documents.activeDocument });
+}
+
+/**
+ * Load a session's conversation and active document
+ */
+function resumeSession(session) {
+    memory.restore(session.memory);
+    documents.activeDocument = session.activeDocument && documents.get(session.activeDocument)
+        ? session.activeDocument
+        : null;
+    sendSessionUpdate();
+}
+
+/**
+ * Leave the active session for another one
+ * @param {Function} open - Makes the target session active and returns it (or null)
+ */
+async function openSession(open) {
+    if (agentBusy) {
+        throw new Error('Wait for the current task to finish before switching sessions.');
+    }
+    saveSessionState();
+    const session = open();
+    if (!session) return null;
+
+    // Memories recalled together in one conversation get linked, so start a new one
+    await endMemorySession();
+    memorySessionId = `session_${Date.now()}`;
+    resumeSession(session);
+    return session;
+}
+
+function sendSessionUpdate() {
+    send(EVENTS.SESSION_UPDATE, {
+        active: sessions.describe(sessions.getActive()),
+        sessions: sessions.list({ includeArchived: true }).map(s => sessions.describe(s))
+    });
+}
+
+/**
+ * Handle command actions that need special processing
+ */
+async function handleCommandAction(action, data) {
+    try {
+        await actionDispatcher.dispatch(action, data);
+    } catch (e) {
+        console.error(`Command action failed (${action}):`, e);
+        send(EVENTS.ERROR, { message: e.message });
     }
 }
 
@@ -731,6 +1242,8 @@ async function askPersonality(personality, question) {
     try {
         const response = await localBrain.chat(messages);
         const content = response.content || "I'm not sure how to respond to that.";
+        sessions.addMessage('user', question);
+        sessions.addMessage('assistant', content, { personality: personality.id });
         
         send(EVENTS.AI_RESPONSE, {
             personality: { id: personality.id, name: personality.name, avatar: personality.avatar },
@@ -770,6 +1283,7 @@ async function runAIRound(count) {
         try {
             const response = await localBrain.chat(messages);
             lastMessage = response.content || "...";
+            sessions.addMessage('assistant', lastMessage, { personality: personality.id });
             
             send(EVENTS.AI_RESPONSE, {
                 personality: { id: personality.id, name: personality.name, avatar: personality.avatar },
@@ -790,8 +1304,9 @@ async function runAIRound(count) {
 
 /**
  * Have AI analyze a document
+ * @param {Array<Object>} [citations] - Line ranges of the excerpts in content
  */
-async function analyzeDocument(personality, document, content, prompt) {
+async function analyzeDocument(personality, document, content, prompt, citations = []) {
     const systemPrompt = personalities.buildSystemPrompt(personality);
     
     const messages = [
@@ -801,10 +1316,17 @@ async function analyzeDocument(personality, document, content, prompt) {
     
     try {
         const response = await localBrain.chat(messages);
+        const sources = citations.length > 0
+            ? `\n\n📎 Sources: ${citations.map(formatCitation).join('; ')}`
+            : '';
+        const analysis = `📊 Analysis of ${document.filename}:\n\n${response.content}${sources}`;
+        sessions.addMessage('user', `Analyze ${document.filename} and ${prompt}`);
+        sessions.addMessage('assistant', analysis, { personality: personality.id });
+        sessions.update({ activeDocument: document.id });
         
         send(EVENTS.AI_RESPONSE, {
             personality: { id: personality.id, name: personality.name, avatar: personality.avatar },
-            content: `📊 Analysis of ${document.filename}:\n\n${response.content}`,
+            content: analysis,
             timestamp: new Date().toISOString(),
             isAnalysis: true
         });
@@ -813,15 +1335,27 @@ async function analyzeDocument(personality, document, content, prompt) {
     }
 }
 
+/**
+ * The room this device hosts, for /room commands
+ */
+function requireRoom() {
+    if (!p2pHost) {
+        throw new Error('Not hosting a room. Start one with /host.');
+    }
+    return p2pHost;
+}
+
 /**
  * Start P2P hosting
+ * @param {Object} [options] - Extra P2PHost options, e.g. a room taken over from a host that left
  */
-async function startP2PHost(port) {
+async function startP2PHost(port, options = {}) {
     if (p2pHost) {
         await p2pHost.stop();
     }
     
-    p2pHost = new P2PHost({ port });
+    // Resumes the room hosted before a restart, with its share codes, log and documents
+    p2pHost = P2PHost.inDirectory(path.join(STORAGE_PATH, 'p2p'), { ...options, port });
     
     try {
         const info = await p2pHost.start();
@@ -830,21 +1364,45 @@ async function startP2PHost(port) {
             status: 'hosting',
             port: info.port,
             shareCodes: info.shareCodes,
+            fingerprint: info.fingerprint,
             localIPs: info.localIPs
         });
         
         send(EVENTS.COMMAND_RESULT, { 
-            message: `🌐 Room is now shared!\n   Share code (LAN): ${info.shareCodes.lan}\n   Others can join with: /join <code>` 
+            message: (options.migration ? '👑 The host left, so this device now hosts the room.' : '🌐 Room is now shared!') +
+                `\n   Share code (LAN): ${info.shareCodes.lan}\n   Others can join with: /join <code>\n` +
+                `   🔒 End-to-end encrypted. Room key: ${info.fingerprint}`
         });
         
         // Handle P2P events
         p2pHost.on('ai_request', async (data) => {
             // Use requested personality or default to first active
             const active = personalities.getActive();
-            const personality = data.personality 
-                ? personalities.get(data.personality) 
-                : active[0] || personalities.get('nova');
-            await askPersonality(personality, data.task);
+            const personality = (data.personality && personalities.get(data.personality))
+                || active[0] || personalities.get('nova');
+            await handleParticipantRequest(data, personality);
+        });
+
+        // Participants' documents join ours, so anyone can analyze them
+        p2pHost.on('transfer', ({ offer, from }) => {
+            send(EVENTS.LOG, { text: `📥 Receiving ${offer.filename} from ${from.name}...`, type: 'info' });
+        });
+        p2pHost.on('document', async (received) => {
+            await acceptRoomDocument(received, received.from.name);
+        });
+
+        p2pHost.on('moderation', (event) => {
+            const done = { kick: 'kicked', ban: 'banned', mute: 'muted' }[event.action] || event.action;
+            const by = event.by ? ` by ${event.by.name}` : '';
+            send(EVENTS.LOG, { text: `🛡️ ${event.target.name} was ${done}${by}`, type: 'info' });
+        });
+
+        p2pHost.on('memory_sync', async (data) => {
+            const changed = await handleMemorySync(data.msg, m => p2pHost.sendTo(data.clientId, m), data.clientName);
+            // Let everyone else catch up on what this client brought
+            if (changed) {
+                p2pHost.broadcast(await memorySync.createDigest(), data.clientId);
+            }
         });
         
     } catch (e) {
@@ -852,6 +1410,84 @@ async function startP2PHost(port) {
     }
 }
 
+/**
+ * Add a document received through a P2P room to our DocumentManager
+ * @param {Object} received - { offer, path } from the room's document transfers
+ */
+async function acceptRoomDocument(received, fromName) {
+    const { offer } = received;
+    try {
+        if (!documents.findByHash(offer.sha256)) {
+            await documents.upload(received.path, {
+                source: { room: true, transferId: offer.transferId, from: fromName }
+            });
+        }
+        send(EVENTS.LOG, {
+            text: `📄 ${fromName} shared ${offer.filename} (${formatSize(offer.size)}). /select it, then /analyze it together.`,
+            type: 'info'
+        });
+    } catch (e) {
+        send(EVENTS.ERROR, { message: `Couldn't add ${offer.filename} from the room: ${e.message}` });
+    }
+}
+
+/**
+ * Answer a P2P participant's request. Tool calls run under the
+ * participant's identity, so the tool policy can confirm or refuse them.
+ * A request about a shared document gets that document's relevant excerpts.
+ */
+async function handleParticipantRequest(data, personality) {
+    send(EVENTS.LOG, { text: `👥 ${data.clientName} asked ${personality.name}: ${data.task}`, type: 'info' });
+    const onLog = (text, type) => send(EVENTS.LOG, { text, type });
+
+    try {
+        let task = data.task;
+        let sources = '';
+        if (data.document) {
+            // Only documents shared in this room, never the rest of this device's
+            const doc = p2pHost && p2pHost.isShared(data.document) && documents.findByHash(data.document);
+            if (!doc) throw new Error('that document wasn\'t shared in this room');
+            const context = await documents.getAnalysisContext(doc.id, data.task);
+            task = `Analyze this document and ${data.task}:\n\n${context.content}`;
+            sources = context.citations.length > 0
+                ? `\n\n📎 Sources: ${context.citations.map(formatCitation).join('; ')}`
+                : '';
+        }
+
+        // Participants don't get to see this device's conversation
+        const outcome = await agentLoop.run([
+            {
+                role: 'system',
+                content: agentSystemPrompt(personality, {
+                    otherParticipants: personalities.getActive().filter(p => p.id !== personality.id).map(p => p.name)
+                })
+            },
+            { role: 'user', content: task }
+        ], {
+            context: {
+                requester: { type: 'participant', id: data.clientId, name: data.clientName },
+                personality: personality.id,
+                reason: data.task
+            },
+            onEvent: reportAgentStep(onLog)
+        });
+        const content = (outcome.content || "I'm not sure how to respond to that.") + sources;
+        const speaker = { id: personality.id, name: personality.name, avatar: personality.avatar };
+        sessions.addMessage('user', data.task, { peer: { id: data.clientId, name: data.clientName } });
+        sessions.addMessage('assistant', content, { personality: personality.id });
+        send(EVENTS.AI_RESPONSE, {
+            personality: speaker,
+            content,
+            timestamp: new Date().toISOString()
+        });
+        if (p2pHost) {
+            p2pHost.sendAIResponse(data.clientId, content, speaker);
+        }
+    } catch (e) {
+        send(EVENTS.ERROR, { message: `${data.clientName}'s request failed: ${e.message}` });
+    }
+}
+
 /**
  * Join a P2P room
  */
@@ -860,7 +1496,63 @@ async function joinP2PRoom(shareCode) {
         p2pClient.disconnect();
     }
     
-    p2pClient = new P2PClient();
+    const client = p2pClient = new P2PClient({
+        standbyPort: parseInt(process.env.P2P_STANDBY_PORT, 10) || undefined,
+        transferDir: path.join(STORAGE_PATH, 'p2p', 'transfers', 'client')
+    });
+
+    // Listen before connecting: the host replays the room log right after accepting us
+    p2pClient.on('message', (msg) => {
+        const replayed = msg.replayed ? '↩️ ' : '';
+        if (msg.type === 'AI_RESPONSE') {
+            send(EVENTS.AI_RESPONSE, msg);
+        } else if (msg.type === 'CHAT_MESSAGE') {
+            send(EVENTS.LOG, { text: `${replayed}${msg.from.name}: ${msg.content}`, type: 'chat' });
+        } else if (msg.type === 'DOCUMENT_SHARED') {
+            send(EVENTS.LOG, { text: `${replayed}📄 ${msg.from.name} shared ${msg.document.filename}`, type: 'info' });
+        } else if (msg.type === 'DOCUMENT_OFFER') {
+            send(EVENTS.LOG, { text: `${replayed}📤 ${msg.from.name} is sharing ${msg.filename} (${formatSize(msg.size)})`, type: 'info' });
+        } else if (msg.type && msg.type.startsWith('MEMORY_')) {
+            handleMemorySync(msg, m => p2pClient.send(m), 'host');
+        } else if (ROOM_NOTICES[msg.type]) {
+            send(EVENTS.LOG, { text: ROOM_NOTICES[msg.type](msg), type: 'warning' });
+        }
+    });
+    p2pClient.on('history', (history) => {
+        if (history.missed > 0) {
+            send(EVENTS.LOG, { text: `📜 ${history.missed} older room messages are no longer available.`, type: 'info' });
+        }
+        if (history.count > 0) {
+            send(EVENTS.LOG, { text: `📜 Caught up on ${history.count} room messages.`, type: 'info' });
+        }
+    });
+
+    client.on('document', async (received) => {
+        const from = received.offer.from;
+        await acceptRoomDocument(received, from ? from.name : 'the room');
+    });
+    client.on('transfer_failed', ({ offer, reason }) => {
+        send(EVENTS.LOG, { text: `⚠️ ${offer.filename || 'A shared document'} didn't arrive: ${reason}`, type: 'warning' });
+    });
+
+    // The host left: follow the room to whoever the participants elect
+    client.on('migrating', ({ successor }) => {
+        send(EVENTS.LOG, { text: `🔀 The host left. Moving the room to ${successor.name}...`, type: 'info' });
+    });
+    client.on('migrated', async ({ host, role }) => {
+        send(EVENTS.P2P_STATUS, { status: 'connected', clientId: client.clientId, role, host: host.name });
+        send(EVENTS.LOG, { text: `✅ The room continues on ${host.name}'s device.`, type: 'info' });
+        client.send(await memorySync.createDigest());
+    });
+    client.on('promote', async ({ options }) => {
+        if (p2pClient === client) p2pClient = null;
+        await startP2PHost(options.port, options);
+    });
+    client.on('migration_failed', ({ reason }) => {
+        if (p2pClient === client) p2pClient = null;
+        send(EVENTS.P2P_STATUS, { status: 'disconnected' });
+        send(EVENTS.LOG, { text: `⚠️ The room ended: ${reason}`, type: 'warning' });
+    });
     
     try {
         const info = await p2pClient.connect(shareCode, 'Amphibian User');
@@ -868,32 +1560,46 @@ async function joinP2PRoom(shareCode) {
         send(EVENTS.P2P_STATUS, {
             status: 'connected',
             clientId: info.clientId,
+            role: info.role,
             participants: info.participants
         });
         
-        send(EVENTS.COMMAND_RESULT, { message: '✅ Connected to remote room!' });
-        
-        // Handle incoming messages
-        p2pClient.on('message', (msg) => {
-            if (msg.type === 'AI_RESPONSE') {
-                send(EVENTS.AI_RESPONSE, msg);
-            } else if (msg.type === 'CHAT_MESSAGE') {
-                send(EVENTS.LOG, { text: `${msg.from.name}: ${msg.content}`, type: 'chat' });
-            }
-        });
+        send(EVENTS.COMMAND_RESULT, { message: '✅ Connected to remote room! 🔒 Messages are end-to-end encrypted.' });
+        for (const participant of info.participants || []) {
+            sessions.addParticipant('peer', participant);
+        }
+        sessions.update({});
+
+        // Start reconciling shared memories with the host
+        p2pClient.send(await memorySync.createDigest());
         
     } catch (e) {
         send(EVENTS.ERROR, { message: `Failed to join room: ${e.message}` });
     }
 }
 
+// What the host tells a participant about their standing in the room
+const ROOM_NOTICES = {
+    DENIED: (msg) => `🚫 ${msg.reason}${msg.retryAfterMs ? ` (try again in ${Math.ceil(msg.retryAfterMs / 1000)}s)` : ''}`,
+    KICKED: () => '👢 You were removed from the room.',
+    BANNED: () => '⛔ You were banned from the room.',
+    MUTED: (msg) => `🔇 You are muted until ${new Date(msg.until).toLocaleTimeString()}.`,
+    UNMUTED: () => '🔊 You can talk again.',
+    ROLE_CHANGED: (msg) => `🎖️ You are now a ${msg.role} in this room.`
+};
+
 /**
  * Leave P2P session
  */
 async function leaveP2P() {
     if (p2pHost) {
-        await p2pHost.stop();
+        const successor = await p2pHost.stop();
+        // Left on purpose: the next /host starts a new room
+        p2pHost.forgetRoom();
         p2pHost = null;
+        if (successor) {
+            send(EVENTS.LOG, { text: `👑 ${successor.name} takes over hosting the room.`, type: 'info' });
+        }
     }
     if (p2pClient) {
         p2pClient.disconnect();
@@ -0,0 +1,509 @@
+/**
+ * Conversation Sessions
+ *
+ * Named, persistent conversation threads. Each session keeps its full
+ * transcript (for search), a snapshot of the budgeted ConversationMemory
+ * (so switching back resumes with the same context), who took part
+ * (personalities and P2P peers), the active document and any private chat.
+ *
+ * Stored under <storageDir>: index.json holds the session list and which one
+ * is active, <id>.json each session's memory and details, and <id>.jsonl its
+ * transcript. Messages are appended to the transcript one line at a time,
+ * and the JSON files are written to a temporary file that then replaces
+ * them, so the app being killed mid-write loses at most the message being
+ * written. A message's new participants are saved right away; the last
+ * update time is saved in batches (SAVE_DELAY_MS) and otherwise recovered
+ * from the transcript.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SESSION_CONFIG = {
+    DEFAULT_NAME: 'General',
+    MAX_MESSAGES: 5000,     // Transcript entries kept per session
+    SEARCH_LIMIT: 10,
+    SNIPPET_CHARS: 120,
+    SAVE_DELAY_MS: 500      // Update times from messages within this window are saved together
+};
+
+class SessionManager {
+    /**
+     * @param {string|null} storageDir - Directory for the session files; null keeps sessions in memory
+     */
+    constructor(storageDir = null) {
+        this.storageDir = storageDir;
+        this.sessions = new Map();
+        this.activeSessionId = null;
+        this.transcriptLines = new Map(); // session id -> lines in its transcript file
+        this.pendingSaves = new Set();    // ids of sessions with unsaved details
+        this.saveTimer = null;
+    }
+
+    /**
+     * Create a session
+     * @param {string} [name]
+     * @param {Object} [options]
+     * @param {boolean} [options.activate=true]
+     * @returns {Object} The session
+     */
+    create(name, options = {}) {
+        const now = new Date().toISOString();
+        const session = {
+            id: `session_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: this.uniqueName(name || SESSION_CONFIG.DEFAULT_NAME),
+            createdAt: now,
+            updatedAt: now,
+            archived: false,
+            participants: { personalities: [], peers: [] },
+            activeDocument: null,
+            privateWith: null,  // Personality id during /private
+            messages: [],       // { role, content, timestamp, personality?, peer? }
+            memory: null        // ConversationMemory.snapshot()
+        };
+        this.sessions.set(session.id, session);
+
+        if (options.activate !== false || !this.activeSessionId) {
+            this.activeSessionId = session.id;
+        }
+        this.saveSession(session);
+        this.saveIndex();
+        return session;
+    }
+
+    get(id) {
+        return this.sessions.get(id) || null;
+    }
+
+    /**
+     * Find a session by id, name (case-insensitive) or id prefix
+     */
+    find(ref) {
+        if (!ref) return null;
+        if (this.sessions.has(ref)) return this.sessions.get(ref);
+
+        const needle = ref.toLowerCase();
+        const all = this.list({ includeArchived: true });
+        return all.find(s => s.name.toLowerCase() === needle)
+            || all.find(s => s.id.startsWith(ref))
+            || null;
+    }
+
+    /**
+     * The active session, creating the first one if needed
+     */
+    getActive() {
+        const active = this.get(this.activeSessionId);
+        if (active) return active;
+
+        const latest = this.list()[0];
+        if (latest) {
+            this.activeSessionId = latest.id;
+            this.saveIndex();
+            return latest;
+        }
+        return this.create();
+    }
+
+    /**
+     * Sessions, most recently used first
+     * @param {Object} [options]
+     * @param {boolean} [options.includeArchived=false]
+     */
+    list(options = {}) {
+        return Array.from(this.sessions.values())
+            .filter(s => options.includeArchived || !s.archived)
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Make a session active; switching to an archived one restores it
+     * @returns {Object|null} The session
+     */
+    activate(ref) {
+        const session = this.find(ref);
+        if (!session) return null;
+
+        if (session.archived) {
+            session.archived = false;
+            this.saveSession(session);
+        }
+        this.activeSessionId = session.id;
+        this.saveIndex();
+        return session;
+    }
+
+    rename(ref, name) {
+        const session = this.find(ref);
+        if (!session || !name) return null;
+
+        session.name = this.uniqueName(name, session.id);
+        this.touch(session);
+        return session;
+    }
+
+    /**
+     * Hide a session from the list; archiving the active one moves to the
+     * most recent other session (or a new one)
+     * @returns {Object|null} The archived session
+     */
+    archive(ref) {
+        const session = this.find(ref);
+        if (!session) return null;
+
+        session.archived = true;
+        this.saveSession(session);
+        if (session.id === this.activeSessionId) {
+            this.activeSessionId = null;
+            this.getActive();
+        }
+        this.saveIndex();
+        return session;
+    }
+
+    /**
+     * Append a transcript entry to the active session
+     * @param {string} role - 'user' or 'assistant'
+     * @param {string} content
+     * @param {Object} [meta] - { personality: id, peer: { id, name } }
+     */
+    addMessage(role, content, meta = {}) {
+        const session = this.getActive();
+        const entry = { role, content, timestamp: new Date().toISOString() };
+        let joined = false;
+        if (meta.personality) {
+            entry.personality = meta.personality;
+            joined = this.addParticipant('personality', meta.personality, session) || joined;
+        }
+        if (meta.peer) {
+            entry.peer = meta.peer.name;
+            joined = this.addParticipant('peer', meta.peer, session) || joined;
+        }
+
+        session.messages.push(entry);
+        if (session.messages.length > SESSION_CONFIG.MAX_MESSAGES) {
+            session.messages.splice(0, session.messages.length - SESSION_CONFIG.MAX_MESSAGES);
+        }
+        this.appendTranscript(session, entry);
+        session.updatedAt = entry.timestamp;
+        if (joined) {
+            this.saveSession(session);
+        } else {
+            this.scheduleSave(session);
+        }
+        return entry;
+    }
+
+    /**
+     * Record a personality id or a P2P peer ({ id, name }) as taking part
+     * @returns {boolean} Whether the participants changed
+     */
+    addParticipant(type, participant, session = this.getActive()) {
+        const { personalities, peers } = session.participants;
+        if (type === 'personality') {
+            if (personalities.includes(participant)) return false;
+            personalities.push(participant);
+            return true;
+        }
+        if (type === 'peer') {
+            const existing = peers.find(p => p.id === participant.id);
+            if (!existing) {
+                peers.push({ id: participant.id, name: participant.name });
+                return true;
+            }
+            if (existing.name === participant.name) return false;
+            existing.name = participant.name;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Store the active session's state: memory snapshot, active document,
+     * private chat partner. Only the given keys change.
+     */
+    update(changes, session = this.getActive()) {
+        for (const key of ['memory', 'activeDocument', 'privateWith']) {
+            if (key in changes) session[key] = changes[key];
+        }
+        if (changes.privateWith) this.addParticipant('personality', changes.privateWith, session);
+        this.saveSession(session);
+        return session;
+    }
+
+    /**
+     * Forget the active session's transcript and memory (/clear)
+     */
+    clearActive() {
+        const session = this.getActive();
+        session.messages = [];
+        session.memory = null;
+        this.writeTranscript(session);
+        this.touch(session);
+        return session;
+    }
+
+    /**
+     * Full-text search over session names and transcripts. Every term must
+     * appear in the name or in one message.
+     * @returns {Array<{session: Object, message: Object|null, snippet: string}>}
+     */
+    search(query, options = {}) {
+        const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return [];
+
+        const limit = options.limit || SESSION_CONFIG.SEARCH_LIMIT;
+        const matches = text => terms.every(term => text.toLowerCase().includes(term));
+        const results = [];
+
+        for (const session of this.list({ includeArchived: options.includeArchived !== false })) {
+            if (matches(session.name)) {
+                results.push({ session, message: null, snippet: session.name });
+            }
+            // Newest messages first
+            for (let i = session.messages.length - 1; i >= 0; i--) {
+                const message = session.messages[i];
+                if (matches(message.content)) {
+                    results.push({ session, message, snippet: snippet(message.content, terms[0]) });
+                }
+            }
+        }
+        return results.slice(0, limit);
+    }
+
+    touch(session) {
+        session.updatedAt = new Date().toISOString();
+        this.saveSession(session);
+    }
+
+    uniqueName(name, exceptId = null) {
+        const taken = new Set(Array.from(this.sessions.values())
+            .filter(s => s.id !== exceptId)
+            .map(s => s.name.toLowerCase()));
+        let candidate = name.trim();
+        for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+            candidate = `${name.trim()} (${n})`;
+        }
+        return candidate;
+    }
+
+    /**
+     * Session list as shown by /session list
+     */
+    formatList(options = {}) {
+        const sessions = this.list(options);
+        if (sessions.length === 0) return 'No sessions yet.';
+
+        const lines = ['**💬 Sessions:**\n'];
+        for (const s of sessions) {
+            const marker = s.id === this.activeSessionId ? '▶️' : (s.archived ? '🗄️' : '  ');
+            const who = [
+                ...s.participants.personalities,
+                ...s.participants.peers.map(p => p.name)
+            ];
+            lines.push(`${marker} **${s.name}** (${s.id}) - ${s.messages.length} messages` +
+                (who.length > 0 ? `, with ${who.join(', ')}` : ''));
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * Summary sent to the UI (no transcripts)
+     */
+    describe(session) {
+        return {
+            id: session.id,
+            name: session.name,
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt,
+            archived: session.archived,
+            participants: session.participants,
+            activeDocument: session.activeDocument,
+            privateWith: session.privateWith,
+            messageCount: session.messages.length
+        };
+    }
+
+    /**
+     * Save a session's details (everything but the transcript) now
+     */
+    saveSession(session) {
+        this.pendingSaves.delete(session.id);
+        if (!this.storageDir) return;
+
+        try {
+            this.ensureDir();
+            const { messages, ...details } = session;
+            writeAtomic(path.join(this.storageDir, `${session.id}.json`), JSON.stringify(details));
+        } catch (e) {
+            console.error(`Failed to save session ${session.name}:`, e);
+        }
+    }
+
+    scheduleSave(session) {
+        if (!this.storageDir) return;
+        this.pendingSaves.add(session.id);
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => this.flush(), SESSION_CONFIG.SAVE_DELAY_MS);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Save details still waiting for the batch (e.g. before the bridge stops)
+     */
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        for (const id of Array.from(this.pendingSaves)) {
+            const session = this.sessions.get(id);
+            if (session) this.saveSession(session);
+        }
+        this.pendingSaves.clear();
+    }
+
+    /**
+     * Add one message to the session's transcript file. Once the file holds
+     * twice MAX_MESSAGES lines, it is rewritten with just the kept messages.
+     */
+    appendTranscript(session, entry) {
+        if (!this.storageDir) return;
+
+        const lines = (this.transcriptLines.get(session.id) || 0) + 1;
+        if (lines > SESSION_CONFIG.MAX_MESSAGES * 2) {
+            this.writeTranscript(session);
+            return;
+        }
+        try {
+            this.ensureDir();
+            fs.appendFileSync(path.join(this.storageDir, `${session.id}.jsonl`), JSON.stringify(entry) + '\n');
+            this.transcriptLines.set(session.id, lines);
+        } catch (e) {
+            console.error(`Failed to save a message of session ${session.name}:`, e);
+        }
+    }
+
+    /**
+     * Replace the session's transcript file with its current messages
+     */
+    writeTranscript(session) {
+        if (!this.storageDir) return;
+
+        try {
+            this.ensureDir();
+            writeAtomic(path.join(this.storageDir, `${session.id}.jsonl`),
+                session.messages.map(m => JSON.stringify(m) + '\n').join(''));
+            this.transcriptLines.set(session.id, session.messages.length);
+        } catch (e) {
+            console.error(`Failed to save the transcript of session ${session.name}:`, e);
+        }
+    }
+
+    saveIndex() {
+        if (!this.storageDir) return;
+
+        try {
+            this.ensureDir();
+            const index = {
+                activeSessionId: this.activeSessionId,
+                sessions: Array.from(this.sessions.keys())
+            };
+            writeAtomic(path.join(this.storageDir, 'index.json'), JSON.stringify(index, null, 2));
+        } catch (e) {
+            console.error('Failed to save session index:', e);
+        }
+    }
+
+    /**
+     * Load sessions from storage
+     */
+    load() {
+        const indexPath = this.storageDir && path.join(this.storageDir, 'index.json');
+        if (!indexPath || !fs.existsSync(indexPath)) return;
+
+        try {
+            const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+            for (const id of index.sessions || []) {
+                const file = path.join(this.storageDir, `${id}.json`);
+                if (!fs.existsSync(file)) continue;
+                try {
+                    const session = JSON.parse(fs.readFileSync(file, 'utf8'));
+                    this.sessions.set(id, session);
+                    this.loadTranscript(session);
+                } catch (e) {
+                    console.error(`Failed to load session ${id}:`, e);
+                }
+            }
+            this.activeSessionId = this.sessions.has(index.activeSessionId) ? index.activeSessionId : null;
+        } catch (e) {
+            console.error('Failed to load sessions:', e);
+        }
+    }
+
+    /**
+     * Read a session's transcript file. A line cut short by the app being
+     * killed is dropped, and the file rewritten so later messages start on
+     * a line of their own.
+     */
+    loadTranscript(session) {
+        const file = path.join(this.storageDir, `${session.id}.jsonl`);
+        if (!fs.existsSync(file)) {
+            // Saved before transcripts had their own file
+            session.messages = session.messages || [];
+            this.writeTranscript(session);
+            return;
+        }
+
+        const raw = fs.readFileSync(file, 'utf8');
+        const lines = raw.split('\n').filter(Boolean);
+        const messages = [];
+        let torn = raw.length > 0 && !raw.endsWith('\n');
+        for (const line of lines) {
+            try {
+                messages.push(JSON.parse(line));
+            } catch (e) {
+                torn = true;
+            }
+        }
+
+        session.messages = messages.slice(-SESSION_CONFIG.MAX_MESSAGES);
+        const last = session.messages[session.messages.length - 1];
+        if (last && last.timestamp > session.updatedAt) {
+            // Details are saved in batches; the transcript is always current
+            session.updatedAt = last.timestamp;
+        }
+        if (torn) {
+            this.writeTranscript(session);
+        } else {
+            this.transcriptLines.set(session.id, lines.length);
+        }
+    }
+
+    ensureDir() {
+        if (!fs.existsSync(this.storageDir)) {
+            fs.mkdirSync(this.storageDir, { recursive: true });
+        }
+    }
+}
+
+/**
+ * Write a file through a temporary file, so it is never left half written
+ */
+function writeAtomic(filePath, data) {
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, data);
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Text around the first match of a term
+ */
+function snippet(text, term) {
+    const at = text.toLowerCase().indexOf(term);
+    const start = Math.max(0, at - SESSION_CONFIG.SNIPPET_CHARS / 2);
+    const end = Math.min(text.length, start + SESSION_CONFIG.SNIPPET_CHARS);
+    return `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`;
+}
+
+SessionManager.CONFIG = SESSION_CONFIG;
+
+module.exports = { SessionManager, SESSION_CONFIG };
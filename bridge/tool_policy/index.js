@@ -0,0 +1,352 @@
+/**
+ * Tool Policy
+ *
+ * Decides whether a tool call may run before it reaches Android, an MCP
+ * server or a marketplace extension. Every call is classified as:
+ *
+ * - allow: runs immediately
+ * - ask:   the user confirms it in the UI (CONFIRM_TOOL) first
+ * - deny:  refused
+ *
+ * Rules name tools as "server.tool" with * wildcards ("android.send_sms",
+ * "android.*", "ext_*.*") and can be scoped to a personality or a P2P
+ * participant. Personality rules only cover the local user; participants
+ * are matched by their client id, never by the name they chose. The most
+ * specific rule wins: a scoped rule beats an unscoped
+ * one, an exact tool beats a wildcard, a user rule beats a default, and
+ * among equals the stricter decision wins.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const Decision = {
+    ALLOW: 'allow',
+    ASK: 'ask',
+    DENY: 'deny'
+};
+
+// Configuration
+const POLICY_CONFIG = {
+    CONFIRM_TIMEOUT_MS: 60000   // Unanswered confirmations are denied after this
+};
+
+const STRICTNESS = { [Decision.ALLOW]: 0, [Decision.ASK]: 1, [Decision.DENY]: 2 };
+
+/**
+ * Built-in rules. Anything that sends, calls, writes or opens something on
+ * the user's behalf asks first; remote participants never reach Android.
+ */
+const DEFAULT_RULES = [
+    { tool: '*', decision: Decision.ASK },
+    { tool: 'android.*', decision: Decision.ALLOW },
+    { tool: 'android.send_sms', decision: Decision.ASK },
+    { tool: 'android.make_call', decision: Decision.ASK },
+    { tool: 'android.write_file', decision: Decision.ASK },
+    { tool: 'android.set_clipboard', decision: Decision.ASK },
+    { tool: 'android.open_url', decision: Decision.ASK },
+    { tool: 'android.send_notification', decision: Decision.ASK },
+    { tool: 'android.sync_peer', decision: Decision.ASK },
+    { tool: 'memory.*', decision: Decision.ALLOW },
+    { tool: 'jules.*', decision: Decision.ALLOW },
+    { tool: 'stitch.*', decision: Decision.ALLOW },
+    { tool: 'context7.*', decision: Decision.ALLOW },
+    { tool: 'android.*', participant: '*', decision: Decision.DENY },
+    { tool: '*', participant: '*', decision: Decision.ASK }
+];
+
+/**
+ * Glob match where * spans any characters, e.g. "ext_*.*"
+ */
+function matchesPattern(pattern, name) {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(name);
+}
+
+/**
+ * Exact tools beat server wildcards, which beat "*"
+ */
+function toolSpecificity(pattern) {
+    if (!pattern.includes('*')) return 2;
+    return pattern === '*' ? 0 : 1;
+}
+
+class ToolPolicy {
+    /**
+     * @param {string} [storagePath] - JSON file holding user rules
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - How long a confirmation may stay unanswered
+     * @param {Array<Object>} [options.defaults] - Replaces DEFAULT_RULES
+     */
+    constructor(storagePath = null, options = {}) {
+        this.storagePath = storagePath;
+        this.timeoutMs = options.timeoutMs || POLICY_CONFIG.CONFIRM_TIMEOUT_MS;
+        this.defaults = (options.defaults || DEFAULT_RULES).map(rule => ({ ...rule, source: 'default' }));
+        this.rules = [];              // User rules
+        this.pending = new Map();     // requestId -> { request, resolve, timer }
+        this.eventHandlers = new Map();
+    }
+
+    /**
+     * Classify a tool call without running it
+     * @param {Object} call
+     * @param {string} call.server - e.g. 'android', 'jules', 'ext_weather'
+     * @param {string} call.tool
+     * @param {string} [call.personality] - Personality id acting for the user
+     * @param {Object} [call.requester] - { type: 'user'|'participant', id, name }; participants are matched by id
+     * @returns {{decision: string, rule: Object}}
+     */
+    evaluate(call) {
+        const name = `${call.server}.${call.tool}`;
+        let best = null;
+        let bestRank = null;
+
+        for (const rule of [...this.defaults, ...this.rules]) {
+            if (!matchesPattern(rule.tool, name)) continue;
+            const scope = this.scopeOf(rule, call);
+            if (scope < 0) continue;
+
+            const rank = [scope, toolSpecificity(rule.tool), rule.source === 'user' ? 1 : 0, STRICTNESS[rule.decision]];
+            if (!bestRank || compareRanks(rank, bestRank) > 0) {
+                best = rule;
+                bestRank = rank;
+            }
+        }
+
+        return best
+            ? { decision: best.decision, rule: best }
+            : { decision: Decision.ASK, rule: null };
+    }
+
+    /**
+     * How closely a rule's scope fits the caller: 2 for a named personality
+     * or participant, 1 for any participant, 0 for unscoped, -1 if it doesn't apply.
+     * A personality rule is the user's, so it never applies to a participant.
+     */
+    scopeOf(rule, call) {
+        const requester = call.requester || {};
+        const isParticipant = requester.type === 'participant';
+
+        if (rule.participant) {
+            if (!isParticipant) return -1;
+            if (rule.participant === '*') return 1;
+            return requester.id && rule.participant === requester.id ? 2 : -1;
+        }
+        if (rule.personality) {
+            if (isParticipant) return -1;
+            return rule.personality === call.personality ? 2 : -1;
+        }
+        return 0;
+    }
+
+    /**
+     * Decide a tool call, asking the user when the policy says so
+     * @param {Object} call - See evaluate(); args are shown to the user
+     * @returns {Promise<{approved: boolean, decision: string, reason: string}>}
+     */
+    async authorize(call) {
+        const { decision } = this.evaluate(call);
+        const name = `${call.server}.${call.tool}`;
+
+        if (decision === Decision.ALLOW) {
+            return { approved: true, decision, reason: `${name} is allowed` };
+        }
+        if (decision === Decision.DENY) {
+            return { approved: false, decision, reason: `${name} is denied by policy` };
+        }
+
+        // Nobody is listening for confirmations, e.g. no UI connected
+        if (!(this.eventHandlers.get('confirm') || []).length) {
+            return { approved: false, decision, reason: `${name} needs confirmation but no one can confirm it` };
+        }
+
+        const answer = await this.requestConfirmation(call);
+        return {
+            approved: answer.approved,
+            decision,
+            reason: answer.approved ? `${name} was approved` : `${name} was ${answer.reason || 'declined'}`
+        };
+    }
+
+    /**
+     * Emit a 'confirm' request and wait for answer() or the timeout
+     */
+    requestConfirmation(call) {
+        const requestId = `confirm_${crypto.randomBytes(6).toString('hex')}`;
+        const request = {
+            requestId,
+            server: call.server,
+            tool: call.tool,
+            args: call.args || {},
+            personality: call.personality || null,
+            requester: call.requester || { type: 'user' },
+            reason: call.reason || null,
+            expiresAt: new Date(Date.now() + this.timeoutMs).toISOString()
+        };
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.settle(requestId, { approved: false, reason: 'not confirmed in time' });
+            }, this.timeoutMs);
+            this.pending.set(requestId, { request, resolve, timer });
+            this.emit('confirm', request);
+        });
+    }
+
+    /**
+     * The user's answer to a CONFIRM_TOOL request
+     * @param {string} requestId
+     * @param {Object} answer
+     * @param {boolean} answer.approved
+     * @param {boolean} [answer.remember] - Save the answer as a rule for this tool and requester
+     * @returns {boolean} False if the request is unknown or already settled
+     */
+    answer(requestId, { approved, remember = false } = {}) {
+        const entry = this.pending.get(requestId);
+        if (!entry) return false;
+
+        if (remember) {
+            const { request } = entry;
+            const isParticipant = request.requester.type === 'participant';
+            if (!isParticipant || request.requester.id) {
+                this.setRule({
+                    tool: `${request.server}.${request.tool}`,
+                    decision: approved ? Decision.ALLOW : Decision.DENY,
+                    personality: isParticipant ? undefined : request.personality || undefined,
+                    participant: isParticipant ? request.requester.id : undefined
+                });
+            }
+        }
+
+        return this.settle(requestId, { approved: !!approved, reason: approved ? null : 'declined' });
+    }
+
+    /**
+     * Deny every open confirmation, e.g. when the UI disconnects
+     */
+    cancelAll(reason = 'cancelled') {
+        for (const requestId of Array.from(this.pending.keys())) {
+            this.settle(requestId, { approved: false, reason });
+        }
+    }
+
+    settle(requestId, result) {
+        const entry = this.pending.get(requestId);
+        if (!entry) return false;
+        clearTimeout(entry.timer);
+        this.pending.delete(requestId);
+        entry.resolve(result);
+        this.emit('settled', { requestId, ...result });
+        return true;
+    }
+
+    /**
+     * Add or replace a user rule (same tool and scope replaces)
+     * @param {Object} rule - { tool, decision, personality?, participant? }
+     */
+    setRule(rule) {
+        if (!Object.values(Decision).includes(rule.decision)) {
+            throw new Error(`Unknown decision: ${rule.decision}. Use allow, ask or deny.`);
+        }
+        if (!rule.tool || (rule.tool !== '*' && !rule.tool.includes('.'))) {
+            throw new Error(`Tools are named server.tool, e.g. android.send_sms (got "${rule.tool}")`);
+        }
+
+        const saved = { tool: rule.tool, decision: rule.decision, source: 'user' };
+        if (rule.personality) saved.personality = rule.personality;
+        if (rule.participant) saved.participant = rule.participant;
+
+        this.rules = this.rules.filter(r => !sameScope(r, saved));
+        this.rules.push(saved);
+        this.save();
+        return saved;
+    }
+
+    /**
+     * Remove user rules, all of them or those for one tool pattern
+     * @param {string} [tool]
+     * @returns {number} Rules removed
+     */
+    resetRules(tool = null) {
+        const before = this.rules.length;
+        this.rules = tool ? this.rules.filter(r => r.tool !== tool) : [];
+        this.save();
+        return before - this.rules.length;
+    }
+
+    getRules() {
+        return { defaults: this.defaults, rules: this.rules };
+    }
+
+    /**
+     * Human-readable rule list for /policy
+     */
+    describe() {
+        const format = rule => {
+            const scope = rule.participant
+                ? ` (participant ${rule.participant})`
+                : rule.personality ? ` (personality ${rule.personality})` : '';
+            return `- \`${rule.tool}\`${scope}: **${rule.decision}**`;
+        };
+
+        const lines = ['**Tool Policy**', '', 'Your rules:'];
+        lines.push(...(this.rules.length > 0 ? this.rules.map(format) : ['- none']));
+        lines.push('', 'Defaults:');
+        lines.push(...this.defaults.map(format));
+        return lines.join('\n');
+    }
+
+    save() {
+        if (!this.storagePath) return;
+
+        try {
+            const dir = path.dirname(this.storagePath);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+            const rules = this.rules.map(({ source, ...rule }) => rule);
+            fs.writeFileSync(this.storagePath, JSON.stringify({ rules }, null, 2));
+        } catch (e) {
+            console.error('Failed to save tool policy:', e);
+        }
+    }
+
+    load() {
+        if (!this.storagePath || !fs.existsSync(this.storagePath)) return;
+
+        try {
+            const data = JSON.parse(fs.readFileSync(this.storagePath, 'utf8'));
+            this.rules = (data.rules || [])
+                .filter(rule => rule.tool && STRICTNESS[rule.decision] !== undefined)
+                .map(rule => ({ ...rule, source: 'user' }));
+        } catch (e) {
+            console.error('Failed to load tool policy:', e);
+        }
+    }
+
+    on(event, handler) {
+        if (!this.eventHandlers.has(event)) {
+            this.eventHandlers.set(event, []);
+        }
+        this.eventHandlers.get(event).push(handler);
+    }
+
+    emit(event, data) {
+        const handlers = this.eventHandlers.get(event) || [];
+        handlers.forEach(handler => handler(data));
+    }
+}
+
+function compareRanks(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] - b[i];
+    }
+    return 0;
+}
+
+function sameScope(a, b) {
+    return a.tool === b.tool && a.personality === b.personality && a.participant === b.participant;
+}
+
+module.exports = { ToolPolicy, Decision, DEFAULT_RULES, POLICY_CONFIG };
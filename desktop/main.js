@@ -25,6 +25,7 @@ const { CollectiveCoordinator, DeviceCapability } = require('../bridge/collectiv
 const { CollectiveBrain } = require('../bridge/collective/brain');
 const { CollectiveClient } = require('../bridge/collective/client');
 const LocalBrain = require('../bridge/brains/local_brain');
+const { parseBackendList } = require('../bridge/brains/backends');
 const AmphibianHost = require('../bridge/mcp_host');
 const { PersonalityManager } = require('../bridge/personalities');
 const ConversationMemory = require('../bridge/brains/memory');
@@ -67,7 +68,9 @@ const config = {
     deviceName: `${os.hostname()}_${process.platform}`,
     capability: DeviceCapability.MEDIUM,
     ollamaUrl: process.env.OLLAMA_URL || 'http://localhost:11434',
-    model: process.env.OLLAMA_MODEL || process.env.TPU_MODEL || 'gemma3:1b'
+    model: process.env.OLLAMA_MODEL || process.env.TPU_MODEL || 'gemma3:1b',
+    // e.g. LLM_BACKENDS=llamacpp or LLM_BACKENDS=openai,ollama for LM Studio first
+    backends: parseBackendList(process.env.LLM_BACKENDS)
 };
 
 /**
@@ -170,6 +173,11 @@ function showOllamaSetup(status) {
  * Initialize local brain
  */
 async function initLocalBrain() {
+    // llama.cpp / LM Studio users don't need Ollama at all
+    if (config.backends.length > 0 && !config.backends.includes('ollama')) {
+        return initConfiguredBrain();
+    }
+
     const ollamaStatus = await checkOllama();
 
     if (!ollamaStatus.running) {
@@ -203,7 +211,8 @@ async function initLocalBrain() {
 
     localBrain = new LocalBrain({
         baseUrl: config.ollamaUrl,
-        model: config.model
+        model: config.model,
+        backends: config.backends.length > 0 ? config.backends : undefined
     });
 
     const available = await localBrain.isAvailable();
@@ -217,6 +226,25 @@ async function initLocalBrain() {
     return available;
 }
 
+/**
+ * Initialize a local brain on the backends from LLM_BACKENDS
+ */
+async function initConfiguredBrain() {
+    localBrain = new LocalBrain({ backends: config.backends });
+
+    const available = await localBrain.isAvailable();
+    if (available) {
+        console.log(chalk.green(`  Local brain connected (${localBrain.active.describe()})`));
+        config.capability = DeviceCapability.HIGH;
+    } else {
+        const tried = localBrain.getStatus().map(b => `${b.description}: ${b.lastError || 'not available'}`);
+        console.log(chalk.yellow(`  No inference backend reachable:\n    ${tried.join('\n    ')}`));
+        console.log(chalk.yellow('  Will use collective only.'));
+    }
+
+    return available;
+}
+
 /**
  * Initialize MCP host
  */
@@ -227,6 +255,8 @@ async function initMCP() {
         if (result.connected > 0) {
             console.log(chalk.green(`  MCP: ${result.connected} server(s) connected`));
         }
+        // Servers added to or removed from mcp.json start and stop without a restart
+        mcpHost.watchConfig();
     } catch (e) {
         console.log(chalk.yellow(`  MCP: No servers configured (edit mcp.json to add)`));
     }
@@ -239,7 +269,11 @@ function initPersonalities() {
     const storagePath = path.join(os.homedir(), '.amphibian', 'personalities.json');
     personalities = new PersonalityManager(storagePath);
     personalities.load();
-    memory = new ConversationMemory(50);
+    // Budgeted to the model's context window; /switch replaces localBrain, so look it up per summary
+    memory = new ConversationMemory({
+        model: config.model,
+        summarizer: { quickInfer: (prompt, options) => localBrain.quickInfer(prompt, options) }
+    });
 
     // Default to Nova
     activePersonality = personalities.get('nova');
@@ -491,23 +525,14 @@ async function chat(message) {
         return;
     }
 
-    // Build messages with personality system prompt
-    const messages = [];
+    // Personality system prompt stays pinned ahead of the (budgeted) history
     if (activePersonality) {
-        messages.push({
-            role: 'system',
-            content: personalities.buildSystemPrompt(activePersonality)
-        });
-    }
-
-    // Add conversation history
-    const history = memory.getHistory();
-    for (const msg of history) {
-        messages.push(msg);
+        memory.pin('personality', personalities.buildSystemPrompt(activePersonality));
+    } else {
+        memory.unpin('personality');
     }
-
-    messages.push({ role: 'user', content: message });
     memory.add('user', message);
+    const messages = memory.getHistory();
 
     const pName = activePersonality ? `${activePersonality.avatar} ${activePersonality.name}` : 'Assistant';
     process.stdout.write(chalk.gray(`  [${source}] `));
@@ -704,7 +729,14 @@ async function processCommand(input) {
             // === Model commands ===
             case 'model':
                 console.log(chalk.cyan(`\n  Current model: ${config.model}`));
-                console.log(chalk.cyan(`  Ollama URL: ${config.ollamaUrl}\n`));
+                console.log(chalk.cyan(`  Ollama URL: ${config.ollamaUrl}`));
+                if (localBrain) {
+                    for (const backend of localBrain.getStatus()) {
+                        const state = backend.healthy === false ? chalk.red('down') : backend.active ? chalk.green('active') : 'standby';
+                        console.log(chalk.cyan(`  Backend: ${backend.description} [${state}]`));
+                    }
+                }
+                console.log();
                 break;
 
             case 'models':
@@ -734,8 +766,10 @@ async function processCommand(input) {
                     config.model = args[0];
                     localBrain = new LocalBrain({
                         baseUrl: config.ollamaUrl,
-                        model: config.model
+                        model: config.model,
+                        backends: config.backends.length > 0 ? config.backends : undefined
                     });
+                    if (memory) memory.setModel(config.model);
                     console.log(chalk.green(`\n  Switched to model: ${config.model}\n`));
                 }
                 break;
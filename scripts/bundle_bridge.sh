@@ -17,40 +17,17 @@ echo ""
 rm -rf "$ASSETS_DIR"
 mkdir -p "$ASSETS_DIR"
 
-# Copy JavaScript files
+# Copy the whole bridge tree, so every module directory (and anything added
+# later) is bundled; tests, coverage, runtime data and dependencies stay out
 echo "📦 Copying bridge files..."
-
-# Main files
-cp "$BRIDGE_SRC/server.js" "$ASSETS_DIR/"
-cp "$BRIDGE_SRC/mcp_host.js" "$ASSETS_DIR/"
-cp "$BRIDGE_SRC/android_mcp.js" "$ASSETS_DIR/"
-cp "$BRIDGE_SRC/package.json" "$ASSETS_DIR/"
-
-# Brains directory
-mkdir -p "$ASSETS_DIR/brains"
-cp "$BRIDGE_SRC/brains/"*.js "$ASSETS_DIR/brains/"
-
-# Commands directory
-mkdir -p "$ASSETS_DIR/commands"
-cp "$BRIDGE_SRC/commands/"*.js "$ASSETS_DIR/commands/"
-
-# Documents directory
-mkdir -p "$ASSETS_DIR/documents"
-cp "$BRIDGE_SRC/documents/"*.js "$ASSETS_DIR/documents/"
-
-# Personalities directory
-mkdir -p "$ASSETS_DIR/personalities"
-cp "$BRIDGE_SRC/personalities/"*.js "$ASSETS_DIR/personalities/"
-
-# P2P directory
-mkdir -p "$ASSETS_DIR/p2p"
-cp "$BRIDGE_SRC/p2p/"*.js "$ASSETS_DIR/p2p/"
-
-# MCP Servers directory (if exists)
-if [ -d "$BRIDGE_SRC/mcp_servers" ]; then
-    mkdir -p "$ASSETS_DIR/mcp_servers"
-    cp -r "$BRIDGE_SRC/mcp_servers/"* "$ASSETS_DIR/mcp_servers/" 2>/dev/null || true
-fi
+for entry in "$BRIDGE_SRC"/*; do
+    case "$(basename "$entry")" in
+        __tests__|coverage|node_modules|data|package-lock.json) continue ;;
+    esac
+    cp -r "$entry" "$ASSETS_DIR/"
+done
+find "$ASSETS_DIR" -type d -name "__tests__" -prune -exec rm -rf {} + 2>/dev/null || true
+find "$ASSETS_DIR" -type f -name "*.test.js" -delete 2>/dev/null || true
 
 # Install and bundle node_modules (production only)
 echo ""